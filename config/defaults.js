@@ -29,6 +29,9 @@ export const defaults = {
     "wordcount": {
       "includeWhitespace": false,
       "showBreakdown": true
+    },
+    "pseudocode": {
+      "dialect": "classic"
     }
   }
 }
\ No newline at end of file
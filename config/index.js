@@ -11,7 +11,7 @@ import { defaults } from './defaults.js';
 export const loaddefaults = () => defaults;
 
 // Deep merge function (similar to SL1's approach)
-const deepMerge = (target, source) => {
+export const deepMerge = (target, source) => {
   const result = { ...target };
 
   for (const key in source) {
@@ -49,14 +49,15 @@ export const loadLocalConfig = async (path = './lenses.json', virtualFS = null)
 };
 
 // Load and merge config files from virtual FS directory hierarchy
-export const loadConfigFromVirtualFS = async (filePath, virtualFS) => {
+// configName picks another config file to merge the same way, e.g. 'ask.json'
+export const loadConfigFromVirtualFS = async (filePath, virtualFS, configName = 'lenses.json') => {
   const pathParts = filePath.split('/').filter(p => p);
   let mergedConfig = {};
   
-  // Walk up the directory tree looking for lenses.json files
-  for (let i = 1; i <= pathParts.length; i++) {
-    const dirPath = '/' + pathParts.slice(0, i).join('/');
-    const configPath = dirPath + '/lenses.json';
+  // Walk down from the root through every folder containing the file, looking for config files
+  for (let i = 0; i < pathParts.length; i++) {
+    const dirPath = pathParts.slice(0, i).map((part) => '/' + part).join('');
+    const configPath = dirPath + '/' + configName;
     const configFile = findFileInVirtualFS(virtualFS, configPath);
     
     if (configFile && configFile.content) {
@@ -64,7 +65,7 @@ export const loadConfigFromVirtualFS = async (filePath, virtualFS) => {
         const config = JSON.parse(configFile.content);
         mergedConfig = deepMerge(mergedConfig, config);
       } catch (error) {
-        console.warn(`Invalid JSON in ${dirPath}/lenses.json:`, error);
+        console.warn(`Invalid JSON in ${configPath}:`, error);
       }
     }
   }
@@ -19,6 +19,19 @@ export const setVirtualFS = (fs) => {
   return fs;
 };
 
+// Listeners told about in-place changes made through the helpers below
+const changeListeners = new Set();
+
+// Subscribe to in-place file changes, e.g. to save the workspace; returns an unsubscribe function
+export const onVirtualFSChange = (listener) => {
+  changeListeners.add(listener);
+  return () => changeListeners.delete(listener);
+};
+
+const notifyChange = (path) => {
+  changeListeners.forEach((listener) => listener(path));
+};
+
 export const loadFS = async (source = './public/variablesing.json') => {
   try {
     if (isGitHubUrl(source)) {
@@ -33,9 +46,12 @@ export const loadFS = async (source = './public/variablesing.json') => {
         repoInfo.branch,
       );
       virtualFS = githubTreeToVirtualFS(githubData, repoInfo, repoInfo.path);
+      const { owner, repo, branch, path } = repoInfo;
+      virtualFS.source = `github:${owner}/${repo}@${branch}${path ? `/${path}` : ''}`;
     } else {
       const response = await fetch(source);
       virtualFS = await response.json();
+      virtualFS.source = virtualFS.source || `url:${source}`;
 
       // Add root and toCwd to loaded virtual FS
       addVirtualFSMetadata(virtualFS, '/');
@@ -79,7 +95,56 @@ export const updateFile = (path, content) => {
   const file = getFile(path);
   if (file) {
     file.content = content;
+    notifyChange(path);
+  }
+};
+
+// Store edited content on a file without replacing its original content
+export const updateEditorContent = (path, content) => {
+  const file = getFile(path);
+  if (file) {
+    file.editorContent = content;
+    notifyChange(path);
+  }
+};
+
+// Look up a file by path without warnings, for paths that may not exist
+export const findFile = (path) => {
+  if (!path || !virtualFS) {
+    return null;
+  }
+
+  let current = virtualFS;
+  for (const part of path.split('/').filter((p) => p)) {
+    current = current?.children?.find((child) => child.name === part);
+    if (!current) {
+      return null;
+    }
+  }
+
+  return current.type === 'file' ? current : null;
+};
+
+// Get the other files in the same directory as a path (without warnings for missing files)
+export const getSiblingFiles = (path) => {
+  if (!path || !virtualFS) {
+    return [];
+  }
+
+  const parts = path.split('/').filter((p) => p);
+  const fileName = parts.pop();
+
+  let current = virtualFS;
+  for (const part of parts) {
+    current = current?.children?.find((child) => child.name === part);
+    if (!current) {
+      return [];
+    }
   }
+
+  return (current.children || []).filter(
+    (child) => child.type === 'file' && child.name !== fileName,
+  );
 };
 
 // Cache lens preferences for a file during study session
@@ -91,6 +156,7 @@ export const cacheLensPreferences = (path, lensNames) => {
     }
     file.studyCache.lenses = [...lensNames];
     file.studyCache.lastModified = new Date().toISOString();
+    notifyChange(path);
   }
 };
 
@@ -117,9 +183,37 @@ export const clearCachedLenses = (path) => {
     if (Object.keys(file.studyCache).length === 0) {
       delete file.studyCache;
     }
+    notifyChange(path);
   }
 };
 
+// Save a lens's study progress on a file, e.g. a half-solved Parsons problem
+export const saveLensProgress = (path, lens, progress) => {
+  const file = findFile(path);
+  if (file) {
+    if (!file.studyCache) {
+      file.studyCache = {};
+    }
+    file.studyCache.progress = { ...file.studyCache.progress, [lens]: progress };
+    file.studyCache.lastModified = new Date().toISOString();
+    notifyChange(path);
+  }
+};
+
+// Save study data such as annotations and drawings on a file, e.g. { codeAnnotations: [...] }
+export const saveFileStudyData = (path, data) => {
+  const file = findFile(path);
+  if (file) {
+    Object.assign(file, data);
+    notifyChange(path);
+  }
+};
+
+// Get a lens's saved study progress for a file
+export const getLensProgress = (path, lens) => {
+  return findFile(path)?.studyCache?.progress?.[lens] || null;
+};
+
 export const loadFileContent = async (file) => {
   // Check if it's a GitHub file that needs lazy loading
   if (file.githubRepo && !file.content) {
@@ -164,7 +258,7 @@ const sortChildrenFoldersFirst = (children) => {
   return [...directories, ...files];
 };
 
-const addVirtualFSMetadata = (node, root) => {
+export const addVirtualFSMetadata = (node, root) => {
   // Add root reference
   node.root = root;
 
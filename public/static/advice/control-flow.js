@@ -1,9 +1,7 @@
 import { config } from '../data/config.js';
 import { state } from '../data/state.js';
 import { isInRange } from '../lib/is-in-range.js';
-import { print } from '../lib/trace-log.js';
-
-const nativeConsole = console;
+import { emit } from '../lib/trace-events.js';
 
 const breakOrContinue = (type) => (label, serial) => {
   state.node = state.aran.nodes[serial];
@@ -19,11 +17,7 @@ const breakOrContinue = (type) => (label, serial) => {
     ? state.node.test.loc.start.column
     : state.node.loc.start.column;
 
-  print({
-    prefix: (linePrefix) =>
-      linePrefix(line, col) + ' ' + type + ' ' + (label || ''),
-    style: 'font-weight: bold;',
-  });
+  emit({ type, line, col, label });
 };
 
 let lastForInStep = 0;
@@ -51,23 +45,14 @@ export default {
         return consumed;
       }
 
-      const lineOfCode = state.code.split('\n')[line - 1];
-      // const returned = consumed ? consumed : "right side";
-
-      const truthiness = consumed ? 'truthy' : 'falsy';
-
-      print({
-        prefix: [line, col],
-        logs: [
-          'operator (' + truthiness + ' ' + state.node.operator + ' _):',
-          consumed,
-          state.node.operator,
-          '_',
-        ],
-        out: nativeConsole.groupCollapsed,
+      emit({
+        type: 'test',
+        line,
+        col,
+        control: state.node.operator,
+        value: consumed,
+        truthy: Boolean(consumed),
       });
-      print({ logs: [lineOfCode] });
-      nativeConsole.groupEnd();
       return consumed;
     }
 
@@ -79,21 +64,14 @@ export default {
         return consumed;
       }
 
-      const lineOfCode = state.code.split('\n')[line - 1];
-      const returned = consumed ? '_a_' : '_b_';
-
-      const truthiness = consumed ? 'truthy' : 'falsy';
-      print({
-        prefix: [line, col],
-        logs: [
-          'operator (' + truthiness + ' ?_a_:_b_' + '):',
-          consumed,
-          '?_:_',
-        ],
-        out: nativeConsole.groupCollapsed,
+      emit({
+        type: 'test',
+        line,
+        col,
+        control: '?_:_',
+        value: consumed,
+        truthy: Boolean(consumed),
       });
-      print({ logs: [lineOfCode, '\n\n(evaluates to):', returned] });
-      nativeConsole.groupEnd();
       return consumed;
     }
 
@@ -123,47 +101,32 @@ export default {
       return consumed;
     }
 
-    const lineOfCode = state.code.split('\n')[line - 1];
-
-    const truthiness = consumed ? 'truthy' : 'falsy';
-
-    if (
-      state.node.type === 'ForInStatement' ||
-      state.node.type === 'ForOfStatement'
-    ) {
-      if (state.node.type === 'ForInStatement') {
-        if (typeof consumed === 'object') {
-          return consumed;
-        }
-
-        if (
-          consumed === true &&
-          lastForInStep == state.loggedSteps - 1 &&
-          lastForIn === state.node
-        ) {
-          return consumed;
-        }
-
-        lastForInStep = state.loggedSteps;
-        lastForIn = state.node;
+    if (state.node.type === 'ForInStatement') {
+      if (typeof consumed === 'object') {
+        return consumed;
       }
-      print({
-        prefix: [line, col],
-        logs: ['check (' + controlName + '):', consumed],
-        out: nativeConsole.groupCollapsed,
-      });
-      print({ prefix: '', logs: [lineOfCode] });
-      nativeConsole.groupEnd();
-    } else {
-      print({
-        prefix: [line, col],
-        logs: ['check (' + controlName + ', ' + truthiness + '):', consumed],
-        out: nativeConsole.groupCollapsed,
-      });
-      print({ prefix: '', logs: [lineOfCode] });
-      nativeConsole.groupEnd();
+
+      if (
+        consumed === true &&
+        lastForInStep == state.loggedSteps - 1 &&
+        lastForIn === state.node
+      ) {
+        return consumed;
+      }
+
+      lastForInStep = state.loggedSteps;
+      lastForIn = state.node;
     }
 
+    emit({
+      type: 'test',
+      line,
+      col,
+      control: controlName,
+      value: consumed,
+      truthy: Boolean(consumed),
+    });
+
     // }
     // nativeConsole.log(state.node);
     return consumed;
@@ -1,9 +1,7 @@
 import { config } from '../data/config.js';
 import { state } from '../data/state.js';
 import { isInRange } from '../lib/is-in-range.js';
-import { print } from '../lib/trace-log.js';
-
-const nativeConsole = console;
+import { emit } from '../lib/trace-events.js';
 
 export default {
   error: (consumed, serial) => {
@@ -23,11 +21,7 @@ export default {
     const line = state.node.handler.loc.start.line;
     const col = state.node.handler.loc.start.column;
 
-    print({
-      prefix: (linePrefix) => linePrefix(line, col) + ' catch:',
-      logs: [consumed],
-      style: 'font-weight: bold;',
-    });
+    emit({ type: 'throw', line, col, value: consumed, caught: true });
 
     return consumed;
   },
@@ -51,11 +45,7 @@ export default {
     const line = state.node.loc.start.line;
     const col = state.node.loc.start.column;
 
-    print({
-      prefix: (linePrefix) => linePrefix(line, col) + ' throw:',
-      logs: [consumed],
-      style: 'font-weight: bold;',
-    });
+    emit({ type: 'throw', line, col, value: consumed, caught: false });
 
     return consumed;
   },
@@ -1,9 +1,10 @@
 import { config } from '../data/config.js';
 import { state } from '../data/state.js';
-import { print } from '../lib/trace-log.js';
+import { emit, abortCall } from '../lib/trace-events.js';
 
 import { isBuiltIn } from '../lib/is-built-in.js';
 import { isInRange } from '../lib/is-in-range.js';
+import { isInternal } from '../lib/event-loop.js';
 
 const nativeConsole = console;
 let callSymbol = null;
@@ -16,6 +17,11 @@ export default {
       f();
     }
 
+    // the trace's own helpers for async code, see lib/event-loop.js
+    if (isInternal(f)) {
+      return Reflect.apply(f, t, xs);
+    }
+
     // console.log(0);
 
     // hack, because of instrumentation
@@ -49,13 +55,6 @@ export default {
       return result;
     }
 
-    const commaSeparatedArgs = [];
-    for (const arg of xs) {
-      commaSeparatedArgs.push(arg);
-      commaSeparatedArgs.push(',');
-    }
-    commaSeparatedArgs.pop();
-
     const nodeIsInRange = isInRange(state.node);
 
     // priority to console trace configuration
@@ -129,19 +128,15 @@ export default {
     //   });
     // }
 
-    print({
-      prefix: [line, col],
-      logs: [
-        functionName + ` (call${isBuiltIn(f) ? ', built-in' : ''}):`,
-        ...commaSeparatedArgs,
-      ],
-      out: nativeConsole.groupCollapsed,
+    emit({
+      type: 'call',
+      line,
+      col,
+      name: functionName,
+      args: xs,
+      builtIn: isBuiltIn(f),
+      ...(config.this ? { self: t } : {}),
     });
-    if (config.this) {
-      print({
-        logs: ['%cthis:', 'font-weight: bold;', t],
-      });
-    }
 
     // console.log(7);
     callSymbol = Symbol(f.name);
@@ -158,6 +153,7 @@ export default {
       );
       returnValue = isConsoleCall ? undefined : Reflect.apply(f, t, xs);
     } catch (err) {
+      abortCall();
       throw err;
     } finally {
       console = nativeConsole;
@@ -167,15 +163,13 @@ export default {
     //   state.builtInEntryPoint = null;
     // }
 
-    print({
-      prefix: '(returns):',
-      logs: [returnValue],
-      style: 'font-weight: bold;',
-      end: true,
+    emit({
+      type: 'return',
+      line,
+      col,
+      name: functionName,
+      value: returnValue,
     });
-    if (!state.builtInEntryPoint) {
-      nativeConsole.groupEnd();
-    }
 
     // console.log(6);
 
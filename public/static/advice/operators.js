@@ -1,9 +1,7 @@
 import { config } from '../data/config.js';
 import { state } from '../data/state.js';
 import { isInRange } from '../lib/is-in-range.js';
-import { print } from '../lib/trace-log.js';
-
-const nativeConsole = console;
+import { emit } from '../lib/trace-events.js';
 
 export default {
   unary: (operator, value, serial) => {
@@ -27,14 +25,14 @@ export default {
     if (!state.inNativeCallstack) {
       const line = state.node.loc.start.line;
       const col = state.node.loc.start.column;
-      print({
-        prefix: [line, col],
-        logs: ['operation (' + operator + ' _):', operator, value],
-        style: 'font-weight: bold;',
-        out: nativeConsole.groupCollapsed,
+      emit({
+        type: 'operator',
+        line,
+        col,
+        operator,
+        operands: [value],
+        value: result,
       });
-      print({ logs: ['(evaluates to):', result] });
-      nativeConsole.groupEnd();
     }
     // nativeConsole.log(state.node);
     return result;
@@ -58,14 +56,14 @@ export default {
     if (!state.inNativeCallstack) {
       const line = state.node.loc.start.line;
       const col = state.node.loc.start.column;
-      print({
-        prefix: [line, col],
-        logs: ['operation (_ ' + operator + ' _):', left, operator, right],
-        style: 'font-weight: bold;',
-        out: nativeConsole.groupCollapsed,
+      emit({
+        type: 'operator',
+        line,
+        col,
+        operator,
+        operands: [left, right],
+        value: result,
       });
-      print({ logs: ['(evaluates to):', result] });
-      nativeConsole.groupEnd();
     }
     // nativeConsole.log(state.node);
     return result;
@@ -1,8 +1,9 @@
 import { config } from '../data/config.js';
-import { print } from '../lib/trace-log.js';
+import { emit } from '../lib/trace-events.js';
 import { state } from '../data/state.js';
 
 import { isInRange } from '../lib/is-in-range.js';
+import { isGeneratedName } from '../lib/async-functions.js';
 
 const nativeConsole = console;
 
@@ -93,7 +94,7 @@ export default {
     }
     // nativeConsole.log(3);
     // because aran encodes generated variables as number strings
-    if (!isNaN(variable)) {
+    if (!isNaN(variable) || isGeneratedName(variable)) {
       return value;
     }
 
@@ -105,12 +106,12 @@ export default {
     // nativeConsole.log(4);
     const line = state.node.loc.start.line;
     const col = state.node.loc.start.column;
-    print({
-      prefix: [line, col],
-      logs: [
-        (state.node.left ? state.node.left.name : variable) + ' (read):',
-        value,
-      ],
+    emit({
+      type: 'read',
+      line,
+      col,
+      name: state.node.left ? state.node.left.name : variable,
+      value,
     });
     // nativeConsole.log("value:", value);
     // nativeConsole.log("variable:", variable);
@@ -148,7 +149,7 @@ export default {
     }
 
     // because aran encodes generated variables as number strings
-    if (!isNaN(variable)) {
+    if (!isNaN(variable) || isGeneratedName(variable)) {
       return value;
     }
     const line = state.node.loc.start.line;
@@ -164,20 +165,21 @@ export default {
       const focusedCol = state.node.left.loc.start.column;
 
       if (kind !== 'var') {
-        print({
-          prefix: [focusedLine, focusedCol],
-          logs: [variable + ' (declare, ' + kind + ')'],
+        emit({
+          type: 'declare',
+          line: focusedLine,
+          col: focusedCol,
+          name: variable,
+          kind,
         });
 
-        print({
-          prefix: [focusedLine, focusedCol],
-          logs: [
-            variable +
-              ' (' +
-              (state.node.kind === 'var' ? 'assign' : 'initialize') +
-              '):',
-            value,
-          ],
+        emit({
+          type: 'assign',
+          line: focusedLine,
+          col: focusedCol,
+          name: variable,
+          value,
+          initialize: state.node.kind !== 'var',
         });
       }
     } else if (
@@ -190,9 +192,12 @@ export default {
       //   return value;
       // }
       if (state.node.kind !== 'var') {
-        print({
-          prefix: [line, col],
-          logs: [variable + ' (declare, ' + state.node.kind + ')'],
+        emit({
+          type: 'declare',
+          line,
+          col,
+          name: variable,
+          kind: state.node.kind,
         });
       }
 
@@ -203,15 +208,13 @@ export default {
       if (declarator.init) {
         const line = declarator.init.loc.start.line;
         const col = declarator.init.loc.start.column;
-        print({
-          prefix: [line, col],
-          logs: [
-            variable +
-              ' (' +
-              (state.node.kind === 'var' ? 'assign' : 'initialize') +
-              '):',
-            value,
-          ],
+        emit({
+          type: 'assign',
+          line,
+          col,
+          name: variable,
+          value,
+          initialize: state.node.kind !== 'var',
         });
       }
     }
@@ -242,9 +245,13 @@ export default {
         state.node.type === 'ForStatement') &&
       config.variablesAssign
     ) {
-      print({
-        prefix: [line, col],
-        logs: [variable + ' (assign):', value],
+      emit({
+        type: 'assign',
+        line,
+        col,
+        name: variable,
+        value,
+        initialize: false,
       });
     }
     return value;
@@ -277,7 +284,7 @@ export default {
     const line = state.node.loc.start.line;
     const col = state.node.loc.start.column;
     for (const variable of variables) {
-      if (!isNaN(variable)) {
+      if (!isNaN(variable) || isGeneratedName(variable)) {
         continue;
       }
       if (
@@ -287,9 +294,11 @@ export default {
       ) {
         continue;
       }
-      print({
-        prefix: [line, col],
-        logs: [variable + ' (declare)'],
+      emit({
+        type: 'declare',
+        line,
+        col,
+        name: variable,
       });
     }
     // nativeConsole.log("value:", value);
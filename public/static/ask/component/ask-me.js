@@ -2,6 +2,7 @@ import { ask } from '../open-ended/ask.js';
 // import { generate } from '../multiple-choice/index.js';
 import { askOpenEnded, askMultipleChoice } from './ask-questions.js';
 import { openEndedPanel, multipleChoicePanel } from './options-panels.js';
+import { configureAsk } from './configure-questions.js';
 
 import { askMeGuide } from '../open-ended/guide.js';
 import { config } from '../config.js';
@@ -68,13 +69,7 @@ window.addEventListener('DOMContentLoaded', () => {
           window.config.locals.ask &&
           typeof window.config.locals.ask === 'object'
         ) {
-          for (const key in ask.config) {
-            if (key === 'levels' && Array.isArray(window.config.locals.ask.levels)) {
-              ask.config.levels = window.config.locals.ask.levels;
-            } else if (typeof window.config.locals.ask[key] === 'boolean') {
-              ask.config[key].ask = window.config.locals.ask[key];
-            }
-          }
+          configureAsk(window.config.locals.ask);
         }
       } catch (err) {
         // console.error(err);
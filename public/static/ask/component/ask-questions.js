@@ -1,22 +1,183 @@
 import { ask } from '../open-ended/ask.js';
-import { generate } from '../multiple-choice/index.js';
+import { generate, environment } from '../multiple-choice/index.js';
+import { random, withSeed } from '../open-ended/lib/seeded-random.js';
+
+/*
+  questions are plain objects, so they can be logged, shown in a panel or saved
+
+    open-ended:      { kind, question, hints, line, range }
+    multiple-choice: { kind, type, question, options, line }
+      options: [{ answer, correct, info }]
+
+  line is the line the question refers to, or null
+  range is { from, to } in the code for the node the question is about, or null
+
+  options.seed makes the generators pick the same question every time,
+    eg. 'class seed:/unit-1/loops.js:3' for everyone's third question on a file
+*/
+
+// every question type qlcjs can generate
+export const MULTIPLE_CHOICE_TYPES = [
+  'VariableDeclaration',
+  'VariableTrace',
+  'LoopEnd',
+  'FunctionName',
+  'ParameterName',
+  'ParameterValue',
+  'MethodCall',
+];
+
+/**
+ * the first line number a question mentions
+ * @param {string} text
+ * @returns {number|null}
+ */
+export const lineReference = (text = '') => {
+  const match = /\bline (\d+)/i.exec(text);
+  return match ? Number(match[1]) : null;
+};
+
+// qlcjs runs the code to trace variables, it gets a console that drops the logs
+//  so they don't land in the page's console, which is left alone
+const quietConsole = Object.fromEntries(
+  Object.keys(console).map((key) => [key, () => {}]),
+);
+
+const quietly = (callback) => {
+  const previous = environment.console;
+  try {
+    environment.console = quietConsole;
+    return callback();
+  } finally {
+    environment.console = previous;
+  }
+};
+
+/**
+ * generates multiple choice questions with qlcjs
+ * @param {string} code
+ * @param {string[]} types - qlcjs question types, defaults to the configured types
+ * @param {Object} options - { seed }
+ * @returns {Object[]} multiple-choice questions, empty if none match the code
+ */
+export const multipleChoiceQuestions = (code = '', types, { seed } = {}) => {
+  types = types || generate.config.types;
+  if (types.length === 0) {
+    return [];
+  }
+
+  const qlcs = withSeed(seed, () =>
+    quietly(() => generate(code, [{ count: 1, types }])),
+  );
+
+  return qlcs.map((qlc) => ({
+    kind: 'multiple-choice',
+    type: qlc.type,
+    question: qlc.question,
+    options: qlc.options.map((option) => ({
+      answer: String(option.answer),
+      correct: option.correct === true,
+      info: option.info,
+    })),
+    line: lineReference(qlc.question),
+  }));
+};
+
+// ask reads the lines to ask about from its shared config, a range only applies to this question
+const withRange = (range, callback) => {
+  if (!range) {
+    return callback();
+  }
+  const previous = { ...ask.config.range };
+  try {
+    ask.config.range.start = range.start;
+    ask.config.range.end = range.end;
+    return callback();
+  } finally {
+    ask.config.range.start = previous.start;
+    ask.config.range.end = previous.end;
+  }
+};
+
+/**
+ * generates one open-ended question
+ *  sometimes it's a variable trace question from qlcjs instead
+ * @param {string} code
+ * @param {Object} range - { start, end } lines to ask about, defaults to ask.config.range
+ * @param {Object} options - { seed }
+ * @returns {Object} an open-ended or multiple-choice question
+ */
+export const openEndedQuestion = (code = '', range = null, { seed } = {}) =>
+  withSeed(seed, () => {
+    const { hints, question, node } = withRange(range, () => ask(code));
+
+    if (
+      question.includes('no questions match') ||
+      (ask.config.traces.ask && random() > 0.9)
+    ) {
+      const [traceQuestion] = multipleChoiceQuestions(code, ['VariableTrace']);
+      if (traceQuestion) {
+        return traceQuestion;
+      }
+    }
+
+    // the node is only pointed to if the question mentions its line
+    //  questions like "on which line is x declared?" would give the answer away
+    const line = lineReference(question);
+    const isAbout = node && node.loc && node.loc.start.line === line;
+
+    return {
+      kind: 'open-ended',
+      question,
+      hints: Array.isArray(hints) ? hints : [],
+      line,
+      range: isAbout ? { from: node.start, to: node.end } : null,
+    };
+  });
+
+/**
+ * checks a multiple choice answer, every correct option must be chosen
+ * @param {Object} question - a multiple-choice question
+ * @param {string[]} chosen - the answers that were picked
+ * @returns {boolean}
+ */
+export const checkChoice = (question, chosen = []) => {
+  const correct = question.options
+    .filter((option) => option.correct)
+    .map((option) => option.answer);
+  return (
+    correct.length === chosen.length &&
+    correct.every((answer) => chosen.includes(answer))
+  );
+};
 
 // ----------------------------------
 
+const logMultipleChoice = (qlc) => {
+  console.log(`%c${qlc.question}`, 'font-weight: bold;');
+
+  for (const option of qlc.options) {
+    console.groupCollapsed(option.answer);
+    console.log(option.info);
+    console.groupEnd();
+  }
+  console.log('--- --- --- --- --- --- ---');
+};
+
 export const askOpenEnded = (code = '') => {
-  const { hints, question } = ask(code);
+  const asked = openEndedQuestion(code);
 
-  if (
-    question.includes('no questions match') ||
-    (ask.config.traces.ask && Math.random() > 0.9)
-  ) {
-    askMultipleChoice(code, ['VariableTrace']);
+  if (asked.kind === 'multiple-choice') {
+    console.log('--- --- --- --- --- --- ---');
+    logMultipleChoice(asked);
     return;
   }
 
+  const { hints, question } = asked;
+
   console.log('--- --- --- --- --- --- ---');
 
-  if (Array.isArray(hints) && hints.length > 0) {
+  if (hints.length > 0) {
     console.groupCollapsed(
       // hints.length > 1 ? "hints" : "hint"
       question,
@@ -30,7 +191,7 @@ export const askOpenEnded = (code = '') => {
 
   if (ask.config.alert.ask) {
     let toAlert = question;
-    if (Array.isArray(hints) && hints.length > 0) {
+    if (hints.length > 0) {
       toAlert += '\n\nhints:';
 
       hints.forEach((hint) => {
@@ -52,28 +213,7 @@ export const askMultipleChoice = (code = '', types) => {
 
   console.log('--- --- --- --- --- --- ---');
 
-  let qlcs = [];
-
-  const nativeConsoleMethods = Object.entries(console);
-  try {
-    for (const key in console) {
-      console[key] = () => {};
-    }
-    qlcs = generate(code, [{ count: 1, types }]);
-  } finally {
-    for (const entry of nativeConsoleMethods) {
-      console[entry[0]] = entry[1];
-    }
-  }
-
-  for (const qlc of qlcs) {
-    console.log(`%c${qlc.question}`, 'font-weight: bold;');
-
-    for (const option of qlc.options) {
-      console.groupCollapsed(option.answer);
-      console.log(option.info);
-      console.groupEnd();
-    }
-    console.log('--- --- --- --- --- --- ---');
+  for (const qlc of multipleChoiceQuestions(code, types)) {
+    logMultipleChoice(qlc);
   }
 };
@@ -1,3 +1,54 @@
+import { ask } from '../open-ended/ask.js';
+import { generate } from '../multiple-choice/index.js';
+
+// each folder's config starts over from these
+const defaults = {
+  openEnded: JSON.parse(JSON.stringify(ask.config)),
+  multipleChoice: [...generate.config.types],
+};
+
+/**
+ * sets up the question generators from an ask config
+ *  the config comes from lenses.json { "ask": {...} } or ask.json:
+ *  {
+ *    "levels": [1, 2],             question levels to ask
+ *    "operators": false,           language features to ask about
+ *    "questions": {...},           see random-question/question-bank.js
+ *    "multipleChoice": ["LoopEnd"] qlcjs question types
+ *  }
+ *  anything left out goes back to the defaults in ../config.js
+ * @param {Object} local
+ */
+export const configureAsk = (local = {}) => {
+  for (const key in defaults.openEnded) {
+    ask.config[key] = JSON.parse(JSON.stringify(defaults.openEnded[key]));
+  }
+  generate.config.types = [...defaults.multipleChoice];
+
+  if (!local || typeof local !== 'object') {
+    return;
+  }
+
+  for (const key in local) {
+    if (key === 'levels' && Array.isArray(local.levels)) {
+      ask.config.levels = [...local.levels];
+    } else if (key === 'questions' && local.questions) {
+      ask.config.questions = { ...ask.config.questions, ...local.questions };
+    } else if (
+      key === 'multipleChoice' &&
+      Array.isArray(local.multipleChoice)
+    ) {
+      generate.config.types = [...local.multipleChoice];
+    } else if (
+      typeof local[key] === 'boolean' &&
+      ask.config[key] &&
+      typeof ask.config[key].ask === 'boolean'
+    ) {
+      ask.config[key].ask = local[key];
+    }
+  }
+};
+
 export const configureOpenEnded = (option) => {
   if (option.includes('level')) {
     const level = Number(option.split('-').pop());
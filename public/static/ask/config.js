@@ -1,9 +1,13 @@
-/* this will be for
-  configuring what to ask questions about
+/* what to ask questions about
+    the defaults, a folder's lenses.json or ask.json can change them
+    see component/configure-questions.js
 
-  tbd
-    how to cross-section concepts for questioning
-    what nodes are for what questions
+  openEnded:
+    controlFlow ... generic: the language features questions can be about
+    levels: which kinds of questions, 1 (the code) to 5 (user experience)
+    questions: changes to the question bank, see random-question/question-bank.js
+  multipleChoice:
+    types: the qlcjs question types
 */
 export const config = {
   openEnded: {
@@ -17,6 +21,7 @@ export const config = {
     levels: [1, 2, 3, 4, 5],
     alert: { ask: false },
     range: { start: 0, end: 0 },
+    questions: { disable: [], levels: {}, add: [] },
   },
   multipleChoice: {
     types: [],
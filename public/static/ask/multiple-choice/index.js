@@ -1,6 +1,10 @@
-import { generate } from './qlcjs.mjs';
+import { generate, environment } from './qlcjs.mjs';
 import { config } from '../config.js';
+import { random } from '../open-ended/lib/seeded-random.js';
 
 generate.config = config.multipleChoice;
 
-export { generate };
+// qlcjs picks with the same random as the open-ended questions, so a seed reaches both
+environment.random = random;
+
+export { generate, environment };
@@ -28739,15 +28739,22 @@ scopeAnalyzer.default = ScopeAnalyzer;
 
 var analyze = /*@__PURE__*/ getDefaultExportFromCjs(dist$3);
 
+// what picking and running the learner's code use, the caller can replace them
+//  eg. a seeded random so everyone gets the same question, or a quiet console
+const environment = {
+  random: () => Math.random(),
+  console,
+};
+
 const range = (b, e) => [...Array(e - b + 1).keys()].map((i) => b + i);
 const asArray = (input) => (Array.isArray(input) ? input : [input]);
 const shuffle = (input) =>
   input
-    .map((element) => [element, Math.random()])
+    .map((element) => [element, environment.random()])
     .sort((pairA, pairB) => pairA[1] - pairB[1])
     .map((pair) => pair[0]);
 const pick = (input, n) => shuffle(input).slice(0, n);
-const pickIndex = (input) => Math.floor(Math.random() * input.length);
+const pickIndex = (input) => Math.floor(environment.random() * input.length);
 const pickOne = (input) => (input.length > 0 ? input[pickIndex(input)] : undefined);
 const notIn = (input, not, key) => {
   const notKeys = not.map((e) => key(e));
@@ -38381,7 +38388,7 @@ const evaluateRecorded = (script, functionName, functionArguments) => {
       ? functionsArugments.map(simpleToProgram).join(', ')
       : undefined;
   // eslint-disable-next-line no-new-func
-  return new Function(`
+  return new Function('console', `
     ${RECORD_STORE} = {};
     ${RECORD_FUNCTION} = (index, name, value, rec) => {
       const key = index + '_' + name;
@@ -38391,7 +38398,7 @@ const evaluateRecorded = (script, functionName, functionArguments) => {
     ${script};
     ${functionName ? `${functionName}(${argstr})` : ''}
     return ${RECORD_STORE};
-  `)();
+  `)(environment.console);
 };
 const recordVariableHistory = (root, global, functionName, functionArguments) => {
   const { script, variables } = transformToRecorded(root, global);
@@ -38486,6 +38493,7 @@ const generate = (source, requests, input) => {
 
 export {
   createProgramModel,
+  environment,
   evaluateRecorded,
   generate,
   prepare,
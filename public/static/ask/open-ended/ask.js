@@ -3,6 +3,7 @@ import { sortNodes } from './walking.js';
 import { walk } from '../../estree-walker/index.js';
 import { config as sharedConfig } from '../config.js';
 import { randomQuestion } from './random-question/index.js';
+import { random } from './lib/seeded-random.js';
 
 const config = sharedConfig.openEnded;
 
@@ -23,7 +24,7 @@ const ask = (code) => {
   for (const type in state.nodes) {
     // shuffle the nodes - https://stackoverflow.com/a/46545530
     state.nodes[type] = state.nodes[type]
-      .map((a) => ({ sort: Math.random(), value: a }))
+      .map((a) => ({ sort: random(), value: a }))
       .sort((a, b) => a.sort - b.sort)
       .map((a) => a.value);
   }
@@ -0,0 +1,49 @@
+/**
+ * a Math.random replacement that always gives the same numbers for the same seed
+ *  the seed is hashed into 32 bits and fed to mulberry32
+ * @param {string} seed
+ * @returns {Function} () => number between 0 and 1
+ */
+export const seededRandom = (seed) => {
+  let hash = 1779033703 ^ seed.length;
+  for (let i = 0; i < seed.length; i++) {
+    hash = Math.imul(hash ^ seed.charCodeAt(i), 3432918353);
+    hash = (hash << 13) | (hash >>> 19);
+  }
+
+  let state = hash >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// what the question generators pick with, Math.random unless a seed is set
+let source = Math.random;
+
+/**
+ * a number between 0 and 1, from the seed withSeed set or else Math.random
+ * @returns {number}
+ */
+export const random = () => source();
+
+/**
+ * runs the callback with random() following the seed, Math.random is left alone
+ * @param {string} seed - no seed keeps Math.random
+ * @param {Function} callback
+ * @returns {*} what the callback returns
+ */
+export const withSeed = (seed, callback) => {
+  if (seed === undefined || seed === null) {
+    return callback();
+  }
+  const previous = source;
+  try {
+    source = seededRandom(String(seed));
+    return callback();
+  } finally {
+    source = previous;
+  }
+};
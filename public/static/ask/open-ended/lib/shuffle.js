@@ -1,5 +1,7 @@
+import { random } from './seeded-random.js';
+
 export const shuffle = (arr) =>
   arr
-    .map((a) => ({ sort: Math.random(), value: a }))
+    .map((a) => ({ sort: random(), value: a }))
     .sort((a, b) => a.sort - b.sort)
     .map((a) => a.value);
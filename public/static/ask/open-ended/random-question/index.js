@@ -1,16 +1,22 @@
-import { questions } from './questions.js';
+import { questionBank } from './question-bank.js';
 import { shuffle } from '../lib/shuffle.js';
+import { random } from '../lib/seeded-random.js';
 
 export const randomQuestion = (config, { nodes, program, code, type }) => {
   // console.log(nodes);
 
+  // questions.js with the teacher's changes, see question-bank.js
+  const questions = questionBank(config.questions);
+
   // all questions matching the language feature configurations
   const configuredQuestions = questions.filter((question) => {
     if (!('features' in question)) {
       return true;
     }
     if (Array.isArray(question.features)) {
-      return question.features.some((feature) => config[feature].ask === true);
+      return question.features.some(
+        (feature) => config[feature] && config[feature].ask === true,
+      );
     }
     return false;
   });
@@ -82,8 +88,13 @@ export const randomQuestion = (config, { nodes, program, code, type }) => {
       .flatMap((type) => nodes[type]);
   }
 
+  // node filters can also return the nodes themselves
+  if (validNodes.length === 0 && Array.isArray(filtered)) {
+    validNodes = filtered.filter((node) => node && node.type);
+  }
+
   // randomly select one node of the correct type
-  const node = validNodes[(validNodes.length * Math.random()) | 0] || null;
+  const node = validNodes[(validNodes.length * random()) | 0] || null;
 
   const question = questionObj.template({
     node,
@@ -94,9 +105,11 @@ export const randomQuestion = (config, { nodes, program, code, type }) => {
     filtered,
   });
 
+  // the node is passed on so the question can point to it in the code
   return typeof question === 'string'
     ? {
         question,
+        node,
       }
-    : question;
+    : { node, ...question };
 };
@@ -1,4 +1,5 @@
 import * as helpers from "./helpers.js";
+import { random } from "../lib/seeded-random.js";
 // import * as collections from "./node-type-collections.js";
 
 export const operatorNodes = ({ nodes }) => {
@@ -15,7 +16,7 @@ export const randomOperatorNode = ({ nodes }) => {
   const filteredNodes = operatorNodes({ nodes }).filter(
     (node) => "operator" in node
   );
-  return filteredNodes[(filteredNodes.length * Math.random()) | 0];
+  return filteredNodes[(filteredNodes.length * random()) | 0];
 };
 
 export const equalities = ({ nodes }) =>
@@ -35,7 +36,7 @@ export const randomControlFlowNode = ({ nodes }) => {
     // to not treat else-if's as standalone constructs
     .filter((node) => (node.parent ? node.type !== node.parent.type : true));
   // console.log(controlFlows);
-  return controlFlows[(controlFlows.length * Math.random()) | 0].type;
+  return controlFlows[(controlFlows.length * random()) | 0].type;
 };
 
 export const firstIfNodes = ({ nodes }) => {
@@ -0,0 +1,115 @@
+import { questions } from './questions.js';
+import * as filters from './node-filters.js';
+import * as helpers from './helpers.js';
+
+/*
+  the question bank is questions.js changed by the "questions" in an ask config
+    (lenses.json { "ask": { "questions": ... } } or ask.json { "questions": ... })
+
+  {
+    "disable": ["variable name", "user inputs"],   question names to leave out
+    "levels": { "function call": [2, 3] },          new levels for a question
+    "add": [                                        questions written by a teacher
+      {
+        "name": "loop goal",
+        "question": "What is the {friendlyName} on line {line} for?",
+        "hints": ["the flowchart lens might help"],
+        "nodeTypes": ["ForStatement", "WhileStatement"],
+        "levels": [4],
+        "features": ["controlFlow"]
+      }
+    ]
+  }
+
+  nodeTypes is a list of node types, or the name of a filter in node-filters.js
+    like "firstIfNodes" or "declarationsInBlocks"
+  added questions without nodeTypes are about the whole program
+
+  the question and hints can use these placeholders for the chosen node:
+    {line} {endLine} {name} {operator} {type} {friendlyName} {code}
+*/
+
+const nodeName = (node) =>
+  (node.id && node.id.name) ||
+  node.name ||
+  (node.key && node.key.name) ||
+  (node.left && node.left.name) ||
+  (node.callee && (node.callee.name || node.callee.property?.name)) ||
+  '';
+
+const fill = (text, node, code) => {
+  if (!node) {
+    return text;
+  }
+  const values = {
+    line: node.loc.start.line,
+    endLine: node.loc.end.line,
+    name: nodeName(node),
+    operator: node.operator || '',
+    type: node.type,
+    friendlyName: helpers.friendlyName(node) || node.type,
+    code: code.slice(node.start, node.end),
+  };
+  return text.replace(/\{(\w+)\}/g, (placeholder, key) =>
+    key in values ? values[key] : placeholder,
+  );
+};
+
+// a question from an ask config, into the same shape as questions.js
+const toQuestion = (added) => {
+  let nodeTypes = added.nodeTypes;
+  if (typeof nodeTypes === 'string') {
+    nodeTypes =
+      typeof filters[nodeTypes] === 'function'
+        ? filters[nodeTypes]
+        : [nodeTypes];
+  }
+
+  const question = {
+    name: added.name,
+    template: ({ node, code }) => ({
+      question: fill(String(added.question), node, code),
+      hints: (added.hints || []).map((hint) => fill(String(hint), node, code)),
+    }),
+  };
+  if (nodeTypes) {
+    question.nodeTypes = nodeTypes;
+  }
+  if (Array.isArray(added.levels)) {
+    question.levels = added.levels;
+  }
+  if (Array.isArray(added.features)) {
+    question.features = added.features;
+  }
+  return question;
+};
+
+/**
+ * the questions to choose from
+ * @param {Object} changes - { disable, levels, add } from an ask config
+ * @returns {Object[]} question templates, like in questions.js
+ */
+export const questionBank = (changes = {}) => {
+  const { disable = [], levels = {}, add = [] } = changes || {};
+
+  const bank = questions
+    .filter((question) => !disable.includes(question.name))
+    .map((question) =>
+      Array.isArray(levels[question.name])
+        ? { ...question, levels: levels[question.name] }
+        : question,
+    );
+
+  for (const added of add) {
+    if (!added || typeof added.question !== 'string') {
+      console.warn('ask: a question in the config has no "question" text');
+      continue;
+    }
+    if (disable.includes(added.name)) {
+      continue;
+    }
+    bank.push(toQuestion(added));
+  }
+
+  return bank;
+};
@@ -13,6 +13,7 @@
 import * as filters from './node-filters.js';
 import * as helpers from './helpers.js';
 import * as collections from './node-type-collections.js';
+import { random } from '../lib/seeded-random.js';
 
 export const questions = [
   // === control flow ===
@@ -24,7 +25,7 @@ export const questions = [
         .filter(helpers.isControlFlow)
         .filter(helpers.isNested);
       const randomNestedNode =
-        nestedNodes[(nestedNodes.length * Math.random()) | 0];
+        nestedNodes[(nestedNodes.length * random()) | 0];
       return `On line ${
         randomNestedNode.loc.start.line
       } there is a nested ${helpers.friendlyName(
@@ -64,7 +65,7 @@ export const questions = [
     template: ({ nodes }) => {
       const validNodes = filters.firstIfNodes({ nodes });
 
-      const randomIf = validNodes[(validNodes.length * Math.random()) | 0];
+      const randomIf = validNodes[(validNodes.length * random()) | 0];
 
       return {
         question: `Describe the execution paths of the conditional that starts on line ${randomIf.loc.start.line}`,
@@ -144,11 +145,13 @@ export const questions = [
 
   // === data ===
   {
+    name: 'how many data types',
     template: () => `How many data types are used in this program?`,
     levels: [1],
     features: ['data'],
   },
   {
+    name: 'types assigned to a declared variable',
     template: ({ node }) => ({
       question: `On line ${node.loc.start.line} the variable '${node.id.name}' is declared
 -  What type(s) are assigned to it in the program?`,
@@ -161,7 +164,7 @@ export const questions = [
   {
     name: 'data literals',
     template: ({ filtered }) => {
-      const randomLiteral = filtered[(filtered.length * Math.random()) | 0];
+      const randomLiteral = filtered[(filtered.length * random()) | 0];
       const typeName =
         typeof randomLiteral.value === 'string'
           ? 'a string'
@@ -200,7 +203,7 @@ export const questions = [
       const operators = [
         ...new Set(filters.operatorNodes({ nodes }).map((n) => n.operator)),
       ];
-      const randomOperator = operators[(operators.length * Math.random()) | 0];
+      const randomOperator = operators[(operators.length * random()) | 0];
       return {
         question: `How many times is the '${randomOperator}' operator used in this program?`,
         hints: ['you can use control-f in the editor to search the code'],
@@ -226,7 +229,7 @@ export const questions = [
       const operators = [
         ...new Set(filters.operatorNodes({ nodes }).map((n) => n.operator)),
       ];
-      const randomOperator = operators[(operators.length * Math.random()) | 0];
+      const randomOperator = operators[(operators.length * random()) | 0];
       return {
         question: `What do you call the '${randomOperator}' operator? What does it do?`,
         hints: [
@@ -251,7 +254,7 @@ export const questions = [
             node.operator === '==' ||
             node.operator === '!=',
         );
-      const node = comparisons[(comparisons.length * Math.random()) | 0];
+      const node = comparisons[(comparisons.length * random()) | 0];
       const alternateOperator =
         node.operator === '==='
           ? '!=='
@@ -275,6 +278,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
 
   // === variables ===
   {
+    name: 'how many variables',
     template: () => ({
       question: `How many variables are declared in this program?`,
     }),
@@ -283,6 +287,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     features: ['variables'],
   },
   {
+    name: 'where is a variable declared',
     template: ({ node }) => ({
       question: `On which line is the variable '${node.id.name}' declared?
 - Is it initialized?`,
@@ -297,6 +302,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     features: ['variables'],
   },
   {
+    name: 'how many assignments',
     template: ({ node }) => ({
       question: `On how many lines is the variable '${node.id.name}' assigned a value?`,
       hints: ['the "variables" lens is helpful'],
@@ -306,6 +312,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     features: ['variables'],
   },
   {
+    name: 'how many reads',
     template: ({ node }) => ({
       question: `On how many lines is the variable '${node.id.name}' read?`,
       hints: ['the "variables" lens is helpful'],
@@ -315,6 +322,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     features: ['variables'],
   },
   {
+    name: 'role of a variable',
     template: ({ node }) => ({
       question: `What is the role of the variable '${node.id.name}' in this program?`,
       hints: [
@@ -328,6 +336,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     features: ['variables'],
   },
   {
+    name: 'variable name',
     template: ({ node }) =>
       `Why is the variable declared on line ${node.loc.start.line} named '${node.id.name}'?
 - Can you think of a better name?`,
@@ -336,12 +345,14 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     features: ['variables'],
   },
   {
+    name: 'types assigned to a variable',
     template: ({ node }) => `What types are assigned to '${node.id.name}'?`,
     levels: [0],
     nodeTypes: ['VariableDeclarator'],
     features: ['variables'],
   },
   {
+    name: 'is it built in',
     template: ({ nodes }) => {
       const identifierNames = new Set();
       const uniqueIdentifiers = nodes.Identifier.filter((node) => {
@@ -353,7 +364,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
         }
       });
       const node =
-        uniqueIdentifiers[(uniqueIdentifiers.length * Math.random()) | 0];
+        uniqueIdentifiers[(uniqueIdentifiers.length * random()) | 0];
       return `On line ${node.loc.start.line}, is the name '${node.name}' built into JS?`;
     },
     levels: [1],
@@ -361,6 +372,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     features: ['variables'],
   },
   {
+    name: 'value assigned on line x',
     template: ({ node }) =>
       `On line ${node.loc.start.line}, what value is assigned to '${node.left.name}'?
 - Where does this value come from?`,
@@ -369,6 +381,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     features: ['variables'],
   },
   {
+    name: 'names of the variables',
     template: ({ nodes }) => {
       const numberOfDeclarators = nodes.VariableDeclarator.length;
       return `There are ${numberOfDeclarators} variables declared in this program, what are their names?`;
@@ -377,6 +390,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     features: ['variables'],
   },
   {
+    name: 'variables used on line x',
     template: ({ nodes }) => {
       const identifier = nodes.Identifier.find(
         (node) =>
@@ -390,6 +404,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     features: ['variables'],
   },
   {
+    name: 'where is a name defined',
     template: ({ nodes }) => {
       const identifierNames = new Set();
       const uniqueIdentifiers = nodes.Identifier.filter((node) => {
@@ -401,7 +416,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
         }
       });
       const node =
-        uniqueIdentifiers[(uniqueIdentifiers.length * Math.random()) | 0];
+        uniqueIdentifiers[(uniqueIdentifiers.length * random()) | 0];
       return `Where is the name '${node.name}' defined?
 - In this file
 - In a different file
@@ -412,6 +427,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     features: ['variables'],
   },
   {
+    name: 'data assigned on line x',
     template: ({ node }) => {
       return `What data is assigned to '${node.left.name}' on line ${node.loc.start.line}?
 - Where does this data come from?
@@ -426,7 +442,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     template: ({ nodes }) => {
       const nestedDeclarations = filters.declarationsInBlocks({ nodes });
       const declaration =
-        nestedDeclarations[(nestedDeclarations.length * Math.random()) | 0];
+        nestedDeclarations[(nestedDeclarations.length * random()) | 0];
 
       return `On line ${declaration.loc.start.line} the variable '${declaration.id.name}' is declared inside of a block.
 - Are there any other variables in the program with the same name?
@@ -452,7 +468,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
     template: ({ nodes }) => {
       const nestedAssignments = filters.assignmentsInBlocks({ nodes });
       const assignment =
-        nestedAssignments[(nestedAssignments.length * Math.random()) | 0];
+        nestedAssignments[(nestedAssignments.length * random()) | 0];
 
       return `On line ${assignment.loc.start.line} there is an assignment inside of a block:
 - What data is being assigned? What's it's type?
@@ -466,16 +482,19 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
 
   // === generic ===
   {
+    name: 'user interactions',
     template: () => `How many user interactions are there in this program?`,
     levels: [5],
   },
   {
+    name: 'user inputs',
     template: () =>
       `On how many lines is the user asked to input data?
 - What are they asked to input?`,
     levels: [5],
   },
   {
+    name: 'paths through the program',
     template: () => ({
       question: `How many paths are there through this program?`,
       hints: ['the flowchart lens might be helpful'],
@@ -484,12 +503,13 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
   },
 
   {
+    name: 'read a line out loud',
     template: ({ code }) => {
       const codeLines = code
         .split('\n')
         .map((code, number) => ({ code, number }))
         .filter((line) => line.code.length !== 0);
-      const randomLine = codeLines[(codeLines.length * Math.random()) | 0];
+      const randomLine = codeLines[(codeLines.length * random()) | 0];
       return {
         question: `How would you read line ${randomLine.number} out loud?`,
         hints: [
@@ -504,6 +524,7 @@ How would the program behave if was replaced with '${alternateOperator}'?`;
 
   // === functions ===
   {
+    name: 'function call',
     template: ({ node }) =>
       `There is a function call on line ${node.loc.start.line}:
 - where is the function declared?
@@ -46,7 +46,8 @@ export const config = {
   lines: true,
   steps: true,
   console: true,
-  isInRange: true, // toggled with each visit to the pointcut. will not work for async code
+  isInRange: true, // toggled with each visit to the pointcut
+  asyncTimeout: 5000, // ms to wait for timers and promises after the script ran
 
   // --- not configurable from the Ui ---
   failure: true,
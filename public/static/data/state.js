@@ -6,6 +6,9 @@ export const state = {
   scopes: [],
   blockScopeDepth: 0,
   loggedSteps: 0,
+  events: [], // every traced step, see lib/trace-events.js
+  callDepth: 0, // how many traced calls deep the trace is
+  task: null, // the task or microtask running now, see lib/event-loop.js
   callExpressions: [],
   updateExpression: null || Node.type === "UPdateExpressions",
   updateTempValue: noTempValue,
@@ -7,7 +7,11 @@ import { ADVICE } from './advice/index.js';
 import { walk } from '../estree-walker/index.js';
 import { logHoisted } from './lib/log-hoisted.js';
 
-import { print } from './lib/trace-log.js';
+import { print, logEvent } from './lib/trace-log.js';
+import { subscribe } from './lib/trace-events.js';
+
+// this page's trace is read in the console
+subscribe(logEvent);
 
 window.trace = (code) => {
   const iframe = document.createElement('iframe');
@@ -28,13 +32,13 @@ window.trace = (code) => {
     // console.log(settedUp);
     const generated = Astring.generate(settedUp);
     // console.log(generated);
-    if (!iframe.contentWindow.ADVICE.builtins) {
-      const setupScript = document.createElement('script');
-      setupScript.innerHTML = generated;
-      iframe.contentDocument.body.appendChild(setupScript);
+    // every trace runs in a new iframe, its globals replace the last one's
+    delete iframe.contentWindow.ADVICE.builtins;
+    const setupScript = document.createElement('script');
+    setupScript.innerHTML = generated;
+    iframe.contentDocument.body.appendChild(setupScript);
 
-      // iframe.contentWindow.eval(generated);
-    }
+    // iframe.contentWindow.eval(generated);
 
     iframe.contentWindow.ADVICE.builtins.global.console = console;
 
@@ -47,6 +51,8 @@ window.trace = (code) => {
       state.blockLabels = [];
       state.loggedSteps = 0;
       state.callExpressions = [];
+      state.events = [];
+      state.callDepth = 0;
 
       state.code = code;
 
@@ -0,0 +1,268 @@
+import { walk } from '../estree-walker/index.js';
+
+/*
+  the bundled Aran can't weave async functions or await
+    so async functions are rewritten into functions that return a promise
+    and each awaited statement continues in a callback:
+
+      async function f() {           function f() {
+        a();                           return __asyncFunction((__resolve, __reject) => {
+        const x = await g();             a();
+        return x;                        __await(g(), (__awaited1) => {
+      }                                    const x = __awaited1;
+                                           __resolve(x); return;
+                                         }, __reject);
+                                       });
+                                     }
+
+  __asyncFunction and __await are defined in the sandbox by lib/event-loop.js
+    the continuation is queued as a microtask, like a real await
+
+  await is only rewritten as a whole statement in the body of an async function:
+    await x;  const y = await x;  y = await x;  return await x;
+    let a = 1, b = await x;  is split into one declaration for each variable
+  anywhere else (in a loop, an if, an expression) it throws an AsyncTraceError
+    and trace-loader.js runs the code without tracing it
+*/
+
+export class AsyncTraceError extends Error {
+  constructor(node) {
+    const line = node.loc ? ` (line ${node.loc.start.line})` : '';
+    super(
+      `await can only be traced as a whole statement in an async function's body${line}, so the code ran without a trace`,
+    );
+    this.name = 'AsyncTraceError';
+  }
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean} true for the variables this rewrite adds, they are not traced
+ */
+export const isGeneratedName = (name) =>
+  /^__(awaited\d+|resolve|reject|await|asyncFunction)$/.test(name);
+
+const isFunction = (node) =>
+  node.type === 'FunctionDeclaration' ||
+  node.type === 'FunctionExpression' ||
+  node.type === 'ArrowFunctionExpression';
+
+// generated nodes point at the code they came from
+const at = (loc, node) => {
+  walk(node, {
+    enter(child) {
+      if (!child.loc) {
+        child.loc = loc;
+      }
+    },
+  });
+  return node;
+};
+
+const identifier = (name) => ({ type: 'Identifier', name });
+
+const call = (name, args) => ({
+  type: 'CallExpression',
+  callee: identifier(name),
+  arguments: args,
+  optional: false,
+});
+
+const statement = (expression) => ({ type: 'ExpressionStatement', expression });
+
+const arrow = (params, body) => ({
+  type: 'ArrowFunctionExpression',
+  id: null,
+  params,
+  body: { type: 'BlockStatement', body },
+  async: false,
+  generator: false,
+  expression: false,
+});
+
+const findAwait = (node) => {
+  let found = null;
+  walk(node, {
+    enter(child) {
+      if (found || (child !== node && isFunction(child))) {
+        this.skip();
+      } else if (
+        child.type === 'AwaitExpression' ||
+        (child.type === 'ForOfStatement' && child.await)
+      ) {
+        found = child;
+        this.skip();
+      }
+    },
+  });
+  return found;
+};
+
+// return x; -> { __resolve(x); return; }, not in nested functions
+const resolveReturns = (node) =>
+  walk(node, {
+    enter(child) {
+      if (isFunction(child)) {
+        this.skip();
+      } else if (child.type === 'ReturnStatement') {
+        this.replace(
+          at(child.loc, {
+            type: 'BlockStatement',
+            body: [
+              statement(
+                call('__resolve', child.argument ? [child.argument] : []),
+              ),
+              { type: 'ReturnStatement', argument: null },
+            ],
+          }),
+        );
+        this.skip();
+      }
+    },
+  });
+
+// the statement that uses the awaited value, or null if it doesn't await
+const continuation = (node, awaited) => {
+  if (node.type === 'ExpressionStatement') {
+    if (node.expression.type === 'AwaitExpression') {
+      return { argument: node.expression.argument, then: () => [] };
+    }
+    if (
+      node.expression.type === 'AssignmentExpression' &&
+      node.expression.right.type === 'AwaitExpression'
+    ) {
+      return {
+        argument: node.expression.right.argument,
+        then: () => [
+          {
+            ...node,
+            expression: { ...node.expression, right: identifier(awaited) },
+          },
+        ],
+      };
+    }
+  }
+  if (
+    node.type === 'VariableDeclaration' &&
+    node.declarations.length === 1 &&
+    node.declarations[0].init &&
+    node.declarations[0].init.type === 'AwaitExpression'
+  ) {
+    const [declarator] = node.declarations;
+    return {
+      argument: declarator.init.argument,
+      then: () => [
+        {
+          ...node,
+          declarations: [{ ...declarator, init: identifier(awaited) }],
+        },
+      ],
+    };
+  }
+  if (
+    node.type === 'ReturnStatement' &&
+    node.argument &&
+    node.argument.type === 'AwaitExpression'
+  ) {
+    return {
+      argument: node.argument.argument,
+      then: () => [resolveReturns({ ...node, argument: identifier(awaited) })],
+    };
+  }
+  return null;
+};
+
+// let a = 1, b = await x; -> let a = 1; let b = await x;
+const splitDeclarations = (statements) =>
+  statements.flatMap((node) =>
+    node.type === 'VariableDeclaration' &&
+    node.declarations.length > 1 &&
+    findAwait(node)
+      ? node.declarations.map((declarator) =>
+          at(declarator.loc, {
+            type: 'VariableDeclaration',
+            kind: node.kind,
+            declarations: [declarator],
+          }),
+        )
+      : [node],
+  );
+
+const chain = (list, counter) => {
+  const statements = splitDeclarations(list);
+  for (let i = 0; i < statements.length; i++) {
+    const awaited = `__awaited${++counter.count}`;
+    const next = continuation(statements[i], awaited);
+    if (!next) {
+      const nested = findAwait(statements[i]);
+      if (nested) {
+        throw new AsyncTraceError(nested);
+      }
+      continue;
+    }
+    if (findAwait(next.argument)) {
+      throw new AsyncTraceError(next.argument);
+    }
+
+    const callback = arrow(
+      [identifier(awaited)],
+      [...next.then(), ...chain(statements.slice(i + 1), counter)],
+    );
+    return [
+      ...statements.slice(0, i).map(resolveReturns),
+      at(
+        statements[i].loc,
+        statement(
+          call('__await', [next.argument, callback, identifier('__reject')]),
+        ),
+      ),
+    ];
+  }
+
+  return [...statements.map(resolveReturns), statement(call('__resolve', []))];
+};
+
+/**
+ * rewrites every async function so Aran can weave it
+ * @param {Object} estree - a Program node, changed in place
+ * @returns {Object} the same estree
+ */
+export const rewriteAsyncFunctions = (estree) => {
+  const counter = { count: 0 };
+  return walk(estree, {
+    leave(node) {
+      if (!isFunction(node) || !node.async) {
+        return;
+      }
+      if (node.generator) {
+        throw new AsyncTraceError(node);
+      }
+
+      const statements =
+        node.body.type === 'BlockStatement'
+          ? node.body.body
+          : [
+              at(node.body.loc, {
+                type: 'ReturnStatement',
+                argument: node.body,
+              }),
+            ];
+
+      const executor = arrow(
+        [identifier('__resolve'), identifier('__reject')],
+        chain(statements, counter),
+      );
+      node.async = false;
+      node.expression = false;
+      node.body = at(node.body.loc, {
+        type: 'BlockStatement',
+        body: [
+          {
+            type: 'ReturnStatement',
+            argument: call('__asyncFunction', [executor]),
+          },
+        ],
+      });
+    },
+  });
+};
@@ -13,10 +13,14 @@ export const deepClone = (src, clonesMap = new Map()) => {
     return src;
   }
 
-  if (src === window) {
+  // the traced code runs in an iframe, so check for any window
+  //  and use tags instead of instanceof for values from another realm
+  if (src === window || src.window === src) {
     return src;
   }
 
+  const tag = Object.prototype.toString.call(src);
+
   // return stashed copies of reference types
   if (clonesMap.has(src)) {
     return clonesMap.get(src);
@@ -32,25 +36,25 @@ export const deepClone = (src, clonesMap = new Map()) => {
     return clone;
   }
 
-  if (src instanceof Element) {
+  if (typeof src.cloneNode === "function" && src.nodeType === 1) {
     return src.cloneNode(true);
   }
 
-  if (src instanceof RegExp) {
+  if (tag === "[object RegExp]") {
     return new RegExp(src);
   }
 
-  if (src instanceof Error) {
+  if (tag === "[object Error]") {
     const newError = new src.constructor(src.message);
     newError.stack = src.stack;
     return newError;
   }
 
-  if (src instanceof Date) {
+  if (tag === "[object Date]") {
     return new Date(src.getTime());
   }
 
-  if (src instanceof Map) {
+  if (tag === "[object Map]") {
     const clone = new Map();
     clonesMap.set(src, clone);
     const srcEntries = src.entries();
@@ -60,7 +64,7 @@ export const deepClone = (src, clonesMap = new Map()) => {
     return clone;
   }
 
-  if (src instanceof Set) {
+  if (tag === "[object Set]") {
     const clone = new Set();
     clonesMap.set(src, clone);
     const srcValues = src.values();
@@ -70,7 +74,7 @@ export const deepClone = (src, clonesMap = new Map()) => {
     return clone;
   }
 
-  if (src instanceof Object) {
+  if (tag !== "[object WeakMap]" && tag !== "[object WeakSet]") {
     const clone = Object.create(src);
     clonesMap.set(src, clone);
     for (const key in src) {
@@ -0,0 +1,310 @@
+import { state } from '../data/state.js';
+import { emit } from './trace-events.js';
+
+/*
+  tracing code that uses the event loop
+
+    the sandbox's timers, queueMicrotask and Promise.prototype.then are wrapped
+    so each callback is labeled with the task or microtask it runs in:
+      state.task is 'script' while the program runs, then 'task 2 (setTimeout)',
+      'microtask 3 (then)', ... and null between them
+
+    queuing a callback emits a 'queue' event, running it emits a 'dequeue' event
+      both have { kind: 'task' | 'microtask', id, source, label }
+      and every other event is emitted with the task it happened in
+
+    the trace is settled when no timers are left and a task went by
+      without any microtasks running: the event loop has nothing left to do
+*/
+
+// functions the trace uses to run async code, they are not traced as calls
+const internals = new WeakSet();
+
+/**
+ * @param {Function} f
+ * @returns {boolean} true if the trace created this function to run async code
+ */
+export const isInternal = (f) => typeof f === 'function' && internals.has(f);
+
+const internal = (f) => {
+  internals.add(f);
+  return f;
+};
+
+/**
+ * wraps the sandbox's async APIs, call this before running the code
+ * @param {Window} sandbox - the iframe's window
+ * @param {Object} options
+ * @param {Function} options.onSettled - called once, when nothing is left to run
+ * @param {number} options.timeout - ms to wait for timers before giving up
+ * @returns {Object} { start, stop }
+ *  start(): call after the program's synchronous part ran
+ *  stop(): clears the timers that are left and restores the sandbox
+ */
+export const trackEventLoop = (sandbox, { onSettled, timeout = 5000 }) => {
+  const native = {
+    setTimeout: sandbox.setTimeout,
+    setInterval: sandbox.setInterval,
+    clearTimeout: sandbox.clearTimeout,
+    clearInterval: sandbox.clearInterval,
+    queueMicrotask: sandbox.queueMicrotask,
+    then: sandbox.Promise.prototype.then,
+    catch: sandbox.Promise.prototype.catch,
+    finally: sandbox.Promise.prototype.finally,
+  };
+
+  // the trace's own timers run in the parent window
+  const parentSetTimeout = window.setTimeout.bind(window);
+
+  const timers = new Map(); // timer id -> 'setTimeout' | 'setInterval'
+  const counters = { task: 1, microtask: 0 };
+  let settled = false;
+  let started = false;
+  let ran = false; // did anything run since the last check
+  let source = null; // catch and finally call then, this tells then who called
+
+  state.task = 'script';
+
+  const location = () => {
+    const loc = state.node && state.node.loc ? state.node.loc.start : {};
+    return { line: loc.line, col: loc.column };
+  };
+
+  // callback runs later, labeled with its own task or microtask
+  const schedule = (kind, from, callback, details = {}) => {
+    counters[kind] += 1;
+    const id = counters[kind];
+    const label = `${kind} ${id} (${from})`;
+    const at = location();
+    const announced = state.task !== null;
+    if (announced) {
+      emit({
+        type: 'queue',
+        ...at,
+        kind,
+        id,
+        source: from,
+        label,
+        ...details,
+      });
+    }
+
+    return function (...args) {
+      const previous = { task: state.task, callDepth: state.callDepth };
+      state.task = label;
+      state.callDepth = 0;
+      ran = true;
+      if (announced) {
+        emit({ type: 'dequeue', ...at, kind, id, source: from, label });
+      }
+      try {
+        return Reflect.apply(callback, this, args);
+      } finally {
+        state.task = previous.task;
+        state.callDepth = previous.callDepth;
+      }
+    };
+  };
+
+  // a Proxy keeps the function native, it's still traced as a built-in
+  const wrap = (target, apply) => new Proxy(target, { apply });
+
+  const check = () => {
+    if (settled || !started) {
+      return;
+    }
+    if (timers.size === 0) {
+      ran = false;
+      parentSetTimeout(() => {
+        if (!settled && timers.size === 0 && !ran) {
+          settle(null);
+        } else {
+          check();
+        }
+      }, 0);
+    }
+  };
+
+  const addTimer = (from, callback, delay, args, nativeTimer) => {
+    if (typeof callback !== 'function') {
+      return Reflect.apply(nativeTimer, sandbox, [callback, delay, ...args]);
+    }
+    let id = null;
+    const run = schedule('task', from, callback, { delay: Number(delay) || 0 });
+    id = Reflect.apply(nativeTimer, sandbox, [
+      (...callbackArgs) => {
+        if (from === 'setTimeout') {
+          timers.delete(id);
+        }
+        try {
+          run(...callbackArgs);
+        } finally {
+          check();
+        }
+      },
+      delay,
+      ...args,
+    ]);
+    timers.set(id, from);
+    return id;
+  };
+
+  const clearTimer =
+    (nativeClear) =>
+    (target, self, [id]) => {
+      timers.delete(id);
+      const result = Reflect.apply(nativeClear, sandbox, [id]);
+      check();
+      return result;
+    };
+
+  sandbox.setTimeout = wrap(
+    native.setTimeout,
+    (target, self, [callback, delay, ...args]) =>
+      addTimer('setTimeout', callback, delay, args, target),
+  );
+  sandbox.setInterval = wrap(
+    native.setInterval,
+    (target, self, [callback, delay, ...args]) =>
+      addTimer('setInterval', callback, delay, args, target),
+  );
+  sandbox.clearTimeout = wrap(
+    native.clearTimeout,
+    clearTimer(native.clearTimeout),
+  );
+  sandbox.clearInterval = wrap(
+    native.clearInterval,
+    clearTimer(native.clearInterval),
+  );
+
+  if (native.queueMicrotask) {
+    sandbox.queueMicrotask = wrap(
+      native.queueMicrotask,
+      (target, self, [callback]) =>
+        Reflect.apply(target, sandbox, [
+          typeof callback === 'function'
+            ? schedule('microtask', 'queueMicrotask', callback)
+            : callback,
+        ]),
+    );
+  }
+
+  // exactly one of the two reactions runs, missing ones pass the value on
+  const then = (promise, onFulfilled, onRejected, from) => {
+    const run = schedule('microtask', from, (settledWith, isFulfilled) => {
+      if (isFulfilled) {
+        if (typeof onFulfilled !== 'function') return settledWith;
+        return onFulfilled(settledWith);
+      }
+      if (typeof onRejected !== 'function') throw settledWith;
+      return onRejected(settledWith);
+    });
+    return Reflect.apply(native.then, promise, [
+      (value) => run(value, true),
+      (reason) => run(reason, false),
+    ]);
+  };
+
+  sandbox.Promise.prototype.then = wrap(
+    native.then,
+    (target, promise, [onFulfilled, onRejected]) => {
+      const from = source || 'then';
+      source = null;
+      return then(promise, onFulfilled, onRejected, from);
+    },
+  );
+  sandbox.Promise.prototype.catch = wrap(
+    native.catch,
+    (target, promise, args) => {
+      source = 'catch';
+      return Reflect.apply(target, promise, args);
+    },
+  );
+  sandbox.Promise.prototype.finally = wrap(
+    native.finally,
+    (target, promise, args) => {
+      source = 'finally';
+      return Reflect.apply(target, promise, args);
+    },
+  );
+
+  // --- used by async functions, see lib/async-functions.js ---
+
+  sandbox.__asyncFunction = internal((executor) => {
+    return new sandbox.Promise((resolve, reject) => {
+      try {
+        executor(internal(resolve), internal(reject));
+      } catch (err) {
+        reject(err);
+      }
+    });
+  });
+
+  sandbox.__await = internal((value, onFulfilled, reject) => {
+    then(
+      sandbox.Promise.resolve(value),
+      (awaited) => {
+        try {
+          onFulfilled(awaited);
+        } catch (err) {
+          reject(err);
+        }
+      },
+      reject,
+      'await',
+    );
+  });
+
+  const restore = () => {
+    sandbox.setTimeout = native.setTimeout;
+    sandbox.setInterval = native.setInterval;
+    sandbox.clearTimeout = native.clearTimeout;
+    sandbox.clearInterval = native.clearInterval;
+    if (native.queueMicrotask) {
+      sandbox.queueMicrotask = native.queueMicrotask;
+    }
+    sandbox.Promise.prototype.then = native.then;
+    sandbox.Promise.prototype.catch = native.catch;
+    sandbox.Promise.prototype.finally = native.finally;
+  };
+
+  const stop = () => {
+    for (const [id, from] of timers) {
+      Reflect.apply(
+        from === 'setInterval' ? native.clearInterval : native.clearTimeout,
+        sandbox,
+        [id],
+      );
+    }
+    timers.clear();
+    restore();
+  };
+
+  const settle = (error) => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+    state.task = null;
+    stop();
+    onSettled(error);
+  };
+
+  return {
+    start: () => {
+      started = true;
+      state.task = null;
+      parentSetTimeout(() => {
+        if (!settled) {
+          settle(
+            new Error(
+              `stopped tracing after ${timeout}ms, some timers were still waiting`,
+            ),
+          );
+        }
+      }, timeout);
+      check();
+    },
+    stop: () => settle(null),
+  };
+};
@@ -0,0 +1,400 @@
+import { state } from '../data/state.js';
+import { deepClone } from './deep-clone.js';
+
+/*
+  the advice emits one typed event for each traced step
+    renderers turn the events into console logs (trace-log.js logEvent),
+    embedded log entries or trace table rows
+
+  every event: { type, step, line, col, depth, task, ...details }
+    depth is how many traced calls deep the step happened
+    task is 'script', or the task or microtask it ran in (see event-loop.js)
+
+    declare:  { name, kind }
+    read:     { name, value }
+    assign:   { name, value, initialize }
+    operator: { operator, operands, value }
+    test:     { control, value, truthy }
+                control is a statement (if, while, for-of, ...)
+                or an operator (&&, ||, ??, ?_:_)
+    call:     { name, args, builtIn, self }
+    return:   { name, value }
+    throw:    { value, caught }
+    break, continue: { label }
+    queue:    { kind, id, source, label, delay }
+                a callback was queued, kind is 'task' or 'microtask'
+                source is setTimeout, setInterval, then, catch, finally, await, ...
+    dequeue:  { kind, id, source, label }
+                the callback's task or microtask started running
+
+  values are deep-cloned when the event is emitted
+*/
+
+export const EVENT_TYPES = [
+  'declare',
+  'read',
+  'assign',
+  'operator',
+  'test',
+  'call',
+  'return',
+  'throw',
+  'break',
+  'continue',
+  'queue',
+  'dequeue',
+];
+
+const EXPRESSION_CONTROLS = ['&&', '||', '??', '?_:_'];
+
+const listeners = new Set();
+
+/**
+ * listens to every event emitted from now on
+ * @param {Function} listener - called with each event
+ * @returns {Function} stops listening
+ */
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+const clone = (value) =>
+  typeof value === 'function' ? value : deepClone(value);
+
+/**
+ * records one traced step and passes it to every listener
+ * @param {Object} event - { type, line, col, ...details }
+ * @returns {Object|undefined} the recorded event, undefined inside a built-in
+ */
+export const emit = ({ type, line, col, ...details }) => {
+  if (state.builtInEntryPoint) {
+    return;
+  }
+
+  // the step count is 0 while the code is being set up
+  //  a return is part of its call's steps, it shares the last step's number
+  const step =
+    type === 'return'
+      ? Math.max(0, state.loggedSteps - 1)
+      : state.loggedSteps || 0;
+  if (state.loggedSteps !== 0 && type !== 'return') {
+    state.loggedSteps += 1;
+  }
+
+  if (type === 'return') {
+    state.callDepth = Math.max(0, state.callDepth - 1);
+  }
+
+  const event = {
+    type,
+    step,
+    line,
+    col,
+    depth: state.callDepth,
+    task: state.task,
+  };
+  for (const key in details) {
+    event[key] = Array.isArray(details[key])
+      ? details[key].map(clone)
+      : clone(details[key]);
+  }
+
+  if (type === 'call') {
+    state.callDepth += 1;
+  }
+
+  state.events.push(event);
+  for (const listener of listeners) {
+    listener(event);
+  }
+  return event;
+};
+
+/**
+ * a traced call threw before returning, its depth is over
+ */
+export const abortCall = () => {
+  state.callDepth = Math.max(0, state.callDepth - 1);
+};
+
+/**
+ * keeps only the events you ask for, leave out a filter to keep everything
+ * @param {Object[]} events
+ * @param {Object} filters
+ * @param {string[]} filters.types - event types to keep
+ * @param {string[]} filters.names - variable or function names to keep
+ * @param {Object} filters.range - { start, end } lines to keep
+ * @param {number} filters.maxDepth - deepest call depth to keep
+ * @returns {Object[]}
+ */
+export const filterEvents = (
+  events,
+  { types = [], names = [], range = null, maxDepth = Infinity } = {},
+) =>
+  events.filter(
+    (event) =>
+      (types.length === 0 || types.includes(event.type)) &&
+      (names.length === 0 || names.includes(event.name)) &&
+      (!range || (event.line >= range.start && event.line <= range.end)) &&
+      event.depth <= maxDepth,
+  );
+
+// --- text renderers ---
+
+const isError = (thing) =>
+  thing &&
+  thing.__proto__ &&
+  typeof thing.__proto__.name === 'string' &&
+  thing.__proto__.name.includes('Error');
+
+/**
+ * a short readable version of a traced value
+ * @param {any} value
+ * @returns {string}
+ */
+export const formatValue = (value) => {
+  if (typeof value === 'function') {
+    return 'a function named "' + value.name + '"';
+  }
+  if (typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'symbol' || typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (isError(value)) {
+    return value.name;
+  }
+  if (value && typeof value === 'object') {
+    try {
+      return JSON.stringify(value, (key, entry) =>
+        typeof entry === 'function' ? formatValue(entry) : entry,
+      );
+    } catch (o_0) {
+      return Object.prototype.toString.call(value);
+    }
+  }
+  return String(value);
+};
+
+/**
+ * the label the trace log shows for an event, eg. "x (assign):"
+ * @param {Object} event
+ * @returns {string}
+ */
+export const describeEvent = (event) => {
+  const truthiness = event.truthy ? 'truthy' : 'falsy';
+  switch (event.type) {
+    case 'declare':
+      return (
+        event.name + ' (declare' + (event.kind ? ', ' + event.kind : '') + ')'
+      );
+    case 'read':
+      return event.name + ' (read):';
+    case 'assign':
+      return (
+        event.name + ' (' + (event.initialize ? 'initialize' : 'assign') + '):'
+      );
+    case 'operator':
+      return event.operands.length === 1
+        ? 'operation (' + event.operator + ' _):'
+        : 'operation (_ ' + event.operator + ' _):';
+    case 'test':
+      if (event.control === '?_:_') {
+        return 'operator (' + truthiness + ' ?_a_:_b_):';
+      }
+      if (EXPRESSION_CONTROLS.includes(event.control)) {
+        return 'operator (' + truthiness + ' ' + event.control + ' _):';
+      }
+      if (event.control === 'for-of' || event.control === 'for-in') {
+        return 'check (' + event.control + '):';
+      }
+      return 'check (' + event.control + ', ' + truthiness + '):';
+    case 'call':
+      return event.name + ' (call' + (event.builtIn ? ', built-in' : '') + '):';
+    case 'return':
+      return '(returns):';
+    case 'throw':
+      return event.caught ? 'catch:' : 'throw:';
+    case 'break':
+    case 'continue':
+      return (event.type + ' ' + (event.label || '')).trim();
+    case 'queue':
+      return 'queue (' + event.label + ')';
+    case 'dequeue':
+      return 'run (' + event.label + ')';
+    default:
+      return event.type;
+  }
+};
+
+const hasValue = (event) =>
+  event.type !== 'declare' &&
+  event.type !== 'break' &&
+  event.type !== 'continue' &&
+  event.type !== 'queue' &&
+  event.type !== 'dequeue';
+
+/**
+ * the values shown after an event's label
+ * @param {Object} event
+ * @returns {string}
+ */
+export const describeValue = (event) => {
+  if (event.type === 'call') {
+    return event.args.map(formatValue).join(', ');
+  }
+  if (event.type === 'operator') {
+    const operands = event.operands.map(formatValue);
+    const expression =
+      operands.length === 1
+        ? event.operator + ' ' + operands[0]
+        : operands[0] + ' ' + event.operator + ' ' + operands[1];
+    return expression + ' -> ' + formatValue(event.value);
+  }
+  return hasValue(event) ? formatValue(event.value) : '';
+};
+
+/**
+ * one line of the embedded trace log
+ * @param {Object} event
+ * @returns {Object} { step, line, col, depth, task, type, action, variable, value, hasValue, message, timestamp }
+ */
+export const toLogEntry = (event) => {
+  const value = hasValue(event) ? describeValue(event) : null;
+  const location =
+    typeof event.line === 'number'
+      ? 'line ' + event.line + ':' + (event.col ?? 0) + ' - '
+      : '';
+  return {
+    step: event.step,
+    line: event.line,
+    col: event.col,
+    depth: event.depth,
+    task: event.task,
+    type: event.type,
+    action:
+      event.type === 'assign' && event.initialize ? 'initialize' : event.type,
+    variable: event.name,
+    value,
+    hasValue: value !== null,
+    message: (
+      event.step +
+      '. ' +
+      location +
+      describeEvent(event) +
+      (value !== null ? ' ' + value : '')
+    ).trim(),
+    timestamp: Date.now(),
+  };
+};
+
+/**
+ * rows for the steps trace table: { line, name, action, value }
+ *  a declare followed by its initialization becomes one "declare, init" row
+ * @param {Object[]} events
+ * @returns {Object[]}
+ */
+export const toStepsRows = (events) => {
+  const rows = [];
+  for (const event of events) {
+    if (!['declare', 'read', 'assign'].includes(event.type)) {
+      continue;
+    }
+    const previous = rows[rows.length - 1];
+    if (
+      event.type === 'assign' &&
+      event.initialize &&
+      previous &&
+      previous.action === 'declare' &&
+      previous.name === event.name
+    ) {
+      previous.action = 'declare, init';
+      previous.value = formatValue(event.value);
+      continue;
+    }
+    rows.push({
+      line: event.line,
+      name: event.name,
+      action: event.type,
+      value: event.type === 'declare' ? '' : formatValue(event.value),
+    });
+  }
+  return rows;
+};
+
+// --- export ---
+
+const CSV_COLUMNS = [
+  'step',
+  'line',
+  'col',
+  'depth',
+  'task',
+  'type',
+  'name',
+  'label',
+  'value',
+];
+
+const csvCell = (text) =>
+  /[",\n]/.test(text) ? '"' + text.replace(/"/g, '""') + '"' : text;
+
+/**
+ * serializes events for saving or sharing
+ * @param {Object[]} events
+ * @param {string} format - 'json' or 'csv'
+ * @returns {string}
+ */
+export const exportEvents = (events, format = 'json') => {
+  if (format === 'csv') {
+    const rows = events.map((event) =>
+      [
+        event.step,
+        event.line ?? '',
+        event.col ?? '',
+        event.depth,
+        event.task ?? '',
+        event.type,
+        event.name ?? event.operator ?? event.control ?? '',
+        describeEvent(event),
+        describeValue(event),
+      ]
+        .map((cell) => csvCell(String(cell)))
+        .join(','),
+    );
+    return [CSV_COLUMNS.join(','), ...rows].join('\n');
+  }
+
+  // shared or circular references are only written the first time
+  const seen = new WeakSet();
+  return JSON.stringify(
+    events,
+    (key, value) => {
+      if (value === undefined && (key === 'value' || !isNaN(key))) {
+        return { type: 'undefined' };
+      }
+      if (typeof value === 'function') {
+        return { type: 'function', name: value.name || 'anonymous' };
+      }
+      if (typeof value === 'symbol' || typeof value === 'bigint') {
+        return { type: typeof value, description: value.toString() };
+      }
+      if (isError(value)) {
+        return { type: 'error', name: value.name, message: value.message };
+      }
+      if (value && typeof value === 'object') {
+        if (value.window === value) {
+          return { type: 'window' };
+        }
+        if (seen.has(value)) {
+          return { type: 'circular' };
+        }
+        seen.add(value);
+      }
+      return value;
+    },
+    2,
+  );
+};
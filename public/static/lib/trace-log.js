@@ -1,15 +1,11 @@
 import { state } from '../data/state.js';
 import { config } from '../data/config.js';
 import { deepClone } from './deep-clone.js';
+import { describeEvent } from './trace-events.js';
 
 const nativeConsole = console;
 
-const linePrefix = (line, col = null) => {
-  const stepNumber = state.loggedSteps || 0;
-  if (state.loggedSteps !== 0) {
-    state.loggedSteps += 1;
-  }
-
+const formatPrefix = (stepNumber, line, col = null) => {
   let prefix = '';
 
   // const scopeDepth = Array(state.scopes.length + 1).join("  ");
@@ -34,6 +30,14 @@ const linePrefix = (line, col = null) => {
   return '%c' + prefix;
 };
 
+const linePrefix = (line, col = null) => {
+  const stepNumber = state.loggedSteps || 0;
+  if (state.loggedSteps !== 0) {
+    state.loggedSteps += 1;
+  }
+  return formatPrefix(stepNumber, line, col);
+};
+
 export const print = ({
   logs = [],
   prefix,
@@ -82,3 +86,115 @@ export const print = ({
     out(...logs);
   }
 };
+
+/**
+ * the console renderer for trace events (see trace-events.js)
+ *  logs each event the way the trace has always been printed
+ * @param {Object} event - an event from emit
+ */
+export const logEvent = (event) => {
+  const prefix = () => formatPrefix(event.step, event.line, event.col);
+  const label = describeEvent(event);
+  const lineOfCode = (state.code || '').split('\n')[event.line - 1];
+
+  switch (event.type) {
+    case 'declare':
+      print({ prefix, logs: [label] });
+      break;
+    case 'read':
+    case 'assign':
+      print({ prefix, logs: [label, event.value] });
+      break;
+    case 'operator': {
+      const [left, right] = event.operands;
+      print({
+        prefix,
+        logs:
+          event.operands.length === 1
+            ? [label, event.operator, left]
+            : [label, left, event.operator, right],
+        style: 'font-weight: bold;',
+        out: nativeConsole.groupCollapsed,
+      });
+      print({ logs: ['(evaluates to):', event.value] });
+      nativeConsole.groupEnd();
+      break;
+    }
+    case 'test':
+      if (event.control === '?_:_') {
+        print({
+          prefix,
+          logs: [label, event.value, '?_:_'],
+          out: nativeConsole.groupCollapsed,
+        });
+        print({
+          logs: [
+            lineOfCode,
+            '\n\n(evaluates to):',
+            event.truthy ? '_a_' : '_b_',
+          ],
+        });
+      } else if (['&&', '||', '??'].includes(event.control)) {
+        print({
+          prefix,
+          logs: [label, event.value, event.control, '_'],
+          out: nativeConsole.groupCollapsed,
+        });
+        print({ logs: [lineOfCode] });
+      } else {
+        print({
+          prefix,
+          logs: [label, event.value],
+          out: nativeConsole.groupCollapsed,
+        });
+        print({ prefix: '', logs: [lineOfCode] });
+      }
+      nativeConsole.groupEnd();
+      break;
+    case 'call': {
+      const commaSeparatedArgs = [];
+      for (const arg of event.args) {
+        commaSeparatedArgs.push(arg);
+        commaSeparatedArgs.push(',');
+      }
+      commaSeparatedArgs.pop();
+      print({
+        prefix,
+        logs: [label, ...commaSeparatedArgs],
+        out: nativeConsole.groupCollapsed,
+      });
+      if ('self' in event) {
+        print({
+          logs: ['%cthis:', 'font-weight: bold;', event.self],
+        });
+      }
+      break;
+    }
+    case 'return':
+      print({
+        prefix: label,
+        logs: [event.value],
+        style: 'font-weight: bold;',
+      });
+      nativeConsole.groupEnd();
+      break;
+    case 'throw':
+      print({
+        prefix: () => prefix() + ' ' + label,
+        logs: [event.value],
+        style: 'font-weight: bold;',
+      });
+      break;
+    case 'break':
+    case 'continue':
+    case 'dequeue':
+      print({
+        prefix: () => prefix() + ' ' + label,
+        style: 'font-weight: bold;',
+      });
+      break;
+    case 'queue':
+      print({ prefix, logs: [label] });
+      break;
+  }
+};
@@ -1,332 +1,346 @@
-// waay too long signature, needs work
-const ceskAdviceSignature = (
-  adviceName,
-  userAdvice,
-  userPointcut,
-  history,
-  aran
-) => (...args) => {
-  const node = state.aran.nodes[serial];
-  // do your cesky thing, use history
-  if (typeof userAdvice === "function" && userPointcut(adviceName, node)) {
-    value = userAdvice(...args);
-  }
-  // do your cesky thing
-  return value; // if necessary
-};
-
-const SymbolTag = Symbol("tag");
-const SymbolLabels = Symbol("labels");
+/*
+  CESK machine advice
+
+  shadow execution from Aran's shadow-state example:
+    C - the node each trap is called for
+    E - scope, a chain of frames created with Object.create
+    S - the values held in the frames
+    K - the value stack and the callstack
+
+  every value is pushed on the stack as a shadow { id, label, value }
+    so a frame holds the shadow that was last written to a variable
+    and the stack shows which operands are waiting to be consumed
+
+  each trap is a wrapper: (userAdvice) => trap
+    it updates the machine then calls the user's advice, or does the default
+    combiners (unary, binary, apply, construct) let the user's advice do the operation
+*/
+
+export const SymbolTag = Symbol("tag");
+export const SymbolLabels = Symbol("labels");
 const SymbolStackLength = Symbol("stack-length");
 
-const ceskState = {
+export const createCeskState = () => ({
   counter: 0,
-  scope: undefined,
+  scope: undefined, // undefined: native code, null: before the program's frame
   scopeof: new WeakMap(),
   callstack: [],
   stack: [],
-};
-
-const ceskAdvice = {};
-
-const input = (name, value, serial) => {
-  const shadow = ++counter;
-  ceskState.stack.push(shadow);
-};
-const output = (name, value, serial) => {
-  ceskState.stack.pop();
-};
-
-///////////////
-// Producers //
-///////////////
-
-ceskAdvice.primitive = (advice) => (value, serial) => {
-  input("primitive", value, serial);
-  return typeof advice === "function" ? advice(value, serial) : value;
-};
-
-ceskAdvice.builtin = (advice) => (value, name, serial) => {
-  input("builtin-(" + name + ")", value, serial);
-  return typeof advice === "function" ? advice(value, name, serial) : value;
-};
-
-ceskAdvice.closure = (advice) => (value, serial) => {
-  ceskState.scopeof.set(value, scope);
-  input("closure", value, serial);
-  return value;
-};
-
-ceskAdvice.read = (advice) => (value, identifier, serial) => {
-  // step({ type: "read", value, identifier, serial });
-  ceskState.stack.push(scope[identifier]);
-  return value;
-};
-
-ceskAdvice.error = (advice) => (value, serial) => {
-  // step({ type: "error", value, serial });
-  return value;
-};
-
-ceskAdvice.argument = (advice) =>
-  function (value, name, serial) {
-    if (name === "length" || name === "new.target") {
-      // step({ type: "argument", value, name, serial });
-      input("argument-" + name, value, serial);
-    }
-    return value;
+  bases: [], // stack length when each call started, to drop what the call left behind
+  pending: 0, // shadows an instrumented apply/construct passes on to the callee
+});
+
+/**
+ * creates the CESK advice for one execution
+ * @param {Object} ceskState - from createCeskState, updated by side-effect
+ * @param {Object} aran - the Aran instance weaving the code
+ * @param {Function} weave - weaves code passed to a direct eval: (code, serial) => estree
+ * @returns {Object} a trap wrapper for every Aran trap
+ */
+export const createCeskAdvice = (ceskState, aran, weave) => {
+  const input = (label, value) => {
+    ceskState.stack.push({ id: ++ceskState.counter, label, value });
   };
+  const output = () => ceskState.stack.pop();
 
-///////////////
-// Consumers //
-///////////////
-
-ceskAdvice.drop = (advice) => (value, serial) => {
-  // step({ type: "drop", value, serial });
-  ceskState.stack.pop();
-  return value;
-};
-
-ceskAdvice.write = (advice) => (value, identifier, serial) => {
-  // step({ type: "write", value, identifier, serial });
-  let frame = scope;
-  while (!Reflect.getOwnPropertyDescriptor(frame, identifier))
-    frame = Reflect.getPrototypeOf(frame);
-  frame[identifier] = ceskState.stack.pop();
-  return value;
-};
-
-ceskAdvice.test = (advice) => (value, serial) => {
-  // step({ type: "test", value, serial });
-  output("test", value, serial);
-  return value;
-};
-
-ceskAdvice.throw = (advice) => (value, serial) => {
-  // step({ type: "throw", value, serial });
-  return value;
-};
-
-ceskAdvice.eval = (advice) => (value, serial) => {
-  // step({ type: "eval", value, serial });
-  output("eval", value, serial);
-  return aran.weave(Acorn.parse(value), pointcut, serial);
-};
-
-ceskAdvice.return = (advice) => (value, serial) => {
-  // step({ type: "return", value, serial });
-  ceskState.scope = ceskState.callstack.pop();
-  if (ceskState.scope === undefined) output("return", value, null);
-  return value;
-};
-
-ceskAdvice.abrupt = (advice) => (value, serial) => {
-  // step({ type: "abrupt", value, serial });
-  const shadow = ceskState.stack.pop();
-  while (scope[SymbolTag] !== "closure")
-    ceskState.scope = Reflect.getPrototypeOf(scope);
-  while (ceskState.stack.length > scope[SymbolStackLength])
-    ceskState.stack.pop();
-  ceskState.scope = ceskState.callstack.pop();
-  if (scope !== undefined) ceskState.stack.push(shadow);
-  return value;
-};
-
-ceskAdvice.success = (advice) => (value, serial) => {
-  // step({ type: "success", value, serial });
-  ceskState.scope = ceskState.callstack.pop();
-  return value;
-};
-
-ceskAdvice.failure = (advice) => (value, serial) => {
-  // step({ type: "failure", value, serial });
-  const shadow = ceskState.stack.pop();
-  while (scope[SymbolTag] !== "program")
-    ceskState.scope = Reflect.getPrototypeOf(scope);
-  while (ceskState.stack.length > scope[SymbolStackLength])
-    ceskState.stack.pop();
-  ceskState.scope = ceskState.callstack.pop();
-  return output("failure", value, serial);
-};
-
-///////////////
-// Informers //
-///////////////
-
-ceskAdvice.debugger = (advice) => (serial) => {
-  // step({ type: "debugger", serial });
-};
-
-ceskAdvice.program = (advice) => (value, serial) => {
-  // step({ type: "program", value, serial });
-  ceskState.callstack.push(scope);
-  ceskState.scope = null;
-};
-
-ceskAdvice.arrival = (advice) => (
-  callee,
-  newtarget,
-  self,
-  arguments,
-  serial
-) => {
-  if (ceskState.scope === undefined) {
-    for (let index = arguments.length - 1; index >= 0; index--) {
-      input("arrival-argument-" + index, arguments[index], null);
-    }
-    if (newtarget === undefined) {
-      input("arrival-this", self, null);
-    }
-  }
-  ceskState.callstack.push(scope);
-  ceskState.scope = ceskState.scopeof.get(callee);
-};
-
-ceskAdvice.enter = (advice) => (tag, labels, identifiers, serial) => {
-  if (tag === "catch") {
-    const shadow = ceskState.stack.pop();
-    while (scope[SymbolTag] !== "try")
-      ceskState.scope = Reflect.getPrototypeOf(scope);
-    while (ceskState.stack.length > scope[SymbolStackLength])
+  const up = () => {
+    ceskState.scope = Reflect.getPrototypeOf(ceskState.scope);
+  };
+  const unwindTo = (tags) => {
+    while (ceskState.scope && !tags.includes(ceskState.scope[SymbolTag])) up();
+  };
+  const unwindToLabel = (label) => {
+    while (ceskState.scope && !ceskState.scope[SymbolLabels].includes(label)) up();
+  };
+  const dropStackTo = (frame) => {
+    while (frame && ceskState.stack.length > frame[SymbolStackLength]) {
       ceskState.stack.pop();
-    ceskState.stack.push(shadow);
-    ceskState.scope = Reflect.getPrototypeOf(scope);
-  }
-  ceskState.scope = Object.create(scope);
-  for (let index = 0; index < identifiers.length; index++)
-    Reflect.defineProperty(scope, identifiers[index], { writable: true });
-  if (tag === "program" || tag === "closure" || tag === "try")
-    Reflect.defineProperty(scope, SymbolStackLength, {
-      value: ceskState.stack.length,
-    });
-  Reflect.defineProperty(scope, SymbolTag, { value: tag });
-  Reflect.defineProperty(scope, SymbolLabels, { value: labels });
-};
-
-ceskAdvice.leave = (advice) => (serial) => {
-  ceskState.scope = Reflect.getPrototypeOf(scope);
-};
-
-ceskAdvice.continue = (advice) => (label, serial) => {
-  if (label) {
-    while (!scope[SymbolLabels].includes(label)) {
-      ceskState.scope = Reflect.getPrototypeOf(scope);
-    }
-  } else {
-    while (scope[SymbolTag] !== "loop") {
-      ceskState.scope = Reflect.getPrototypeOf(scope);
-    }
-  }
-  ceskState.scope = Reflect.getPrototypeOf(scope);
-};
-
-ceskAdvice.break = (advice) => (label, serial) => {
-  if (label) {
-    while (!scope[SymbolLabels].includes(label)) {
-      ceskState.scope = Reflect.getPrototypeOf(scope);
-    }
-  } else {
-    while (scope[SymbolTag] !== "loop" && scope[SymbolTag] !== "switch") {
-      ceskState.scope = Reflect.getPrototypeOf(scope);
     }
-  }
-  ceskState.scope = Reflect.getPrototypeOf(scope);
-};
-
-///////////////
-// Combiners //
-///////////////
+  };
 
-ceskAdvice.unary = (advice) =>
-  function (operator, value, serial) {
-    output("unary-argument-(" + operator + ")", value, serial);
-    ceskState.callstack.push(scope);
-    ceskState.scope = undefined;
-    try {
-      const result = aran.unary(operator, value, serial);
-      input("unary-result-(" + operator + ")", result, serial);
-      return result;
-    } catch (error) {
-      input("unary-error-(" + operator + ")", error, serial);
-      throw error;
-    } finally {
-      ceskState.scope = ceskState.callstack.pop();
-    }
+  // a call ends with its result on top of the caller's operands
+  //  arguments the callee never read are dropped with everything else
+  const endCall = (shadow) => {
+    ceskState.stack.length = Math.min(ceskState.stack.length, ceskState.bases.pop() ?? 0);
+    ceskState.scope = ceskState.callstack.pop();
+    if (ceskState.scope !== undefined && shadow) ceskState.stack.push(shadow);
   };
 
-ceskAdvice.binary = (advice) =>
-  function (operator, value1, value2, serial) {
-    output("binary-right-(" + operator + ")", value2, serial);
-    output("binary-left-(" + operator + ")", value1, serial);
-    ceskState.callstack.push(scope);
+  // operations on values happen in native code, outside of any scope
+  const inNative = (operation) => {
+    ceskState.callstack.push(ceskState.scope);
     ceskState.scope = undefined;
     try {
-      const result = aran.binary(operator, value1, value2);
-      input("binary-result-(" + operator + ")", result, serial);
-      return result;
-    } catch (error) {
-      input("binary-error-(" + operator + ")", error, stack);
-      throw error;
+      return operation();
     } finally {
       ceskState.scope = ceskState.callstack.pop();
     }
   };
 
-ceskAdvice.apply = (advice) => (value1, value2, values, serial) => {
-  // console.log(serial, value1.name, aran.nodes[serial]);
-  if (ceskState.scopeof.has(value1)) {
-    const shadows = values.length ? ceskState.stack.splice(-values.length) : [];
-    const shadow = ceskState.stack.pop();
-    output("apply-callee", value1, serial);
-    ceskState.stack.push(...shadows.reverse());
-    ceskState.stack.push(shadow);
-    return Reflect.apply(value1, value2, values);
-  }
-  ceskState.callstack.push(scope);
-  ceskState.scope = undefined;
-  // let tempApplyAdvice = ceskAdvice.apply;
-  // const isConsoleCall = Object.values(nativeConsole).includes(value1);
-  try {
-    for (let index = values.length - 1; index >= 0; index--) {
-      output("apply-argument-" + index, values[index], serial);
-    }
-    output("apply-this", value2, serial);
-    output("apply-callee", value1, serial);
-    // if (isConsoleCall) {
-    //   ceskAdvice.apply = () => {};
-    // }
-    const result = Reflect.apply(value1, value2, values);
-    input("apply-result", result, serial);
-    return result;
-  } catch (error) {
-    throw error;
-  } finally {
-    ceskState.scope = ceskState.callstack.pop();
-  }
-};
+  const around = (advice, args, fallback) =>
+    typeof advice === "function" ? advice(...args) : fallback();
+
+  return {
+    ///////////////
+    // Producers //
+    ///////////////
+
+    primitive: (advice) => (value, serial) => {
+      input("primitive", value);
+      return around(advice, [value, serial], () => value);
+    },
+
+    builtin: (advice) => (value, name, serial) => {
+      input("builtin-(" + name + ")", value);
+      return around(advice, [value, name, serial], () => value);
+    },
+
+    closure: (advice) => (value, serial) => {
+      ceskState.scopeof.set(value, ceskState.scope);
+      input("closure", value);
+      return around(advice, [value, serial], () => value);
+    },
+
+    read: (advice) => (value, identifier, serial) => {
+      const shadow = ceskState.scope ? ceskState.scope[identifier] : undefined;
+      if (shadow) {
+        ceskState.stack.push(shadow);
+      } else {
+        input("read-(" + identifier + ")", value);
+      }
+      return around(advice, [value, identifier, serial], () => value);
+    },
+
+    error: (advice) => (value, serial) => {
+      return around(advice, [value, serial], () => value);
+    },
+
+    argument: (advice) => (value, name, serial) => {
+      if (name === "length" || name === "new.target") {
+        input("argument-" + name, value);
+      }
+      return around(advice, [value, name, serial], () => value);
+    },
+
+    ///////////////
+    // Consumers //
+    ///////////////
+
+    drop: (advice) => (value, serial) => {
+      output();
+      return around(advice, [value, serial], () => value);
+    },
+
+    write: (advice) => (value, identifier, serial) => {
+      const shadow = output();
+      let frame = ceskState.scope;
+      while (frame && !Reflect.getOwnPropertyDescriptor(frame, identifier)) {
+        frame = Reflect.getPrototypeOf(frame);
+      }
+      if (frame) {
+        frame[identifier] = shadow || { id: ++ceskState.counter, label: "write", value };
+      }
+      return around(advice, [value, identifier, serial], () => value);
+    },
+
+    test: (advice) => (value, serial) => {
+      output();
+      return around(advice, [value, serial], () => value);
+    },
+
+    throw: (advice) => (value, serial) => {
+      return around(advice, [value, serial], () => value);
+    },
+
+    eval: (advice) => (value, serial) => {
+      output();
+      around(advice, [value, serial], () => value);
+      return weave(value, serial);
+    },
+
+    return: (advice) => (value, serial) => {
+      endCall(output());
+      return around(advice, [value, serial], () => value);
+    },
+
+    abrupt: (advice) => (value, serial) => {
+      const shadow = output();
+      unwindTo(["closure"]);
+      endCall(shadow);
+      return around(advice, [value, serial], () => value);
+    },
+
+    success: (advice) => (value, serial) => {
+      ceskState.scope = ceskState.callstack.pop();
+      return around(advice, [value, serial], () => value);
+    },
 
-ceskAdvice.construct = (advice) => (value, values, serial) => {
-  if (ceskState.scopeof.has(value)) {
-    const shadows = values.length ? ceskState.stack.splice(-values.length) : [];
-    output("construct-callee", value, serial);
-    ceskState.stack.push(...shadows.reverse());
-    return Reflect.construct(value, values);
-  }
-  ceskState.callstack.push(scope);
-  ceskState.scope = undefined;
-  try {
-    for (let index = values.length - 1; index >= 0; index--)
-      output("construct-argument-" + index, values[index], serial);
-    output("construct-callee", value, serial);
-    const result = Reflect.construct(value, values);
-    input("construct-result", result, serial);
-    return result;
-  } catch (error) {
-    input("construct-error", error, serial);
-    throw error;
-  } finally {
-    ceskState.scope = ceskState.callstack.pop();
-  }
+    failure: (advice) => (value, serial) => {
+      output();
+      unwindTo(["program"]);
+      dropStackTo(ceskState.scope);
+      ceskState.scope = ceskState.callstack.pop();
+      return around(advice, [value, serial], () => value);
+    },
+
+    ///////////////
+    // Informers //
+    ///////////////
+
+    debugger: (advice) => (serial) => {
+      around(advice, [serial], () => undefined);
+    },
+
+    program: (advice) => (value, serial) => {
+      ceskState.callstack.push(ceskState.scope);
+      ceskState.scope = null;
+      around(advice, [value, serial], () => undefined);
+    },
+
+    arrival: (advice) => (callee, newtarget, self, args, serial) => {
+      ceskState.bases.push(
+        ceskState.scope === undefined
+          ? ceskState.stack.length
+          : Math.max(0, ceskState.stack.length - ceskState.pending)
+      );
+      ceskState.pending = 0;
+
+      // called from native code, so the arguments were never on the stack
+      if (ceskState.scope === undefined) {
+        for (let index = args.length - 1; index >= 0; index--) {
+          input("arrival-argument-" + index, args[index]);
+        }
+        if (newtarget === undefined) {
+          input("arrival-this", self);
+        }
+      }
+      ceskState.callstack.push(ceskState.scope);
+      ceskState.scope = ceskState.scopeof.get(callee);
+      around(advice, [callee, newtarget, self, args, serial], () => undefined);
+    },
+
+    enter: (advice) => (tag, labels, identifiers, serial) => {
+      if (tag === "catch") {
+        const shadow = output();
+        unwindTo(["try"]);
+        dropStackTo(ceskState.scope);
+        if (shadow) ceskState.stack.push(shadow);
+        up();
+      }
+      ceskState.scope = Object.create(ceskState.scope);
+      for (const identifier of identifiers) {
+        Reflect.defineProperty(ceskState.scope, identifier, { writable: true });
+      }
+      if (tag === "program" || tag === "closure" || tag === "try") {
+        Reflect.defineProperty(ceskState.scope, SymbolStackLength, {
+          value: ceskState.stack.length,
+        });
+      }
+      Reflect.defineProperty(ceskState.scope, SymbolTag, { value: tag });
+      Reflect.defineProperty(ceskState.scope, SymbolLabels, { value: labels });
+      around(advice, [tag, labels, identifiers, serial], () => undefined);
+    },
+
+    leave: (advice) => (serial) => {
+      up();
+      around(advice, [serial], () => undefined);
+    },
+
+    continue: (advice) => (label, serial) => {
+      if (label) {
+        unwindToLabel(label);
+      } else {
+        unwindTo(["loop"]);
+      }
+      up();
+      around(advice, [label, serial], () => undefined);
+    },
+
+    break: (advice) => (label, serial) => {
+      if (label) {
+        unwindToLabel(label);
+      } else {
+        unwindTo(["loop", "switch"]);
+      }
+      up();
+      around(advice, [label, serial], () => undefined);
+    },
+
+    ///////////////
+    // Combiners //
+    ///////////////
+
+    unary: (advice) => (operator, value, serial) => {
+      output();
+      return inNative(() => {
+        const result = around(advice, [operator, value, serial], () =>
+          aran.unary(operator, value)
+        );
+        input("unary-result-(" + operator + ")", result);
+        return result;
+      });
+    },
+
+    binary: (advice) => (operator, left, right, serial) => {
+      output();
+      output();
+      return inNative(() => {
+        const result = around(advice, [operator, left, right, serial], () =>
+          aran.binary(operator, left, right)
+        );
+        input("binary-result-(" + operator + ")", result);
+        return result;
+      });
+    },
+
+    apply: (advice) => (callee, self, args, serial) => {
+      const call = () =>
+        around(advice, [callee, self, args, serial], () =>
+          Reflect.apply(callee, self, args)
+        );
+
+      // instrumented closures take their arguments' shadows with them
+      if (ceskState.scopeof.has(callee)) {
+        const shadows = args.length ? ceskState.stack.splice(-args.length) : [];
+        const shadow = output();
+        output();
+        ceskState.stack.push(...shadows.reverse());
+        if (shadow) ceskState.stack.push(shadow);
+        ceskState.pending = shadows.length + (shadow ? 1 : 0);
+        return call();
+      }
+
+      for (let index = args.length - 1; index >= 0; index--) output();
+      output();
+      output();
+      return inNative(() => {
+        const result = call();
+        input("apply-result", result);
+        return result;
+      });
+    },
+
+    construct: (advice) => (callee, args, serial) => {
+      const call = () =>
+        around(advice, [callee, args, serial], () =>
+          Reflect.construct(callee, args)
+        );
+
+      if (ceskState.scopeof.has(callee)) {
+        const shadows = args.length ? ceskState.stack.splice(-args.length) : [];
+        output();
+        ceskState.stack.push(...shadows.reverse());
+        ceskState.pending = shadows.length;
+        return call();
+      }
+
+      for (let index = args.length - 1; index >= 0; index--) output();
+      output();
+      return inNative(() => {
+        const result = call();
+        input("construct-result", result);
+        return result;
+      });
+    },
+  };
 };
-
-export { ceskAdvice, ceskState };
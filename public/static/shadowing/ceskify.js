@@ -1,53 +1,83 @@
-import { ceskAdvice, ceskState } from "./cesk-advice.js";
+import { createCeskAdvice, createCeskState } from "./cesk-advice.js";
 import { stepFactory } from "./step.js";
-import { deepClone } from "somewhere";
 
-// aran instance is passed for
-export const ceskify = (userAdvice, userPointcut, aran) => {
+/**
+ * wraps your advice in the CESK machine advice
+ *  the CESK advice records every trap into the history by side-effect,
+ *  then calls your advice without modifying its behavior
+ * @param {Object} userAdvice - your advice, traps you leave out get the default behavior
+ * @param {Function} userPointcut - (adviceName, node) => boolean, when your advice is called
+ * @param {Object} aran - your Aran instance, the code must be woven with the returned pointcut
+ * @param {Object} options
+ * @param {string} options.code - the code that will be woven, for the line of each transition
+ * @param {Function} options.record - (adviceName, node) => boolean, which traps are recorded
+ * @param {number} options.maxTransitions - stop with a HistoryLimitError after this many
+ * @returns {Object} { pointcut, history, ADVICE, finish }
+ *  history: { states: [...], transitions: [...] }, filled in as the code runs
+ *  finish(): records the final state once the code is done running
+ */
+export const ceskify = (
+  userAdvice = {},
+  userPointcut = () => true,
+  aran,
+  { code = "", record = () => true, maxTransitions = Infinity } = {}
+) => {
+  const ceskState = createCeskState();
+
   const history = {
-    // how to account for hoisting in here?
-    //   is transition 0 used for declaring hoisted variables & functions?
-    transitions: [
-      deepClone({
-        i: 0,
-        label: "initial",
-        before: initialState,
-      }),
-    ],
     states: [
-      deepClone({
+      {
         i: 0,
-        ceskState,
-      }),
+        scopes: [],
+        stack: [],
+        depth: 0,
+        native: true,
+      },
     ],
+    transitions: [],
   };
 
-  const step = stepFactory(history, ceskState, aran);
+  // the CESK machine needs to see every trap, your pointcut only decides when your advice runs
+  const pointcut = () => true;
+
+  const weave = (evalCode, serial) =>
+    aran.weave(window.Acorn.parse(evalCode, { locations: true }), pointcut, serial);
 
-  const finalAdvice = {};
+  const ceskAdvice = createCeskAdvice(ceskState, aran, weave);
+  const step = stepFactory(history, ceskState, aran, {
+    code,
+    record,
+    maxTransitions,
+  });
+
+  const ADVICE = {};
   for (const key in ceskAdvice) {
-    finalAdvice[key] = function () {
+    ADVICE[key] = (...args) => {
+      // updates history by side-effect
       step({
-        // updates history by side-effect
         advice: key,
-        serial: arguments[arguments.length - 1],
-        args: Array.from(arguments),
+        serial: args[args.length - 1],
+        args,
       });
-      // waaay too long signature. needs work
-      return ceskAdvice(
-        key,
-        userAdvice[key],
-        userPointcut,
-        history,
-        ceskState,
-        aran
-      );
+
+      const node = aran.nodes[args[args.length - 1]];
+      const advice =
+        typeof userAdvice[key] === "function" && node && userPointcut(key, node)
+          ? userAdvice[key]
+          : null;
+      return ceskAdvice[key](advice)(...args);
     };
   }
 
+  const finish = () => {
+    step.close();
+    return history;
+  };
+
   return {
-    pointcut: (adviceName, node) => true,
+    pointcut,
     history,
-    ADVICE: finalAdvice,
+    ADVICE,
+    finish,
   };
 };
@@ -1,12 +1,34 @@
-// --- initialize aran ---
+import { recordHistory } from "./index.js";
+import { ceskify } from "./ceskify.js";
 
-const aran = Aran({ namespace: "something" });
+// --- the quick way: record one execution ---
 
-const settedUp = aran.setup();
-const generated = Astring.generate(settedUp);
-window.eval(generated);
+const code = "let a = 1;\na = a + 2;";
 
-// --- declare your advice and pointcut as normal ---
+/*
+  runs the code in a hidden iframe and resolves with:
+  {
+    code,
+    states: [...],      { i, scopes, stack, depth, native }
+    transitions: [...], { i, advice, label, line, args, node, src, before, after }
+    error,              "TypeError: ..." or null
+    truncated,          true if maxTransitions was reached
+  }
+  every value in the history is a snapshot, so it can be stored or posted
+*/
+const history = await recordHistory(code, {
+  config: { range: { start: 1, end: 2 } }, // only record transitions on these lines
+  log: false, // true also prints the usual trace log from the same execution
+});
+
+for (const transition of history.transitions) {
+  const after = history.states[transition.after];
+  console.log(transition.line.num, transition.label, after.scopes);
+}
+
+// --- the manual way: wrap your own advice ---
+
+const aran = window.Aran({ namespace: "ADVICE" });
 
 // this can be called anything
 //  it is not the object you will use to instrument your code
@@ -17,51 +39,26 @@ const prePointcut = (name, node) => {
   /* ... */
 };
 
-// --- pass them through the ceskifier---
-
-import { ceskify } from "./cesk-advice";
-
 /*
-  history: full step-by-step history of the cesk machine and transitions:
-  {
-    transitions: [...],
-    states: [...]
-  }
-  pointcut: a new pointcut written to work with the the cesk machine advice
-  ADVICE: cesk machine advice wrapped around the user's advice
+  history: full step-by-step history of the cesk machine and transitions
+  pointcut: weave with this one, the cesk machine needs every trap
+  ADVICE: cesk machine advice wrapped around your advice
     the cesk machine advice constructs the history object by reference
-    then calls the user's advice without modifying it's behavior
+    then calls your advice without modifying its behavior
+  finish: records the final state once the code is done
 */
-const { history, pointcut, something = ADVICE } = ceskify(
+const { history: manualHistory, pointcut, ADVICE, finish } = ceskify(
   preAdvice,
   prePointcut,
-  aran // passing a reference to your instance for the cesk machine
+  aran, // passing a reference to your instance for the cesk machine
+  { code }
 );
 
-// --- use aran as you normally would, but with the wrapped advice and pointcut ---
-
-const code = "";
-
-const originalTree = Acorn.parse(code, { locations: true });
-// extra processing I added in so students don't step through the instrumented code
-const deDebuggered = walk(originalTree, {
-  // from https://github.com/Rich-Harris/estree-walker
-  enter(node, parent, prop, index) {
-    if (node.type === "DebuggerStatement") {
-      this.remove();
-    }
-  },
-});
-const instrumented = aran.weave(deDebuggered, pointcut, null);
+window.ADVICE = ADVICE;
+window.eval(window.Astring.generate(aran.setup()));
 
-eval(instrumented);
+const instrumented = aran.weave(window.Acorn.parse(code, { locations: true }), pointcut);
+window.eval(window.Astring.generate(instrumented));
+finish();
 
-// --- log the complete cesk machine history, every state and every transition ---
-
-/* full step-by-step history of the cesk machine and transitions:
-  {
-    transitions: [...],
-    states: [...]
-  }
-*/
-console.log(history);
+console.log(manualHistory);
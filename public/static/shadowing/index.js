@@ -0,0 +1,119 @@
+import { ceskify } from "./ceskify.js";
+import { HistoryLimitError } from "./step.js";
+import { ADVICE as TRACE_ADVICE } from "../advice/index.js";
+import { pointcut as tracePointcut } from "../pointcut.js";
+import { config as traceConfig } from "../data/config.js";
+import { state as traceState } from "../data/state.js";
+import { isInRange } from "../lib/is-in-range.js";
+
+export const DEFAULT_MAX_TRANSITIONS = 5000;
+
+/**
+ * runs code once and records the full history of the CESK machine
+ *  lenses can read scopes, values and transitions from one recorded execution
+ *  instead of parsing console output
+ * @param {string} code - JavaScript source
+ * @param {Object} options
+ * @param {Object} options.config - trace config (see data/config.js) for this run,
+ *  config.range limits which lines are recorded as transitions
+ * @param {boolean} options.log - also print the usual trace log (the advice in advice/)
+ * @param {Function} options.setup - called with the sandbox window before the code runs
+ * @param {number} options.maxTransitions - infinite loop guard
+ * @returns {Promise<Object>} { code, states, transitions, error, truncated }
+ *  states: [{ i, scopes: [{ tag, labels, variables }], stack: [{ id, label, value }], depth, native }]
+ *  transitions: [{ i, advice, label, line: { num, src }, args, serial, node: { type, loc }, src, before, after }]
+ *  before and after are indexes in states, every value is a serializable snapshot
+ */
+export const recordHistory = (
+  code,
+  {
+    config = {},
+    log = false,
+    setup,
+    maxTransitions = DEFAULT_MAX_TRANSITIONS,
+  } = {}
+) =>
+  new Promise((resolve, reject) => {
+    if (!window.Aran || !window.Astring || !window.Acorn) {
+      reject(new Error("Aran build dependencies not available"));
+      return;
+    }
+
+    let estree;
+    try {
+      estree = window.Acorn.parse(code, { locations: true });
+    } catch (err) {
+      reject(new SyntaxError(err.message));
+      return;
+    }
+
+    const iframe = document.createElement("iframe");
+    iframe.style.display = "none";
+    iframe.onload = () => {
+      const previousConfig = { ...traceConfig, range: { ...traceConfig.range } };
+      Object.assign(traceConfig, config);
+
+      try {
+        const sandbox = iframe.contentWindow;
+        const aran = window.Aran({ namespace: "ADVICE" });
+
+        // the trace advice reads its aran and code from the shared state
+        traceState.aran = aran;
+        traceState.window = sandbox;
+        traceState.code = code;
+        traceState.scopeDepth = 1;
+        traceState.blockLabels = [];
+        traceState.loggedSteps = 1;
+        traceState.callExpressions = [];
+        traceState.events = [];
+        traceState.callDepth = 0;
+        traceState.hoisted = [];
+
+        const { history, pointcut, ADVICE, finish } = ceskify(
+          log ? TRACE_ADVICE : {},
+          tracePointcut,
+          aran,
+          {
+            code,
+            record: (adviceName, node) =>
+              node.type !== "Program" && isInRange(node),
+            maxTransitions,
+          }
+        );
+
+        if (typeof setup === "function") {
+          setup(sandbox);
+        }
+
+        sandbox.ADVICE = ADVICE;
+        sandbox.eval(window.Astring.generate(aran.setup()));
+        ADVICE.builtins.global.console = sandbox.console;
+
+        let error = null;
+        let truncated = false;
+        try {
+          sandbox.eval(window.Astring.generate(aran.weave(estree, pointcut)));
+        } catch (err) {
+          error = err && err.name ? `${err.name}: ${err.message}` : String(err);
+          truncated = err instanceof HistoryLimitError;
+        }
+        finish();
+
+        resolve({
+          code,
+          states: history.states,
+          transitions: history.transitions,
+          error,
+          truncated,
+        });
+      } catch (err) {
+        reject(err);
+      } finally {
+        Object.assign(traceConfig, previousConfig);
+        iframe.remove();
+      }
+    };
+
+    iframe.setAttribute("sandbox", "allow-scripts allow-same-origin allow-modals");
+    document.body.appendChild(iframe);
+  });
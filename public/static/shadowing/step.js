@@ -1,43 +1,230 @@
-import { deepClone } from "somewhere";
+import { deepClone } from "../lib/deep-clone.js";
+import { SymbolTag, SymbolLabels } from "./cesk-advice.js";
 
-export const stepFactory = (history, ceskState, aran) => ({
-  serial,
-  args,
-  advice,
-}) => {
-  // debugger;
+/*
+  history: { states: [...], transitions: [...] }
+    states[i] is a snapshot of the CESK machine
+    transitions[i] is one trap, from states[i] (before) to states[i + 1] (after)
 
-  const node = state.aran.nodes[serial];
-  const src = Astring.generate(node);
+  snapshots are deep clones, so later steps can't change earlier states,
+    and functions, symbols and windows are replaced with descriptions
+    so the whole history can be posted, stored or rendered later
+*/
 
-  history.states[history.states.length - 1].after = {
-    advice,
-    src,
+export class HistoryLimitError extends Error {
+  constructor(message) {
+    super(`${message} - is there an infinite loop?`);
+    this.name = "HistoryLimitError";
+  }
+}
+
+// traps that are not recorded still count, so a loop outside the range
+//  is stopped after maxTransitions transitions' worth of traps
+const TRAPS_PER_TRANSITION = 100;
+
+const isWindow = (value) => {
+  try {
+    return value !== null && typeof value === "object" && value.window === value;
+  } catch (o_0) {
+    // cross-origin windows throw on access
+    return true;
+  }
+};
+
+const describe = (value) => {
+  if (typeof value === "function") {
+    return { type: "function", name: value.name || "anonymous" };
+  }
+  if (typeof value === "symbol") {
+    return { type: "symbol", description: value.toString() };
+  }
+  if (isWindow(value)) {
+    return { type: "window" };
+  }
+  return value;
+};
+
+// replace what can't be serialized, the clone is ours to change
+const replaceInClone = (clone, seen = new Set()) => {
+  if (!clone || typeof clone !== "object" || seen.has(clone)) {
+    return;
+  }
+  seen.add(clone);
+
+  if (clone instanceof Map) {
+    for (const [key, entry] of clone) {
+      clone.set(key, describe(entry));
+      replaceInClone(entry, seen);
+    }
+    return;
+  }
+
+  for (const key of Object.keys(clone)) {
+    const entry = clone[key];
+    const described = describe(entry);
+    if (described !== entry) {
+      clone[key] = described;
+    } else {
+      replaceInClone(entry, seen);
+    }
+  }
+};
+
+/**
+ * takes a serializable snapshot of any value
+ * @param {any} value - the value to snapshot
+ * @returns {any} a deep clone with functions, symbols and windows described
+ */
+export const snapshot = (value) => {
+  const described = describe(value);
+  if (described !== value || !value || typeof value !== "object") {
+    return described;
+  }
+  const clone = deepClone(value);
+  replaceInClone(clone);
+  return clone;
+};
+
+// aran's own variables are numbers, they are not part of the learner's program
+const isProgramVariable = (name) => typeof name === "string" && isNaN(name);
+
+const snapshotScopes = (scope) => {
+  const scopes = [];
+  for (let frame = scope; frame; frame = Reflect.getPrototypeOf(frame)) {
+    const variables = {};
+    for (const name of Reflect.ownKeys(frame)) {
+      if (!isProgramVariable(name)) continue;
+      const shadow = frame[name];
+      variables[name] = shadow ? snapshot(shadow.value) : undefined;
+    }
+    scopes.unshift({
+      tag: frame[SymbolTag],
+      labels: frame[SymbolLabels] ? [...frame[SymbolLabels]] : [],
+      variables,
+    });
+  }
+  return scopes;
+};
+
+const snapshotState = (i, ceskState) => ({
+  i,
+  // outermost first, the last one is the current scope
+  scopes: snapshotScopes(ceskState.scope),
+  stack: ceskState.stack.map(({ id, label, value }) => ({
+    id,
+    label,
+    value: snapshot(value),
+  })),
+  depth: ceskState.callstack.length,
+  native: ceskState.scope === undefined,
+});
+
+const describeNode = (node) => ({
+  type: node.type,
+  loc: node.loc
+    ? {
+        start: { ...node.loc.start },
+        end: { ...node.loc.end },
+      }
+    : null,
+});
+
+const generate = (node) => {
+  try {
+    return window.Astring.generate(node);
+  } catch (o_0) {
+    return "";
+  }
+};
+
+// a short readable label for a transition, eg. "write x" or "binary +"
+const labelFor = (advice, args) => {
+  switch (advice) {
+    case "read":
+    case "write":
+    case "builtin":
+    case "argument":
+      return `${advice} ${args[1]}`;
+    case "unary":
+    case "binary":
+      return `${advice} ${args[0]}`;
+    case "apply":
+    case "construct":
+    case "arrival":
+      return `${advice} ${describe(args[0])?.name || ""}`.trim();
+    case "enter":
+      return `enter ${args[0]}`;
+    case "break":
+    case "continue":
+      return args[0] ? `${advice} ${args[0]}` : advice;
+    default:
+      return advice;
+  }
+};
+
+/**
+ * creates the step function that records one transition per trap
+ * @param {Object} history - { states, transitions }, updated by side-effect
+ * @param {Object} ceskState - the CESK machine state
+ * @param {Object} aran - the Aran instance, for looking up nodes by serial
+ * @param {Object} options
+ * @param {string} options.code - the source code, for the line of each transition
+ * @param {Function} options.record - (adviceName, node) => boolean, which traps become transitions
+ * @param {number} options.maxTransitions - throws a HistoryLimitError past this,
+ *  or past TRAPS_PER_TRANSITION times as many traps, recorded or not
+ * @returns {Function} step({ advice, serial, args }), called before each trap runs
+ */
+export const stepFactory = (history, ceskState, aran, { code, record, maxTransitions }) => {
+  const lines = code.split("\n");
+
+  // the state after a transition is only known when the next one starts
+  const closeTransition = () => {
+    const open = history.transitions[history.transitions.length - 1];
+    if (open && open.after === undefined) {
+      history.states.push(snapshotState(history.states.length, ceskState));
+      open.after = history.states.length - 1;
+    }
   };
-  const before = deepClone({
-    i: history.states.length,
-    before: {
+
+  // once stopped every trap throws again, so code that catches the error can't run on
+  let stopped = null;
+  const stop = (message) => {
+    stopped = stopped || new HistoryLimitError(message);
+    throw stopped;
+  };
+
+  let traps = 0;
+  const step = ({ serial, args, advice }) => {
+    traps += 1;
+    if (stopped || traps > maxTransitions * TRAPS_PER_TRANSITION) {
+      stop("Stopped, the code ran too long");
+    }
+
+    const node = aran.nodes[serial];
+    if (!node || !record(advice, node)) {
+      return;
+    }
+
+    closeTransition();
+    if (history.transitions.length >= maxTransitions) {
+      stop(`Stopped after ${maxTransitions} transitions`);
+    }
+
+    const line = node.loc ? node.loc.start.line : null;
+    history.transitions.push({
+      i: history.transitions.length,
       advice,
-      src,
-    },
-    ceskState,
-    node,
-  });
-  history.states.push(before);
-
-  history.transitions[history.transitions.length - 1].after = before;
-  const newTransition = deepClone({
-    i: history.transitions.length,
-    advice,
-    line: {
-      src: studentCode.split("\n")[node.loc.start.line - 1],
-      num: node.loc.start.line,
-    },
-    args,
-    before,
-    serial,
-    node,
-    src,
-  });
-  history.transitions.push(newTransition);
+      label: labelFor(advice, args),
+      line: line ? { num: line, src: lines[line - 1] } : null,
+      args: args.slice(0, -1).map(snapshot),
+      serial,
+      node: describeNode(node),
+      src: generate(node),
+      before: history.states.length - 1,
+      after: undefined,
+    });
+  };
+
+  step.close = closeTransition;
+  return step;
 };
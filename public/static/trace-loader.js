@@ -7,8 +7,14 @@ import { state } from './data/state.js';
 import { config } from './data/config.js';
 import { ADVICE } from './advice/index.js';
 import { pointcut } from './pointcut.js';
-import { print } from './lib/trace-log.js';
+import { print, logEvent } from './lib/trace-log.js';
+import * as traceEvents from './lib/trace-events.js';
 import { walk } from './estree-walker/index.js';
+import {
+  rewriteAsyncFunctions,
+  AsyncTraceError,
+} from './lib/async-functions.js';
+import { trackEventLoop } from './lib/event-loop.js';
 
 // Global loading state
 window.traceSystemLoading = false;
@@ -75,10 +81,18 @@ async function loadTraceSystem() {
       pointcut,
       print,
       walk,
+      traceEvents,
     };
 
     // Create the trace function
-    window.trace = (code) => {
+    // options.setup(window) runs before the code, e.g. to script prompt/confirm
+    // options.onEvent(event) is called with each trace event as it happens
+    // options.onComplete(events, error) is called once the code is done
+    //  and nothing is left in the event loop (timers, promises, await)
+    // options.config is merged into the trace config for this run only
+    // options.logToConsole also prints each event to the console (trace-log.js)
+    //  see lib/trace-events.js for the events and their renderers
+    const runTrace = (code, options) => {
       // console.log('🔍 Starting SL1 trace execution');
 
       const iframe = document.createElement('iframe');
@@ -98,20 +112,28 @@ async function loadTraceSystem() {
           const settedUp = aran.setup();
           const generated = window.Astring.generate(settedUp);
 
-          if (!iframe.contentWindow.ADVICE.builtins) {
-            const setupScript = document.createElement('script');
-            setupScript.innerHTML = generated;
-            iframe.contentDocument.body.appendChild(setupScript);
-          }
+          // every trace runs in a new iframe, its globals replace the last one's
+          //  (Aran's setup refuses to run while ADVICE still has builtins)
+          delete iframe.contentWindow.ADVICE.builtins;
+          const setupScript = document.createElement('script');
+          setupScript.innerHTML = generated;
+          iframe.contentDocument.body.appendChild(setupScript);
 
           iframe.contentWindow.ADVICE.builtins.global.console = console;
 
+          if (typeof options.setup === 'function') {
+            options.setup(iframe.contentWindow);
+          }
+
           // Inner trace function
           iframe.contentWindow.trace = (code) => {
             state.scopeDepth = 1;
             state.blockLabels = [];
             state.loggedSteps = 0;
             state.callExpressions = [];
+            state.events = [];
+            state.callDepth = 0;
+            state.task = null;
             state.code = code;
 
             let estree1;
@@ -120,7 +142,9 @@ async function loadTraceSystem() {
             } catch (err) {
               console.log('%c-> creation phase error:', 'font-weight:bold;');
               document.body.removeChild(iframe);
-              eval(code);
+              if (typeof options.onComplete === 'function') {
+                options.onComplete([], err);
+              }
               return;
             }
 
@@ -140,29 +164,99 @@ async function loadTraceSystem() {
               },
             });
 
-            state.hoisted = [];
-            let estree2 = aran.weave(deDebuggered, pointcut);
+            // Aran can't weave async functions, see lib/async-functions.js
+            try {
+              rewriteAsyncFunctions(deDebuggered);
+            } catch (err) {
+              console.log('%c-> ' + err.message, 'font-weight:bold;');
+              if (!(err instanceof AsyncTraceError)) {
+                document.body.removeChild(iframe);
+                if (typeof options.onComplete === 'function') {
+                  options.onComplete([], err);
+                }
+                return;
+              }
+              // awaits the rewrite can't follow still run, without a trace
+              try {
+                iframe.contentWindow.eval(code);
+              } catch (thrown) {
+                console.error('Untraced execution error:', thrown);
+              }
+              if (typeof options.onComplete === 'function') {
+                options.onComplete([], err);
+              }
+              // leave its timers and promises time to finish
+              setTimeout(() => {
+                if (iframe.parentNode) {
+                  document.body.removeChild(iframe);
+                }
+              }, config.asyncTimeout);
+              return;
+            }
 
-            const instrumented = window.Astring.generate(estree2);
+            state.hoisted = [];
+            // the pointcut reads the config too
+            //  and the advice keeps reading it until the event loop is done
+            const previousConfig = { ...config, range: { ...config.range } };
+            let instrumented;
+            try {
+              Object.assign(config, options.config);
+              const estree2 = aran.weave(deDebuggered, pointcut);
+              instrumented = window.Astring.generate(estree2);
+            } catch (err) {
+              // Aran can't weave everything (e.g. classes), the next trace gets the config back
+              Object.assign(config, previousConfig);
+              throw err;
+            }
             state.loggedSteps = 1;
 
+            const unsubscribes = [
+              options.onEvent,
+              options.logToConsole && logEvent,
+            ]
+              .filter((listener) => typeof listener === 'function')
+              .map((listener) =>
+                window.traceModules.traceEvents.subscribe(listener),
+              );
+            const unsubscribe = () =>
+              unsubscribes.forEach((unsubscribeOne) => unsubscribeOne());
+            let error = null;
+            const eventLoop = trackEventLoop(iframe.contentWindow, {
+              timeout: config.asyncTimeout,
+              onSettled: (timedOut) => {
+                unsubscribe();
+                Object.assign(config, previousConfig);
+
+                if (timedOut) {
+                  console.log('%c-> ' + timedOut.message, 'font-weight:bold;');
+                }
+                if (typeof options.onComplete === 'function') {
+                  options.onComplete(state.events, error || timedOut);
+                }
+
+                // Clean up iframe after execution
+                setTimeout(() => {
+                  if (iframe.parentNode) {
+                    document.body.removeChild(iframe);
+                  }
+                }, 1000);
+              },
+            });
             try {
               iframe.contentWindow.eval(instrumented);
             } catch (err) {
+              error = err;
               console.error('Trace execution error:', err);
             }
-
-            // Clean up iframe after execution
-            setTimeout(() => {
-              if (iframe.parentNode) {
-                document.body.removeChild(iframe);
-              }
-            }, 1000);
+            eventLoop.start();
           };
 
           iframe.contentWindow.trace(code);
         } catch (error) {
           console.error('Trace setup error:', error);
+          if (typeof options.onComplete === 'function') {
+            options.onComplete([], error);
+          }
           if (iframe.parentNode) {
             document.body.removeChild(iframe);
           }
@@ -175,6 +269,27 @@ async function loadTraceSystem() {
       document.body.appendChild(iframe);
     };
 
+    // every trace shares state and config until its event loop settles
+    //  so a trace started meanwhile waits for the one before it
+    let queue = Promise.resolve();
+    window.trace = (code, options = {}) => {
+      queue = queue.then(
+        () =>
+          new Promise((settled) => {
+            runTrace(code, {
+              ...options,
+              onComplete: (events, error) => {
+                settled();
+                if (typeof options.onComplete === 'function') {
+                  options.onComplete(events, error);
+                }
+              },
+            });
+          }),
+      );
+    };
+    window.traceModules.trace = window.trace;
+
     window.traceSystemLoaded = true;
     window.traceSystemLoading = false;
     // console.log('✅ SL1 trace system loaded successfully');
@@ -0,0 +1,241 @@
+import '../trace-loader.js';
+import { filterEvents, formatValue } from '../lib/trace-events.js';
+import { config } from '../data/config.js';
+
+/*
+  checking a trace table against the real execution
+
+    each table reads its rows from the DOM as plain objects,
+    runs the code through the trace system
+    and aligns its rows with the rows it expected:
+      match:   the row is the next step, or a later one (the steps between are missing)
+      wrong:   the row doesn't match any step after the last match
+      missing: steps with no matching row, before the next match or at the end
+
+  the code comes from the table's host element:
+    traceTable.code = '...' or <trace-table code="..."></trace-table>
+  the variables to check come from the same places as the trace config:
+    traceTable.variablesList = ['x'], <trace-table variables-list="x, y">
+    or config.variablesList
+*/
+
+export const checkStyle = `
+<style>
+  tr.match input,
+  tr.match select,
+  td.match input {
+    background-color: #c8f7c5;
+  }
+  tr.wrong input,
+  tr.wrong select,
+  td.wrong input {
+    background-color: #f7c5c5;
+  }
+  tr.revealed input,
+  tr.revealed select,
+  td.revealed input {
+    background-color: #fff3b0;
+  }
+  tr.missing-before {
+    border-top: 3px solid orange;
+  }
+  td.missing-before {
+    border-left: 3px solid orange;
+  }
+  #check-status {
+    font-family: monospace;
+    padding-left: 0.5em;
+  }
+</style>`;
+
+export const checkButtons = `
+  <div>
+    <button id="check-table">check my table</button>
+    <button id="reveal-row">reveal next row</button>
+    <span id="check-status"></span>
+  </div>`;
+
+/**
+ * the code and variable filters a table checks against
+ * @param {HTMLElement} host - the trace-table element
+ * @returns {Object} { code, variablesList }
+ */
+export const checkOptions = (host) => {
+  const code = host.code || host.getAttribute('code') || '';
+
+  let variablesList = host.variablesList;
+  if (!Array.isArray(variablesList) && host.hasAttribute('variables-list')) {
+    variablesList = host.getAttribute('variables-list').split(',');
+  }
+  if (!Array.isArray(variablesList)) {
+    variablesList = Array.isArray(config.variablesList)
+      ? config.variablesList
+      : [];
+  }
+
+  return {
+    code,
+    variablesList: variablesList.map((name) => name.trim()).filter(Boolean),
+  };
+};
+
+/**
+ * traces the code once and resolves with its events
+ *  code that throws part way still has the events before the error,
+ *  a trace that failed without any events rejects with its error
+ * @param {string} code
+ * @param {Object} traceConfig - merged into the trace config for this run
+ * @returns {Promise<Object[]>}
+ */
+export const traceEvents = async (code, traceConfig = {}) => {
+  const loaded = await window.loadTraceSystem();
+  if (!loaded) {
+    throw new Error('the trace system did not load');
+  }
+  return new Promise((resolve, reject) => {
+    window.traceModules.trace(code, {
+      config: traceConfig,
+      onComplete: (events, error) =>
+        error && events.length === 0 ? reject(error) : resolve(events),
+    });
+  });
+};
+
+/**
+ * keeps the events for the variables being checked
+ * @param {Object[]} events
+ * @param {string[]} variablesList - empty keeps every variable
+ * @returns {Object[]}
+ */
+export const filterVariables = (events, variablesList) =>
+  filterEvents(events, { names: variablesList });
+
+/**
+ * compares what a learner typed with a traced value
+ *  quotes around strings and extra spaces are optional
+ * @param {string} typed
+ * @param {any} expected - a traced value, or text from formatValue
+ * @returns {boolean}
+ */
+export const sameValue = (typed, expected) => {
+  const normalize = (text) =>
+    String(text)
+      .trim()
+      .replace(/^(["'`])(.*)\1$/s, '$2')
+      .replace(/\s+/g, ' ')
+      .replace(/\s*([,:[\]{}])\s*/g, '$1');
+  const text = typeof expected === 'string' ? expected : formatValue(expected);
+  return normalize(typed) === normalize(text);
+};
+
+/**
+ * aligns the learner's rows with the expected rows, in order
+ * @param {Object[]} rows - what the learner entered, empty rows are skipped
+ * @param {Object[]} expected - rows from the traced execution
+ * @param {Function} same - (row, expectedRow) => boolean
+ * @returns {Object} { results, missing, next }
+ *  results[i]: { status: 'match' | 'wrong' | 'empty', missingBefore }
+ *  missing: expected rows left after the learner's last match
+ *  next: index of the first expected row after the last match
+ */
+export const alignRows = (rows, expected, same) => {
+  let next = 0;
+  const results = rows.map((row) => {
+    if (row.empty) {
+      return { status: 'empty', missingBefore: 0 };
+    }
+    for (let i = next; i < expected.length; i++) {
+      if (same(row, expected[i])) {
+        const missingBefore = i - next;
+        next = i + 1;
+        return { status: 'match', missingBefore };
+      }
+    }
+    return { status: 'wrong', missingBefore: 0 };
+  });
+  return { results, missing: expected.length - next, next };
+};
+
+/**
+ * the summary shown next to the buttons
+ * @param {Object} alignment - from alignRows
+ * @returns {string}
+ */
+export const summarize = ({ results, missing }) => {
+  const count = (status) =>
+    results.filter((result) => result.status === status).length;
+  const missingTotal =
+    missing +
+    results.reduce((total, result) => total + result.missingBefore, 0);
+  return `${count('match')} match, ${count('wrong')} wrong, ${missingTotal} missing`;
+};
+
+/**
+ * colors rows or cells with their status from alignRows
+ * @param {HTMLElement[]} elements - one element per row
+ * @param {Object[]} results
+ */
+export const markRows = (elements, results) => {
+  elements.forEach((element, i) => {
+    element.classList.remove('match', 'wrong', 'revealed', 'missing-before');
+    element.removeAttribute('title');
+    const result = results[i];
+    if (!result || result.status === 'empty') {
+      return;
+    }
+    element.classList.add(result.status);
+    if (result.missingBefore > 0) {
+      element.classList.add('missing-before');
+      element.title = `${result.missingBefore} missing before this row`;
+    }
+  });
+};
+
+/**
+ * wires a table's check and reveal buttons
+ * @param {ShadowRoot} shadow
+ * @param {HTMLElement} host - the trace-table element
+ * @param {Object} table
+ * @param {Object} table.traceConfig - trace config for the checking run
+ * @param {Function} table.expected - (events, variablesList) => expected rows
+ * @param {Function} table.check - (expected) => alignment, reads and marks the rows
+ * @param {Function} table.reveal - (expected) => boolean, fills in the next row
+ */
+export const initCheck = (
+  shadow,
+  host,
+  { traceConfig, expected, check, reveal },
+) => {
+  const status = shadow.getElementById('check-status');
+
+  const expectedRows = async () => {
+    const { code, variablesList } = checkOptions(host);
+    if (!code.trim()) {
+      throw new Error('there is no code to check against');
+    }
+    const events = await traceEvents(code, { ...traceConfig, variablesList });
+    return expected(events, variablesList);
+  };
+
+  const run = (action) => async () => {
+    status.textContent = '...';
+    try {
+      status.textContent = action(await expectedRows());
+    } catch (err) {
+      status.textContent = err.message;
+    }
+  };
+
+  shadow.getElementById('check-table').addEventListener(
+    'click',
+    run((rows) => summarize(check(rows))),
+  );
+  shadow.getElementById('reveal-row').addEventListener(
+    'click',
+    run((rows) =>
+      reveal(rows)
+        ? 'revealed the next row'
+        : 'there are no more rows to reveal',
+    ),
+  );
+};
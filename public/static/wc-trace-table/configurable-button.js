@@ -31,6 +31,14 @@ export class TraceTableButton extends HTMLElement {
     shadow.getElementById("table-button").addEventListener("click", () => {
       const tableType = shadow.getElementById("type").value;
       const traceTable = new TraceTable(tableType);
+      // passed on for checking the table
+      traceTable.code = this.code || this.getAttribute("code");
+      if (this.hasAttribute("variables-list")) {
+        traceTable.setAttribute(
+          "variables-list",
+          this.getAttribute("variables-list")
+        );
+      }
       document.body.appendChild(traceTable);
     });
   }
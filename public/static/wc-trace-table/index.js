@@ -1,6 +1,7 @@
 import * as steps from './tables/steps.js';
 import * as values from './tables/values.js';
 import * as operators from './tables/operators.js';
+import { checkStyle } from './check.js';
 
 export class TraceTable extends HTMLElement {
   constructor(type) {
@@ -17,19 +18,20 @@ export class TraceTable extends HTMLElement {
     } else {
       shadow.innerHTML += values.style;
     }
+    shadow.innerHTML += checkStyle;
     shadow.appendChild(closableDiv);
 
     const tableContainer = document.createElement('div');
     closableDiv.appendChild(tableContainer);
     if (type === 'steps' || this.hasAttribute('steps')) {
       tableContainer.innerHTML += steps.table;
-      steps.init(shadow);
+      steps.init(shadow, this);
     } else if (type === 'operators' || this.hasAttribute('operators')) {
       tableContainer.innerHTML += operators.table;
-      operators.init(shadow);
+      operators.init(shadow, this);
     } else {
       tableContainer.innerHTML += values.table;
-      values.init(shadow);
+      values.init(shadow, this);
     }
     const closeTable = () => this.parentElement.removeChild(this);
     shadow.getElementById('close-button').addEventListener('click', closeTable);
@@ -55,4 +57,6 @@ export class TraceTable extends HTMLElement {
 
 // could eventually have the table type configured by an attribute
 //  <trace-table steps></trace-table>
+// "check my table" needs the code, see check.js
+//  traceTable.code = code, <trace-table variables-list="x, y"></trace-table>
 customElements.define('trace-table', TraceTable);
@@ -1,3 +1,12 @@
+import { formatValue } from '../../lib/trace-events.js';
+import {
+  checkButtons,
+  initCheck,
+  alignRows,
+  markRows,
+  sameValue,
+} from '../check.js';
+
 /*
   can add different types of rows
     unary:   op | value -> evaluates to
@@ -65,9 +74,10 @@ export const table = `
   <!-- <button id="shortCircuit">short-circuit</button> -->
   <button id="ternary">ternary</button>
   || <button id="remove-row">remove step</button>
+  ${checkButtons}
 </div>`;
 
-export const init = (shadow) => {
+export const init = (shadow, host) => {
   const tableBody = shadow.getElementById('table-body');
 
   let step = 1;
@@ -119,12 +129,14 @@ export const init = (shadow) => {
   };
 
   // -- handlers --
-  const addRow = (event) => {
+  const addRow = (kind) => {
     const tr = document.createElement('tr');
-    tr.innerHTML = rows[event.target.id]();
+    tr.innerHTML = rows[kind]();
+    tr.dataset.kind = kind;
     tableBody.appendChild(tr);
 
     step++;
+    return tr;
   };
 
   const removeRow = () => {
@@ -136,11 +148,128 @@ export const init = (shadow) => {
     step--;
   };
 
+  // -- checking --
+  const readRows = () =>
+    Array.from(tableBody.children)
+      .slice(1)
+      .map((tr) => {
+        const expression = tr.children[1];
+        const operator = expression.querySelector('.operator');
+        const row = {
+          tr,
+          kind: tr.dataset.kind,
+          operator: operator ? operator.value.trim() : '',
+          operands: Array.from(expression.querySelectorAll('.value')).map(
+            (input) => input.value.trim(),
+          ),
+          result: tr.querySelector('.value-input').value.trim(),
+        };
+        // ++ and -- are not traced as operators, so those rows aren't checked
+        row.empty =
+          (!row.operator &&
+            !row.result &&
+            row.operands.every((operand) => !operand)) ||
+          row.operator === '++' ||
+          row.operator === '--';
+        return row;
+      });
+
+  // the trace only knows a ternary's condition, not which side it evaluates to
+  const same = (row, expected) => {
+    if (row.kind === 'ternary' || expected.kind === 'ternary') {
+      return (
+        row.kind === expected.kind &&
+        sameValue(row.operands[0], expected.operands[0])
+      );
+    }
+    return (
+      row.operator === expected.operator &&
+      row.operands.length === expected.operands.length &&
+      row.operands.every((operand, i) =>
+        sameValue(operand, expected.operands[i]),
+      ) &&
+      sameValue(row.result, expected.value)
+    );
+  };
+
+  const check = (expected) => {
+    const rows = readRows();
+    const alignment = alignRows(rows, expected, same);
+    markRows(
+      rows.map((row) => row.tr),
+      alignment.results,
+    );
+    return alignment;
+  };
+
+  // adds the first step after the learner's last correct one
+  const reveal = (expected) => {
+    const { next } = alignRows(readRows(), expected, same);
+    const target = expected[next];
+    if (!target) {
+      return false;
+    }
+
+    const kind = target.kind === 'unary' ? 'unaryPre' : target.kind;
+    const tr = addRow(kind);
+    const inputs = Array.from(tr.children[1].querySelectorAll('input'));
+    const values =
+      kind === 'unaryPre'
+        ? [target.operator, target.operands[0]]
+        : kind === 'binary'
+          ? [target.operands[0], target.operator, target.operands[1]]
+          : [target.operands[0]];
+    values.forEach((value, i) => {
+      inputs[i].value = value;
+    });
+    tr.querySelector('.value-input').value = target.value ?? '';
+    tr.classList.add('revealed');
+    return true;
+  };
+
+  initCheck(shadow, host, {
+    traceConfig: { operators: true, controlFlow: true },
+    expected: (events) =>
+      events
+        .filter(
+          (event) =>
+            event.type === 'operator' ||
+            (event.type === 'test' && event.control === '?_:_'),
+        )
+        .map((event) =>
+          event.type === 'operator'
+            ? {
+                kind: event.operands.length === 1 ? 'unary' : 'binary',
+                operator: event.operator,
+                operands: event.operands.map(formatValue),
+                value: formatValue(event.value),
+              }
+            : {
+                kind: 'ternary',
+                operator: '?_:_',
+                operands: [formatValue(event.value)],
+                value: null,
+              },
+        ),
+    check,
+    reveal,
+  });
+
   // -- listeners --
-  shadow.getElementById('unaryPre').addEventListener('click', addRow);
-  shadow.getElementById('unaryPost').addEventListener('click', addRow);
-  shadow.getElementById('binary').addEventListener('click', addRow);
-  // shadow.getElementById('shortCircuit').addEventListener('click', addRow);
-  shadow.getElementById('ternary').addEventListener('click', addRow);
+  shadow
+    .getElementById('unaryPre')
+    .addEventListener('click', () => addRow('unaryPre'));
+  shadow
+    .getElementById('unaryPost')
+    .addEventListener('click', () => addRow('unaryPost'));
+  shadow
+    .getElementById('binary')
+    .addEventListener('click', () => addRow('binary'));
+  // shadow
+  //   .getElementById('shortCircuit')
+  //   .addEventListener('click', () => addRow('shortCircuit'));
+  shadow
+    .getElementById('ternary')
+    .addEventListener('click', () => addRow('ternary'));
   shadow.getElementById('remove-row').addEventListener('click', removeRow);
 };
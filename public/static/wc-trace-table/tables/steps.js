@@ -1,3 +1,13 @@
+import { toStepsRows } from '../../lib/trace-events.js';
+import {
+  checkButtons,
+  initCheck,
+  filterVariables,
+  alignRows,
+  markRows,
+  sameValue,
+} from '../check.js';
+
 export const style = `
 <style>
   table,
@@ -41,9 +51,10 @@ export const table = `
 
   <button id="add-row">+</button>
   <button id="remove-row">-</button>
+  ${checkButtons}
 </div>`;
 
-export const init = (shadow) => {
+export const init = (shadow, host) => {
   const tableBody = shadow.getElementById('table-body');
 
   const row = `
@@ -63,10 +74,11 @@ export const init = (shadow) => {
           `;
 
   // -- handlers --
-  const addRow = () => {
+  const addRow = (before = null) => {
     const tr = document.createElement('tr');
     tr.innerHTML = row;
-    tableBody.appendChild(tr);
+    tableBody.insertBefore(tr, before);
+    return tr;
   };
 
   const removeRow = () => {
@@ -76,8 +88,77 @@ export const init = (shadow) => {
     tableBody.removeChild(tableBody.lastChild);
   };
 
+  // -- checking --
+  const readRows = () =>
+    Array.from(tableBody.children)
+      .slice(1)
+      .map((tr) => {
+        const row = {
+          tr,
+          line: tr.querySelector('.line-number').value.trim(),
+          name: tr.querySelector('.name-input').value.trim(),
+          action: tr.querySelector('select').value,
+          value: tr.querySelector('.value-input').value.trim(),
+        };
+        row.empty = !row.line && !row.name && !row.action && !row.value;
+        return row;
+      });
+
+  // a declaration has no value to check
+  const same = (row, expected) =>
+    Number(row.line) === expected.line &&
+    row.name === expected.name &&
+    row.action === expected.action &&
+    (expected.action === 'declare' || sameValue(row.value, expected.value));
+
+  const check = (expected) => {
+    const rows = readRows();
+    const alignment = alignRows(rows, expected, same);
+    markRows(
+      rows.map((row) => row.tr),
+      alignment.results,
+    );
+    return alignment;
+  };
+
+  // fills in the first step the learner's rows don't match, in order
+  //  a row that's already filled in is moved down, not overwritten
+  const reveal = (expected) => {
+    const rows = readRows();
+    const index = expected.findIndex(
+      (expectedRow, i) => !rows[i] || !same(rows[i], expectedRow),
+    );
+    if (index === -1) {
+      return false;
+    }
+
+    let tr = rows[index] ? rows[index].tr : null;
+    if (!tr || !rows[index].empty) {
+      tr = addRow(tr);
+    }
+    tr.querySelector('.line-number').value = expected[index].line;
+    tr.querySelector('.name-input').value = expected[index].name;
+    tr.querySelector('select').value = expected[index].action;
+    tr.querySelector('.value-input').value = expected[index].value;
+    tr.classList.remove('match', 'wrong', 'missing-before');
+    tr.classList.add('revealed');
+    return true;
+  };
+
+  initCheck(shadow, host, {
+    traceConfig: {
+      variablesDeclare: true,
+      variablesAssign: true,
+      variablesRead: true,
+    },
+    expected: (events, variablesList) =>
+      toStepsRows(filterVariables(events, variablesList)),
+    check,
+    reveal,
+  });
+
   // -- listeners --
-  shadow.getElementById('add-row').addEventListener('click', addRow);
+  shadow.getElementById('add-row').addEventListener('click', () => addRow());
   shadow.getElementById('remove-row').addEventListener('click', removeRow);
 
   // -- init --
@@ -1,3 +1,13 @@
+import { formatValue } from '../../lib/trace-events.js';
+import {
+  checkButtons,
+  initCheck,
+  filterVariables,
+  alignRows,
+  markRows,
+  sameValue,
+} from '../check.js';
+
 export const style = `
 <style>
   table,
@@ -49,9 +59,10 @@ export const table = `
   </div>
   <button id="add-row">+</button>
   <button id="remove-row">-</button>
+  ${checkButtons}
 </div>`;
 
-export const init = (shadow) => {
+export const init = (shadow, host) => {
   const state = {
     rows: 0,
     columns: 0,
@@ -122,6 +133,110 @@ export const init = (shadow) => {
     state.columns--;
   };
 
+  // --- checking ---
+  // each value the learner filled in is one cell: { td, line, name, value }
+  const readCells = () => {
+    const [header, ...trs] = Array.from(tableBody.children);
+    const names = Array.from(header.querySelectorAll('.varname-header')).map(
+      (input) => input.value.trim(),
+    );
+    const cells = [];
+    for (const tr of trs) {
+      const line = tr.querySelector('.line-number').value.trim();
+      Array.from(tr.querySelectorAll('.standard-column')).forEach(
+        (input, column) => {
+          const value = input.value.trim();
+          cells.push({
+            td: input.parentElement,
+            line,
+            name: names[column],
+            value,
+            empty: value === '',
+          });
+        },
+      );
+    }
+    return cells;
+  };
+
+  const same = (cell, expected) =>
+    Number(cell.line) === expected.line &&
+    cell.name === expected.name &&
+    sameValue(cell.value, expected.value);
+
+  const check = (expected) => {
+    const cells = readCells();
+    const alignment = alignRows(cells, expected, same);
+    markRows(
+      cells.map((cell) => cell.td),
+      alignment.results,
+    );
+    return alignment;
+  };
+
+  const columnFor = (name) => {
+    const headers = () =>
+      Array.from(tableBody.children[0].querySelectorAll('.varname-header'));
+    let column = headers().findIndex((input) => input.value.trim() === name);
+    if (column === -1) {
+      column = headers().findIndex((input) => input.value.trim() === '');
+    }
+    if (column === -1) {
+      addColumn();
+      column = state.columns - 1;
+    }
+    headers()[column].value = name;
+    return column;
+  };
+
+  // fills in the first value after the learner's last correct one
+  const reveal = (expected) => {
+    const { next } = alignRows(readCells(), expected, same);
+    const target = expected[next];
+    if (!target) {
+      return false;
+    }
+
+    const column = columnFor(target.name);
+    // the last row takes the value if it's empty or on the same line
+    let tr = tableBody.lastElementChild;
+    const lineInput = tr.querySelector('.line-number');
+    const inputs = Array.from(tr.querySelectorAll('.standard-column'));
+    const isEmpty =
+      lineInput &&
+      lineInput.value === '' &&
+      inputs.every((input) => input.value === '');
+    const isSameLine =
+      lineInput &&
+      Number(lineInput.value) === target.line &&
+      inputs[column].value === '';
+    if (!isEmpty && !isSameLine) {
+      addRow();
+      tr = tableBody.lastElementChild;
+    }
+
+    tr.querySelector('.line-number').value = target.line;
+    const input = tr.querySelectorAll('.standard-column')[column];
+    input.value = target.value;
+    input.parentElement.classList.remove('match', 'wrong', 'missing-before');
+    input.parentElement.classList.add('revealed');
+    return true;
+  };
+
+  initCheck(shadow, host, {
+    traceConfig: { variablesAssign: true, variablesDeclare: true },
+    expected: (events, variablesList) =>
+      filterVariables(events, variablesList)
+        .filter((event) => event.type === 'assign')
+        .map((event) => ({
+          line: event.line,
+          name: event.name,
+          value: formatValue(event.value),
+        })),
+    check,
+    reveal,
+  });
+
   // --- listeners ---
   shadow.getElementById('add-row').addEventListener('click', addRow);
   shadow.getElementById('remove-row').addEventListener('click', removeRow);
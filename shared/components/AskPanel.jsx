@@ -0,0 +1,365 @@
+import { useState, useEffect, useRef } from 'preact/hooks';
+import { getLensProgress, saveLensProgress } from '../../fs.js';
+import { highlightRange, highlightLine } from '../../src/utils/codeHighlight.js';
+import { questionSeed } from '../utils/askConfig.js';
+import { configureAsk } from '../../public/static/ask/component/configure-questions.js';
+import {
+  MULTIPLE_CHOICE_TYPES,
+  openEndedQuestion,
+  multipleChoiceQuestions,
+  checkChoice,
+} from '../../public/static/ask/component/ask-questions.js';
+import styles from './AskPanel.module.css';
+
+const getHistory = (path) => getLensProgress(path, 'ask')?.history || [];
+
+const download = (text, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+const historyToMarkdown = (fileName, history) =>
+  [
+    `# Questions about ${fileName}`,
+    ...history.map((entry) => {
+      const result =
+        entry.correct === true ? ' ✅' : entry.correct === false ? ' ❌' : '';
+      return [
+        `## ${entry.question}${result}`,
+        `_${entry.kind}${entry.line ? `, line ${entry.line}` : ''}, ${entry.timestamp}_`,
+        '',
+        entry.answer ? `> ${entry.answer.split('\n').join('\n> ')}` : '> (no answer)',
+      ].join('\n');
+    }),
+  ].join('\n\n');
+
+/**
+ * AskPanel - Asks questions about the code and keeps the answers
+ * Open-ended questions come from the ask generator, multiple choice ones from qlcjs
+ * and are checked right away. The line a question refers to is highlighted in the
+ * editor, and every answer goes into the file's history, which can be exported.
+ * @param {Object} props
+ * @param {Function} props.getCode - Returns the code to ask about
+ * @param {Function} props.getEditor - Returns the CodeMirror view to highlight in
+ * @param {string} props.filePath - Where the history is saved
+ * @param {string} props.fileName - Used to name exported histories
+ * @param {Object} props.range - { start, end } lines to ask about, null for the whole file
+ * @param {Object} props.askConfig - The folder's ask config, a seed makes the
+ *   questions come in the same order for everyone
+ */
+const AskPanel = ({
+  getCode,
+  getEditor,
+  filePath,
+  fileName = 'code',
+  range = null,
+  askConfig = {},
+}) => {
+  const [question, setQuestion] = useState(null);
+  const [answer, setAnswer] = useState('');
+  const [chosen, setChosen] = useState([]);
+  const [result, setResult] = useState(null); // null until answered, then the saved entry
+  const [error, setError] = useState('');
+  const [history, setHistory] = useState(() => getHistory(filePath));
+  const [showHistory, setShowHistory] = useState(false);
+  const askedRef = useRef(0); // questions asked about this file, for the seed
+
+  const multipleAnswers =
+    question?.kind === 'multiple-choice' &&
+    question.options.filter((option) => option.correct).length > 1;
+
+  const highlight = (asked) => {
+    const view = getEditor();
+    if (!asked) {
+      highlightRange(view, null);
+    } else if (asked.range) {
+      highlightRange(view, asked.range);
+    } else if (asked.line) {
+      highlightLine(view, asked.line);
+    } else {
+      highlightRange(view, null);
+    }
+  };
+
+  // Each file has its own history, and questions about the last file don't carry over
+  useEffect(() => {
+    setHistory(getHistory(filePath));
+    askedRef.current = 0;
+    setQuestion(null);
+    setResult(null);
+    setError('');
+  }, [filePath]);
+
+  // The highlight only lasts as long as the panel
+  useEffect(() => () => highlightRange(getEditor(), null), []);
+
+  const showQuestion = (asked) => {
+    setQuestion(asked);
+    setAnswer('');
+    setChosen([]);
+    setResult(null);
+    highlight(asked);
+  };
+
+  const askQuestion = (kind) => {
+    setError('');
+    const code = getCode();
+    if (!code.trim()) {
+      setError('There is no code to ask about.');
+      return;
+    }
+
+    try {
+      configureAsk(askConfig);
+      const lines = range || { start: 1, end: code.split('\n').length };
+      const seed = questionSeed(askConfig, filePath, askedRef.current);
+      askedRef.current += 1;
+      if (kind === 'open-ended') {
+        showQuestion(openEndedQuestion(code, lines, { seed }));
+        return;
+      }
+      const types = askConfig?.multipleChoice || MULTIPLE_CHOICE_TYPES;
+      const [asked] = multipleChoiceQuestions(code, types, { seed });
+      if (asked) {
+        showQuestion(asked);
+      } else {
+        setError('No multiple choice questions match this code, try an open-ended one.');
+      }
+    } catch (err) {
+      setError(
+        err instanceof SyntaxError
+          ? `Fix the syntax error first: ${err.message}`
+          : `Could not generate a question: ${err.message}`,
+      );
+    }
+  };
+
+  const saveEntry = (details) => {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      kind: question.kind,
+      type: question.type || null,
+      question: question.question,
+      line: question.line,
+      ...details,
+    };
+    const updated = [...getHistory(filePath), entry];
+    saveLensProgress(filePath, 'ask', { history: updated });
+    setHistory(updated);
+    setResult(entry);
+  };
+
+  const submitChoice = (picked) => {
+    saveEntry({ answer: picked.join(', '), correct: checkChoice(question, picked) });
+  };
+
+  const choose = (option) => {
+    if (result) return;
+    if (!multipleAnswers) {
+      setChosen([option.answer]);
+      submitChoice([option.answer]);
+      return;
+    }
+    setChosen((current) =>
+      current.includes(option.answer)
+        ? current.filter((answer) => answer !== option.answer)
+        : [...current, option.answer],
+    );
+  };
+
+  const clearHistory = () => {
+    if (!window.confirm(`Delete all ${history.length} saved answers for ${fileName}?`)) {
+      return;
+    }
+    saveLensProgress(filePath, 'ask', { history: [] });
+    setHistory([]);
+  };
+
+  const exportHistory = (format) => {
+    const baseName = fileName.replace(/\.[^.]+$/, '');
+    if (format === 'md') {
+      download(historyToMarkdown(fileName, history), `${baseName}-questions.md`, 'text/markdown');
+    } else {
+      download(
+        JSON.stringify({ file: filePath, history }, null, 2),
+        `${baseName}-questions.json`,
+        'application/json',
+      );
+    }
+  };
+
+  const optionClass = (option) => {
+    if (!result) {
+      return chosen.includes(option.answer) ? styles.chosen : '';
+    }
+    if (option.correct) return styles.correct;
+    return chosen.includes(option.answer) ? styles.incorrect : '';
+  };
+
+  return (
+    <div className={styles.askPanel}>
+      <div className={styles.header}>
+        <h4>💬 Ask Me</h4>
+        <button
+          className={styles.button}
+          onClick={() => askQuestion('open-ended')}
+          title="A question to answer in your own words"
+        >
+          ✍️ Open-ended
+        </button>
+        <button
+          className={styles.button}
+          onClick={() => askQuestion('multiple-choice')}
+          title="A multiple choice question that is checked right away"
+        >
+          🔘 Multiple choice
+        </button>
+        <button
+          className={styles.historyButton}
+          onClick={() => setShowHistory(!showHistory)}
+          title="Questions you answered about this file"
+        >
+          🕘 History ({history.length})
+        </button>
+      </div>
+
+      {error && <p className={styles.error}>{error}</p>}
+
+      {question && (
+        <div className={styles.question}>
+          <p className={styles.questionText}>{question.question}</p>
+          {question.line && (
+            <button
+              className={styles.lineReference}
+              onClick={() => highlight(question)}
+              title="Show it in the editor again"
+            >
+              line {question.line}
+            </button>
+          )}
+
+          {question.kind === 'open-ended' && (
+            <>
+              {question.hints.length > 0 && (
+                <details className={styles.hints}>
+                  <summary>{question.hints.length === 1 ? 'hint' : 'hints'}</summary>
+                  <ul>
+                    {question.hints.map((hint, index) => (
+                      <li key={index}>{hint}</li>
+                    ))}
+                  </ul>
+                </details>
+              )}
+              <textarea
+                className={styles.textarea}
+                value={answer}
+                onInput={(e) => setAnswer(e.target.value)}
+                placeholder="Your answer"
+                rows={3}
+                disabled={!!result}
+              />
+              {result ? (
+                <p className={styles.saved}>📝 Answer saved</p>
+              ) : (
+                <button
+                  className={styles.button}
+                  onClick={() => saveEntry({ answer: answer.trim(), correct: null })}
+                  disabled={!answer.trim()}
+                >
+                  Save answer
+                </button>
+              )}
+            </>
+          )}
+
+          {question.kind === 'multiple-choice' && (
+            <>
+              {multipleAnswers && !result && (
+                <p className={styles.instruction}>Choose every correct answer.</p>
+              )}
+              <ul className={styles.options}>
+                {question.options.map((option, index) => (
+                  <li key={index}>
+                    <button
+                      className={`${styles.option} ${optionClass(option)}`}
+                      onClick={() => choose(option)}
+                      disabled={!!result}
+                    >
+                      <code>{option.answer}</code>
+                    </button>
+                    {result && (option.correct || chosen.includes(option.answer)) && (
+                      <span className={styles.info}>{option.info}</span>
+                    )}
+                  </li>
+                ))}
+              </ul>
+              {multipleAnswers && !result && (
+                <button
+                  className={styles.button}
+                  onClick={() => submitChoice(chosen)}
+                  disabled={chosen.length === 0}
+                >
+                  Check
+                </button>
+              )}
+              {result && (
+                <p className={result.correct ? styles.right : styles.wrong}>
+                  {result.correct ? '✅ Correct!' : '❌ Not quite, the correct answer is marked.'}
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      {showHistory && (
+        <div className={styles.history}>
+          <div className={styles.historyToolbar}>
+            <button
+              className={styles.historyButton}
+              onClick={() => exportHistory('json')}
+              disabled={history.length === 0}
+            >
+              💾 JSON
+            </button>
+            <button
+              className={styles.historyButton}
+              onClick={() => exportHistory('md')}
+              disabled={history.length === 0}
+            >
+              💾 Markdown
+            </button>
+            <button
+              className={styles.historyButton}
+              onClick={clearHistory}
+              disabled={history.length === 0}
+            >
+              🗑️ Clear
+            </button>
+          </div>
+          {history.length === 0 ? (
+            <p className={styles.empty}>No answers saved for this file yet.</p>
+          ) : (
+            <ol className={styles.historyList}>
+              {[...history].reverse().map((entry) => (
+                <li key={entry.timestamp}>
+                  <span className={styles.historyResult}>
+                    {entry.correct === true ? '✅' : entry.correct === false ? '❌' : '📝'}
+                  </span>
+                  <span className={styles.historyQuestion}>{entry.question}</span>
+                  <span className={styles.historyAnswer}>{entry.answer}</span>
+                </li>
+              ))}
+            </ol>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AskPanel;
@@ -2,16 +2,33 @@ import { useState, useRef, useEffect } from 'preact/hooks';
 import { useColorize } from '../context/ColorizeContext.jsx';
 import styles from './EmbeddedTrace.module.css';
 import { BASE_PATH } from '../../src/CONSTANTS.js';
+import { installScriptedInputs, formatInteraction } from '../utils/scriptedInputs.js';
+import {
+  EVENT_TYPES,
+  toLogEntry,
+  exportEvents,
+} from '../../public/static/lib/trace-events.js';
 import '../../public/static/trace-loader.js';
 
+const download = (text, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
 /**
  * EmbeddedTrace - Compact trace functionality for embedding in study lenses
  * Uses SL1's trace system but in a smaller, integrated format
  */
-const EmbeddedTrace = ({ code, fileName, onTraceData, scope }) => {
+const EmbeddedTrace = ({ code, fileName, onTraceData, scope, inputs = [] }) => {
   const { enableColorize } = useColorize();
   const [isTracing, setIsTracing] = useState(false);
   const [traceLog, setTraceLog] = useState([]);
+  const [traceEvents, setTraceEvents] = useState([]);
+  const [logFilter, setLogFilter] = useState('all');
   const [showTraceTable, setShowTraceTable] = useState(false);
   const [showTraceConfig, setShowTraceConfig] = useState(false);
   const [showHoverTable, setShowHoverTable] = useState(false);
@@ -88,83 +105,20 @@ const EmbeddedTrace = ({ code, fileName, onTraceData, scope }) => {
     });
   };
 
-  // Override console.log to capture SL1 trace output
-  const captureTraceOutput = (originalLog) => {
-    return (...args) => {
-      const message = args.join(' ');
-
-      // Parse SL1 trace format: "%c 2. line 19:0 - didClickOk (declare, let)"
-      if (
-        message.includes('line ') &&
-        (message.includes('declare') ||
-          message.includes('assign') ||
-          message.includes('read') ||
-          message.includes('initialize') ||
-          message.includes('call'))
-      ) {
-        // Extract step number, line info, and action from SL1 format
-        const stepMatch = message.match(/(\d+)\./);
-        const lineMatch = message.match(/line (\d+):(\d+)/);
-        const actionMatch = message.match(/\(([^,)]+)/);
-
-        // Debug: log the actual trace message format using original console.log
-        // originalLog('🔍 Raw SL1 trace message:', message);
-
-        // Extract variable name: looks for pattern "- variableName" or "- variableName: value"
-        // SL1 format: "%c 2. line 19:0 - didClickOk (declare, let)" or "%c 2. line 19:0 - x: 5 (assign)"
-        const variable = message.split(' - ')[1].split(' ')[1];
-        // originalLog('🔍 Extracted variable:', variable);
-
-        // Value extraction: check for colon after variable name
-        // const hasColon = message.includes(':');
-        const value = !message.includes(' (declare, ')
-          ? message.split(':').pop()?.trim()
-          : null;
-        let hasValue = value !== null;
-
-        // if (hasColon && variable) {
-        //   // Look for "- variableName: value" pattern, value ends at space or parenthesis
-        //   const valuePattern = new RegExp(`- ${variable.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}:\\s*([^\s\(]+)`);
-        //   const valueMatch = message.match(valuePattern);
-        //   // originalLog('🔍 Value pattern:', valuePattern);
-        //   // originalLog('🔍 Value match:', valueMatch);
-
-        //   if (valueMatch) {
-        //     value = valueMatch[1].trim();
-        //     hasValue = true;
-        //   }
-        // }
-
-        // originalLog('🔍 Final variable:', variable);
-        // originalLog('🔍 Final value:', value);
-        // originalLog('🔍 Has value:', hasValue);
-        // originalLog('🔍 ---');
-
-        const step = stepMatch ? parseInt(stepMatch[1]) : traceLog.length + 1;
-        const line = lineMatch ? lineMatch[1] : '?';
-        const col = lineMatch ? lineMatch[2] : '?';
-        const action = actionMatch ? actionMatch[1] : 'execute';
+  // Replay scripted inputs in the trace iframe and add each interaction to the log
+  const setupScriptedInputs = (traceWindow, addEntry) => {
+    if (inputs.length === 0) return;
 
-        // Clean the message - remove %c formatting
-        const cleanMessage = message.replace(/%c\s*/, '').trim();
-
-        const entry = {
-          step: step,
-          line: parseInt(line),
-          action: action,
-          variable: variable,
-          value: value,
-          hasValue: hasValue,
-          message: cleanMessage,
-          timestamp: Date.now(),
-        };
-
-        setTraceLog((prev) => [...prev, entry]);
-      }
-
-      // Always call original log to maintain console output
-      originalLog(...args);
-    };
+    installScriptedInputs(traceWindow, inputs, (interaction) => {
+      addEntry((step) => ({
+        step,
+        action: interaction.type,
+        message: formatInteraction(interaction),
+        value: interaction.response,
+        hasValue: interaction.type !== 'alert',
+        timestamp: Date.now(),
+      }));
+    });
   };
 
   // No message handling needed - using SL1 trace system directly
@@ -174,18 +128,47 @@ const EmbeddedTrace = ({ code, fileName, onTraceData, scope }) => {
 
     setIsTracing(true);
     setTraceLog([]);
+    setTraceEvents([]);
 
     try {
       // Check if trace system is available
       if (window.trace && typeof window.trace === 'function') {
-        // Capture console output to intercept trace messages
-        const originalConsoleLog = console.log;
-        console.log = captureTraceOutput(originalConsoleLog);
-
         try {
-          // Use SL1's trace function directly
-          window.trace(code);
-          // console.log('🔍 Trace execution completed successfully');
+          // Use SL1's trace function directly, each trace event becomes a log entry
+          //  entries are collected here and shown at most once a frame, a long
+          //  trace has thousands of events
+          const entries = [];
+          let frame = null;
+          const showEntries = () => {
+            frame = null;
+            setTraceLog(entries.slice());
+          };
+          const addEntry = (toEntry) => {
+            entries.push(toEntry(entries.length + 1));
+            if (frame === null) frame = requestAnimationFrame(showEntries);
+          };
+
+          window.trace(code, {
+            setup: (traceWindow) => setupScriptedInputs(traceWindow, addEntry),
+            onEvent: (event) => addEntry(() => toLogEntry(event)),
+            logToConsole: true,
+            // called once the event loop is done, after timers and promises
+            onComplete: (events, error) => {
+              cancelAnimationFrame(frame);
+              if (error) {
+                entries.push({
+                  step: entries.length + 1,
+                  action: 'error',
+                  message: `Error: ${error.message}`,
+                  timestamp: Date.now(),
+                });
+              }
+              showEntries();
+              setTraceEvents(events);
+              setIsTracing(false);
+              onTraceData?.(events);
+            },
+          });
         } catch (error) {
           console.error('Trace execution error:', error);
           // Add error to trace log
@@ -198,13 +181,8 @@ const EmbeddedTrace = ({ code, fileName, onTraceData, scope }) => {
               timestamp: Date.now(),
             },
           ]);
-        }
-
-        // Restore console.log after a delay
-        setTimeout(() => {
-          console.log = originalConsoleLog;
           setIsTracing(false);
-        }, 2000);
+        }
       } else {
         // Try to load trace system
         const traceSystemReady = await ensureTraceSystemLoaded();
@@ -243,6 +221,7 @@ const EmbeddedTrace = ({ code, fileName, onTraceData, scope }) => {
 
   const clearTrace = () => {
     setTraceLog([]);
+    setTraceEvents([]);
     setShowTraceTable(false);
   };
 
@@ -250,6 +229,20 @@ const EmbeddedTrace = ({ code, fileName, onTraceData, scope }) => {
     setShowTraceTable(!showTraceTable);
   };
 
+  const exportTrace = (format) => {
+    const baseName = (fileName || 'trace').replace(/\.[^.]+$/, '');
+    download(
+      exportEvents(traceEvents, format),
+      `${baseName}-trace.${format}`,
+      format === 'csv' ? 'text/csv' : 'application/json',
+    );
+  };
+
+  const visibleLog =
+    logFilter === 'all'
+      ? traceLog
+      : traceLog.filter((entry) => entry.type === logFilter);
+
   const openTracePopup = () => {
     // Create popup window with code side-by-side with trace table
     const popup = window.open(
@@ -746,6 +739,16 @@ const EmbeddedTrace = ({ code, fileName, onTraceData, scope }) => {
       container.innerHTML = '<trace-table></trace-table>';
     }
 
+    // the table checks itself against this code and these variables
+    const traceTable = container.querySelector('trace-table');
+    if (traceTable) {
+      traceTable.code = code;
+      traceTable.variablesList = String(traceConfig.variablesList || '')
+        .split(',')
+        .map((name) => name.trim())
+        .filter(Boolean);
+    }
+
     // Fallback if web component doesn't work
     const fallbackTimer = setTimeout(() => {
       const traceTable = container.querySelector('trace-table');
@@ -767,7 +770,7 @@ const EmbeddedTrace = ({ code, fileName, onTraceData, scope }) => {
         container.innerHTML = '';
       }
     };
-  }, [showHoverTable, hoverTableType]);
+  }, [showHoverTable, hoverTableType, code, traceConfig.variablesList]);
 
   return (
     <div className={styles.embeddedTrace}>
@@ -917,6 +920,15 @@ const EmbeddedTrace = ({ code, fileName, onTraceData, scope }) => {
           )}
         </div>
 
+        <button
+          className={styles.traceButton}
+          onClick={toggleTraceTable}
+          disabled={traceLog.length === 0}
+          title="Show/hide the trace log"
+        >
+          📋 Trace Log
+        </button>
+
         <button
           className={styles.traceButton}
           onClick={openTracePopup}
@@ -943,23 +955,55 @@ const EmbeddedTrace = ({ code, fileName, onTraceData, scope }) => {
 
       {showTraceTable && traceLog.length > 0 && (
         <div className={styles.traceTable}>
+          <div className={styles.logToolbar}>
+            <select
+              value={logFilter}
+              onChange={(e) => setLogFilter(e.target.value)}
+              title="Only show one kind of trace event"
+            >
+              <option value="all">all events</option>
+              {EVENT_TYPES.map((type) => (
+                <option key={type} value={type}>
+                  {type}
+                </option>
+              ))}
+            </select>
+            <button
+              className={styles.traceButton}
+              onClick={() => exportTrace('json')}
+              disabled={traceEvents.length === 0}
+            >
+              💾 JSON
+            </button>
+            <button
+              className={styles.traceButton}
+              onClick={() => exportTrace('csv')}
+              disabled={traceEvents.length === 0}
+            >
+              💾 CSV
+            </button>
+          </div>
           <div className={styles.tableHeader}>
             <span>Step</span>
             <span>Action</span>
+            <span>Task</span>
             <span>Trace Message</span>
           </div>
           <div className={styles.tableBody}>
-            {traceLog.slice(-20).map((entry, index) => (
+            {visibleLog.slice(-20).map((entry, index) => (
               <div key={index} className={styles.tableRow}>
                 <span>{entry.step}</span>
                 <span className={styles.action}>{entry.action}</span>
+                <span className={styles.task} title={entry.task || ''}>
+                  {entry.task || ''}
+                </span>
                 <span className={styles.traceMessage}>{entry.message}</span>
               </div>
             ))}
           </div>
-          {traceLog.length > 20 && (
+          {visibleLog.length > 20 && (
             <div className={styles.tableFooter}>
-              Showing last 20 of {traceLog.length} trace entries
+              Showing last 20 of {visibleLog.length} trace entries
             </div>
           )}
         </div>
@@ -0,0 +1,51 @@
+import styles from './InputScriptPanel.module.css';
+
+/**
+ * InputScriptPanel - Queue of responses for prompt/confirm/alert
+ * The same script is replayed by RunCode and EmbeddedTrace so runs are repeatable
+ */
+const InputScriptPanel = ({
+  value = '',
+  onChange = () => {},
+  onReset = null,
+  canReset = false
+}) => {
+  const count = value.trim() ? value.replace(/\n$/, '').split('\n').length : 0;
+
+  return (
+    <div className={styles.inputScriptPanel}>
+      <div className={styles.header}>
+        <h4>⌨️ User Inputs</h4>
+        <span className={styles.count}>
+          {count === 1 ? '1 response' : `${count} responses`}
+        </span>
+        {onReset && (
+          <button
+            className={styles.resetButton}
+            onClick={onReset}
+            disabled={!canReset}
+            title="Restore the inputs from lenses.json"
+          >
+            ↺ Reset
+          </button>
+        )}
+      </div>
+      <textarea
+        className={styles.textarea}
+        value={value}
+        onInput={(e) => onChange(e.target.value)}
+        placeholder={'Ada\n""\nnull\nyes'}
+        rows={Math.min(Math.max(count, 3), 8)}
+        spellCheck={false}
+      />
+      <p className={styles.hint}>
+        One response per line, used in order by <code>prompt</code> and{' '}
+        <code>confirm</code>. <code>null</code> cancels a prompt, <code>""</code> is
+        an empty answer, <code>yes</code>/<code>no</code> answer a confirm.{' '}
+        <code>alert</code>s are logged instead of blocking.
+      </p>
+    </div>
+  );
+};
+
+export default InputScriptPanel;
@@ -22,7 +22,7 @@ const LensIcon = ({
   const iconRef = useRef(null);
 
   // Get available exercises for current file
-  const availableExercises = currentFile ? getExercisesForLang(currentFile.lang) : [];
+  const availableExercises = currentFile ? getExercisesForLang(currentFile.lang, currentFile.path) : [];
 
   // Track text selection and update position
   useEffect(() => {
@@ -0,0 +1,123 @@
+import { useState, useEffect, useRef } from 'preact/hooks';
+import {
+  buildProjectPreview,
+  loadPendingFiles
+} from '../utils/projectPreview.js';
+import styles from './ProjectPreview.module.css';
+
+/**
+ * ProjectPreview - Live preview of an HTML page and the files it uses
+ * Scripts, stylesheets and imports are served from the virtual FS, and the
+ * preview rebuilds shortly after any of its inputs change.
+ */
+const ProjectPreview = ({
+  entryPath,
+  html = null,
+  overrides = {},
+  refreshKey = 0,
+  title = '🌐 Live Preview'
+}) => {
+  const [preview, setPreview] = useState(null);
+  const [reloads, setReloads] = useState(0);
+  const previewRef = useRef(null);
+  const tabsRef = useRef([]);
+
+  const overridesKey = JSON.stringify(overrides);
+
+  useEffect(() => {
+    if (!entryPath) return undefined;
+
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      const next = buildProjectPreview({ entryPath, html, overrides });
+      if (previewRef.current) {
+        previewRef.current.revoke();
+      }
+      previewRef.current = next;
+      setPreview(next);
+
+      // Lazily loaded files arrive later, rebuild once they are in
+      loadPendingFiles(next.pending).then((loaded) => {
+        if (loaded && !cancelled) setReloads((count) => count + 1);
+      });
+    }, 300);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [entryPath, html, overridesKey, refreshKey, reloads]);
+
+  // Free every blob URL when the preview goes away, the new tabs' too
+  useEffect(() => {
+    return () => {
+      if (previewRef.current) {
+        previewRef.current.revoke();
+      }
+      tabsRef.current.forEach((tab) => tab.revoke());
+      tabsRef.current = [];
+    };
+  }, []);
+
+  const openInNewTab = () => {
+    // The new tab gets its own build, kept until unmount so rebuilds and late imports still work
+    const tab = buildProjectPreview({ entryPath, html, overrides });
+    if (window.open(tab.url, '_blank')) {
+      tabsRef.current.push(tab);
+    } else {
+      tab.revoke();
+    }
+  };
+
+  return (
+    <div className={styles.projectPreview}>
+      <div className={styles.header}>
+        <h4>{title}</h4>
+        {preview && (
+          <span className={styles.files} title={preview.files.join('\n')}>
+            {preview.files.length === 1 ? '1 file' : `${preview.files.length} files`}
+          </span>
+        )}
+        <div className={styles.controls}>
+          <button
+            className={styles.controlButton}
+            onClick={() => setReloads((count) => count + 1)}
+            title="Rebuild the preview from the current files"
+          >
+            🔄 Refresh
+          </button>
+          <button
+            className={styles.controlButton}
+            onClick={openInNewTab}
+            disabled={!entryPath}
+            title="Open the preview in a new tab"
+          >
+            🚀 Open in New Tab
+          </button>
+        </div>
+      </div>
+
+      {preview && preview.errors.length > 0 && (
+        <div className={styles.errors}>
+          {preview.errors.map((error, index) => (
+            <div key={index} className={styles.error}>
+              ⚠️ {error.message}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {preview && (
+        <iframe
+          key={preview.url}
+          src={preview.url}
+          title="Project Preview"
+          className={styles.previewFrame}
+          sandbox="allow-scripts allow-forms allow-popups allow-same-origin allow-modals"
+        />
+      )}
+    </div>
+  );
+};
+
+export default ProjectPreview;
@@ -0,0 +1,159 @@
+import { useState, useEffect, useMemo, useRef } from 'preact/hooks';
+import { isAnswerCorrect } from '../utils/quizParser.js';
+import { renderMarkdown, renderInlineMarkdown } from '../utils/markdownRenderer.js';
+import styles from './QuizCard.module.css';
+
+const Markdown = ({ text, className, inline = false }) => {
+  if (!text) return null;
+  const Tag = inline ? 'span' : 'div';
+  return (
+    <Tag
+      className={className}
+      dangerouslySetInnerHTML={{ __html: inline ? renderInlineMarkdown(text) : renderMarkdown(text) }}
+    />
+  );
+};
+
+const shuffle = (items) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * QuizCard - Answer the questions of a quiz file from parseQuizMarkdown
+ * Feedback stays hidden until a question is answered: a single-answer question
+ * locks when an option is chosen, a multiple-answer one when it is checked.
+ * @param {Object} props
+ * @param {Object} props.quiz - { title, intro, questions }
+ * @param {boolean} props.shuffled - Show the options of every question in a random order
+ * @param {Function} props.onSubmit - Called with { correct, total, score, answers } once all are answered
+ */
+const QuizCard = ({ quiz, shuffled = false, onSubmit }) => {
+  const [selected, setSelected] = useState({});
+  const [answered, setAnswered] = useState({});
+  const submittedRef = useRef(false);
+
+  // A new quiz (or a retry) starts unanswered
+  useEffect(() => {
+    setSelected({});
+    setAnswered({});
+    submittedRef.current = false;
+  }, [quiz, shuffled]);
+
+  const options = useMemo(
+    () => Object.fromEntries(
+      quiz.questions.map((q) => [q.id, shuffled ? shuffle(q.options) : q.options])
+    ),
+    [quiz, shuffled]
+  );
+
+  const results = useMemo(
+    () => Object.fromEntries(quiz.questions.map((q) => [q.id, isAnswerCorrect(q, selected[q.id])])),
+    [quiz, selected]
+  );
+
+  // Report the attempt once every question is answered
+  useEffect(() => {
+    const total = quiz.questions.length;
+    if (submittedRef.current || total === 0 || Object.keys(answered).length < total) return;
+
+    submittedRef.current = true;
+    const correct = quiz.questions.filter((q) => results[q.id]).length;
+    onSubmit?.({ correct, total, score: correct / total, answers: selected });
+  }, [answered]);
+
+  const choose = (question, optionId) => {
+    if (answered[question.id]) return;
+
+    if (!question.multiple) {
+      setSelected((current) => ({ ...current, [question.id]: [optionId] }));
+      setAnswered((current) => ({ ...current, [question.id]: true }));
+      return;
+    }
+
+    setSelected((current) => {
+      const previous = current[question.id] || [];
+      const next = previous.includes(optionId)
+        ? previous.filter((id) => id !== optionId)
+        : [...previous, optionId];
+      return { ...current, [question.id]: next };
+    });
+  };
+
+  const check = (question) => {
+    setAnswered((current) => ({ ...current, [question.id]: true }));
+  };
+
+  return (
+    <div className={styles.quizCard}>
+      <Markdown text={quiz.intro} className={styles.intro} />
+
+      {quiz.questions.map((question) => {
+        const isAnswered = !!answered[question.id];
+        const choices = selected[question.id] || [];
+
+        return (
+          <fieldset key={question.id} className={styles.question}>
+            <legend className={styles.prompt}>
+              {quiz.questions.length > 1 && <span className={styles.number}>{question.id}.</span>}
+              <Markdown text={question.prompt} inline={quiz.questions.length > 1} />
+            </legend>
+            <Markdown text={question.context} className={styles.context} />
+            {question.multiple && <p className={styles.hint}>Choose every correct answer</p>}
+
+            <ul className={styles.options}>
+              {(options[question.id] || []).map((option, index) => {
+                const isSelected = choices.includes(option.id);
+                const state = isAnswered ? (option.correct ? styles.correct : isSelected ? styles.wrong : '') : '';
+                return (
+                  <li key={option.id} className={`${styles.option} ${state}`}>
+                    <label>
+                      <input
+                        type={question.multiple ? 'checkbox' : 'radio'}
+                        name={`quiz-${question.id}`}
+                        checked={isSelected}
+                        disabled={isAnswered}
+                        onChange={() => choose(question, option.id)}
+                      />
+                      <span className={styles.optionId}>{String.fromCharCode(65 + index)}.</span>
+                      <Markdown text={option.label} className={styles.label} inline />
+                    </label>
+                    <Markdown text={option.content} className={styles.optionContent} />
+                    {isAnswered && (isSelected || option.correct) && (
+                      <div className={styles.feedback}>
+                        <span className={styles.verdict}>{option.correct ? '✔' : '✖'}</span>
+                        <Markdown text={option.feedback} />
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+
+            {question.multiple && !isAnswered && (
+              <button
+                className={styles.checkButton}
+                onClick={() => check(question)}
+                disabled={choices.length === 0}
+              >
+                ✔️ Check
+              </button>
+            )}
+
+            {isAnswered && (
+              <div className={results[question.id] ? styles.resultCorrect : styles.resultWrong}>
+                {results[question.id] ? '✅ Correct' : '❌ Not quite'}
+              </div>
+            )}
+          </fieldset>
+        );
+      })}
+    </div>
+  );
+};
+
+export default QuizCard;
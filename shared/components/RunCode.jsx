@@ -1,5 +1,9 @@
 import { useState, useRef, useEffect } from 'preact/hooks';
 import { createTestingFramework } from '../utils/testingFramework.js';
+import { addLoopGuard, DEFAULT_MAX_ITERATIONS } from '../utils/loopGuard.js';
+import { installScriptedInputs, formatInteraction } from '../utils/scriptedInputs.js';
+import { buildProjectPreview } from '../utils/projectPreview.js';
+import TestReport from './TestReport.jsx';
 import styles from './RunCode.module.css';
 
 /**
@@ -12,24 +16,32 @@ const RunCode = ({
   buttonText = 'Run Code',
   onExecute = null,
   showOptions = true,
-  language = 'javascript' // 'javascript', 'html', 'css'
+  language = 'javascript', // 'javascript', 'html', 'css'
+  inputs = [], // Scripted responses for prompt/confirm
+  filePath = null // Virtual FS path, lets HTML resolve its linked files
 }) => {
   const [config, setConfig] = useState({
     debug: false,
     type: 'script', // 'script' or 'module'
     testing: false, // Enable testing framework
     loopGuard: {
-      active: false,
-      max: 100
+      active: true,
+      max: DEFAULT_MAX_ITERATIONS
     }
   });
   
   const [isRunning, setIsRunning] = useState(false);
+  const [testReport, setTestReport] = useState(null);
   const [showOptionsPanel, setShowOptionsPanel] = useState(false);
   const iframeContainerRef = useRef(null);
+  const previewRef = useRef(null);
   
   // Clean up any existing iframes
   const cleanupIframes = () => {
+    if (previewRef.current) {
+      previewRef.current.revoke();
+      previewRef.current = null;
+    }
     if (iframeContainerRef.current) {
       while (iframeContainerRef.current.firstChild) {
         iframeContainerRef.current.removeChild(iframeContainerRef.current.firstChild);
@@ -37,41 +49,6 @@ const RunCode = ({
     }
   };
   
-  // Simple loop guard implementation (improved version)
-  const addLoopGuard = (codeToGuard) => {
-    if (!config.loopGuard.active) return codeToGuard;
-    
-    // Simple regex-based loop guard for basic cases
-    // TODO: Implement full AST-based approach from SL1 for production
-    let guardedCode = codeToGuard;
-    let loopCount = 0;
-    
-    // Guard while loops - inject counter check
-    guardedCode = guardedCode.replace(/while\s*\(([^)]+)\)/g, (match, condition) => {
-      loopCount++;
-      const guardVar = `loopGuard_${loopCount}`;
-      return `let ${guardVar} = 0; while ((${condition}) && ++${guardVar} <= ${config.loopGuard.max})`;
-    });
-    
-    // Guard for loops - inject counter check in condition
-    guardedCode = guardedCode.replace(/for\s*\(([^;]*);([^;]*);([^)]*)\)/g, (match, init, condition, increment) => {
-      loopCount++;
-      const guardVar = `loopGuard_${loopCount}`;
-      return `for (${init}, ${guardVar} = 0; (${condition || 'true'}) && ++${guardVar} <= ${config.loopGuard.max}; ${increment})`;
-    });
-    
-    // Add error throwing when limit exceeded
-    if (loopCount > 0) {
-      guardedCode = `
-// Loop Guard Protection (max ${config.loopGuard.max} iterations per loop)
-const throwLoopError = () => { throw new Error('⚠️ Loop guard triggered! Loop exceeded ${config.loopGuard.max} iterations. This prevents infinite loops.'); };
-
-${guardedCode}`;
-    }
-    
-    return guardedCode;
-  };
-  
   // Execute code in iframe
   const runCode = async () => {
     // Use scoped code if available, otherwise whole file
@@ -112,17 +89,25 @@ ${guardedCode}`;
         border-radius: 4px;
       `;
       
+      // With a path, scripts, stylesheets and imports load from the virtual FS
+      const preview = filePath
+        ? buildProjectPreview({ entryPath: filePath, html: htmlCode, loopGuard: config.loopGuard })
+        : null;
+      previewRef.current = preview;
+      
       iframe.onload = () => {
-        iframe.contentDocument.open();
-        iframe.contentDocument.write(htmlCode);
-        iframe.contentDocument.close();
+        if (!preview) {
+          iframe.contentDocument.open();
+          iframe.contentDocument.write(htmlCode);
+          iframe.contentDocument.close();
+        }
         
         if (onExecute) {
           onExecute({ success: true, code: htmlCode, type: 'html' });
         }
       };
       
-      iframe.src = 'about:blank';
+      iframe.src = preview ? preview.url : 'about:blank';
       
       if (iframeContainerRef.current) {
         iframeContainerRef.current.appendChild(iframe);
@@ -182,6 +167,7 @@ ${guardedCode}`;
   // Run JavaScript code
   const runJavaScript = async (jsCode) => {
     setIsRunning(true);
+    setTestReport(null);
     cleanupIframes();
     
     try {
@@ -190,7 +176,10 @@ ${guardedCode}`;
       let finalCode = jsCode;
       
       if (config.loopGuard.active) {
-        finalCode = addLoopGuard(finalCode);
+        finalCode = addLoopGuard(finalCode, {
+          max: config.loopGuard.max,
+          sourceType: config.type
+        });
       }
       
       if (config.debug) {
@@ -264,9 +253,19 @@ ${guardedCode}`;
             }
           };
 
+          // Replay scripted inputs and log each interaction with the output
+          if (inputs.length > 0) {
+            installScriptedInputs(iframeWindow, inputs, (interaction) => {
+              originalConsole.log(
+                `%c${formatInteraction(interaction)}`,
+                'color: #c586c0; font-style: italic;'
+              );
+            });
+          }
+
           // Initialize testing framework if enabled (after console override)
           if (config.testing) {
-            createTestingFramework(iframeWindow);
+            createTestingFramework(iframeWindow, { onReport: setTestReport });
           }
           
           // Add global error handling
@@ -425,9 +424,9 @@ Your testing functions will then be available!`;
                     <input 
                       type="number" 
                       value={config.loopGuard.max}
-                      onChange={(e) => handleLoopGuardChange('max', parseInt(e.target.value) || 100)}
+                      onChange={(e) => handleLoopGuardChange('max', parseInt(e.target.value) || DEFAULT_MAX_ITERATIONS)}
                       min="1"
-                      max="10000"
+                      max="1000000"
                       className={styles.numberInput}
                     />
                   </label>
@@ -438,6 +437,8 @@ Your testing functions will then be available!`;
         )}
       </div>
       
+      {config.testing && <TestReport report={testReport} />}
+
       {/* Container for iframe and console output */}
       <div ref={iframeContainerRef} className={styles.executionContainer}></div>
     </div>
@@ -0,0 +1,320 @@
+import { useState, useEffect, useLayoutEffect, useRef } from 'preact/hooks';
+import { recordSteps } from '../utils/stepRecorder.js';
+import { installScriptedInputs, formatInteraction } from '../utils/scriptedInputs.js';
+import styles from './StepThroughViewer.module.css';
+
+const STEP_LABELS = {
+  step: 'next to run',
+  return: 'returning',
+  end: 'finished',
+  error: 'threw an error'
+};
+
+// A curved arrow from the right edge of a pointer to the left edge of its object
+const toArrowPath = (from, to) => {
+  const bend = Math.max(30, Math.abs(to.x - from.x) / 2);
+  return `M ${from.x} ${from.y} C ${from.x + bend} ${from.y}, ${to.x - bend} ${to.y}, ${to.x} ${to.y}`;
+};
+
+const Value = ({ value }) => {
+  if (value.type === 'ref') {
+    return <span className={styles.pointer} data-ref={value.id} title={`Object #${value.id}`}>●</span>;
+  }
+  return <span className={styles.primitive}>{value.text}</span>;
+};
+
+const Frame = ({ frame, isCurrent }) => (
+  <div className={`${styles.frame} ${isCurrent ? styles.currentFrame : ''}`}>
+    <div className={styles.frameName}>
+      {frame.name === 'Global' ? 'Global' : `${frame.name}()`}
+      {frame.callLine && <span className={styles.callLine}>called on line {frame.callLine}</span>}
+    </div>
+    <table className={styles.variables}>
+      <tbody>
+        {frame.variables.map(({ name, value }) => (
+          <tr key={name}>
+            <td className={styles.name}>{name}</td>
+            <td className={styles.value}><Value value={value} /></td>
+          </tr>
+        ))}
+        {frame.returnValue && (
+          <tr className={styles.returnRow}>
+            <td className={styles.name}>Return value</td>
+            <td className={styles.value}><Value value={frame.returnValue} /></td>
+          </tr>
+        )}
+      </tbody>
+    </table>
+    {frame.variables.length === 0 && !frame.returnValue && (
+      <div className={styles.noVariables}>no variables yet</div>
+    )}
+  </div>
+);
+
+const HeapObject = ({ id, object }) => (
+  <div className={`${styles.heapObject} ${styles[object.kind]}`} data-heap-id={id}>
+    <div className={styles.heapLabel}>{object.label}</div>
+    {object.entries.length > 0 && (
+      <table className={styles.entries}>
+        <tbody>
+          {object.entries.map(({ key, value }) => (
+            <tr key={key}>
+              <td className={styles.name}>{key}</td>
+              <td className={styles.value}><Value value={value} /></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    )}
+    {object.kind !== 'function' && object.entries.length === 0 && (
+      <div className={styles.noVariables}>{object.kind === 'array' ? '[ ]' : '{ }'}</div>
+    )}
+  </div>
+);
+
+/**
+ * StepThroughViewer - Built-in step-through visualization for JavaScript
+ * Records every step of the program in the browser with Aran, then shows the
+ * current line, call stack, scopes and heap objects with arrows for each step.
+ * @param {Object} props
+ * @param {string} props.code - JavaScript source
+ * @param {Array} props.inputs - Scripted responses for prompt/confirm
+ */
+const StepThroughViewer = ({ code, inputs = [] }) => {
+  const [recording, setRecording] = useState(null);
+  const [recordError, setRecordError] = useState(null);
+  const [isRecording, setIsRecording] = useState(false);
+  const [current, setCurrent] = useState(0);
+  const [arrows, setArrows] = useState([]);
+
+  const diagramRef = useRef(null);
+  const codeRef = useRef(null);
+
+  const inputsKey = JSON.stringify(inputs);
+
+  // Record the whole run up front, stepping back and forward only changes the snapshot shown
+  useEffect(() => {
+    if (!code.trim()) {
+      setRecording(null);
+      return undefined;
+    }
+
+    let cancelled = false;
+    setIsRecording(true);
+    setRecordError(null);
+
+    const setup = (sandbox) => {
+      if (inputs.length === 0) return;
+      // The recorder collects console output, so interactions land in the output too
+      installScriptedInputs(sandbox, inputs, (interaction) => {
+        sandbox.console.log(formatInteraction(interaction));
+      });
+    };
+
+    recordSteps(code, { setup })
+      .then((result) => {
+        if (cancelled) return;
+        setRecording(result);
+        setCurrent(0);
+      })
+      .catch((error) => {
+        if (cancelled) return;
+        setRecording(null);
+        setRecordError(error.message);
+      })
+      .finally(() => {
+        if (!cancelled) setIsRecording(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [code, inputsKey]);
+
+  const steps = recording?.steps || [];
+  const step = steps[current];
+  const lastIndex = Math.max(steps.length - 1, 0);
+
+  const goTo = (index) => setCurrent(Math.min(Math.max(index, 0), lastIndex));
+
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowRight') {
+      event.preventDefault();
+      goTo(current + 1);
+    } else if (event.key === 'ArrowLeft') {
+      event.preventDefault();
+      goTo(current - 1);
+    } else if (event.key === 'Home') {
+      event.preventDefault();
+      goTo(0);
+    } else if (event.key === 'End') {
+      event.preventDefault();
+      goTo(lastIndex);
+    }
+  };
+
+  // Draw an arrow from every pointer to the object it refers to once the step is laid out
+  useLayoutEffect(() => {
+    const diagram = diagramRef.current;
+    if (!diagram || !step) {
+      setArrows([]);
+      return undefined;
+    }
+
+    const measure = () => {
+      const origin = diagram.getBoundingClientRect();
+      const next = [];
+
+      diagram.querySelectorAll('[data-ref]').forEach((pointer) => {
+        const target = diagram.querySelector(`[data-heap-id="${pointer.getAttribute('data-ref')}"]`);
+        if (!target) return;
+
+        const from = pointer.getBoundingClientRect();
+        const to = target.getBoundingClientRect();
+        next.push(toArrowPath(
+          {
+            x: from.left + from.width / 2 - origin.left + diagram.scrollLeft,
+            y: from.top + from.height / 2 - origin.top + diagram.scrollTop
+          },
+          {
+            x: to.left - origin.left + diagram.scrollLeft,
+            y: to.top + 12 - origin.top + diagram.scrollTop
+          }
+        ));
+      });
+
+      setArrows(next);
+    };
+
+    measure();
+    window.addEventListener('resize', measure);
+    return () => window.removeEventListener('resize', measure);
+  }, [step]);
+
+  // Keep the current line in view
+  useEffect(() => {
+    const line = codeRef.current?.querySelector(`.${styles.currentLine}`);
+    line?.scrollIntoView({ block: 'nearest' });
+  }, [step]);
+
+  if (isRecording) {
+    return (
+      <div className={styles.message}>
+        <div className={styles.spinner}>🔄</div>
+        <p>Recording execution...</p>
+      </div>
+    );
+  }
+
+  if (recordError) {
+    return (
+      <div className={styles.message}>
+        <p className={styles.errorText}>{recordError}</p>
+        <p>Fix the code to step through it.</p>
+      </div>
+    );
+  }
+
+  if (!recording || steps.length === 0) {
+    return (
+      <div className={styles.message}>
+        {recording?.error
+          ? <p className={styles.errorText}>{recording.error}</p>
+          : <p>Nothing to step through</p>}
+      </div>
+    );
+  }
+
+  const lines = code.split('\n');
+  const heapIds = Object.keys(step.heap).sort((a, b) => a - b);
+  const output = recording.output.slice(0, step.outputLength);
+
+  return (
+    <div className={styles.viewer} tabIndex={0} onKeyDown={handleKeyDown}>
+      <div className={styles.controls}>
+        <button onClick={() => goTo(0)} disabled={current === 0} title="First step (Home)">⏮</button>
+        <button onClick={() => goTo(current - 1)} disabled={current === 0} title="Back (←)">◀ Back</button>
+        <input
+          type="range"
+          min={0}
+          max={lastIndex}
+          value={current}
+          onInput={(e) => goTo(Number(e.target.value))}
+          className={styles.slider}
+        />
+        <button onClick={() => goTo(current + 1)} disabled={current === lastIndex} title="Forward (→)">Forward ▶</button>
+        <button onClick={() => goTo(lastIndex)} disabled={current === lastIndex} title="Last step (End)">⏭</button>
+        <span className={styles.stepCount}>
+          Step {current + 1} of {steps.length}
+          <span className={styles.stepKind}>{STEP_LABELS[step.kind]}</span>
+        </span>
+      </div>
+
+      {recording.truncated && (
+        <div className={styles.notice}>{recording.error}</div>
+      )}
+
+      <div className={styles.layout}>
+        <div className={styles.codePanel} ref={codeRef}>
+          {lines.map((text, index) => {
+            const lineNumber = index + 1;
+            const isCurrent = step.line === lineNumber;
+            return (
+              <div
+                key={lineNumber}
+                className={`${styles.codeLine} ${isCurrent ? styles.currentLine : ''} ${isCurrent && step.kind === 'error' ? styles.errorLine : ''}`}
+              >
+                <span className={styles.lineNumber}>{lineNumber}</span>
+                <span className={styles.lineMarker}>{isCurrent ? '➜' : ''}</span>
+                <pre className={styles.lineText}>{text || ' '}</pre>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className={styles.diagram} ref={diagramRef}>
+          <div className={styles.column}>
+            <h4>Frames</h4>
+            {step.frames.map((frame, index) => (
+              <Frame
+                key={`${index}-${frame.name}`}
+                frame={frame}
+                isCurrent={index === step.frames.length - 1}
+              />
+            ))}
+          </div>
+
+          <div className={styles.column}>
+            <h4>Objects</h4>
+            {heapIds.length === 0 && <div className={styles.noVariables}>no objects</div>}
+            {heapIds.map((id) => (
+              <HeapObject key={id} id={id} object={step.heap[id]} />
+            ))}
+          </div>
+
+          <svg className={styles.arrows}>
+            <defs>
+              <marker id="step-through-arrowhead" markerWidth="8" markerHeight="8" refX="7" refY="4" orient="auto">
+                <path d="M 0 0 L 8 4 L 0 8 z" />
+              </marker>
+            </defs>
+            {arrows.map((path, index) => (
+              <path key={index} d={path} markerEnd="url(#step-through-arrowhead)" />
+            ))}
+          </svg>
+        </div>
+      </div>
+
+      {step.error && <div className={styles.error}>❌ {step.error}</div>}
+
+      <div className={styles.output}>
+        <div className={styles.outputTitle}>Console output</div>
+        {output.length === 0
+          ? <div className={styles.noVariables}>nothing logged yet</div>
+          : output.map((line, index) => <pre key={index} className={styles.outputLine}>{line}</pre>)}
+      </div>
+    </div>
+  );
+};
+
+export default StepThroughViewer;
@@ -0,0 +1,70 @@
+import styles from './TestReport.module.css';
+
+/**
+ * TestReport - Pass/fail tree for a report from createTestingFramework
+ */
+const TestNode = ({ node }) => {
+  if (node.type === 'it') {
+    return (
+      <li className={node.passed ? styles.pass : styles.fail}>
+        <span className={styles.icon}>{node.passed ? '✔' : '✖'}</span>
+        <span className={styles.description}>{node.description}</span>
+        {node.duration > 0 && <span className={styles.duration}>{node.duration} ms</span>}
+        {node.error && (
+          <div className={styles.error}>
+            {node.error.name}: {node.error.message}
+          </div>
+        )}
+      </li>
+    );
+  }
+
+  return (
+    <li className={styles.suite}>
+      <details open={!node.passed}>
+        <summary className={node.passed ? styles.pass : styles.fail}>
+          <span className={styles.icon}>{node.passed ? '✔' : '✖'}</span>
+          <span className={styles.description}>{node.description}</span>
+        </summary>
+        {node.error && (
+          <div className={styles.error}>
+            Suite error - {node.error.name}: {node.error.message}
+          </div>
+        )}
+        <ul className={styles.tree}>
+          {node.children.map((child, index) => (
+            <TestNode key={index} node={child} />
+          ))}
+        </ul>
+      </details>
+    </li>
+  );
+};
+
+const TestReport = ({ report, title = 'Test Results' }) => {
+  if (!report) return null;
+
+  return (
+    <div className={styles.testReport}>
+      <div className={styles.summary}>
+        <strong>{title}</strong>
+        <span className={styles.pass}>✔ {report.passes} passed</span>
+        <span className={report.failures > 0 ? styles.fail : styles.muted}>
+          ✖ {report.failures} failed
+        </span>
+        <span className={styles.muted}>{report.duration} ms</span>
+      </div>
+      {report.reports.length === 0 ? (
+        <p className={styles.muted}>No tests were run.</p>
+      ) : (
+        <ul className={styles.tree}>
+          {report.reports.map((node, index) => (
+            <TestNode key={index} node={node} />
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default TestReport;
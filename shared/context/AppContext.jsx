@@ -1,7 +1,18 @@
 import { createContext } from 'preact';
 import { useContext, useState, useCallback, useEffect } from 'preact/hooks';
 import URLManager from '../utils/urlManager.js';
-import { setVirtualFS as setGlobalVirtualFS } from '../../fs.js';
+import {
+  setVirtualFS as setGlobalVirtualFS,
+  getVirtualFS as getGlobalVirtualFS,
+  onVirtualFSChange
+} from '../../fs.js';
+import {
+  restoreWorkspace,
+  scheduleWorkspaceSave,
+  clearWorkspace,
+  clearStudyData,
+  getWorkspaceSource
+} from '../utils/workspaceStorage.js';
 
 // Create the context
 const AppContext = createContext(null);
@@ -19,6 +30,24 @@ export const AppProvider = ({ children }) => {
     setGlobalVirtualFS(fs);
   }, []);
   
+  // Open a freshly loaded virtual FS with the learner's saved work put back on it
+  const openWorkspace = useCallback(async (fs) => {
+    await restoreWorkspace(fs);
+    setVirtualFS(fs);
+    return fs;
+  }, [setVirtualFS]);
+
+  // Persist the workspace after edits, both through state and in-place fs.js helpers
+  useEffect(() => {
+    if (virtualFS) {
+      scheduleWorkspaceSave(getGlobalVirtualFS);
+    }
+  }, [virtualFS]);
+
+  useEffect(() => {
+    return onVirtualFSChange(() => scheduleWorkspaceSave(getGlobalVirtualFS));
+  }, []);
+
   // Exercise system state
   const [currentExercise, setCurrentExercise] = useState('edit');
   const [activeTransforms, setActiveTransforms] = useState([]);
@@ -236,13 +265,14 @@ export const AppProvider = ({ children }) => {
     }
   }, [virtualFS, currentFile]);
   
-  // Reset file content to original
+  // Reset file content to original (one path or an array of paths)
   const resetFileContent = useCallback((resourcePath) => {
     if (!virtualFS) return;
+    const resetPaths = [].concat(resourcePath);
     
     // Reset the file in the virtual filesystem
     const resetFS = (fs) => {
-      if (fs.path === resourcePath) {
+      if (resetPaths.includes(fs.path)) {
         const originalContent = fs.originalContent || fs.content;
         return {
           ...fs,
@@ -269,7 +299,7 @@ export const AppProvider = ({ children }) => {
     setVirtualFS(resetFS(virtualFS));
     
     // Reset current file if it's the one being reset
-    if (currentFile && currentFile.path === resourcePath) {
+    if (currentFile && resetPaths.includes(currentFile.path)) {
       const originalContent = currentFile.originalContent || currentFile.content;
       setCurrentFile(prev => ({
         ...prev,
@@ -283,14 +313,31 @@ export const AppProvider = ({ children }) => {
       }));
     }
     
-    trackStudyAction('file_reset', { path: resourcePath }, { action: 'reset_to_original' });
+    resetPaths.forEach((path) => {
+      trackStudyAction('file_reset', { path }, { action: 'reset_to_original' });
+    });
   }, [virtualFS, currentFile, trackStudyAction]);
   
+  // Reset the whole workspace to the original content source and forget saved work
+  const resetWorkspace = useCallback(async () => {
+    if (!virtualFS) return;
+
+    const editedPaths = clearStudyData(virtualFS);
+    await clearWorkspace(getWorkspaceSource(virtualFS));
+
+    if (editedPaths.length > 0) {
+      resetFileContent(editedPaths);
+    } else {
+      setVirtualFS({ ...virtualFS });
+    }
+  }, [virtualFS, resetFileContent, setVirtualFS]);
+
   // Context value object
   const value = {
     // File system state
     virtualFS,
     setVirtualFS,
+    openWorkspace,
     currentFile,
     setCurrentFile: setCurrentFileWithHistory,
     fileHistory,
@@ -314,6 +361,7 @@ export const AppProvider = ({ children }) => {
     // File modification
     updateFileContent,
     resetFileContent,
+    resetWorkspace,
     
     // Editor preservation
     saveEditorInstance,
@@ -1,4 +1,5 @@
 import { useState, useCallback } from 'preact/hooks';
+import { runPipeline } from '../../transforms/pipeline.js';
 
 /**
  * Exercise Manager - handles exercise component lifecycle and storage
@@ -92,32 +93,24 @@ export const useExerciseManager = () => {
   
   /**
    * Apply transforms to a resource before exercise rendering
+   * Each transform gets its config compiled from defaults and lenses.json;
+   * failed steps are skipped and listed on the result's `pipelineSteps`.
    */
-  const applyTransforms = useCallback(async (resource, transforms) => {
+  const applyTransforms = useCallback(async (resource, transforms, options = {}) => {
     if (!transforms || transforms.length === 0) {
       return resource;
     }
     
-    let transformedResource = { ...resource };
+    const { resource: transformedResource, steps, errors } = await runPipeline(resource, transforms, options);
     
-    // Apply transforms sequentially
-    for (const transformName of transforms) {
-      try {
-        const transformModule = await import(`../../transforms/${transformName}/index.js`);
-        const transformFn = transformModule.default;
-        
-        transformedResource = await transformFn({
-          resource: transformedResource,
-          config: {}, // TODO: Add transform-specific config
-          query: {}   // TODO: Add query parameters
-        });
-      } catch (error) {
-        console.error(`Failed to apply transform: ${transformName}`, error);
-        // Continue with other transforms
-      }
-    }
+    errors.forEach((step) => {
+      console.error(`Failed to apply transform: ${step.name}`, step.error);
+    });
     
-    return transformedResource;
+    return {
+      ...transformedResource,
+      pipelineSteps: steps
+    };
   }, []);
   
   /**
@@ -2,6 +2,9 @@
  * Exercise Registry - central registry for all available exercises and transforms
  */
 
+import { getSiblingFiles } from '../../fs.js';
+import { findReverseFile } from '../utils/reverseEngineering.js';
+
 // Available exercises
 export const EXERCISES = {
   edit: {
@@ -46,12 +49,52 @@ export const EXERCISES = {
     supportedLangs: ['.js', '.py', '.css', '.html', '.json', '.txt', '.md'],
     features: ['print-friendly', 'syntax-highlighting', 'font-scaling', 'line-numbers'],
   },
+  reverse: {
+    name: '7. Reverse',
+    description: 'Call a hidden black box, then write code that behaves the same',
+    supportedLangs: ['.js'],
+    features: ['black-box', 'compare-behaviors', 'loop-guard'],
+    // Only offered when file.re.js sits next to file.js
+    findSibling: findReverseFile,
+  },
+  preview: {
+    name: '8. Preview',
+    description: 'Live preview of the HTML/CSS/JS project in this folder',
+    supportedLangs: ['.html', '.css', '.js'],
+    features: ['live-preview', 'multi-file', 'module-resolution', 'loop-guard'],
+    // Only offered for HTML files and folders with an HTML or CSS file
+    siblingLangs: ['.html', '.css'],
+  },
+  flowchart: {
+    name: '9. Flowchart',
+    description: 'Visual program flow diagram linked back to the code',
+    supportedLangs: ['.js'],
+    features: ['flowchart', 'abstraction-levels', 'node-to-source', 'svg-export', 'png-export'],
+  },
+  pipeline: {
+    name: '10. Pipeline',
+    description: 'Run the lens pipeline configured in lenses.json',
+    supportedLangs: ['.js', '.jsx', '.ts', '.tsx', '.html', '.css', '.json'],
+    features: ['lens-pipeline', 'lenses-json', 'per-step-errors'],
+  },
+  lint: {
+    name: '11. Lint',
+    description: 'Beginner lint rules with explanations and links to the chapters',
+    supportedLangs: ['.js'],
+    features: ['lint', 'inline-diagnostics', 'rule-explanations', 'lenses-json'],
+  },
   flashcards: {
     name: 'Flashcards',
     description: 'Interactive spaced repetition learning with flip cards',
     supportedLangs: ['.md'],
     features: ['spaced-repetition', 'flip-cards', 'leitner-box', 'progress-tracking'],
   },
+  quiz: {
+    name: 'Quiz',
+    description: 'Answer multiple-choice quiz markdown with feedback and scores',
+    supportedLangs: ['.md'],
+    features: ['multiple-choice', 'hidden-feedback', 'attempt-history', 'shuffled-retry', 'folder-scores'],
+  },
   assets: {
     name: 'Assets',
     description: 'View images, documents, videos, and other media files',
@@ -67,12 +110,28 @@ export const PSEUDOCODE_OPTION = {
   supportedLangs: ['.js', '.py'],
 };
 
+/**
+ * Check if the sibling files an exercise needs exist next to a file
+ */
+const hasRequiredSibling = (exercise, path) => {
+  if (!exercise.findSibling && !exercise.siblingLangs) return true;
+  if (!path) return false;
+
+  if (exercise.findSibling) return Boolean(exercise.findSibling(path));
+
+  return [{ name: path }, ...getSiblingFiles(path)].some((file) =>
+    exercise.siblingLangs.some((lang) => file.name.endsWith(lang)),
+  );
+};
+
 /**
  * Get exercises available for a specific language
+ * Pass the file path to also drop exercises whose sibling file is missing
  */
-export const getExercisesForLang = (lang) => {
+export const getExercisesForLang = (lang, path = null) => {
   return Object.entries(EXERCISES)
     .filter(([key, exercise]) => exercise.supportedLangs.includes(lang))
+    .filter(([key, exercise]) => hasRequiredSibling(exercise, path))
     .map(([key, exercise]) => ({ key, ...exercise }));
 };
 
@@ -1,14 +1,21 @@
 import { useEffect, useRef } from 'preact/hooks';
 import { EditorView, keymap } from '@codemirror/view';
-import { EditorState, Compartment } from '@codemirror/state';
+import { EditorState, Compartment, Annotation } from '@codemirror/state';
 import { basicSetup } from 'codemirror';
 import { javascript } from '@codemirror/lang-javascript';
 import { oneDark } from '@codemirror/theme-one-dark';
+import { linter, lintGutter, forceLinting } from '@codemirror/lint';
 import { supportsTouchEvents } from '../utils/featureDetection.js';
+import { mapFileAnnotations } from '../utils/annotations.js';
+
+// Marks content loaded with setValue, which isn't an edit the annotations should follow
+const loadedContent = Annotation.define();
 
 /**
  * CodeMirror 6 hook for Preact
  * Provides modern code editing with syntax highlighting, autocomplete, and linting
+ * Pass the edited file's `filePath` to keep its annotations on their code while editing
+ * Pass `lint`, a function from the code to @codemirror/lint diagnostics, to show them inline
  */
 export function useCodeMirror({
   initialValue = '',
@@ -21,21 +28,34 @@ export function useCodeMirror({
   readonly = false,
   disableCopyPaste = false,
   enableSyntaxHighlighting = true,
+  filePath = null,
+  lint = null,
 }) {
   const editorRef = useRef(null);
   const viewRef = useRef(null);
   const languageCompartment = useRef(new Compartment());
   const themeCompartment = useRef(new Compartment());
+  const lintCompartment = useRef(new Compartment());
   const onChangeRef = useRef(onChange);
   const onSelectionChangeRef = useRef(onSelectionChange);
   const onRunCodeRef = useRef(onRunCode);
   const onFormatCodeRef = useRef(onFormatCode);
+  const filePathRef = useRef(filePath);
+  const lintRef = useRef(lint);
 
   // Keep refs current
   onChangeRef.current = onChange;
   onSelectionChangeRef.current = onSelectionChange;
   onRunCodeRef.current = onRunCode;
   onFormatCodeRef.current = onFormatCode;
+  filePathRef.current = filePath;
+  lintRef.current = lint;
+
+  // The linter always calls the latest lint function
+  const getLintExtension = (enabled) =>
+    enabled
+      ? [linter((view) => lintRef.current?.(view.state.doc.toString()) || []), lintGutter()]
+      : [];
 
   useEffect(() => {
     if (!editorRef.current) return;
@@ -45,6 +65,13 @@ export function useCodeMirror({
       const extensions = [
         basicSetup,
         EditorView.updateListener.of((update) => {
+          if (
+            update.docChanged &&
+            filePathRef.current &&
+            !update.transactions.some((tr) => tr.annotation(loadedContent))
+          ) {
+            mapFileAnnotations(filePathRef.current, update.changes);
+          }
           if (update.docChanged && onChangeRef.current) {
             onChangeRef.current(update.state.doc.toString());
           }
@@ -236,6 +263,7 @@ export function useCodeMirror({
       // Add compartmentalized extensions
       extensions.push(languageCompartment.current.of(getLanguageExtension(enableSyntaxHighlighting)));
       extensions.push(themeCompartment.current.of(getThemeExtension(enableSyntaxHighlighting)));
+      extensions.push(lintCompartment.current.of(getLintExtension(!!lint)));
 
       // Add readonly extension if needed
       if (readonly) {
@@ -315,6 +343,16 @@ export function useCodeMirror({
     }
   }, [language, theme, readonly, enableSyntaxHighlighting, disableCopyPaste]);
 
+  // Lint again when the lint function changes, e.g. once a folder's rules are loaded
+  useEffect(() => {
+    const view = viewRef.current;
+    if (!view) return;
+    view.dispatch({ effects: lintCompartment.current.reconfigure(getLintExtension(!!lint)) });
+    if (lint) {
+      forceLinting(view);
+    }
+  }, [lint]);
+
   // Update content when initialValue changes
   // Removed problematic useEffect that was causing flickering
   // initialValue should only be used for initial render, not for updates
@@ -380,6 +418,7 @@ export function useCodeMirror({
               to: viewRef.current.state.doc.length,
               insert: value,
             },
+            annotations: loadedContent.of(true),
           });
         } catch (error) {
           console.error('❌ useCodeMirror.setValue error:', error);
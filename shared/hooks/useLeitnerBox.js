@@ -1,26 +1,58 @@
 import { useState, useEffect, useCallback } from 'preact/hooks';
 import LeitnerBoxManager from '../utils/LeitnerBoxManager.js';
+import { getLensProgress, saveLensProgress } from '../../fs.js';
 
 /**
  * Hook for managing Leitner box flashcard system
  * @param {string} directoryPath - Path to the flashcard directory
  * @param {Object} leitnerConfig - Configuration from leitner.json
+ * @param {string} stateFilePath - File that keeps the progress, the deck's leitner.json by default
  */
-export const useLeitnerBox = (directoryPath, leitnerConfig = null) => {
+export const useLeitnerBox = (directoryPath, leitnerConfig = null, stateFilePath = null) => {
+  // Progress is kept on a file node so it is saved with the workspace
+  const statePath = stateFilePath || `${directoryPath}/leitner.json`;
+
+  // The lens remounts for every card, so the running session is kept there too
+  const [savedSession] = useState(() => getLensProgress(statePath, 'leitnerSession'));
+
   const [manager] = useState(() => new LeitnerBoxManager(directoryPath));
-  const [currentSession, setCurrentSession] = useState(null);
-  const [currentCardIndex, setCurrentCardIndex] = useState(0);
-  const [isSessionActive, setIsSessionActive] = useState(false);
+  const [currentSession, setCurrentSession] = useState(savedSession?.cards || null);
+  const [currentCardIndex, setCurrentCardIndex] = useState(savedSession?.index || 0);
+  const [isSessionActive, setIsSessionActive] = useState(!!savedSession);
+  const [scheduler, setScheduler] = useState(manager.scheduler);
+  // Bumped whenever the boxes change so components showing them re-render
+  const [, setRevision] = useState(0);
+  const [sessionScore, setSessionScore] = useState({
+    correct: savedSession?.correct || 0,
+    incorrect: savedSession?.incorrect || 0
+  });
+
+  const saveSession = useCallback((session) => {
+    saveLensProgress(statePath, 'leitnerSession', session);
+  }, [statePath]);
 
-  // Initialize manager with configuration
+  // Initialize manager with configuration, then any progress saved from earlier visits
   useEffect(() => {
     if (leitnerConfig) {
       manager.loadConfiguration(leitnerConfig);
     }
-  }, [manager, leitnerConfig]);
+
+    const savedState = getLensProgress(statePath, 'leitner');
+    if (savedState) {
+      manager.loadConfiguration(savedState);
+    }
+    setScheduler(manager.scheduler);
+    setRevision((revision) => revision + 1);
+  }, [manager, leitnerConfig, statePath]);
+
+  const persistState = useCallback(() => {
+    saveLensProgress(statePath, 'leitner', manager.exportState());
+    setRevision((revision) => revision + 1);
+  }, [manager, statePath]);
 
   /**
-   * Start a new study session
+   * Start a new study session with the cards that are due
+   * @returns {string|false} Path of the first card, or false if nothing is due
    */
   const startSession = useCallback((options = {}) => {
     const studyCards = manager.getStudySession(options);
@@ -33,9 +65,11 @@ export const useLeitnerBox = (directoryPath, leitnerConfig = null) => {
     setCurrentSession(studyCards);
     setCurrentCardIndex(0);
     setIsSessionActive(true);
+    setSessionScore({ correct: 0, incorrect: 0 });
+    saveSession({ cards: studyCards, index: 0, correct: 0, incorrect: 0 });
     
-    return true;
-  }, [manager]);
+    return studyCards[0];
+  }, [manager, saveSession]);
 
   /**
    * End the current study session
@@ -44,39 +78,42 @@ export const useLeitnerBox = (directoryPath, leitnerConfig = null) => {
     setCurrentSession(null);
     setCurrentCardIndex(0);
     setIsSessionActive(false);
-  }, []);
+    saveSession(null);
+  }, [saveSession]);
 
   /**
-   * Record response for current card and move to next
+   * Record a response for a card; the lens moves on to the next card itself
+   * @param {string} cardPath - Path to the flashcard file
+   * @param {boolean} correct - Whether the answer was correct
+   * @param {number} quality - Optional SM-2 answer quality 0-5
    */
-  const recordResponse = useCallback((correct) => {
-    if (!currentSession || currentCardIndex >= currentSession.length) {
-      return false;
-    }
-    
-    const currentCard = currentSession[currentCardIndex];
-    manager.recordResponse(currentCard, correct);
-    
-    // Move to next card or end session
-    if (currentCardIndex + 1 >= currentSession.length) {
-      endSession();
-      return true; // Session completed
-    } else {
-      setCurrentCardIndex(prev => prev + 1);
-      return false; // More cards remaining
+  const recordResponse = useCallback((cardPath, correct, quality) => {
+    manager.addNewCard(cardPath);
+    manager.recordResponse(cardPath, correct, quality);
+    persistState();
+
+    if (currentSession && currentSession.includes(cardPath)) {
+      const score = {
+        ...sessionScore,
+        [correct ? 'correct' : 'incorrect']: sessionScore[correct ? 'correct' : 'incorrect'] + 1
+      };
+      setSessionScore(score);
+      saveSession({ cards: currentSession, index: currentCardIndex, ...score });
     }
-  }, [manager, currentSession, currentCardIndex, endSession]);
+  }, [manager, persistState, currentSession, currentCardIndex, sessionScore, saveSession]);
 
   /**
    * Navigate to specific card in current session
+   * @returns {string|false} Path of that card, or false if the index is out of range
    */
   const navigateToCard = useCallback((index) => {
     if (currentSession && index >= 0 && index < currentSession.length) {
       setCurrentCardIndex(index);
-      return true;
+      saveSession({ cards: currentSession, index, ...sessionScore });
+      return currentSession[index];
     }
     return false;
-  }, [currentSession]);
+  }, [currentSession, sessionScore, saveSession]);
 
   /**
    * Get current card information
@@ -101,13 +138,16 @@ export const useLeitnerBox = (directoryPath, leitnerConfig = null) => {
   const getSessionProgress = useCallback(() => {
     const stats = manager.getSessionStats();
     const current = getCurrentCard();
+    const answered = sessionScore.correct + sessionScore.incorrect;
     
     return {
       ...stats,
+      ...sessionScore,
+      accuracy: answered > 0 ? (sessionScore.correct / answered) * 100 : 0,
       currentCard: current,
       progress: current ? Math.round(((current.index + 1) / current.total) * 100) : 0
     };
-  }, [manager, getCurrentCard]);
+  }, [manager, getCurrentCard, sessionScore]);
 
   /**
    * Get overall progress statistics
@@ -124,12 +164,23 @@ export const useLeitnerBox = (directoryPath, leitnerConfig = null) => {
   }, [manager]);
 
   /**
-   * Add a new card to the system
+   * Get how many reviews fall on each of the coming days
    */
-  const addCard = useCallback((cardPath) => {
-    manager.addNewCard(cardPath);
+  const getReviewForecast = useCallback((days) => {
+    return manager.getReviewForecast(days);
   }, [manager]);
 
+  /**
+   * Add new cards to the system, e.g. every card in the deck's folder
+   */
+  const addCards = useCallback((cardPaths) => {
+    const newCards = cardPaths.filter((cardPath) => manager.findCardBox(cardPath) === null);
+    newCards.forEach((cardPath) => manager.addNewCard(cardPath));
+    if (newCards.length > 0) {
+      persistState();
+    }
+  }, [manager, persistState]);
+
   /**
    * Export current state for persistence
    */
@@ -160,9 +211,11 @@ export const useLeitnerBox = (directoryPath, leitnerConfig = null) => {
     getProgressStats,
     getCardsDue,
     getBoxSummary,
+    getReviewForecast,
+    scheduler,
     
     // Card management
-    addCard,
+    addCards,
     
     // State management
     exportState,
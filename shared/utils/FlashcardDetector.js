@@ -1,8 +1,15 @@
 /**
  * Flashcard Directory Detection Utility
- * Detects directories containing leitner.json configuration files
+ * Detects directories containing leitner.json configuration files, and folders
+ * of quiz markdown files that become a deck without one
  */
 
+import { isQuizMarkdown, isQuizPath } from './quizParser.js';
+import { loadFileContent } from '../../fs.js';
+
+// A folder needs at least this many quiz files to be studied as a deck
+const MIN_QUIZ_FILES = 2;
+
 /**
  * Check if a file system node represents a flashcard directory
  * @param {Object} node - File system node (directory)
@@ -71,11 +78,61 @@ export const getFlashcardFiles = (directory) => {
   return markdownFiles;
 };
 
+/**
+ * Get the quiz markdown files directly inside a directory
+ * Files that are not loaded yet (GitHub files load lazily) are judged by their
+ * name, loadDeckFiles fetches them once the deck is opened
+ * @param {Object} directory - Directory node
+ * @returns {Array<Object>} - Quiz file nodes, see quizParser.js for the format
+ */
+export const getQuizFiles = (directory) => {
+  if (!directory || directory.type !== 'directory' || !directory.children) {
+    return [];
+  }
+
+  return directory.children.filter(child =>
+    child.type === 'file' &&
+    child.name.endsWith('.md') &&
+    (child.content ? isQuizMarkdown(child.content) : isQuizPath(child.path))
+  );
+};
+
+/**
+ * Load the content of a deck's files that are not loaded yet
+ * @param {Array<Object>} files - File nodes of the deck
+ * @returns {Promise<boolean>} - True if anything was loaded and the deck should be detected again
+ */
+export const loadDeckFiles = async (files = []) => {
+  const pending = files.filter(file => file.githubRepo && !file.content);
+  if (pending.length === 0) return false;
+  await Promise.all(pending.map(file => loadFileContent(file)));
+  // An empty file stays unloaded, detecting again would not change anything
+  return pending.some(file => file.content);
+};
+
+/**
+ * Check if a directory is a folder of quiz files that can be studied as a deck
+ * @param {Object} node - File system node (directory)
+ * @returns {boolean} - True if this is a quiz directory
+ */
+export const isQuizDirectory = (node) => getQuizFiles(node).length >= MIN_QUIZ_FILES;
+
+/**
+ * Create the leitner.json configuration for a quiz directory, every card starting in box 1
+ * @param {Array<Object>} files - Quiz file nodes
+ * @returns {Object} - Leitner configuration
+ */
+export const createLeitnerConfig = (files) => ({
+  generated: true,
+  boxes: { 1: files.map(file => file.path) }
+});
+
 /**
  * Check if a file path belongs to a flashcard directory
  * @param {string} filePath - File path to check
  * @param {Object} virtualFS - Virtual file system root
- * @returns {Object|null} - Flashcard directory info or null
+ * @returns {Object|null} - Flashcard directory info or null, with `statePath` naming
+ *   the file that keeps the deck's progress and `generated` set for quiz directories
  */
 export const getFlashcardDirectoryForFile = (filePath, virtualFS) => {
   if (!filePath || !virtualFS) {
@@ -95,11 +152,30 @@ export const getFlashcardDirectoryForFile = (filePath, virtualFS) => {
         directory,
         path: dirPath,
         config: getLeitnerConfig(directory),
-        files: getFlashcardFiles(directory)
+        files: getFlashcardFiles(directory),
+        statePath: `${dirPath === '/' ? '' : dirPath}/leitner.json`,
+        generated: false
       };
     }
   }
   
+  // Otherwise a quiz file is a card in a deck made from its own folder
+  const dirPath = '/' + pathParts.slice(0, -1).join('/');
+  const directory = findNodeByPath(virtualFS, dirPath);
+  const quizFiles = getQuizFiles(directory);
+  
+  if (quizFiles.length >= MIN_QUIZ_FILES && quizFiles.some(file => file.path === filePath)) {
+    return {
+      directory,
+      path: dirPath,
+      config: createLeitnerConfig(quizFiles),
+      files: quizFiles,
+      // There is no leitner.json to keep progress on, so the first card keeps it
+      statePath: quizFiles[0].path,
+      generated: true
+    };
+  }
+  
   return null;
 };
 
@@ -1,8 +1,46 @@
 /**
  * Leitner Box Manager - Handles spaced repetition learning system
  * Based on the Leitner box methodology for efficient memorization
+ *
+ * Every card gets a review schedule ({ due, lastReviewed, ... }) and sessions
+ * only contain cards that are due. leitner.json can configure scheduling:
+ *
+ *   {
+ *     "scheduler": "leitner",                  // or "sm2" for ease-factor scheduling
+ *     "intervals": { "1": 0, "2": 1, "3": 3 }, // days until a card in each box is due again
+ *     "sm2": { "initialEase": 2.5, "minimumEase": 1.3 },
+ *     "boxes": { "1": ["/deck/card.md"] }
+ *   }
  */
 
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days until a card in each box is due again
+export const DEFAULT_INTERVALS = {
+  1: 0,  // Always available for study
+  2: 1,  // 1 day
+  3: 3,  // 3 days
+  4: 7,  // 1 week
+  5: 14, // 2 weeks
+  6: 30, // 1 month
+  7: 90  // 3 months
+};
+
+export const SCHEDULERS = ['leitner', 'sm2'];
+
+const DEFAULT_SM2 = { initialEase: 2.5, minimumEase: 1.3 };
+
+// Answer quality for SM-2, 0 (blackout) to 5 (perfect); booleans map to these
+export const QUALITY = { again: 1, hard: 3, good: 4, easy: 5 };
+
+// Local calendar day, used to group reviews in the forecast
+const toDateKey = (time) => {
+  const date = new Date(time);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
 class LeitnerBoxManager {
   constructor(baseDirectory = '') {
     this.baseDirectory = baseDirectory;
@@ -16,6 +54,10 @@ class LeitnerBoxManager {
       7: []  // Cards answered correctly 6+ times (mastered)
     };
     this.studyHistory = [];
+    this.cards = {}; // Review schedule per card path
+    this.scheduler = 'leitner';
+    this.intervals = { ...DEFAULT_INTERVALS };
+    this.sm2 = { ...DEFAULT_SM2 };
     this.currentSession = {
       studiedCards: [],
       correct: 0,
@@ -36,7 +78,26 @@ class LeitnerBoxManager {
     if (leitnerConfig && leitnerConfig.studyHistory) {
       this.studyHistory = leitnerConfig.studyHistory || [];
     }
-    
+
+    if (leitnerConfig && leitnerConfig.cards) {
+      this.cards = { ...this.cards, ...leitnerConfig.cards };
+    }
+
+    if (leitnerConfig && SCHEDULERS.includes(leitnerConfig.scheduler)) {
+      this.scheduler = leitnerConfig.scheduler;
+    }
+
+    if (leitnerConfig && leitnerConfig.intervals) {
+      Object.entries(leitnerConfig.intervals).forEach(([boxNumber, days]) => {
+        if (this.boxes[boxNumber] && Number.isFinite(Number(days))) {
+          this.intervals[boxNumber] = Number(days);
+        }
+      });
+    }
+
+    if (leitnerConfig && leitnerConfig.sm2) {
+      this.sm2 = { ...this.sm2, ...leitnerConfig.sm2 };
+    }
   }
 
   /**
@@ -60,48 +121,26 @@ class LeitnerBoxManager {
 
   /**
    * Get cards for study session based on spaced repetition algorithm
+   * Only due cards are included: lower boxes first, then the most overdue.
    * @param {Object} options - Study session options
    * @param {number} options.maxCards - Maximum cards per session (default: 20)
-   * @param {Array<number>} options.priorityBoxes - Which boxes to study (default: [1,2,3])
-   * @param {boolean} options.includeReview - Include higher-level boxes for review
+   * @param {Array<number>} options.priorityBoxes - Only study these boxes (default: all)
+   * @param {number} options.now - Time to check due dates against (default: now)
    */
   getStudySession(options = {}) {
     const {
       maxCards = 20,
-      priorityBoxes = [1, 2, 3],
-      includeReview = false
+      priorityBoxes = null,
+      now = Date.now()
     } = options;
 
-    let studyCards = [];
-    
-    // Add cards from priority boxes first (boxes with newer/harder cards)
-    for (const boxNumber of priorityBoxes) {
-      const boxCards = this.boxes[boxNumber] || [];
-      const remainingSlots = maxCards - studyCards.length;
-      
-      if (remainingSlots <= 0) break;
-      
-      // Shuffle cards and take up to remaining slots
-      const shuffledCards = this.shuffleArray([...boxCards]);
-      studyCards = studyCards.concat(shuffledCards.slice(0, remainingSlots));
-    }
-    
-    // If including review and we still have slots, add from higher boxes
-    if (includeReview && studyCards.length < maxCards) {
-      const reviewBoxes = [4, 5, 6, 7];
-      for (const boxNumber of reviewBoxes) {
-        const boxCards = this.boxes[boxNumber] || [];
-        const remainingSlots = maxCards - studyCards.length;
-        
-        if (remainingSlots <= 0) break;
-        
-        // Take fewer cards from review boxes (they're already well-known)
-        const reviewCount = Math.min(Math.ceil(remainingSlots / 4), boxCards.length);
-        const shuffledCards = this.shuffleArray([...boxCards]);
-        studyCards = studyCards.concat(shuffledCards.slice(0, reviewCount));
-      }
-    }
-    
+    const studyCards = this.shuffleArray(this.getCardsDueForReview(now))
+      .map(cardPath => ({ cardPath, box: this.findCardBox(cardPath), due: this.getCardSchedule(cardPath).due }))
+      .filter(({ box }) => !priorityBoxes || priorityBoxes.includes(box))
+      .sort((a, b) => a.box - b.box || a.due - b.due)
+      .slice(0, maxCards)
+      .map(({ cardPath }) => cardPath);
+
     // Start new session
     this.currentSession = {
       studiedCards: [],
@@ -110,7 +149,7 @@ class LeitnerBoxManager {
       startTime: Date.now(),
       sessionCards: studyCards
     };
-    
+
     return studyCards;
   }
 
@@ -118,47 +157,131 @@ class LeitnerBoxManager {
    * Record response to a flashcard
    * @param {string} cardPath - Path to the flashcard file
    * @param {boolean} correct - Whether the answer was correct
+   * @param {number} quality - SM-2 answer quality 0-5 (default: good or again from `correct`)
    */
-  recordResponse(cardPath, correct) {
+  recordResponse(cardPath, correct, quality = correct ? QUALITY.good : QUALITY.again) {
     const currentBox = this.findCardBox(cardPath);
-    
+
     if (currentBox === null) {
       console.warn('Card not found in any box:', cardPath);
       return;
     }
-    
-    // Remove card from current box
+
+    const now = Date.now();
+
+    // Move card based on response: up a box (to 7) when correct, back to box 1 otherwise
+    const nextBox = correct ? Math.min(currentBox + 1, 7) : 1;
     this.boxes[currentBox] = this.boxes[currentBox].filter(card => card !== cardPath);
-    
-    // Move card based on response
+    this.boxes[nextBox].push(cardPath);
+
     if (correct) {
-      // Move to next box (up to box 7)
-      const nextBox = Math.min(currentBox + 1, 7);
-      this.boxes[nextBox].push(cardPath);
       this.currentSession.correct++;
     } else {
-      // Move back to box 1 (needs more practice)
-      this.boxes[1].push(cardPath);
       this.currentSession.incorrect++;
     }
-    
+
+    this.cards[cardPath] = this.scheduler === 'sm2'
+      ? this.scheduleSM2(this.getCardSchedule(cardPath), quality, now)
+      : this.scheduleLeitner(this.getCardSchedule(cardPath), correct, nextBox, now);
+
     // Record in session
     this.currentSession.studiedCards.push({
       cardPath,
       correct,
-      timestamp: Date.now()
+      timestamp: now
     });
-    
+
     // Add to study history
     this.studyHistory.push({
       cardPath,
       correct,
+      quality,
       fromBox: currentBox,
-      toBox: correct ? Math.min(currentBox + 1, 7) : 1,
-      timestamp: Date.now()
+      toBox: nextBox,
+      timestamp: now
     });
   }
 
+  /**
+   * Get a card's review schedule, starting one for cards never reviewed
+   * Cards from older saved state fall back to their last review in the study history.
+   * @param {string} cardPath - Path to the flashcard file
+   * @returns {Object} { due, lastReviewed, reviews, lapses, repetitions, interval, ease }
+   */
+  getCardSchedule(cardPath) {
+    if (this.cards[cardPath]) {
+      return this.cards[cardPath];
+    }
+
+    const lastStudy = this.studyHistory
+      .filter(entry => entry.cardPath === cardPath)
+      .sort((a, b) => b.timestamp - a.timestamp)[0];
+    const box = this.findCardBox(cardPath) || 1;
+    const interval = this.intervals[box] || 0;
+
+    return {
+      due: lastStudy ? lastStudy.timestamp + interval * DAY : 0,
+      lastReviewed: lastStudy ? lastStudy.timestamp : null,
+      reviews: 0,
+      lapses: 0,
+      repetitions: 0,
+      interval,
+      ease: this.sm2.initialEase
+    };
+  }
+
+  /**
+   * Next schedule in Leitner mode: due after the interval configured for the new box
+   */
+  scheduleLeitner(schedule, correct, box, now) {
+    const interval = this.intervals[box] || 0;
+    return {
+      ...schedule,
+      due: now + interval * DAY,
+      lastReviewed: now,
+      reviews: schedule.reviews + 1,
+      lapses: schedule.lapses + (correct ? 0 : 1),
+      repetitions: correct ? schedule.repetitions + 1 : 0,
+      interval
+    };
+  }
+
+  /**
+   * Next schedule with SM-2: intervals of 1 and 6 days, then growing by the card's ease
+   * factor, which rises for easy answers and falls for hard ones
+   */
+  scheduleSM2(schedule, quality, now) {
+    const q = Math.max(0, Math.min(5, quality));
+    const ease = Math.max(
+      this.sm2.minimumEase,
+      schedule.ease + (0.1 - (5 - q) * (0.08 + (5 - q) * 0.02))
+    );
+
+    let repetitions = schedule.repetitions + 1;
+    let interval;
+    if (q < 3) {
+      repetitions = 0;
+      interval = 1;
+    } else if (repetitions === 1) {
+      interval = 1;
+    } else if (repetitions === 2) {
+      interval = 6;
+    } else {
+      interval = Math.round(schedule.interval * ease);
+    }
+
+    return {
+      ...schedule,
+      due: now + interval * DAY,
+      lastReviewed: now,
+      reviews: schedule.reviews + 1,
+      lapses: schedule.lapses + (q < 3 ? 1 : 0),
+      repetitions,
+      interval,
+      ease
+    };
+  }
+
   /**
    * Find which box a card is currently in
    * @param {string} cardPath - Path to the flashcard file
@@ -201,38 +324,42 @@ class LeitnerBoxManager {
 
   /**
    * Get cards due for review based on spaced repetition intervals
+   * @param {number} now - Time to check due dates against (default: now)
    * @returns {Array<string>} - Array of card paths due for review
    */
-  getCardsDueForReview() {
-    const now = Date.now();
-    const durations = {
-      1: 0,           // Always available for study
-      2: 1 * 24 * 60 * 60 * 1000,      // 1 day
-      3: 3 * 24 * 60 * 60 * 1000,      // 3 days  
-      4: 7 * 24 * 60 * 60 * 1000,      // 1 week
-      5: 14 * 24 * 60 * 60 * 1000,     // 2 weeks
-      6: 30 * 24 * 60 * 60 * 1000,     // 1 month
-      7: 90 * 24 * 60 * 60 * 1000      // 3 months
-    };
-    
-    const dueCards = [];
-    
-    Object.entries(this.boxes).forEach(([boxNumber, cards]) => {
-      const reviewInterval = durations[parseInt(boxNumber)];
-      
-      cards.forEach(cardPath => {
-        // Find last study time for this card
-        const lastStudy = this.studyHistory
-          .filter(entry => entry.cardPath === cardPath)
-          .sort((a, b) => b.timestamp - a.timestamp)[0];
-        
-        if (!lastStudy || (now - lastStudy.timestamp) >= reviewInterval) {
-          dueCards.push(cardPath);
-        }
-      });
+  getCardsDueForReview(now = Date.now()) {
+    return Object.values(this.boxes)
+      .flat()
+      .filter(cardPath => this.getCardSchedule(cardPath).due <= now);
+  }
+
+  /**
+   * Count reviews coming up on each of the next days, overdue cards counting for today
+   * @param {number} days - How many days to forecast (default: 14)
+   * @param {number} now - Start of the forecast (default: now)
+   * @returns {Array<Object>} - { date: 'YYYY-MM-DD', count } per day
+   */
+  getReviewForecast(days = 14, now = Date.now()) {
+    const forecast = [];
+    const start = new Date(now);
+    start.setHours(0, 0, 0, 0);
+
+    for (let i = 0; i < days; i++) {
+      const day = new Date(start);
+      day.setDate(start.getDate() + i);
+      forecast.push({ date: toDateKey(day.getTime()), count: 0 });
+    }
+
+    const byDate = new Map(forecast.map(entry => [entry.date, entry]));
+    Object.values(this.boxes).flat().forEach(cardPath => {
+      const { due } = this.getCardSchedule(cardPath);
+      const entry = due <= now ? forecast[0] : byDate.get(toDateKey(due));
+      if (entry) {
+        entry.count++;
+      }
     });
-    
-    return dueCards;
+
+    return forecast;
   }
 
   /**
@@ -241,9 +368,10 @@ class LeitnerBoxManager {
   exportState() {
     return {
       boxes: this.boxes,
+      cards: this.cards,
       studyHistory: this.studyHistory,
       lastUpdated: Date.now(),
-      version: '1.0.0'
+      version: '2.0.0'
     };
   }
 
@@ -0,0 +1,305 @@
+/**
+ * Annotations - Highlights, notes and freehand marks anchored to the source
+ * Every annotation has an `anchor`, the { from, to } character range of the code
+ * it belongs to, so fonts, window sizes and view modes don't move it. Edits made
+ * in a CodeMirror editor move anchors through the editor's change set, and lenses
+ * turn anchors into lines and columns (or flowchart shapes) when they draw them.
+ *
+ *   highlight: { id, type: 'highlight', anchor, color, timestamp }
+ *   note:      { id, type: 'note', anchor, point, text, color, timestamp }
+ *   code mark: { id, tool: 'pen', anchor, points, color, timestamp }
+ *     point(s) are { line, col } in lines and columns from the anchor's start
+ *   flowchart mark: { id, tool: 'pen', anchor, points, color, timestamp }
+ *     points are { x, y } pixels from the top left of the anchor's shape
+ *
+ * Annotations saved before anchors existed have pixel positions and no anchor,
+ * they are still drawn where they were made.
+ */
+
+import { findFile, saveFileStudyData } from '../../fs.js';
+
+// Where annotations are saved on a file node
+export const ANNOTATION_KEYS = [
+  'codeAnnotations',
+  'codeDrawingPaths',
+  'flowchartAnnotations',
+  'flowchartDrawingPaths',
+];
+
+// Colors end up in style attributes, so only hex colors like the palette's are kept
+const COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+
+/**
+ * Check if a color is a hex color
+ * @param {*} color
+ * @returns {boolean}
+ */
+export const isColor = (color) => typeof color === 'string' && COLOR_PATTERN.test(color);
+
+/**
+ * Drop annotations whose color is not a hex color, for annotations from a file
+ * @param {*} annotations - Saved annotations or drawing paths
+ * @returns {Array<Object>}
+ */
+export const withValidColors = (annotations) => {
+  if (!Array.isArray(annotations)) return [];
+  return annotations.filter(
+    (annotation) =>
+      typeof annotation === 'object' &&
+      annotation !== null &&
+      (annotation.color === undefined || isColor(annotation.color)),
+  );
+};
+
+/**
+ * Check if an annotation is anchored to the source
+ * @param {Object} annotation
+ * @returns {boolean} False for annotations saved with pixel positions
+ */
+export const isAnchored = (annotation) =>
+  !!annotation?.anchor && typeof annotation.anchor.from === 'number';
+
+/**
+ * Line and column of a character offset
+ * @param {string} code
+ * @param {number} offset
+ * @returns {Object} { line, col } with 1-based lines and 0-based columns
+ */
+export const positionAt = (code, offset) => {
+  const before = code.slice(0, Math.max(0, Math.min(offset, code.length)));
+  const lines = before.split('\n');
+  return { line: lines.length, col: lines[lines.length - 1].length };
+};
+
+/**
+ * Character offset of a line and column, clamped to the code
+ * @param {string} code
+ * @param {number} line - 1-based
+ * @param {number} col - 0-based, Infinity for the end of the line
+ * @returns {number}
+ */
+export const offsetAt = (code, line, col = 0) => {
+  const lines = code.split('\n');
+  const index = Math.min(Math.max(Math.floor(line), 1), lines.length) - 1;
+
+  let offset = 0;
+  for (let i = 0; i < index; i++) {
+    offset += lines[i].length + 1;
+  }
+  return offset + Math.min(Math.max(Math.round(col), 0), lines[index].length);
+};
+
+/**
+ * The anchor for a whole line
+ * @param {string} code
+ * @param {number} line - 1-based
+ * @returns {Object} { from, to }
+ */
+export const lineAnchor = (code, line) => ({
+  from: offsetAt(code, line, 0),
+  to: offsetAt(code, line, Infinity),
+});
+
+/**
+ * First and last line of an anchor
+ * @param {string} code
+ * @param {Object} anchor - { from, to }
+ * @returns {Object} { start, end }
+ */
+export const anchorLines = (code, anchor) => ({
+  start: positionAt(code, anchor.from).line,
+  end: positionAt(code, anchor.to).line,
+});
+
+/**
+ * Move an anchor through a CodeMirror change set
+ * @param {Object} anchor - { from, to }
+ * @param {ChangeSet} changes - From a CodeMirror transaction or view update
+ * @returns {Object|null} The new anchor, null if all of its code was deleted
+ */
+export const mapAnchor = (anchor, changes) => {
+  const from = changes.mapPos(anchor.from, 1);
+  const to = changes.mapPos(anchor.to, -1);
+  if (anchor.to > anchor.from && to <= from) {
+    return null;
+  }
+  return { from, to: Math.max(from, to) };
+};
+
+/**
+ * Move a list of annotations through a change set
+ * @param {Array<Object>} annotations
+ * @param {ChangeSet} changes
+ * @returns {Array<Object>} Without the annotations whose code was deleted
+ */
+export const mapAnnotations = (annotations = [], changes) =>
+  annotations
+    .map((annotation) => {
+      if (!isAnchored(annotation)) return annotation;
+      const anchor = mapAnchor(annotation.anchor, changes);
+      return anchor ? { ...annotation, anchor } : null;
+    })
+    .filter(Boolean);
+
+/**
+ * Move a file's saved annotations through an edit made in an editor
+ * @param {string} path - Virtual FS path of the edited file
+ * @param {ChangeSet} changes
+ */
+export const mapFileAnnotations = (path, changes) => {
+  const file = findFile(path);
+  if (!file) return;
+
+  const updates = {};
+  for (const key of ANNOTATION_KEYS) {
+    if (Array.isArray(file[key]) && file[key].some(isAnchored)) {
+      updates[key] = mapAnnotations(file[key], changes);
+    }
+  }
+
+  if (Object.keys(updates).length > 0) {
+    saveFileStudyData(path, updates);
+  }
+};
+
+/**
+ * Anchor highlights saved with a line number
+ * @param {Array<Object>} annotations
+ * @param {string} code - The code the line numbers were for
+ * @returns {Array<Object>}
+ */
+export const upgradeAnnotations = (annotations = [], code = '') =>
+  annotations.map((annotation) =>
+    !isAnchored(annotation) && annotation.type === 'highlight' && annotation.lineNumber
+      ? { ...annotation, anchor: lineAnchor(code, annotation.lineNumber) }
+      : annotation,
+  );
+
+/**
+ * Lines shown for a source line, pseudocode can show one line as several
+ * @param {number} line - Source line
+ * @param {Array<number>} lineMap - lineMap[i] is the source line of shown line i + 1,
+ *   null when the source itself is shown
+ * @returns {Array<number>} Shown lines, empty if the line isn't shown
+ */
+export const shownLines = (line, lineMap = null) => {
+  if (!lineMap) return [line];
+  return lineMap.flatMap((source, index) => (source === line ? [index + 1] : []));
+};
+
+/**
+ * The source line of a shown line
+ * @param {number} line - Shown line
+ * @param {Array<number>} lineMap - See shownLines
+ * @returns {number}
+ */
+export const sourceLine = (line, lineMap = null) => {
+  if (!lineMap) return line;
+  return lineMap[Math.min(Math.max(line, 1), lineMap.length) - 1] || 1;
+};
+
+/**
+ * Where an anchor starts in the shown code
+ * @param {string} code - The source
+ * @param {Object} anchor
+ * @param {Array<number>} lineMap - See shownLines
+ * @returns {Object|null} { line, col } of the shown code, null if it isn't shown
+ */
+export const anchorOrigin = (code, anchor, lineMap = null) => {
+  const { line, col } = positionAt(code, anchor.from);
+  const [shown] = shownLines(line, lineMap);
+  return shown ? { line: shown, col } : null;
+};
+
+/**
+ * Rows and columns of an annotation's points in the shown code
+ * Rows count down from the top of the first line, in lines
+ * @param {string} code - The source
+ * @param {Object} annotation - A note or code mark
+ * @param {Array<number>} lineMap - See shownLines
+ * @returns {Array<Object>|null} [{ row, col }], null if the anchor isn't shown
+ */
+export const annotationPoints = (code, annotation, lineMap = null) => {
+  const origin = anchorOrigin(code, annotation.anchor, lineMap);
+  if (!origin) return null;
+
+  const points = annotation.points || (annotation.point ? [annotation.point] : []);
+  return points.map((point) => ({
+    row: origin.line - 1 + point.line,
+    col: origin.col + point.col,
+  }));
+};
+
+/**
+ * Points relative to an anchor, the opposite of annotationPoints
+ * @param {string} code - The source
+ * @param {Object} anchor
+ * @param {Array<Object>} points - [{ row, col }] in the shown code
+ * @param {Array<number>} lineMap - See shownLines
+ * @returns {Array<Object>} [{ line, col }]
+ */
+export const relativePoints = (code, anchor, points, lineMap = null) => {
+  const origin = anchorOrigin(code, anchor, lineMap) || { line: 1, col: 0 };
+  return points.map((point) => ({
+    line: point.row - (origin.line - 1),
+    col: point.col - origin.col,
+  }));
+};
+
+/**
+ * Shown lines covered by each highlight
+ * @param {string} code - The source
+ * @param {Array<Object>} annotations
+ * @param {Array<number>} lineMap - See shownLines
+ * @returns {Map} shown line -> the highlight drawn on it, the newest wins
+ */
+export const highlightedLines = (code, annotations = [], lineMap = null) => {
+  const lines = new Map();
+  annotations
+    .filter((annotation) => annotation.type === 'highlight' && isAnchored(annotation))
+    .forEach((highlight) => {
+      const { start, end } = anchorLines(code, highlight.anchor);
+      for (let line = start; line <= end; line++) {
+        shownLines(line, lineMap).forEach((shown) => lines.set(shown, highlight));
+      }
+    });
+  return lines;
+};
+
+/**
+ * The innermost flowchart shape with some code in it
+ * @param {Array<Object>} shapes - From buildFlowchart, ranges relative to the charted code
+ * @param {number} position - Character offset in the file
+ * @param {number} offset - Where the charted code starts in the file
+ * @returns {Object|null}
+ */
+export const shapeAt = (shapes = [], position, offset = 0) =>
+  shapes
+    .filter(
+      (shape) =>
+        shape.range &&
+        shape.range.from + offset <= position &&
+        position <= shape.range.to + offset,
+    )
+    .sort((a, b) => a.range.to - a.range.from - (b.range.to - b.range.from))[0] || null;
+
+/**
+ * Flowchart shapes that start inside a highlight
+ * @param {Array<Object>} shapes - From buildFlowchart
+ * @param {Array<Object>} annotations
+ * @param {number} offset - Where the charted code starts in the file
+ * @returns {Array<Object>} [{ shape, highlight }]
+ */
+export const highlightedShapes = (shapes = [], annotations = [], offset = 0) =>
+  annotations
+    .filter((annotation) => annotation.type === 'highlight' && isAnchored(annotation))
+    .flatMap((highlight) =>
+      shapes
+        .filter(
+          (shape) =>
+            shape.range &&
+            highlight.anchor.from <= shape.range.from + offset &&
+            shape.range.from + offset <= highlight.anchor.to,
+        )
+        .map((shape) => ({ shape, highlight })),
+    );
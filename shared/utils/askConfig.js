@@ -0,0 +1,36 @@
+/**
+ * Ask Config - What the Ask panel asks about in a folder
+ * Read from the `ask` entry in lenses.json and from ask.json files, both merged
+ * from the root down to the file's folder. ask.json wins over lenses.json.
+ * e.g. { "levels": [1, 2], "operators": false, "seed": "fall", "questions": { ... } }
+ * See public/static/ask/component/configure-questions.js for every option.
+ */
+
+import { loadConfigFromVirtualFS, deepMerge } from '../../config/index.js';
+
+/**
+ * Load the ask config for a file
+ * @param {string} filePath - Virtual FS path of the file
+ * @param {Object} virtualFS - Virtual file system root
+ * @returns {Promise<Object>} The merged ask config, {} if there is none
+ */
+export const loadAskConfig = async (filePath, virtualFS) => {
+  if (!filePath || !virtualFS) return {};
+
+  const lensesConfig = await loadConfigFromVirtualFS(filePath, virtualFS);
+  const askConfig = await loadConfigFromVirtualFS(filePath, virtualFS, 'ask.json');
+
+  return deepMerge(lensesConfig.ask || {}, askConfig);
+};
+
+/**
+ * The seed for one question, the same for everyone asking about this file
+ * @param {Object} askConfig - From loadAskConfig
+ * @param {string} filePath - The file the questions are about
+ * @param {number} index - How many questions were asked about it before this one
+ * @returns {string|null} null when the config has no seed
+ */
+export const questionSeed = (askConfig, filePath, index) => {
+  if (askConfig?.seed === undefined || askConfig.seed === null) return null;
+  return `${askConfig.seed}:${filePath}:${index}`;
+};
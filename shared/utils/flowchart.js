@@ -0,0 +1,219 @@
+/**
+ * Flowchart - js2flowchart wrapper that remembers where every shape came from
+ * js2flowchart does not keep source locations, so each flow tree node is matched
+ * back to the Babel AST node it was built from (same type, and source text that
+ * matches the node's label).
+ */
+
+import {
+  ABSTRACTION_LEVELS,
+  TOKEN_TYPES,
+  createFlowTreeBuilder,
+  createSVGRender
+} from 'js2flowchart';
+
+/**
+ * Abstraction levels offered to learners
+ */
+export const FLOWCHART_LEVELS = {
+  functions: {
+    label: 'Functions only',
+    level: [ABSTRACTION_LEVELS.FUNCTION, ABSTRACTION_LEVELS.CLASS]
+  },
+  'control-flow': {
+    label: 'Control flow only',
+    level: [
+      ABSTRACTION_LEVELS.FUNCTION,
+      TOKEN_TYPES.CONDITIONAL,
+      TOKEN_TYPES.LOOP,
+      TOKEN_TYPES.SWITCH_STATEMENT,
+      TOKEN_TYPES.SWITCH_CASE,
+      TOKEN_TYPES.TRY_STATEMENT,
+      TOKEN_TYPES.CATCH_CLAUSE,
+      TOKEN_TYPES.RETURN,
+      TOKEN_TYPES.BREAK,
+      TOKEN_TYPES.CONTINUE,
+      TOKEN_TYPES.THROW_STATEMENT
+    ]
+  },
+  full: {
+    label: 'Full detail',
+    level: null
+  }
+};
+
+// Quotes, whitespace, semicolons and parentheses differ between the source and js2flowchart's labels
+const normalize = (text = '') => text.replace(/[\s;'"`()]/g, '');
+
+// `f = (n) =>` labels an arrow function whose source starts at `(n) =>`
+const overlaps = (label, source, minimum = 3) => {
+  for (let size = Math.min(label.length, source.length); size >= minimum; size--) {
+    if (label.endsWith(source.slice(0, size))) return true;
+  }
+  return false;
+};
+
+/**
+ * Every AST node in source order
+ * @param {Object} node - Babel AST node
+ * @param {Array<Object>} nodes - Accumulator
+ * @returns {Array<Object>} Nodes with a location
+ */
+const collectNodes = (node, nodes = []) => {
+  if (!node || typeof node !== 'object') return nodes;
+
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectNodes(child, nodes));
+    return nodes;
+  }
+
+  if (typeof node.type === 'string' && typeof node.start === 'number') {
+    nodes.push(node);
+  }
+
+  for (const key of Object.keys(node)) {
+    if (['loc', 'extra', 'comments', 'leadingComments', 'trailingComments', 'innerComments'].includes(key)) {
+      continue;
+    }
+    collectNodes(node[key], nodes);
+  }
+
+  return nodes;
+};
+
+/**
+ * Match every flow tree node to the AST node it was built from
+ * @param {Object} flowTree - js2flowchart flow tree
+ * @param {Object} ast - Babel AST the flow tree was built from
+ * @param {string} code - Source code
+ * @returns {Map} flow tree node -> { from, to } character offsets
+ */
+const mapFlowTreeToSource = (flowTree, ast, code) => {
+  const astNodes = collectNodes(ast.program);
+  const used = new Set();
+  const ranges = new Map();
+
+  const visit = (flowNode, within) => {
+    let range = within;
+
+    if (flowNode.type === TOKEN_TYPES.PROGRAM) {
+      range = { from: 0, to: code.length };
+      ranges.set(flowNode, range);
+    } else {
+      const type = flowNode.subType || flowNode.type;
+      const label = normalize(flowNode.name);
+      const source = (node) => normalize(code.slice(node.start, node.end));
+      const candidates = astNodes.filter(
+        (node) => node.type === type && !used.has(node) && node.start >= within.from && node.end <= within.to
+      );
+      // Labels are the node itself (`i++`), a piece of it (`(a > 1)` for an if),
+      // the node plus some context (`const r = add(1, 2)` for a declarator)
+      // or some context plus the start of the node (`f = (n) =>`)
+      const match =
+        candidates.find((node) => source(node) === label) ||
+        candidates.find((node) => label && source(node).includes(label)) ||
+        candidates.find((node) => source(node) && label.includes(source(node))) ||
+        candidates.find((node) => overlaps(label, source(node))) ||
+        (!label ? candidates[0] : null);
+
+      if (match) {
+        used.add(match);
+        range = { from: match.start, to: match.end };
+        ranges.set(flowNode, range);
+      }
+    }
+
+    (flowNode.body || []).forEach((child) => visit(child, range));
+  };
+
+  visit(flowTree, { from: 0, to: code.length });
+  return ranges;
+};
+
+/**
+ * Build a flowchart for some code
+ * @param {string} code - JavaScript source
+ * @param {string} levelName - Key of FLOWCHART_LEVELS
+ * @returns {Object} { svg, width, height, shapes } - shapes as
+ *   { name, x, y, width, height, range } with range = { from, to } or null
+ * @throws {SyntaxError} If the code cannot be parsed
+ */
+export const buildFlowchart = (code, levelName = 'full') => {
+  const builder = createFlowTreeBuilder();
+  const { level } = FLOWCHART_LEVELS[levelName] || FLOWCHART_LEVELS.full;
+  if (level) builder.setAbstractionLevel(level);
+
+  const ast = builder.buildAst(code);
+  const flowTree = builder.buildFlowTreeFromAst(ast);
+  const ranges = mapFlowTreeToSource(flowTree, ast, code);
+
+  const shapesTree = createSVGRender().buildShapesTree(flowTree);
+  const svg = shapesTree.print();
+
+  const shapes = shapesTree.getShapes().map((shape) => {
+    const { x, y } = shape.getPosition();
+    const { w, h } = shape.getDimensions();
+    return {
+      name: shape.getName(),
+      x,
+      y,
+      width: w,
+      height: h,
+      range: ranges.get(shape.getNode()) || null
+    };
+  });
+
+  const size = svg.match(/width="(\d+(?:\.\d+)?)" height="(\d+(?:\.\d+)?)"/);
+
+  return {
+    svg,
+    width: size ? Number(size[1]) : 0,
+    height: size ? Number(size[2]) : 0,
+    shapes
+  };
+};
+
+/**
+ * Find the innermost shape under a point in flowchart coordinates
+ * @param {Array<Object>} shapes - Shapes from buildFlowchart
+ * @param {number} x
+ * @param {number} y
+ * @returns {Object|null} Smallest shape containing the point
+ */
+export const findShapeAt = (shapes = [], x, y) =>
+  shapes
+    .filter((shape) => x >= shape.x && x <= shape.x + shape.width && y >= shape.y && y <= shape.y + shape.height)
+    .sort((a, b) => a.width * a.height - b.width * b.height)[0] || null;
+
+/**
+ * Render an SVG string to a PNG
+ * @param {string} svg - SVG markup
+ * @param {number} width - SVG width
+ * @param {number} height - SVG height
+ * @param {number} scale - Pixel density of the image
+ * @returns {Promise<Blob>} PNG image
+ */
+export const svgToPng = (svg, width, height, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: 'image/svg+xml' }));
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const context = canvas.getContext('2d');
+      context.fillStyle = '#ffffff';
+      context.fillRect(0, 0, canvas.width, canvas.height);
+      context.drawImage(image, 0, 0, canvas.width, canvas.height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not create PNG'))), 'image/png');
+    };
+
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error('Could not render SVG'));
+    };
+
+    image.src = url;
+  });
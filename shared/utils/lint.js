@@ -0,0 +1,238 @@
+/**
+ * Lint - A beginner ruleset checked in the browser
+ * Only a few of ESLint's rules are offered, each with a plain-language explanation
+ * and the chapter to read. They are checked by ESLint's Linter, the part of
+ * ESLint that runs in a browser, so a folder's settings work like an ESLint config.
+ *
+ * Configured with the `lint` entry in lenses.json, merged from the root down:
+ * e.g. { "lint": { "rules": { "strict": "off", "prefer-const": "error" },
+ *                  "globals": ["describe", "it"],
+ *                  "chapters": { "eqeqeq": "/2-operators/README.md" } } }
+ * A rule can have ESLint's options too, e.g. "eqeqeq": ["error", "smart"].
+ */
+
+import { Linter } from 'eslint/universal';
+import { loadConfigFromVirtualFS, deepMerge } from '../../config/index.js';
+
+// Variables every page has, teachers can add more with `globals`
+export const BROWSER_GLOBALS = [
+  'alert', 'confirm', 'prompt', 'console', 'window', 'document', 'globalThis',
+  'undefined', 'NaN', 'Infinity', 'Math', 'JSON', 'Number', 'String', 'Boolean',
+  'Symbol', 'BigInt', 'Array', 'Object', 'Function', 'Date', 'RegExp', 'Map',
+  'Set', 'WeakMap', 'WeakSet', 'Promise', 'Proxy', 'Reflect', 'Intl', 'Error',
+  'TypeError', 'RangeError', 'SyntaxError', 'ReferenceError', 'parseInt',
+  'parseFloat', 'isNaN', 'isFinite', 'encodeURI', 'encodeURIComponent',
+  'decodeURI', 'decodeURIComponent', 'setTimeout', 'clearTimeout', 'setInterval',
+  'clearInterval', 'queueMicrotask', 'requestAnimationFrame', 'structuredClone',
+  'fetch', 'URL', 'localStorage', 'sessionStorage', 'location', 'navigator',
+  'history', 'performance', 'Event', 'CustomEvent', 'Element', 'HTMLElement', 'Node',
+];
+
+// What each rule finds, why it matters, where the course explains it, and the
+// options it has when the config gives none
+export const LINT_RULES = {
+  'no-undef': {
+    title: 'Undeclared variables',
+    explanation:
+      'This name is used but never declared. Check the spelling, or declare it with `let` or `const` before using it. In strict mode using it throws a ReferenceError.',
+    chapter: '/3-variables/3-common-errors/README.md',
+  },
+  strict: {
+    title: 'Strict mode',
+    explanation:
+      "Start the file with 'use strict';. Strict mode turns silent mistakes, like assigning to a variable you never declared, into errors you can see.",
+    chapter: '/3-variables/3-common-errors/README.md',
+    // ESLint asks for 'use strict' in every function unless it's told otherwise
+    options: ['global'],
+  },
+  eqeqeq: {
+    title: 'Strict equality',
+    explanation:
+      "`==` converts both sides to the same type before comparing, so '1' == 1 is true. `===` compares the types too, so there are no surprises.",
+    chapter: '/2-operators/1-strict-equality.js',
+  },
+  'no-unused-vars': {
+    title: 'Unused variables',
+    explanation:
+      'This variable is declared but its value is never read. Remove it, or look for a typo where you meant to read it.',
+    chapter: '/3-variables/README.md',
+  },
+  'prefer-const': {
+    title: 'Prefer const',
+    explanation:
+      'This variable is never assigned a new value, so declare it with `const`. Then anyone reading the code knows it will not change.',
+    chapter: '/3-variables/README.md',
+  },
+};
+
+// Code that doesn't parse can't be checked by any rule
+export const PARSING_ERROR = {
+  title: 'Syntax error',
+  explanation:
+    'JavaScript could not read the code here. Look for a missing bracket, quote or comma just before this spot.',
+  chapter: '/errors/README.md',
+};
+
+export const DEFAULT_LINT_CONFIG = {
+  rules: {
+    'no-undef': 'error',
+    strict: 'warn',
+    eqeqeq: 'error',
+    'no-unused-vars': 'warn',
+    'prefer-const': 'warn',
+  },
+  globals: [],
+  chapters: {},
+};
+
+/**
+ * A rule's severity, the way ESLint writes them
+ * @param {string|number|Array} setting - 'off', 'warn', 'error', 0, 1, 2 or [severity, ...options]
+ * @returns {string} 'off', 'warn' or 'error'
+ */
+export const ruleSeverity = (setting) => {
+  const severity = Array.isArray(setting) ? setting[0] : setting;
+  if (severity === 2 || severity === 'error') return 'error';
+  if (severity === 1 || severity === 'warn') return 'warn';
+  return 'off';
+};
+
+/**
+ * Load the lint config for a file
+ * @param {string} filePath - Virtual FS path of the file
+ * @param {Object} virtualFS - Virtual file system root
+ * @returns {Promise<Object>} The defaults merged with every lenses.json above the file
+ */
+export const loadLintConfig = async (filePath, virtualFS) => {
+  if (!filePath || !virtualFS) return DEFAULT_LINT_CONFIG;
+
+  const config = await loadConfigFromVirtualFS(filePath, virtualFS);
+  return deepMerge(DEFAULT_LINT_CONFIG, config.lint || {});
+};
+
+const linter = new Linter({ configType: 'flat' });
+
+// Only the rules that have an explanation, whatever else the config names
+const eslintRules = (config, withOptions = true) => {
+  const rules = {};
+  Object.keys(LINT_RULES).forEach((ruleId) => {
+    const setting = config.rules?.[ruleId];
+    const options =
+      withOptions && Array.isArray(setting) && setting.length > 1
+        ? setting.slice(1)
+        : LINT_RULES[ruleId].options || [];
+    rules[ruleId] = [ruleSeverity(setting), ...options];
+  });
+  return rules;
+};
+
+// Code with import or export only parses as a module, modules are strict without 'use strict'
+const verify = (code, rules, globals) => {
+  const check = (sourceType) =>
+    linter.verify(code, {
+      languageOptions: { ecmaVersion: 'latest', sourceType, globals },
+      rules,
+    });
+  const asScript = check('script');
+  if (!asScript.some((message) => message.fatal)) return asScript;
+  const asModule = check('module');
+  return asModule.some((message) => message.fatal) ? asScript : asModule;
+};
+
+/**
+ * Check code with the configured rules
+ * @param {string} code
+ * @param {Object} config - From loadLintConfig
+ * @returns {Array<Object>} [{ ruleId, severity, message, from, to, line, explanation, chapter }]
+ *   sorted by position, ruleId is null for a syntax error
+ */
+export const lintCode = (code, config = DEFAULT_LINT_CONFIG) => {
+  const chapters = config.chapters || {};
+  if (!code.trim()) return [];
+
+  const globals = {};
+  [...BROWSER_GLOBALS, ...(config.globals || [])].forEach((name) => {
+    globals[name] = 'readonly';
+  });
+
+  let messages;
+  try {
+    messages = verify(code, eslintRules(config), globals);
+  } catch (error) {
+    // ESLint throws on rule options it doesn't know, the rules still run without them
+    console.warn('Ignoring the lint rule options in lenses.json:', error.message);
+    messages = verify(code, eslintRules(config, false), globals);
+  }
+
+  // ESLint counts lines and columns from 1
+  const lineStarts = [0];
+  for (let i = 0; i < code.length; i++) {
+    if (code[i] === '\n') lineStarts.push(i + 1);
+  }
+  const offsetOf = (line, column) =>
+    Math.min((lineStarts[line - 1] ?? code.length) + column - 1, code.length);
+
+  return messages
+    .map((message) => {
+      const from = offsetOf(message.line || 1, message.column || 1);
+      const end = message.endLine ? offsetOf(message.endLine, message.endColumn) : from;
+      const to = Math.max(end, Math.min(from + 1, code.length));
+
+      if (!message.ruleId) {
+        return {
+          ruleId: null,
+          severity: 'error',
+          message: message.message.replace(/^Parsing error: /, 'Syntax error: '),
+          from,
+          to,
+          line: message.line || 1,
+          explanation: PARSING_ERROR.explanation,
+          chapter: chapters.parsing || PARSING_ERROR.chapter,
+        };
+      }
+
+      return {
+        ruleId: message.ruleId,
+        severity: message.severity === 2 ? 'error' : 'warn',
+        message: message.message,
+        from,
+        to,
+        line: message.line,
+        explanation: LINT_RULES[message.ruleId].explanation,
+        chapter: chapters[message.ruleId] || LINT_RULES[message.ruleId].chapter,
+      };
+    })
+    .sort((a, b) => a.from - b.from);
+};
+
+/**
+ * Problems as CodeMirror diagnostics, their tooltips explain the rule
+ * @param {Array<Object>} problems - From lintCode
+ * @param {Function} chapterLink - Turns a chapter path into a link
+ * @returns {Array<Object>} Diagnostics for @codemirror/lint
+ */
+export const toDiagnostics = (problems, chapterLink = (path) => `#${path}`) =>
+  problems.map((problem) => ({
+    from: problem.from,
+    to: problem.to,
+    severity: problem.severity === 'error' ? 'error' : 'warning',
+    source: problem.ruleId || 'syntax',
+    message: problem.message,
+    renderMessage: () => {
+      const element = document.createElement('div');
+      const message = document.createElement('strong');
+      message.textContent = problem.message;
+      const explanation = document.createElement('p');
+      explanation.textContent = problem.explanation;
+      explanation.style.margin = '4px 0';
+      element.append(message, explanation);
+      if (problem.chapter) {
+        const link = document.createElement('a');
+        link.href = chapterLink(problem.chapter);
+        link.textContent = '📖 Read the chapter';
+        link.style.color = '#4fc1ff';
+        element.append(link);
+      }
+      return element;
+    },
+  }));
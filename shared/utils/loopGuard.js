@@ -0,0 +1,168 @@
+/**
+ * Loop Guard - AST-based infinite loop protection
+ * Instruments every loop kind with an iteration counter that throws once the
+ * loop runs past a maximum. Insertions never add newlines, so line numbers in
+ * error messages and stack traces still match the learner's code.
+ * Code is parsed with Shift, or with Acorn when it uses syntax Shift doesn't
+ * know yet (optional chaining, `??`, class fields).
+ */
+
+import { parseScriptWithLocation, parseModuleWithLocation } from 'shift-parser';
+import { parse as parseWithAcorn } from 'acorn';
+
+const LOOP_TYPES = new Set([
+  'WhileStatement',
+  'DoWhileStatement',
+  'ForStatement',
+  'ForInStatement',
+  'ForOfStatement', // Acorn's for await...of too
+  'ForAwaitStatement'
+]);
+
+const COUNTER_PREFIX = '__loopGuard_';
+
+// High enough that loops over real data finish, low enough to stop a runaway loop quickly
+export const DEFAULT_MAX_ITERATIONS = 10000;
+
+/**
+ * Build the error message thrown when a loop exceeds its iteration limit
+ * @param {number} line - Line of the runaway loop in the original code
+ * @param {number} max - Maximum number of iterations allowed
+ * @returns {string} Learner-facing error message
+ */
+export const loopGuardMessage = (line, max) =>
+  `⚠️ Loop guard triggered! The loop on line ${line} exceeded ${max} iterations. This prevents infinite loops.`;
+
+/**
+ * Parse code with Shift, falling back to Acorn for newer syntax
+ * @param {string} code - Source code
+ * @param {string} sourceType - 'script' or 'module'
+ * @returns {Object|null} { tree, locate } where locate(node) gives its
+ *   { start, end, line }, or null if neither parser can read the code
+ */
+const parse = (code, sourceType) => {
+  try {
+    const { tree, locations } = sourceType === 'module'
+      ? parseModuleWithLocation(code)
+      : parseScriptWithLocation(code);
+    const locate = (node) => {
+      const location = locations.get(node);
+      return location && {
+        start: location.start.offset,
+        end: location.end.offset,
+        line: location.start.line
+      };
+    };
+    return { tree, locate };
+  } catch {
+    // Shift only knows ES2018
+  }
+
+  try {
+    const tree = parseWithAcorn(code, { ecmaVersion: 'latest', sourceType, locations: true });
+    const locate = (node) => ({ start: node.start, end: node.end, line: node.loc.start.line });
+    return { tree, locate };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Collect every loop in the tree along with the statement to wrap
+ * (the outermost label of a labeled loop, so `continue label` still works)
+ * @param {Object} node - Shift or ESTree AST node
+ * @param {Object|null} outer - Outermost label wrapping this node, if any
+ * @param {number} depth - Number of enclosing loops
+ * @param {Array<Object>} loops - Accumulator
+ * @returns {Array<Object>} Collected loops
+ */
+const collectLoops = (node, outer, depth, loops) => {
+  if (!node || typeof node !== 'object') return loops;
+
+  if (Array.isArray(node)) {
+    for (const child of node) {
+      collectLoops(child, null, depth, loops);
+    }
+    return loops;
+  }
+
+  if (typeof node.type !== 'string') return loops;
+
+  if (node.type === 'LabeledStatement') {
+    collectLoops(node.body, outer || node, depth, loops);
+    return loops;
+  }
+
+  const isLoop = LOOP_TYPES.has(node.type);
+  if (isLoop) {
+    loops.push({ loop: node, statement: outer || node, depth });
+  }
+
+  for (const key of Object.keys(node)) {
+    if (key === 'type') continue;
+    collectLoops(node[key], null, isLoop ? depth + 1 : depth, loops);
+  }
+
+  return loops;
+};
+
+/**
+ * Instrument all loops in a piece of code with an iteration limit
+ * @param {string} code - Source code to guard
+ * @param {Object} options - Guard options
+ * @param {number} options.max - Maximum iterations per loop entry
+ * @param {string} options.sourceType - 'script' or 'module'
+ * @returns {string} Guarded code, or the original code if it cannot be parsed
+ */
+export const addLoopGuard = (code, { max = DEFAULT_MAX_ITERATIONS, sourceType = 'script' } = {}) => {
+  const parsed = parse(code, sourceType);
+  // Let the browser report the syntax error with its own line numbers
+  if (!parsed) return code;
+
+  const { tree, locate } = parsed;
+  const loops = collectLoops(tree, null, 0, []);
+  if (loops.length === 0) return code;
+
+  const edits = [];
+  const open = (offset, depth, text) => edits.push({ offset, depth, text, closing: false });
+  const close = (offset, depth, text) => edits.push({ offset, depth, text, closing: true });
+
+  loops.forEach(({ loop, statement, depth }, index) => {
+    const counter = `${COUNTER_PREFIX}${index}`;
+    const statementLocation = locate(statement);
+    const loopLocation = locate(loop);
+    const bodyLocation = locate(loop.body);
+    if (!statementLocation || !loopLocation || !bodyLocation) return;
+
+    const line = loopLocation.line;
+    const check = `if (++${counter} > ${max}) throw new Error(${JSON.stringify(loopGuardMessage(line, max))});`;
+
+    // Reset the counter each time the loop is entered
+    open(statementLocation.start, depth, `{ let ${counter} = 0; `);
+    close(statementLocation.end, depth, ' }');
+
+    if (loop.body.type === 'BlockStatement') {
+      open(bodyLocation.start + 1, depth + 0.5, ` ${check}`);
+    } else {
+      open(bodyLocation.start, depth + 0.5, `{ ${check} `);
+      close(bodyLocation.end, depth + 0.5, ' }');
+    }
+  });
+
+  // At a shared offset: close inner blocks first, then open outer blocks first
+  edits.sort((a, b) => {
+    if (a.offset !== b.offset) return a.offset - b.offset;
+    if (a.closing !== b.closing) return a.closing ? -1 : 1;
+    return a.closing ? b.depth - a.depth : a.depth - b.depth;
+  });
+
+  let guarded = '';
+  let cursor = 0;
+  for (const edit of edits) {
+    guarded += code.slice(cursor, edit.offset) + edit.text;
+    cursor = edit.offset;
+  }
+  guarded += code.slice(cursor);
+
+  return guarded;
+};
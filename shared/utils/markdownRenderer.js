@@ -0,0 +1,128 @@
+/**
+ * Markdown Renderer - the marked + Prism pipeline shared by the markdown lenses
+ * Code blocks are rendered with a toolbar placeholder that addCodeToolbars
+ * fills with Run / Trace / Step-Through buttons once the HTML is in the page.
+ */
+
+import { marked } from 'marked';
+import { baseUrl } from 'marked-base-url';
+import { BASE_PATH } from '../../src/CONSTANTS.js';
+
+import Prism from 'prismjs';
+import 'prismjs/components/prism-javascript';
+import 'prismjs/components/prism-python';
+import 'prismjs/components/prism-css';
+import 'prismjs/components/prism-json';
+import 'prismjs/components/prism-markdown';
+import 'prismjs/themes/prism-tomorrow.css'; // Dark theme to match editor
+
+// Map common language aliases to Prism grammars
+const LANGUAGE_MAP = {
+  js: 'javascript',
+  jsx: 'javascript',
+  py: 'python',
+  html: 'markup',
+  xml: 'markup',
+};
+
+// Relative asset links point at the copied content assets
+marked.use(baseUrl(`${BASE_PATH}/content-assets/`));
+marked.setOptions({
+  breaks: false,
+  gfm: true,
+});
+
+const renderer = new marked.Renderer();
+
+// Custom code block renderer with toolbar placeholder
+renderer.code = (code, language) => {
+  const lang = language || code.lang || 'javascript';
+  const codeId = `code-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+
+  return `
+    <div class="code-block-container" data-language="${lang}">
+      <div class="code-toolbar-placeholder" data-code-id="${codeId}" data-lang="${lang}"></div>
+      <pre class="line-numbers language-${lang}"><code id="${codeId}">${code.text}</code></pre>
+    </div>
+  `;
+};
+
+/**
+ * Render markdown to HTML with highlighted code blocks
+ * @param {string} content - Markdown source
+ * @returns {string} HTML
+ */
+export const renderMarkdown = (content = '') => {
+  try {
+    const html = marked(content, { renderer });
+
+    // Apply Prism highlighting to code blocks
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = html;
+
+    tempDiv.querySelectorAll('pre code').forEach((block) => {
+      const language = block.parentElement.className.match(/language-(\w+)/)?.[1] || 'javascript';
+      const prismLang = LANGUAGE_MAP[language] || language;
+
+      if (Prism.languages[prismLang]) {
+        try {
+          block.innerHTML = Prism.highlight(
+            block.textContent || '',
+            Prism.languages[prismLang],
+            prismLang,
+          );
+        } catch (error) {
+          console.warn('Prism highlighting failed for language:', language, error);
+        }
+      }
+    });
+
+    return tempDiv.innerHTML;
+  } catch (error) {
+    console.error('Markdown processing failed:', error);
+    return `<p>Error processing markdown: ${error.message}</p>`;
+  }
+};
+
+/**
+ * Render a single line of markdown, e.g. a quiz option, without wrapping it in a paragraph
+ * @param {string} content - Markdown source
+ * @returns {string} HTML
+ */
+export const renderInlineMarkdown = (content = '') => marked.parseInline(content);
+
+/**
+ * Fill the toolbar placeholders from renderMarkdown with buttons
+ * Placeholders that already have a toolbar are left alone, so this can run after every render.
+ * @param {HTMLElement} container - Element holding the rendered HTML
+ * @param {Object} handlers - { onRun, onTrace, onStepThrough }, each called with (code, language)
+ */
+export const addCodeToolbars = (container, { onRun, onTrace, onStepThrough }) => {
+  if (!container) return;
+
+  container.querySelectorAll('.code-toolbar-placeholder').forEach((placeholder) => {
+    const codeId = placeholder.getAttribute('data-code-id');
+    const language = placeholder.getAttribute('data-lang');
+    const codeElement = container.querySelector(`#${codeId}`);
+
+    if (!codeElement || placeholder.querySelector('.code-toolbar')) return;
+
+    const code = codeElement.textContent || '';
+    const toolbar = document.createElement('div');
+    toolbar.className = 'code-toolbar';
+
+    [
+      ['run-button', '▶️ Run', onRun],
+      ['trace-button', '🔍 Trace', onTrace],
+      ['step-button', '👣 Step-Through', onStepThrough],
+    ].forEach(([className, label, handler]) => {
+      const button = document.createElement('button');
+      button.className = `toolbar-button ${className}`;
+      button.innerHTML = label;
+      button.onclick = () => handler(code, language);
+      toolbar.appendChild(button);
+    });
+
+    placeholder.appendChild(toolbar);
+  });
+};
@@ -0,0 +1,326 @@
+/**
+ * Parsons - build and grade Parsons problems from a program's AST
+ * Each block is one statement (multi-line statements stay together), the
+ * header of a compound statement, or a closing line such as `}` or `} else {`.
+ * Expected indentation comes from statement nesting, not from the file's
+ * whitespace, so badly indented sources still make fair puzzles.
+ */
+
+import { parseScriptWithLocation, parseModuleWithLocation } from 'shift-parser';
+
+// Lines ending in `// distractor` are wrong on purpose and not part of the solution
+const DISTRACTOR_PATTERN = /\s*\/\/\s*distractor\s*$/;
+
+// Statement-like nodes that are not `*Statement` types in Shift
+const STATEMENT_TYPES = new Set([
+  'FunctionDeclaration',
+  'ClassDeclaration',
+  'Method',
+  'Getter',
+  'Setter',
+  'SwitchStatementWithDefault',
+  'SwitchCase',
+  'SwitchDefault',
+  'Import',
+  'ImportNamespace',
+  'Export',
+  'ExportDefault',
+  'ExportAllFrom',
+  'ExportFrom',
+  'ExportLocals'
+]);
+
+const isStatement = (node) =>
+  STATEMENT_TYPES.has(node?.type) ||
+  (node?.type?.endsWith('Statement') && node.type !== 'BlockStatement');
+
+// `export function f() {}` is one statement, the function, not two
+const wrapsStatement = (node) =>
+  (node.type === 'Export' || node.type === 'ExportDefault') &&
+  isStatement(node.declaration || node.body);
+
+const isCommentOnly = (line) => /^\s*(\/\/.*|\/\*.*\*\/)?\s*$/.test(line);
+
+/**
+ * Collect every statement with its nesting depth and parent statement
+ * @param {Object} node - Shift AST node
+ * @param {number} depth - Nesting depth of statements found under this node
+ * @param {Object|null} parent - Closest enclosing collected statement
+ * @param {Array<Object>} statements - Accumulator
+ * @returns {Array<Object>} { node, depth, parent } in source (pre-)order
+ */
+const collectStatements = (node, depth, parent, statements) => {
+  if (!node || typeof node !== 'object') return statements;
+
+  if (Array.isArray(node)) {
+    node.forEach((child) => collectStatements(child, depth, parent, statements));
+    return statements;
+  }
+
+  if (typeof node.type !== 'string') return statements;
+
+  for (const key of Object.keys(node)) {
+    const child = node[key];
+    if (!child || typeof child !== 'object' || key === 'type') continue;
+
+    const children = Array.isArray(child) ? child : [child];
+    for (const item of children) {
+      if (!item || typeof item.type !== 'string') continue;
+
+      if (isStatement(item) && !wrapsStatement(item)) {
+        // `else if` continues its parent rather than nesting inside it
+        const isElseIf = node.type === 'IfStatement' && key === 'alternate' && item.type === 'IfStatement';
+        const itemDepth = isElseIf && parent ? parent.depth : depth;
+        const entry = { node: item, depth: itemDepth, parent: isElseIf && parent ? parent.parent : parent };
+        statements.push(entry);
+        collectStatements(item, itemDepth + 1, entry, statements);
+      } else {
+        collectStatements(item, depth, parent, statements);
+      }
+    }
+  }
+
+  return statements;
+};
+
+const parse = (code) => {
+  try {
+    return parseScriptWithLocation(code);
+  } catch {
+    return parseModuleWithLocation(code);
+  }
+};
+
+/**
+ * Remove the shared leading whitespace from a group of lines
+ * @param {Array<string>} lines - Source lines of one block
+ * @returns {string} Block code
+ */
+const dedent = (lines) => {
+  const indents = lines
+    .filter((line) => line.trim())
+    .map((line) => line.match(/^\s*/)[0].length);
+  const shared = indents.length > 0 ? Math.min(...indents) : 0;
+  return lines.map((line) => line.slice(shared).trimEnd()).join('\n');
+};
+
+/**
+ * Split a program into Parsons blocks
+ * @param {string} code - Program source, may contain `// distractor` lines
+ * @returns {Object} { blocks, distractors } - blocks in solution order as
+ *   { id, code, indent, lineStart, lineEnd }, distractors as { id, code, distractor: true }
+ * @throws {SyntaxError} If the code (without distractors) cannot be parsed
+ */
+export const createBlocks = (code = '') => {
+  const sourceLines = code.split('\n');
+  const distractors = [];
+
+  // Distractors are removed before parsing, leaving a blank line behind
+  const lines = sourceLines.map((line) => {
+    if (!DISTRACTOR_PATTERN.test(line) || isCommentOnly(line.replace(DISTRACTOR_PATTERN, ''))) {
+      return line;
+    }
+    distractors.push({
+      id: `d${distractors.length}`,
+      code: line.replace(DISTRACTOR_PATTERN, '').trim(),
+      indent: null,
+      distractor: true
+    });
+    return '';
+  });
+
+  const { tree, locations } = parse(lines.join('\n'));
+  const statements = collectStatements(tree, 0, null, []);
+
+  const childrenOf = new Map(statements.map((entry) => [entry, []]));
+  for (const entry of statements) {
+    if (entry.parent) childrenOf.get(entry.parent)?.push(entry);
+  }
+
+  // owner[line] = { key, depth, mergeable } for 1-based line numbers
+  const owner = [];
+  const claim = (start, end, key, depth, mergeable) => {
+    for (let line = start; line <= end; line++) {
+      owner[line] = { key, depth, mergeable };
+    }
+  };
+
+  // Statements inside a one-block statement, e.g. `if (done) return;`, have no blocks of their own
+  const inside = new Set();
+
+  statements.forEach((entry, index) => {
+    const location = locations.get(entry.node);
+    if (!location || inside.has(entry.parent)) {
+      inside.add(entry);
+      return;
+    }
+    const start = location.start.line;
+    const end = location.end.line;
+    const later = childrenOf.get(entry)
+      .map((child) => locations.get(child.node)?.start.line)
+      .filter((line) => line > start);
+
+    if (later.length === 0) {
+      // A simple statement: every line belongs to one block
+      claim(start, end, `s${index}`, entry.depth, true);
+      inside.add(entry);
+      return;
+    }
+
+    // A compound statement: closing lines are blocks of their own,
+    // the header (possibly several lines) is one block
+    for (let line = start; line <= end; line++) {
+      owner[line] = { key: `s${index}:${line}`, depth: entry.depth, mergeable: false };
+    }
+    claim(start, Math.min(...later) - 1, `s${index}`, entry.depth, true);
+  });
+
+  const blocks = [];
+  let current = null;
+  lines.forEach((text, index) => {
+    const line = index + 1;
+    const info = owner[line];
+
+    // Blank and comment lines stay inside multi-line statements only
+    if (current && info && info.mergeable && current.key === info.key) {
+      current.lines.push(text);
+      return;
+    }
+
+    if (!info || isCommentOnly(text)) {
+      current = null;
+      return;
+    }
+
+    current = { key: info.key, indent: info.depth, lines: [text], lineStart: line };
+    blocks.push(current);
+  });
+
+  return {
+    blocks: blocks.map((block, index) => {
+      // Trailing blank or comment lines belong to the next block, not this one
+      while (block.lines.length > 1 && isCommentOnly(block.lines[block.lines.length - 1])) {
+        block.lines.pop();
+      }
+      return {
+        id: `b${index}`,
+        code: dedent(block.lines),
+        indent: block.indent,
+        lineStart: block.lineStart,
+        lineEnd: block.lineStart + block.lines.length - 1
+      };
+    }),
+    distractors
+  };
+};
+
+/**
+ * Seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Returns numbers in [0, 1)
+ */
+export const createRandom = (seed = Date.now()) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Shuffle blocks deterministically (Fisher-Yates)
+ * @param {Array} items - Items to shuffle
+ * @param {number} seed - Shuffle seed, the same seed gives the same order
+ * @returns {Array} Shuffled copy
+ */
+export const shuffleBlocks = (items = [], seed = Date.now()) => {
+  const random = createRandom(seed);
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+/**
+ * Short stable hash of a program, so saved progress is dropped when the code changes
+ * @param {string} code - Program source
+ * @returns {string} Hash
+ */
+export const hashCode = (code = '') => {
+  let hash = 0;
+  for (let i = 0; i < code.length; i++) {
+    hash = (Math.imul(31, hash) + code.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+/**
+ * Grade an answer against the solution
+ * Blocks with identical code are interchangeable (e.g. two `}` lines).
+ * @param {Array<Object>} solution - Blocks in solution order with their indent
+ * @param {Array<Object>} answer - Placed blocks as { code, indent, distractor }
+ * @param {Object} options
+ * @param {boolean} options.checkIndent - Grade indentation as well as order
+ * @returns {Object} { correct, index, kind, message } - index is the first misplaced block in the answer
+ */
+export const gradeAnswer = (solution = [], answer = [], { checkIndent = true } = {}) => {
+  const distractorIndex = answer.findIndex((block) => block.distractor);
+  if (distractorIndex !== -1) {
+    return {
+      correct: false,
+      index: distractorIndex,
+      kind: 'distractor',
+      message: `Block ${distractorIndex + 1} is not part of the solution.`
+    };
+  }
+
+  const length = Math.min(solution.length, answer.length);
+  for (let i = 0; i < length; i++) {
+    if (answer[i].code !== solution[i].code) {
+      return {
+        correct: false,
+        index: i,
+        kind: 'order',
+        message: `Block ${i + 1} is in the wrong place.`
+      };
+    }
+  }
+
+  if (answer.length < solution.length) {
+    return {
+      correct: false,
+      index: answer.length,
+      kind: 'missing',
+      message: `The first ${answer.length} blocks are in order, but ${solution.length - answer.length} more are needed.`
+    };
+  }
+
+  if (answer.length > solution.length) {
+    return {
+      correct: false,
+      index: solution.length,
+      kind: 'extra',
+      message: `Block ${solution.length + 1} is not needed.`
+    };
+  }
+
+  if (checkIndent) {
+    const index = answer.findIndex((block, i) => block.indent !== solution[i].indent);
+    if (index !== -1) {
+      const direction = answer[index].indent < solution[index].indent ? 'further in' : 'further out';
+      return {
+        correct: false,
+        index,
+        kind: 'indent',
+        message: `Everything is in order, but block ${index + 1} should be indented ${direction}.`
+      };
+    }
+  }
+
+  return { correct: true, index: -1, kind: null, message: 'Correct! Every block is in place.' };
+};
@@ -0,0 +1,299 @@
+/**
+ * Project Preview - build a live preview page for HTML/CSS/JS projects
+ * Every file the page uses is served from the virtual FS as a blob URL, so
+ * `<script src>`, `<link href>`, CSS `url()` and ES `import` statements that
+ * point at sibling files resolve the same way they would on a real server.
+ */
+
+import { findFile, getSiblingFiles, loadFileContent } from '../../fs.js';
+import { addLoopGuard, DEFAULT_MAX_ITERATIONS } from './loopGuard.js';
+
+const MIME_TYPES = {
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.mjs': 'text/javascript',
+  '.json': 'application/json',
+  '.svg': 'image/svg+xml',
+  '.txt': 'text/plain',
+  '.md': 'text/markdown'
+};
+
+export const PROJECT_LANGS = ['.html', '.css', '.js'];
+
+// import x from './x.js' | import './x.js' | export { x } from './x.js' | import('./x.js')
+const IMPORT_PATTERN =
+  /(\bimport\s*(?:[\w$*{}\s,]+?\s*from\s*)?|\bexport\s*(?:\*(?:\s*as\s+[\w$]+)?|\{[^}]*\})\s*from\s*|\bimport\s*\(\s*)(['"])([^'"\n]+)\2/g;
+
+const CSS_URL_PATTERN = /url\(\s*(['"]?)([^'")]+)\1\s*\)|@import\s+(['"])([^'"]+)\3/g;
+
+const getExt = (path) => {
+  const name = path.split('/').pop();
+  const dot = name.lastIndexOf('.');
+  return dot > 0 ? name.slice(dot).toLowerCase() : '';
+};
+
+const getDir = (path) => path.slice(0, path.lastIndexOf('/') + 1) || '/';
+
+/**
+ * Resolve a reference from one virtual FS file to another
+ * @param {string} fromPath - Path of the file containing the reference
+ * @param {string} reference - e.g. `./utils.js`, `../styles/main.css`, `/lib/a.js`
+ * @param {boolean} bareIsRelative - Treat `style.css` as relative (HTML/CSS) rather than a package name (JS)
+ * @returns {string|null} Absolute virtual path, or null for URLs, anchors and packages
+ */
+export const resolveVirtualPath = (fromPath, reference = '', bareIsRelative = true) => {
+  const target = reference.split(/[?#]/)[0];
+  if (!target || /^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('//')) {
+    return null;
+  }
+
+  const isRelative = target.startsWith('./') || target.startsWith('../');
+  if (!target.startsWith('/') && !isRelative && !bareIsRelative) {
+    return null;
+  }
+
+  const parts = target.startsWith('/') ? [] : getDir(fromPath).split('/').filter((p) => p);
+  for (const part of target.split('/')) {
+    if (part === '..') {
+      parts.pop();
+    } else if (part && part !== '.') {
+      parts.push(part);
+    }
+  }
+
+  return '/' + parts.join('/');
+};
+
+/**
+ * Find the page to preview for a file
+ * HTML files preview themselves, other files use index.html (or the first
+ * HTML file) in their folder.
+ * @param {string} path - Path of the file being studied
+ * @returns {string|null} Path of the HTML entry, or null if the folder has none
+ */
+export const findProjectEntry = (path) => {
+  if (!path) return null;
+  if (['.html', '.htm'].includes(getExt(path))) return path;
+
+  const pages = getSiblingFiles(path).filter((file) => ['.html', '.htm'].includes(getExt(file.name)));
+  const index = pages.find((file) => file.name === 'index.html') || pages[0];
+  return index ? index.path : null;
+};
+
+/**
+ * List the HTML, CSS and JS files in the folder of a file, the file included
+ * @param {string} path - Path of any file in the project folder
+ * @returns {Array<Object>} Virtual FS file nodes sorted by name
+ */
+export const getProjectFiles = (path) => {
+  const self = findFile(path);
+  return [...getSiblingFiles(path), ...(self ? [self] : [])]
+    .filter((file) => PROJECT_LANGS.includes(getExt(file.name)))
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+/**
+ * Write a page for a folder without an HTML file: every stylesheet is linked
+ * and every script loaded, as modules if any of them uses import or export
+ * @param {string} path - Path of any file in the project folder
+ * @param {Object} overrides - Unsaved content by path
+ * @returns {string} HTML source
+ */
+export const createProjectPage = (path, overrides = {}) => {
+  const files = getProjectFiles(path);
+  const styles = files.filter((file) => getExt(file.name) === '.css');
+  const scripts = files.filter((file) => getExt(file.name) === '.js');
+  const isModule = scripts.some((file) => {
+    const code = overrides[file.path] ?? file.editorContent ?? file.content ?? '';
+    return /^\s*(import|export)\b/m.test(code);
+  });
+
+  return [
+    '<!DOCTYPE html>',
+    '<html>',
+    '<head>',
+    '  <meta charset="utf-8">',
+    ...styles.map((file) => `  <link rel="stylesheet" href="./${file.name}">`),
+    '</head>',
+    '<body>',
+    ...scripts.map((file) =>
+      `  <script ${isModule ? 'type="module"' : 'defer'} src="./${file.name}"></script>`
+    ),
+    '</body>',
+    '</html>'
+  ].join('\n');
+};
+
+/**
+ * Build a preview of an HTML page with its files resolved from the virtual FS
+ * @param {Object} options
+ * @param {string} options.entryPath - Path of the HTML page (used to resolve relative paths)
+ * @param {string} options.html - Page source, defaults to the entry's current content
+ * @param {Object} options.overrides - Unsaved content by path, e.g. the open editor
+ * @param {Object} options.loopGuard - { active, max } loop guard for every script
+ * @returns {Object} { html, url, files, errors, pending, revoke }
+ */
+export const buildProjectPreview = ({
+  entryPath,
+  html = null,
+  overrides = {},
+  loopGuard = { active: true, max: DEFAULT_MAX_ITERATIONS }
+}) => {
+  const blobURLs = [];
+  const urls = new Map();
+  const building = new Set();
+  const files = new Set();
+  const errors = [];
+  const pending = [];
+
+  const readSource = (path) => {
+    if (path in overrides) return overrides[path];
+    const file = findFile(path);
+    if (!file) return null;
+    if (file.githubRepo && !file.content && file.editorContent === undefined) {
+      pending.push(file);
+      return '';
+    }
+    return file.editorContent ?? file.content ?? '';
+  };
+
+  const toBlobURL = (content, ext) => {
+    const url = URL.createObjectURL(new Blob([content], { type: MIME_TYPES[ext] || 'text/plain' }));
+    blobURLs.push(url);
+    return url;
+  };
+
+  const guard = (code, sourceType) => {
+    return loopGuard.active ? addLoopGuard(code, { max: loopGuard.max, sourceType }) : code;
+  };
+
+  const missing = (fromPath, reference) => {
+    errors.push({
+      path: fromPath,
+      message: `Cannot find "${reference}" (from ${fromPath.split('/').pop()})`
+    });
+  };
+
+  // Serve one file, rewriting the references inside it first
+  const serve = (path, kind) => {
+    const key = `${kind}:${path}`;
+    if (urls.has(key)) return urls.get(key);
+    if (building.has(key)) {
+      errors.push({ path, message: `Circular import of ${path.split('/').pop()} is not supported in the preview` });
+      return null;
+    }
+
+    const source = readSource(path);
+    if (source === null) return null;
+
+    building.add(key);
+    files.add(path);
+    const ext = getExt(path);
+    let content = source;
+    if (kind === 'module') {
+      content = guard(rewriteImports(source, path), 'module');
+    } else if (kind === 'script') {
+      content = guard(source, 'script');
+    } else if (ext === '.css') {
+      content = rewriteCSS(source, path);
+    }
+    building.delete(key);
+
+    const url = toBlobURL(content, ext);
+    urls.set(key, url);
+    return url;
+  };
+
+  const rewriteImports = (code, fromPath) => {
+    return code.replace(IMPORT_PATTERN, (match, prefix, quote, specifier) => {
+      const path = resolveVirtualPath(fromPath, specifier, false);
+      if (!path) return match;
+      const isScript = ['.js', '.mjs'].includes(getExt(path));
+      const url = serve(path, isScript ? 'module' : 'asset');
+      if (!url) {
+        if (!building.has(`module:${path}`)) missing(fromPath, specifier);
+        return match;
+      }
+      return `${prefix}${quote}${url}${quote}`;
+    });
+  };
+
+  const rewriteCSS = (css, fromPath) => {
+    return css.replace(CSS_URL_PATTERN, (match, quote, reference, importQuote, importReference) => {
+      const target = reference || importReference;
+      const path = resolveVirtualPath(fromPath, target);
+      if (!path) return match;
+      const url = serve(path, 'asset');
+      if (!url) {
+        missing(fromPath, target);
+        return match;
+      }
+      return importReference ? `@import "${url}"` : `url("${url}")`;
+    });
+  };
+
+  const page = html ?? readSource(entryPath) ?? '';
+  if (html === null) files.add(entryPath);
+  const doc = new DOMParser().parseFromString(page, 'text/html');
+
+  const rewriteAttribute = (element, attribute, kind, required) => {
+    const reference = element.getAttribute(attribute);
+    const path = resolveVirtualPath(entryPath, reference || '');
+    if (!path) return;
+    const url = serve(path, kind);
+    if (url) {
+      element.setAttribute(attribute, url);
+    } else if (required) {
+      missing(entryPath, reference);
+    }
+  };
+
+  for (const script of doc.querySelectorAll('script')) {
+    const kind = script.getAttribute('type') === 'module' ? 'module' : 'script';
+    if (script.hasAttribute('src')) {
+      rewriteAttribute(script, 'src', kind, true);
+    } else if (kind === 'module') {
+      script.textContent = guard(rewriteImports(script.textContent, entryPath), 'module');
+    } else {
+      script.textContent = guard(script.textContent, 'script');
+    }
+  }
+
+  for (const link of doc.querySelectorAll('link[href]')) {
+    const isStylesheet = (link.getAttribute('rel') || '').includes('stylesheet');
+    rewriteAttribute(link, 'href', 'asset', isStylesheet);
+  }
+
+  for (const style of doc.querySelectorAll('style')) {
+    style.textContent = rewriteCSS(style.textContent, entryPath);
+  }
+
+  // Media only resolves when the file is in the virtual FS, e.g. an inline SVG
+  for (const media of doc.querySelectorAll('img[src], source[src], audio[src], video[src]')) {
+    rewriteAttribute(media, 'src', 'asset', false);
+  }
+
+  const output = `<!DOCTYPE html>\n${doc.documentElement.outerHTML}`;
+
+  return {
+    html: output,
+    url: toBlobURL(output, '.html'),
+    files: [...files],
+    errors,
+    pending,
+    revoke: () => blobURLs.forEach((url) => URL.revokeObjectURL(url))
+  };
+};
+
+/**
+ * Load lazily fetched (GitHub) files a preview is waiting on
+ * @param {Array<Object>} pending - File nodes from buildProjectPreview
+ * @returns {Promise<boolean>} True if anything was loaded and the preview should be rebuilt
+ */
+export const loadPendingFiles = async (pending = []) => {
+  if (pending.length === 0) return false;
+  await Promise.all(pending.map((file) => loadFileContent(file)));
+  return true;
+};
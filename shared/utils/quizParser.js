@@ -0,0 +1,166 @@
+/**
+ * Quiz Parser - turns the review-quiz markdown format into quiz cards
+ *
+ * Options are `<details>` blocks whose summary is the answer and whose body
+ * starts with ✔ (correct) or ✖ (wrong) followed by feedback. A file either
+ * asks one question in its text with the options below it, or wraps each
+ * question in its own `<details>` with the options nested inside.
+ */
+
+const CORRECT = '✔';
+const WRONG = '✖';
+
+const TOKEN = /<details[^>]*>|<\/details>|<summary[^>]*>([\s\S]*?)<\/summary>/g;
+
+// Split markdown into nested <details> blocks, keeping the text around them as body
+const parseBlocks = (markdown) => {
+  const root = { summary: '', body: '', children: [] };
+  const stack = [root];
+  let index = 0;
+
+  for (const match of markdown.matchAll(TOKEN)) {
+    const current = stack[stack.length - 1];
+    current.body += markdown.slice(index, match.index);
+    index = match.index + match[0].length;
+
+    if (match[0].startsWith('</details')) {
+      if (stack.length > 1) stack.pop();
+    } else if (match[0].startsWith('<details')) {
+      const block = { summary: '', body: '', children: [] };
+      current.children.push(block);
+      stack.push(block);
+    } else if (!current.summary) {
+      current.summary = match[1].trim();
+    }
+  }
+
+  stack[stack.length - 1].body += markdown.slice(index);
+  return root;
+};
+
+// Drop the spacing markup the quiz files use between blocks
+const cleanBody = (text) =>
+  text
+    .split('\n')
+    .filter((line) => !/^\s*(<br\s*\/?>|---)\s*$/.test(line))
+    .join('\n')
+    .trim();
+
+// "<em>A. <code>x</code></em>" or "<strong>A: </strong> <code>x</code>" -> "<code>x</code>"
+const cleanLabel = (summary) =>
+  summary
+    .replace(/^<em>([\s\S]*)<\/em>$/, '$1')
+    .replace(/^\s*(<(strong|em)>)?\s*[A-Z][.:)]\s*(<\/(strong|em)>)?\s*/, '')
+    .trim();
+
+// "<strong>1. What is logged?</strong>" -> "What is logged?"
+const cleanPrompt = (summary) =>
+  summary
+    .replace(/^<strong>([\s\S]*)<\/strong>$/, '$1')
+    .replace(/^\s*\d+[.)]\s*/, '')
+    .trim();
+
+const isOption = (block) => {
+  const body = cleanBody(block.body);
+  return block.children.length === 0 && (body.startsWith(CORRECT) || body.startsWith(WRONG));
+};
+
+// "Trace A" with the trace as its body and a single "check it" block holding the verdict
+const isWrappedOption = (block) =>
+  block.children.length === 1 && isOption(block.children[0]) && cleanBody(block.body) !== '';
+
+const getOptionBlocks = (blocks) => blocks.filter((block) => isOption(block) || isWrappedOption(block));
+
+const toOption = (block, index) => {
+  const verdict = isWrappedOption(block) ? block.children[0] : block;
+  const body = cleanBody(verdict.body);
+  return {
+    id: String.fromCharCode(65 + index),
+    label: cleanLabel(block.summary),
+    content: isWrappedOption(block) ? cleanBody(block.body) : '',
+    correct: body.startsWith(CORRECT),
+    feedback: body.replace(/^[✔✖]\s*/, '')
+  };
+};
+
+const toQuestion = (id, prompt, blocks) => {
+  const options = getOptionBlocks(blocks).map(toOption);
+  return {
+    id,
+    prompt,
+    options,
+    multiple: options.filter((option) => option.correct).length > 1
+  };
+};
+
+// Single "check it" reveals are not multiple choice, so they are left as they are
+const isMultipleChoice = (question) =>
+  question.options.length > 1 && question.options.some((option) => option.correct);
+
+/**
+ * Parse quiz markdown into multiple-choice questions
+ * @param {string} markdown - File content
+ * @returns {Object} { title, intro, questions } - questions as
+ *   { id, prompt, context, multiple, options: [{ id, label, content, correct, feedback }] }
+ */
+export const parseQuizMarkdown = (markdown = '') => {
+  const root = parseBlocks(markdown);
+  const text = cleanBody(root.body);
+  const title = text.match(/^#\s+(.+)$/m)?.[1].trim() || '';
+
+  const nested = root.children.filter(
+    (block) => !isWrappedOption(block) && getOptionBlocks(block.children).length > 0
+  );
+
+  // One question per <details>, the file text is shared context such as a program
+  if (nested.length > 0) {
+    return {
+      title,
+      intro: text,
+      questions: nested
+        .map((block, index) => ({
+          ...toQuestion(String(index + 1), cleanPrompt(block.summary), block.children),
+          context: cleanBody(block.body)
+        }))
+        .filter(isMultipleChoice)
+    };
+  }
+
+  // A single question asked by the file text itself
+  const question = { ...toQuestion('1', text, root.children), context: '' };
+  return {
+    title,
+    intro: '',
+    questions: isMultipleChoice(question) ? [question] : []
+  };
+};
+
+/**
+ * Check whether a file looks like a quiz by its name, e.g. 8-review-quiz/03-primitives.md
+ * For files whose content is not loaded yet, isQuizMarkdown needs the content
+ * @param {string} path - File path
+ * @returns {boolean}
+ */
+export const isQuizPath = (path = '') =>
+  path.endsWith('.md') && /quiz/i.test(path) && !/(^|\/)readme\.md$/i.test(path);
+
+/**
+ * Check whether markdown holds at least one multiple-choice quiz question
+ * @param {string} markdown - File content
+ * @returns {boolean}
+ */
+export const isQuizMarkdown = (markdown = '') =>
+  /<details/.test(markdown) &&
+  new RegExp(`${CORRECT}|${WRONG}`).test(markdown) &&
+  parseQuizMarkdown(markdown).questions.length > 0;
+
+/**
+ * Check answers for one question
+ * @param {Object} question - From parseQuizMarkdown
+ * @param {Array<string>} selected - Chosen option ids
+ * @returns {boolean} True when exactly the correct options were chosen
+ */
+export const isAnswerCorrect = (question, selected = []) => {
+  const correct = question.options.filter((option) => option.correct).map((option) => option.id);
+  return correct.length === selected.length && correct.every((id) => selected.includes(id));
+};
@@ -0,0 +1,222 @@
+/**
+ * Reverse Engineering - compare a learner's `file.js` with a hidden `file.re.js`
+ * The `.re.js` file is a black box: learners may only call it with their own
+ * inputs, then write an implementation that behaves the same way.
+ */
+
+import { parseScriptWithLocation } from 'shift-parser';
+import { getSiblingFiles } from '../../fs.js';
+import { addLoopGuard, DEFAULT_MAX_ITERATIONS } from './loopGuard.js';
+import { toClassicScript } from './specRunner.js';
+import { installScriptedInputs, formatInteraction } from './scriptedInputs.js';
+import { formatValue, deepEqual } from './testMatchers.js';
+
+export const REVERSE_SUFFIX = '.re.js';
+
+/**
+ * Check if a path is a black box file
+ * @param {string} path - File path
+ * @returns {boolean} True for *.re.js
+ */
+export const isReversePath = (path = '') => path.endsWith(REVERSE_SUFFIX);
+
+/**
+ * Find the black box that sits next to an implementation file
+ * @param {string} path - Path of the implementation, e.g. /6-functions/repeat.js
+ * @returns {Object|null} Virtual FS node of repeat.re.js
+ */
+export const findReverseFile = (path) => {
+  if (!path || !path.endsWith('.js') || isReversePath(path)) {
+    return null;
+  }
+
+  const name = path.split('/').pop().slice(0, -'.js'.length) + REVERSE_SUFFIX;
+  return getSiblingFiles(path).find((file) => file.name === name) || null;
+};
+
+/**
+ * Find the name of the function a black box exposes
+ * The first top-level function declaration wins, then the first
+ * const/let/var initialized with a function or arrow function.
+ * @param {string} code - Black box source
+ * @returns {string|null} Function name, or null if there is none
+ */
+export const findEntryFunction = (code = '') => {
+  let tree;
+  try {
+    tree = parseScriptWithLocation(toClassicScript(code)).tree;
+  } catch {
+    return null;
+  }
+
+  const declared = tree.statements.find(
+    (statement) => statement.type === 'FunctionDeclaration'
+  );
+  if (declared) return declared.name.name;
+
+  for (const statement of tree.statements) {
+    if (statement.type !== 'VariableDeclarationStatement') continue;
+    const declarator = statement.declaration.declarators.find(
+      (candidate) => candidate.binding.type === 'BindingIdentifier' &&
+        ['FunctionExpression', 'ArrowExpression'].includes(candidate.init?.type)
+    );
+    if (declarator) return declarator.binding.name;
+  }
+
+  return null;
+};
+
+/**
+ * Split the calls panel into argument lists, one call per non-empty line
+ * @param {string} text - e.g. `"abc", 2` on one line and `"", 0` on the next
+ * @returns {Array<string>} Argument list sources
+ */
+export const parseCalls = (text = '') => {
+  return text
+    .split('\n')
+    .map((line) => line.trim())
+    .filter((line) => line && !line.startsWith('//'));
+};
+
+/**
+ * Describe the outcome of one call for display
+ * @param {Object} outcome - Outcome recorded by runCalls
+ * @returns {string} e.g. `→ "cba"` or `✖ TypeError: x is not a function`
+ */
+export const formatOutcome = (outcome) => {
+  if (!outcome) return '';
+  if (outcome.error) {
+    return `✖ ${outcome.error.name}: ${outcome.error.message}`;
+  }
+  return `→ ${formatValue(outcome.returned)}`;
+};
+
+const createSandbox = (container) => {
+  return new Promise((resolve) => {
+    const iframe = document.createElement('iframe');
+    iframe.style.display = 'none';
+    iframe.onload = () => resolve(iframe);
+    iframe.src = 'about:blank';
+    container.appendChild(iframe);
+  });
+};
+
+const toError = (error) => ({
+  name: error?.name || 'Error',
+  message: error?.message ?? String(error)
+});
+
+/**
+ * Run one function with each argument list in a fresh hidden iframe
+ * Console output and prompt/confirm/alert calls are recorded per call,
+ * so two implementations can be compared on more than their return values.
+ * @param {Object} options
+ * @param {string} options.code - Source defining the function
+ * @param {string} options.functionName - Name of the function to call
+ * @param {Array<string>} options.calls - Argument list sources
+ * @param {HTMLElement} options.container - Where to mount the iframe
+ * @param {Object} options.loopGuard - { active, max } loop guard options
+ * @returns {Promise<Array<Object>>} One { args, returned, logs, error } per call
+ */
+export const runCalls = async ({
+  code = '',
+  functionName,
+  calls = [],
+  container = document.body,
+  loopGuard = { active: true, max: DEFAULT_MAX_ITERATIONS }
+}) => {
+  const iframe = await createSandbox(container);
+  const iframeWindow = iframe.contentWindow;
+  const iframeDocument = iframe.contentDocument;
+
+  let logs = [];
+  const record = (method) => (...args) => {
+    const text = args
+      .map((arg) => (typeof arg === 'string' ? arg : formatValue(arg)))
+      .join(' ');
+    logs.push(method === 'log' ? text : `${method}: ${text}`);
+  };
+  for (const method of ['log', 'info', 'warn', 'error']) {
+    iframeWindow.console[method] = record(method);
+  }
+  installScriptedInputs(iframeWindow, [], (interaction) => {
+    logs.push(formatInteraction(interaction));
+  });
+
+  let loadError = null;
+  iframeWindow.addEventListener('error', (event) => {
+    loadError = loadError || { name: 'Error', message: event.message };
+  });
+
+  const classic = toClassicScript(code);
+  const script = iframeDocument.createElement('script');
+  script.textContent = loopGuard.active
+    ? addLoopGuard(classic, { max: loopGuard.max })
+    : classic;
+  iframeDocument.body.appendChild(script);
+
+  let fn;
+  try {
+    fn = iframeWindow.eval(functionName);
+  } catch {
+    fn = undefined;
+  }
+  const missing = typeof fn === 'function'
+    ? null
+    : { name: 'ReferenceError', message: `${functionName} is not defined` };
+
+  const results = [];
+  for (const args of calls) {
+    logs = [];
+    const outcome = { args, returned: undefined, logs, error: loadError || missing };
+
+    if (!outcome.error) {
+      try {
+        const argValues = iframeWindow.eval(`[${args}]`);
+        let returned = fn(...argValues);
+        if (returned && typeof returned.then === 'function') {
+          returned = await returned;
+        }
+        outcome.returned = returned;
+      } catch (error) {
+        outcome.error = toError(error);
+      }
+    }
+    results.push(outcome);
+  }
+
+  if (iframe.parentNode) {
+    iframe.parentNode.removeChild(iframe);
+  }
+
+  return results;
+};
+
+/**
+ * Compare the black box's outcomes with the learner's, call by call
+ * @param {Array<Object>} expected - Outcomes of the black box
+ * @param {Array<Object>} actual - Outcomes of the learner's implementation
+ * @returns {Array<Object>} One { args, expected, actual, sameReturn, sameLogs, sameError, matches } per call
+ */
+export const compareBehaviors = (expected = [], actual = []) => {
+  return expected.map((blackBox, index) => {
+    const learner = actual[index] || null;
+    const sameError = Boolean(learner) &&
+      Boolean(blackBox.error) === Boolean(learner.error) &&
+      (!blackBox.error || blackBox.error.name === learner.error.name);
+    const sameReturn = Boolean(learner) &&
+      (Boolean(blackBox.error) || deepEqual(blackBox.returned, learner.returned));
+    const sameLogs = Boolean(learner) &&
+      blackBox.logs.join('\n') === learner.logs.join('\n');
+
+    return {
+      args: blackBox.args,
+      expected: blackBox,
+      actual: learner,
+      sameReturn,
+      sameLogs,
+      sameError,
+      matches: sameReturn && sameLogs && sameError
+    };
+  });
+};
@@ -0,0 +1,132 @@
+/**
+ * Scripted Inputs - replay queued responses for prompt, confirm and alert
+ * Lets a program that talks to the user run deterministically in the RunCode
+ * sandbox and the trace iframe without blocking on native dialogs.
+ */
+
+import { loadConfigFromVirtualFS } from '../../config/index.js';
+
+const CONFIRM_YES = ['ok', 'yes', 'y', 'true'];
+
+/**
+ * Parse the text of the inputs panel into a queue of responses
+ * Each line is one response. JSON literals are read as values,
+ * so `null` cancels a prompt and `""` is an empty answer.
+ * @param {string} text - One response per line
+ * @returns {Array<string|boolean|null>} Queue of responses
+ */
+export const parseInputScript = (text = '') => {
+  if (!text.trim()) return [];
+
+  const lines = text.split('\n');
+  if (lines[lines.length - 1] === '') {
+    lines.pop();
+  }
+
+  return lines.map((line) => {
+    try {
+      const value = JSON.parse(line);
+      if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+        return value;
+      }
+    } catch {
+      // Not a JSON literal - use the raw line
+    }
+    return line;
+  });
+};
+
+/**
+ * Serialize a queue of responses back into inputs panel text
+ * @param {Array<string|boolean|null>} responses - Queue of responses
+ * @returns {string} One response per line
+ */
+export const stringifyInputScript = (responses = []) => {
+  return responses
+    .map((response) => {
+      if (typeof response !== 'string') return JSON.stringify(response);
+      // Quote strings that would otherwise be read back as another value
+      return response === '' || parseInputScript(response)[0] !== response
+        ? JSON.stringify(response)
+        : response;
+    })
+    .join('\n');
+};
+
+/**
+ * Read the input script for a file from the `inputs` entry in lenses.json
+ * e.g. { "inputs": { "3-prompt.js": [null, "", "hello", "Ada"] } }
+ * @param {string} filePath - Virtual FS path of the file
+ * @param {Object} virtualFS - Virtual file system root
+ * @returns {Promise<Array<string|boolean|null>>} Queue of responses
+ */
+export const loadInputScript = async (filePath, virtualFS) => {
+  if (!filePath || !virtualFS) return [];
+
+  const config = await loadConfigFromVirtualFS(filePath, virtualFS);
+  const fileName = filePath.split('/').pop();
+  const responses = config.inputs?.[fileName];
+
+  return Array.isArray(responses) ? responses : [];
+};
+
+/**
+ * Format one interaction for console or trace output
+ * @param {Object} interaction - Interaction recorded by installScriptedInputs
+ * @returns {string} e.g. `prompt("enter your name") → "Ada"`
+ */
+export const formatInteraction = ({ type, message, response, scripted }) => {
+  const call = `${type}(${JSON.stringify(message)})`;
+  if (type === 'alert') return call;
+  return `${call} → ${JSON.stringify(response)}${scripted ? '' : ' (typed)'}`;
+};
+
+const toPromptResponse = (response) => {
+  return response === null ? null : String(response);
+};
+
+const toConfirmResponse = (response) => {
+  if (typeof response === 'boolean') return response;
+  if (response === null) return false;
+  return CONFIRM_YES.includes(String(response).trim().toLowerCase());
+};
+
+/**
+ * Replace prompt, confirm and alert in a window with scripted versions
+ * prompt and confirm take the next response from the queue, falling back to
+ * the native dialog once it runs out. alert never blocks, it is only logged.
+ * @param {Window} targetWindow - Window the learner's code runs in
+ * @param {Array<string|boolean|null>} responses - Queue of responses
+ * @param {Function} onInteraction - Called with each interaction
+ */
+export const installScriptedInputs = (targetWindow, responses = [], onInteraction = null) => {
+  const queue = [...responses];
+  const native = {
+    prompt: targetWindow.prompt?.bind(targetWindow),
+    confirm: targetWindow.confirm?.bind(targetWindow)
+  };
+
+  const record = (interaction) => {
+    if (onInteraction) {
+      onInteraction(interaction);
+    }
+    return interaction.response;
+  };
+
+  const ask = (type, toResponse) => (message = '', defaultValue) => {
+    const text = String(message);
+    if (queue.length > 0) {
+      return record({ type, message: text, response: toResponse(queue.shift()), scripted: true });
+    }
+    const response = type === 'prompt'
+      ? native.prompt(text, defaultValue)
+      : native.confirm(text);
+    return record({ type, message: text, response, scripted: false });
+  };
+
+  targetWindow.prompt = ask('prompt', toPromptResponse);
+  targetWindow.confirm = ask('confirm', toConfirmResponse);
+  targetWindow.alert = (message = '') => {
+    record({ type: 'alert', message: String(message), response: undefined, scripted: true });
+  };
+};
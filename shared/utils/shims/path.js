@@ -0,0 +1,19 @@
+/**
+ * node:path for ESLint's Linter in the browser
+ * The Linter only looks at the names of the files it checks, and lint.js never
+ * gives it one, so these only need to handle plain '/' separated names.
+ */
+
+export const sep = '/';
+
+export const extname = (filePath = '') => {
+  const base = filePath.slice(filePath.lastIndexOf('/') + 1);
+  const dot = base.lastIndexOf('.');
+  return dot > 0 ? base.slice(dot) : '';
+};
+
+export const join = (...parts) => parts.filter(Boolean).join('/').replace(/\/+/g, '/');
+
+export const relative = (from, to) => to;
+
+export default { sep, extname, join, relative };
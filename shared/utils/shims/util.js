@@ -0,0 +1,8 @@
+/**
+ * node:util for ESLint's Linter in the browser
+ * It is only used to show a bad rule setting in an error message.
+ */
+
+export const inspect = (value) => JSON.stringify(value);
+
+export default { inspect };
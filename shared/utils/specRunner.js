@@ -0,0 +1,122 @@
+/**
+ * Spec Runner - run a `file.spec.js` / `file.test.js` against `file.js`
+ * Both files run as classic scripts in one sandboxed iframe, so the spec sees
+ * the implementation's top-level declarations as globals.
+ */
+
+import { getSiblingFiles } from '../../fs.js';
+import { createTestingFramework } from './testingFramework.js';
+import { addLoopGuard, DEFAULT_MAX_ITERATIONS } from './loopGuard.js';
+
+export const SPEC_SUFFIXES = ['.spec.js', '.test.js'];
+
+/**
+ * Check if a path is a spec file
+ * @param {string} path - File path
+ * @returns {boolean} True for *.spec.js and *.test.js
+ */
+export const isSpecPath = (path = '') => SPEC_SUFFIXES.some((suffix) => path.endsWith(suffix));
+
+/**
+ * Find the spec file that sits next to an implementation file
+ * @param {string} path - Path of the implementation, e.g. /7-while-loops/reverse.js
+ * @returns {Object|null} Virtual FS node of reverse.spec.js or reverse.test.js
+ */
+export const findSpecFile = (path) => {
+  if (!path || !path.endsWith('.js') || isSpecPath(path)) {
+    return null;
+  }
+
+  const base = path.split('/').pop().slice(0, -'.js'.length);
+  const siblings = getSiblingFiles(path);
+
+  for (const suffix of SPEC_SUFFIXES) {
+    const spec = siblings.find((file) => file.name === base + suffix);
+    if (spec) return spec;
+  }
+  return null;
+};
+
+/**
+ * Blank out ES module syntax so a file can run as a classic script
+ * Replaced code keeps its newlines so error line numbers still match.
+ * @param {string} code - Module source
+ * @returns {string} Script source
+ */
+export const toClassicScript = (code = '') => {
+  const blank = (match) => match.replace(/[^\n]/g, ' ');
+
+  return code
+    .replace(/^\s*import\s+[\s\S]*?from\s*['"][^'"]+['"]\s*;?/gm, blank)
+    .replace(/^\s*import\s*['"][^'"]+['"]\s*;?/gm, blank)
+    .replace(/^\s*export\s*\{[^}]*\}\s*(from\s*['"][^'"]+['"])?\s*;?/gm, blank)
+    .replace(/^(\s*)export\s+default\s+(?=(async\s+)?(function|class)\b)/gm, '$1')
+    .replace(/^(\s*)export\s+default\s+/gm, '$1const __default__ = ')
+    .replace(/^(\s*)export\s+(?=(async\s+)?(const|let|var|function|class)\b)/gm, '$1');
+};
+
+/**
+ * Run a spec against an implementation in a hidden iframe
+ * @param {Object} options
+ * @param {string} options.implementation - Current implementation code
+ * @param {string} options.spec - Current spec code
+ * @param {Function} options.onReport - Receives the structured test report
+ * @param {Function} options.onError - Receives { source, message, line } for uncaught errors
+ * @param {HTMLElement} options.container - Where to mount the iframe
+ * @param {Object} options.loopGuard - { active, max } loop guard options
+ * @returns {Function} Cleanup function that removes the iframe
+ */
+export const runSpec = ({
+  implementation = '',
+  spec = '',
+  onReport = () => {},
+  onError = () => {},
+  container = document.body,
+  loopGuard = { active: true, max: DEFAULT_MAX_ITERATIONS }
+}) => {
+  const iframe = document.createElement('iframe');
+  iframe.style.display = 'none';
+
+  iframe.onload = () => {
+    const iframeWindow = iframe.contentWindow;
+    const iframeDocument = iframe.contentDocument;
+    if (!iframeWindow || !iframeDocument) {
+      onError({ source: 'sandbox', message: 'Failed to access iframe window or document', line: null });
+      return;
+    }
+
+    const framework = createTestingFramework(iframeWindow, { onReport });
+
+    let source = 'implementation';
+    iframeWindow.addEventListener('error', (event) => {
+      onError({ source, message: event.message, line: event.lineno || null });
+    });
+
+    const scripts = [
+      ['implementation', implementation],
+      ['spec', spec]
+    ];
+
+    for (const [name, code] of scripts) {
+      source = name;
+      const script = iframeDocument.createElement('script');
+      const classic = toClassicScript(code);
+      script.textContent = loopGuard.active
+        ? addLoopGuard(classic, { max: loopGuard.max })
+        : classic;
+      iframeDocument.body.appendChild(script);
+    }
+
+    // Report even when the spec registers no tests
+    framework.getReport().then(onReport);
+  };
+
+  iframe.src = 'about:blank';
+  container.appendChild(iframe);
+
+  return () => {
+    if (iframe.parentNode) {
+      iframe.parentNode.removeChild(iframe);
+    }
+  };
+};
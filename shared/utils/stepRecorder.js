@@ -0,0 +1,527 @@
+/**
+ * Step Recorder - run JavaScript with Aran and record every step for the step-through viewer
+ * The advice keeps a scope chain of real values (the same scope tracking as
+ * public/static/shadow-state.js), and a serializable snapshot of the call stack,
+ * scopes and heap is taken whenever execution reaches a new statement.
+ * Runs in a hidden iframe with the Aran build, nothing leaves the browser.
+ */
+
+const TAG = Symbol('tag');
+const LABELS = Symbol('labels');
+const UNINITIALIZED = Symbol('uninitialized');
+
+export const DEFAULT_MAX_STEPS = 1000;
+
+// Every trap counts too, so a loop that never reaches a new statement (`while (true) {}`)
+// is stopped after maxSteps steps' worth of traps
+const TRAPS_PER_STEP = 100;
+
+// Objects past this are shown as "…" so a huge structure cannot stall the recording
+const MAX_HEAP_OBJECTS = 100;
+const MAX_ENTRIES = 50;
+
+// Aran's own variables and the implicit ones are not shown
+const isHiddenName = (name) =>
+  typeof name !== 'string' || /^\d+$/.test(name) || ['this', 'new.target', 'arguments'].includes(name);
+
+class StepLimitError extends Error {
+  constructor(message) {
+    super(`${message} - is there an infinite loop?`);
+    this.name = 'StepLimitError';
+  }
+}
+
+// Statements are the steps, so map every node to the statement it runs in
+const mapStatements = (program) => {
+  const statementOf = new Map();
+
+  const visit = (node, statement) => {
+    if (!node || typeof node.type !== 'string') return;
+
+    const isStep =
+      /(Statement|Declaration)$/.test(node.type) &&
+      node.type !== 'BlockStatement' &&
+      node.type !== 'FunctionDeclaration';
+    const current = isStep ? node : statement;
+    statementOf.set(node, current);
+
+    Object.keys(node).forEach((key) => {
+      if (key === 'loc') return;
+      const child = node[key];
+      if (Array.isArray(child)) {
+        child.forEach((item) => visit(item, current));
+      } else if (child && typeof child === 'object') {
+        visit(child, current);
+      }
+    });
+  };
+
+  visit(program, null);
+  return statementOf;
+};
+
+// Top-level `var` and function declarations live on the global object, not in a scope
+const getGlobalNames = (program) => {
+  const names = [];
+
+  const visit = (node) => {
+    if (!node || typeof node.type !== 'string') return;
+    if (node.type === 'FunctionDeclaration') {
+      names.push(node.id.name);
+      return;
+    }
+    if (/Function|Class/.test(node.type)) return;
+    if (node.type === 'VariableDeclaration' && node.kind === 'var') {
+      node.declarations.forEach((declaration) => {
+        if (declaration.id.type === 'Identifier') names.push(declaration.id.name);
+      });
+    }
+    Object.keys(node).forEach((key) => {
+      const child = node[key];
+      if (Array.isArray(child)) child.forEach(visit);
+      else if (child && typeof child === 'object' && key !== 'loc') visit(child);
+    });
+  };
+
+  program.body.forEach(visit);
+  return names;
+};
+
+const formatPrimitive = (value) => {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'symbol') return value.toString();
+  if (typeof value === 'bigint') return `${value}n`;
+  return String(value);
+};
+
+const describeFunction = (fn) => {
+  try {
+    return `ƒ ${fn.name || 'anonymous'}()`;
+  } catch {
+    return 'ƒ';
+  }
+};
+
+/**
+ * Serializes values for one snapshot, giving every object the same id in every step
+ */
+const createSerializer = (objectIds) => {
+  let nextId = 1;
+
+  return () => {
+    const heap = {};
+    let count = 0;
+
+    const serialize = (value) => {
+      if ((typeof value !== 'object' || value === null) && typeof value !== 'function') {
+        return { type: 'primitive', text: formatPrimitive(value) };
+      }
+
+      if (!objectIds.has(value)) {
+        objectIds.set(value, nextId++);
+      }
+      const id = objectIds.get(value);
+
+      if (!heap[id]) {
+        if (count >= MAX_HEAP_OBJECTS) {
+          return { type: 'primitive', text: '…' };
+        }
+        count++;
+        heap[id] = describe(value);
+      }
+      return { type: 'ref', id };
+    };
+
+    // Only data properties are read, a getter would run learner code mid-snapshot
+    const describe = (value) => {
+      if (typeof value === 'function') {
+        return { kind: 'function', label: describeFunction(value), entries: [] };
+      }
+
+      const isArray = Array.isArray(value);
+      const entry = {
+        kind: isArray ? 'array' : 'object',
+        label: isArray ? 'Array' : value.constructor?.name || 'Object',
+        entries: []
+      };
+
+      const keys = Object.keys(value);
+      keys.slice(0, MAX_ENTRIES).forEach((key) => {
+        const descriptor = Object.getOwnPropertyDescriptor(value, key);
+        entry.entries.push({
+          key,
+          value: 'value' in descriptor
+            ? serialize(descriptor.value)
+            : { type: 'primitive', text: '(getter)' }
+        });
+      });
+      if (keys.length > MAX_ENTRIES) {
+        entry.entries.push({ key: '…', value: { type: 'primitive', text: `${keys.length - MAX_ENTRIES} more` } });
+      }
+      if (value instanceof Error) {
+        entry.entries.unshift({ key: 'message', value: serialize(value.message) });
+      }
+
+      return entry;
+    };
+
+    return { heap, serialize };
+  };
+};
+
+/**
+ * Run a parsed program with step recording advice in a sandbox window
+ * @param {Object} program - Acorn AST with locations
+ * @param {Window} sandbox - Window to run in, with the Aran build available on `window`
+ * @param {number} maxSteps - Stop recording after this many steps
+ * @returns {Object} Recording, see recordSteps
+ */
+const record = (program, sandbox, maxSteps) => {
+  const statementOf = mapStatements(program);
+  const globalNames = getGlobalNames(program);
+
+  const aran = window.Aran({ namespace: 'ADVICE' });
+  const output = [];
+  const steps = [];
+  const snapshot = createSerializer(new WeakMap());
+
+  // Scope tracking, as in shadow-state.js but holding the real values
+  let scope = null;
+  const scopeof = new WeakMap();
+  const internal = new WeakSet();
+  const callstack = [];
+  let currentStatement = null;
+  let traps = 0;
+  // Once thrown, the limit is thrown again at every trap so the program cannot catch it
+  let stopped = null;
+
+  const stop = (message) => {
+    stopped = stopped || new StepLimitError(message);
+    throw stopped;
+  };
+
+  const countTrap = () => {
+    traps += 1;
+    if (stopped || traps > maxSteps * TRAPS_PER_STEP) stop('Stopped, the code ran too long on one line');
+  };
+
+  const currentLine = () => currentStatement?.loc.start.line ?? null;
+
+  const getVariables = (innermost, serialize) => {
+    const chain = [];
+    for (let frame = innermost; frame; frame = Reflect.getPrototypeOf(frame)) {
+      chain.unshift(frame);
+      if (frame[TAG] === 'closure' || frame[TAG] === 'program') break;
+    }
+
+    const variables = [];
+    chain.forEach((frame) => {
+      Reflect.ownKeys(frame).forEach((name) => {
+        if (isHiddenName(name) || frame[name] === UNINITIALIZED) return;
+        variables.push({ name, value: serialize(frame[name]) });
+      });
+    });
+    return variables;
+  };
+
+  const takeSnapshot = (kind, extra = {}) => {
+    if (stopped || steps.length >= maxSteps) {
+      stop(`Stopped after ${maxSteps} steps`);
+    }
+
+    const { heap, serialize } = snapshot();
+
+    // Each call's scope is the one the next call was made from, the last one is current
+    const calls = callstack.filter((call) => call.callee && !call.internal);
+    const frames = [];
+    const scopes = callstack.slice(1).map((call) => call.scope).concat([scope]);
+
+    const globalScope = scopes[0];
+    const globals = globalNames
+      .filter((name) => Object.prototype.hasOwnProperty.call(sandbox, name))
+      .map((name) => {
+        const descriptor = Object.getOwnPropertyDescriptor(sandbox, name);
+        return { name, value: serialize(descriptor.value) };
+      });
+    frames.push({ name: 'Global', variables: [...globals, ...getVariables(globalScope, serialize)] });
+
+    callstack.forEach((call, index) => {
+      if (!call.callee || call.internal) return;
+      // A function's binding of its own name is not one of its variables
+      const self = serialize(call.callee);
+      frames.push({
+        name: call.name,
+        callLine: call.line,
+        variables: getVariables(scopes[index], serialize).filter(
+          (variable) => !(variable.name === call.name && variable.value.id === self.id)
+        )
+      });
+    });
+
+    if (extra.returnValue !== undefined && frames.length > 1) {
+      frames[frames.length - 1].returnValue = serialize(extra.returnValue.value);
+    }
+
+    steps.push({
+      index: steps.length,
+      kind,
+      line: kind === 'end' ? null : currentLine(),
+      frames,
+      heap,
+      outputLength: output.length,
+      depth: calls.length,
+      error: extra.error || null
+    });
+  };
+
+  const isInternalCall = () => callstack.some((call) => call.internal);
+
+  // Every trap goes through here first, a new statement means a new step
+  const visit = (serial) => {
+    countTrap();
+    if (isInternalCall()) return;
+    const statement = statementOf.get(aran.nodes[serial]);
+    if (statement && statement !== currentStatement) {
+      currentStatement = statement;
+      takeSnapshot('step');
+    }
+  };
+
+  const unwindTo = (tags) => {
+    while (scope && !tags.includes(scope[TAG])) {
+      scope = Reflect.getPrototypeOf(scope);
+    }
+  };
+
+  const passThrough = (value, ...rest) => {
+    visit(rest[rest.length - 1]);
+    return value;
+  };
+
+  const advice = {
+    primitive: passThrough,
+    builtin: passThrough,
+    read: passThrough,
+    error: passThrough,
+    argument: passThrough,
+    drop: passThrough,
+    test: passThrough,
+    throw: passThrough,
+
+    closure: (value, serial) => {
+      visit(serial);
+      scopeof.set(value, scope);
+      if (aran.nodes[serial]?.type === 'Program') {
+        internal.add(value);
+      }
+      return value;
+    },
+
+    write: (value, identifier, serial) => {
+      visit(serial);
+      let frame = scope;
+      while (frame && !Reflect.getOwnPropertyDescriptor(frame, identifier)) {
+        frame = Reflect.getPrototypeOf(frame);
+      }
+      if (frame) {
+        frame[identifier] = value;
+      }
+      return value;
+    },
+
+    eval: (value, serial) => {
+      visit(serial);
+      return aran.weave(window.Acorn.parse(value, { locations: true }), () => true, serial);
+    },
+
+    program: () => {
+      callstack.push({ scope });
+      scope = null;
+    },
+
+    arrival: (callee) => {
+      const isInternal = internal.has(callee) || isInternalCall();
+      callstack.push({
+        scope,
+        callee,
+        internal: isInternal,
+        name: describeFunction(callee).replace(/^ƒ |\(\)$/g, ''),
+        line: currentLine()
+      });
+      scope = scopeof.get(callee);
+    },
+
+    return: (value, serial) => {
+      const call = callstack[callstack.length - 1];
+      if (call && call.callee && !call.internal) {
+        const statement = statementOf.get(aran.nodes[serial]);
+        if (statement) currentStatement = statement;
+        takeSnapshot('return', { returnValue: { value } });
+      }
+      scope = callstack.pop()?.scope ?? null;
+      return value;
+    },
+
+    abrupt: (value) => {
+      unwindTo(['closure']);
+      scope = callstack.pop()?.scope ?? null;
+      return value;
+    },
+
+    success: (value) => {
+      currentStatement = null;
+      takeSnapshot('end');
+      scope = callstack.pop()?.scope ?? null;
+      return value;
+    },
+
+    failure: (value) => {
+      currentStatement = null;
+      unwindTo(['program']);
+      if (!(value instanceof StepLimitError)) {
+        const last = steps[steps.length - 1] || { line: null, frames: [], heap: {}, depth: 0 };
+        steps.push({
+          ...last,
+          index: steps.length,
+          kind: 'error',
+          outputLength: output.length,
+          error: value && value.name ? `${value.name}: ${value.message}` : String(value)
+        });
+      }
+      scope = callstack.pop()?.scope ?? null;
+      return value;
+    },
+
+    debugger: (serial) => visit(serial),
+
+    enter: (tag, labels, identifiers, serial) => {
+      visit(serial);
+      if (tag === 'catch') {
+        unwindTo(['try']);
+        scope = Reflect.getPrototypeOf(scope);
+      }
+      scope = Object.create(scope);
+      identifiers.forEach((identifier) => {
+        Reflect.defineProperty(scope, identifier, { value: UNINITIALIZED, writable: true, enumerable: true });
+      });
+      Reflect.defineProperty(scope, TAG, { value: tag });
+      Reflect.defineProperty(scope, LABELS, { value: labels });
+    },
+
+    leave: () => {
+      countTrap();
+      scope = Reflect.getPrototypeOf(scope);
+    },
+
+    continue: (label) => {
+      countTrap();
+      if (label) {
+        while (!scope[LABELS].includes(label)) scope = Reflect.getPrototypeOf(scope);
+      } else {
+        unwindTo(['loop']);
+      }
+      scope = Reflect.getPrototypeOf(scope);
+    },
+
+    break: (label) => {
+      countTrap();
+      if (label) {
+        while (!scope[LABELS].includes(label)) scope = Reflect.getPrototypeOf(scope);
+      } else {
+        unwindTo(['loop', 'switch']);
+      }
+      scope = Reflect.getPrototypeOf(scope);
+    },
+
+    unary: (operator, value, serial) => {
+      visit(serial);
+      return aran.unary(operator, value);
+    },
+
+    binary: (operator, left, right, serial) => {
+      visit(serial);
+      return aran.binary(operator, left, right);
+    },
+
+    apply: (callee, self, args, serial) => {
+      visit(serial);
+      return Reflect.apply(callee, self, args);
+    },
+
+    construct: (callee, args, serial) => {
+      visit(serial);
+      return Reflect.construct(callee, args);
+    }
+  };
+
+  // console.log in the program is collected instead of printed
+  const log = (...values) => {
+    output.push(values.map((value) => (typeof value === 'string' ? value : formatPrimitive(value))).join(' '));
+  };
+  sandbox.console = { ...sandbox.console, log, info: log, warn: log, error: log };
+
+  sandbox.ADVICE = advice;
+  sandbox.eval(window.Astring.generate(aran.setup()));
+  sandbox.ADVICE.builtins.global.console = sandbox.console;
+
+  const instrumented = window.Astring.generate(aran.weave(program, () => true));
+
+  let error = null;
+  try {
+    sandbox.eval(instrumented);
+  } catch (thrown) {
+    error = thrown instanceof StepLimitError
+      ? thrown.message
+      : `${thrown?.name || 'Error'}: ${thrown?.message ?? thrown}`;
+  }
+
+  return { steps, output, error, truncated: stopped !== null };
+};
+
+/**
+ * Run a JavaScript program and record each step for stepping forward and back
+ * @param {string} code - JavaScript source
+ * @param {Object} options
+ * @param {number} options.maxSteps - Stop after this many steps (infinite loop guard)
+ * @param {Function} options.setup - Called with the sandbox window before the code runs, e.g. to script prompt()
+ * @returns {Promise<Object>} { steps, output, error, truncated } - each step as
+ *   { index, kind: 'step'|'return'|'end'|'error', line, frames: [{ name, callLine, variables, returnValue }],
+ *     heap: { [id]: { kind, label, entries: [{ key, value }] } }, outputLength, depth, error }
+ *   with values as { type: 'primitive', text } or { type: 'ref', id }
+ */
+export const recordSteps = (code, { maxSteps = DEFAULT_MAX_STEPS, setup } = {}) =>
+  new Promise((resolve, reject) => {
+    if (!window.Aran || !window.Astring || !window.Acorn) {
+      reject(new Error('The Aran build (static/aran-build.js) is not loaded'));
+      return;
+    }
+
+    let program;
+    try {
+      program = window.Acorn.parse(code, { locations: true });
+    } catch (error) {
+      reject(new SyntaxError(error.message));
+      return;
+    }
+    if (program.body.length === 0) {
+      resolve({ steps: [], output: [], error: null, truncated: false });
+      return;
+    }
+
+    const iframe = document.createElement('iframe');
+    iframe.style.display = 'none';
+    iframe.setAttribute('sandbox', 'allow-scripts allow-same-origin allow-modals');
+    iframe.onload = () => {
+      try {
+        if (typeof setup === 'function') {
+          setup(iframe.contentWindow);
+        }
+        resolve(record(program, iframe.contentWindow, maxSteps));
+      } catch (error) {
+        reject(error);
+      } finally {
+        iframe.remove();
+      }
+    };
+    document.body.appendChild(iframe);
+  });
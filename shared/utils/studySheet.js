@@ -0,0 +1,282 @@
+/**
+ * Study Sheet - A standalone HTML page to hand out with annotated code
+ * The Print lens puts the code, its highlights and marks, variable colors,
+ * a trace table and the notes into one file with all of its CSS inlined, so it
+ * opens and prints the same anywhere. Sections after the code start on a new page.
+ */
+
+import { parseScriptWithLocation } from 'shift-parser';
+import { analyze } from 'shift-scope';
+import { toStepsRows } from '../../public/static/lib/trace-events.js';
+import { isColor } from './annotations.js';
+
+// Longer traces are cut off, nobody prints thousands of rows
+export const MAX_TRACE_ROWS = 500;
+
+// The same colors the Variables lens uses for declarations, reads and writes
+export const VARIABLE_COLORS = {
+  declare: '#f6a935',
+  read: '#be171f',
+  write: '#78835b',
+  'read-write': '#1a697a',
+};
+
+// Quotes too, names and values also go into attributes
+const escapeHTML = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+/**
+ * Where each variable the code declares is declared, read and written
+ * @param {string} code - JavaScript
+ * @returns {Array<Object>} [{ from, to, name, access }] in source order, access is
+ *   'declare', 'read', 'write' or 'read-write'. Empty if the code doesn't parse.
+ */
+export const variableAccesses = (code) => {
+  let tree;
+  let locations;
+  try {
+    ({ tree, locations } = parseScriptWithLocation(code));
+  } catch {
+    return [];
+  }
+
+  const accesses = new Map(); // identifier node -> access
+  const collect = (scope) => {
+    scope.variableList
+      .filter((variable) => variable.declarations.length > 0)
+      .forEach((variable) => {
+        variable.references.forEach(({ node, accessibility }) => {
+          if (!accessibility) return;
+          const access =
+            accessibility.isRead && accessibility.isWrite
+              ? 'read-write'
+              : accessibility.isWrite
+              ? 'write'
+              : 'read';
+          accesses.set(node, access);
+        });
+        // a declaration that also initializes is shown as the declaration
+        variable.declarations.forEach(({ node }) => accesses.set(node, 'declare'));
+      });
+    scope.children.forEach(collect);
+  };
+  collect(analyze(tree));
+
+  return [...accesses]
+    .filter(([node]) => locations.get(node) && typeof node.name === 'string')
+    .map(([node, access]) => {
+      const from = locations.get(node).start.offset;
+      return { from, to: from + node.name.length, name: node.name, access };
+    })
+    .sort((a, b) => a.from - b.from);
+};
+
+/**
+ * Wrap character ranges of highlighted HTML in variable spans
+ * Tags and entities are skipped when counting characters, and a span is closed
+ * and opened again around any tag inside it so the HTML stays well nested.
+ * @param {string} html - Escaped or Prism highlighted code
+ * @param {Array<Object>} ranges - [{ from, to, name, access }] from variableAccesses
+ * @returns {string}
+ */
+export const wrapRanges = (html, ranges = []) => {
+  if (ranges.length === 0) return html;
+
+  const parts = html.match(/<[^>]*>|&[#\w]+;|[^<&]|&/g) || [];
+  const openTag = ({ name, access }) =>
+    `<span class="variable var-${escapeHTML(access)}" title="${escapeHTML(`${name} (${access})`)}">`;
+
+  let result = '';
+  let offset = 0;
+  let next = 0; // the next range to open
+  let current = null; // the range that is open
+
+  for (const part of parts) {
+    if (part.startsWith('<')) {
+      result += current ? `</span>${part}${openTag(current)}` : part;
+      continue;
+    }
+
+    while (!current && next < ranges.length && ranges[next].to <= offset) {
+      next += 1;
+    }
+    if (!current && next < ranges.length && ranges[next].from === offset) {
+      current = ranges[next];
+      next += 1;
+      result += openTag(current);
+    }
+
+    result += part;
+    offset += 1;
+
+    if (current && offset >= current.to) {
+      result += '</span>';
+      current = null;
+    }
+  }
+
+  return result + (current ? '</span>' : '');
+};
+
+/**
+ * A line-numbered table of the variables a trace declared, read and assigned
+ * @param {Array<Object>} events - From a trace's onComplete
+ * @param {Error} error - The error the traced code ended with, if any
+ * @returns {string} HTML
+ */
+export const traceTableHTML = (events = [], error = null) => {
+  const rows = toStepsRows(events);
+  const shown = rows.slice(0, MAX_TRACE_ROWS);
+
+  const body = shown
+    .map(
+      (row, index) =>
+        `<tr><td class="trace-step">${index + 1}</td><td class="trace-line">${escapeHTML(row.line ?? '')}</td><td>${escapeHTML(row.name ?? '')}</td><td>${escapeHTML(row.action)}</td><td class="trace-value">${escapeHTML(row.value)}</td></tr>`,
+    )
+    .join('');
+
+  const cutOff =
+    rows.length > shown.length
+      ? `<p class="trace-info">Showing the first ${shown.length} of ${rows.length} steps.</p>`
+      : '';
+  const ended = error
+    ? `<p class="trace-info">The code stopped with an error: ${escapeHTML(error.message)}</p>`
+    : '';
+
+  if (shown.length === 0) {
+    return `<p class="trace-info">The trace did not declare, read or assign any variables.</p>${ended}`;
+  }
+
+  return `<table class="trace-table"><thead><tr><th>#</th><th>Line</th><th>Variable</th><th>Action</th><th>Value</th></tr></thead><tbody>${body}</tbody></table>${cutOff}${ended}`;
+};
+
+/**
+ * Trace code and wait for everything it queued to finish
+ * The trace system is loaded by public/static/trace-loader.js
+ * @param {string} code
+ * @returns {Promise<Object>} { events, error }
+ */
+export const traceCode = async (code) => {
+  if (typeof window.trace !== 'function' && window.loadTraceSystem) {
+    await window.loadTraceSystem();
+  }
+  if (typeof window.trace !== 'function') {
+    throw new Error('The trace system is not available');
+  }
+
+  return new Promise((resolve) => {
+    window.trace(code, {
+      onComplete: (events, error) => resolve({ events: events || [], error }),
+    });
+  });
+};
+
+/**
+ * CSS for the parts only study sheets have, added after the print CSS
+ * @returns {string}
+ */
+export const getStudySheetCSS = () => `
+      .variable {
+        border-bottom: 2px solid;
+        -webkit-print-color-adjust: exact;
+        print-color-adjust: exact;
+      }
+
+      ${Object.entries(VARIABLE_COLORS)
+        .filter(([, color]) => isColor(color))
+        .map(([access, color]) => `.var-${access} { border-bottom-color: ${color}; }`)
+        .join('\n      ')}
+
+      .variable-legend {
+        margin-bottom: 10px;
+        font-family: sans-serif;
+        font-size: 0.85rem;
+        color: #444;
+      }
+
+      .variable-legend span {
+        margin-right: 1.5em;
+        padding: 0 0.2em;
+      }
+
+      .sheet-section {
+        margin-top: 25px;
+        break-before: page;
+        page-break-before: always;
+      }
+
+      .sheet-section h2 {
+        font-family: sans-serif;
+        font-size: 1.2rem;
+        margin-bottom: 10px;
+        border-bottom: 1px solid #999;
+      }
+
+      .sheet-section .print-notes {
+        margin-top: 0;
+      }
+
+      .trace-table {
+        width: 100%;
+        border-collapse: collapse;
+        font-size: 0.85rem;
+      }
+
+      .trace-table th,
+      .trace-table td {
+        border: 1px solid #ccc;
+        padding: 2px 6px;
+        text-align: left;
+        vertical-align: top;
+      }
+
+      .trace-table th {
+        background: #eee;
+        font-family: sans-serif;
+      }
+
+      .trace-step,
+      .trace-line {
+        color: #666;
+        text-align: right;
+      }
+
+      .trace-value {
+        white-space: pre-wrap;
+        word-break: break-word;
+      }
+
+      .trace-info {
+        margin-top: 8px;
+        font-family: sans-serif;
+        font-size: 0.85rem;
+        color: #666;
+      }
+
+      @media print {
+        .code-line, .print-notes li { break-inside: avoid; page-break-inside: avoid; }
+        .trace-table thead { display: table-header-group; }
+        .trace-table tr { break-inside: avoid; page-break-inside: avoid; }
+        .sheet-section h2 { break-after: avoid; page-break-after: avoid; }
+      }
+    `;
+
+/**
+ * The legend for variable colors
+ * @param {Array<Object>} variables - From variableAccesses
+ * @returns {string} HTML, empty without variables
+ */
+export const variableLegendHTML = (variables = []) => {
+  if (variables.length === 0) return '';
+  const used = Object.keys(VARIABLE_COLORS).filter((access) =>
+    variables.some((variable) => variable.access === access),
+  );
+  return `<div class="variable-legend">Variables: ${used
+    .map((access) => `<span class="variable var-${escapeHTML(access)}">${escapeHTML(access)}</span>`)
+    .join('')}</div>`;
+};
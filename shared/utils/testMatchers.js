@@ -0,0 +1,314 @@
+/**
+ * Test Matchers - Jest-like expect() assertions for the testing framework
+ * Values usually come from the RunCode iframe, so type checks use
+ * Object.prototype.toString instead of instanceof (which fails across realms).
+ */
+
+const MAX_FORMAT_DEPTH = 4;
+
+const tagOf = (value) => Object.prototype.toString.call(value).slice(8, -1);
+
+const isObjectLike = (value) =>
+  value !== null && (typeof value === 'object' || typeof value === 'function');
+
+const isErrorLike = (value) =>
+  isObjectLike(value) && typeof value.message === 'string' && typeof value.name === 'string';
+
+/**
+ * Format any value for an assertion message
+ * Unlike JSON.stringify this keeps undefined, NaN, -0, Maps, Sets and cycles visible
+ * @param {*} value - Value to format
+ * @param {Array<Object>} seen - Objects on the current path (cycle detection)
+ * @returns {string} Readable representation
+ */
+export const formatValue = (value, seen = []) => {
+  if (typeof value === 'string') return JSON.stringify(value);
+  if (typeof value === 'bigint') return `${value}n`;
+  if (typeof value === 'symbol') return value.toString();
+  if (Object.is(value, -0)) return '-0';
+  if (typeof value === 'function') {
+    return `[Function${value.name ? ` ${value.name}` : ''}]`;
+  }
+  if (!isObjectLike(value)) return String(value);
+
+  if (seen.includes(value)) return '[Circular]';
+
+  const tag = tagOf(value);
+  if (tag === 'Date') return `Date(${Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString()})`;
+  if (tag === 'RegExp') return String(value);
+  if (isErrorLike(value)) return `${value.name}: ${value.message}`;
+
+  if (seen.length >= MAX_FORMAT_DEPTH) {
+    return Array.isArray(value) ? '[Array]' : `[${tag}]`;
+  }
+
+  const path = [...seen, value];
+  const format = (child) => formatValue(child, path);
+
+  if (Array.isArray(value)) {
+    return `[${value.map(format).join(', ')}]`;
+  }
+  if (tag === 'Map') {
+    const entries = Array.from(value, ([key, val]) => `${format(key)} => ${format(val)}`);
+    return entries.length ? `Map { ${entries.join(', ')} }` : 'Map {}';
+  }
+  if (tag === 'Set') {
+    const entries = Array.from(value, format);
+    return entries.length ? `Set { ${entries.join(', ')} }` : 'Set {}';
+  }
+
+  const name = value.constructor?.name;
+  const prefix = name && name !== 'Object' ? `${name} ` : '';
+  const entries = Object.keys(value).map((key) => `${key}: ${format(value[key])}`);
+  return entries.length ? `${prefix}{ ${entries.join(', ')} }` : `${prefix}{}`;
+};
+
+/**
+ * Recursive equality check
+ * Non-strict mode ignores properties whose value is undefined (like Jest's toEqual),
+ * strict mode also compares them and the prototypes (like toStrictEqual).
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {boolean} strict - Compare undefined properties and prototypes
+ * @param {Map} comparing - Pairs currently being compared (cycle detection)
+ * @returns {boolean} True if the values are deeply equal
+ */
+export const deepEqual = (a, b, strict = false, comparing = new Map()) => {
+  if (Object.is(a, b)) return true;
+  if (!isObjectLike(a) || !isObjectLike(b)) return false;
+  if (typeof a === 'function' || typeof b === 'function') return false;
+
+  const tag = tagOf(a);
+  if (tag !== tagOf(b)) return false;
+  if (strict && Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+
+  // A pair already being compared further up is assumed equal (cycles)
+  if (comparing.get(a)?.has(b)) return true;
+  if (!comparing.has(a)) comparing.set(a, new Set());
+  comparing.get(a).add(b);
+
+  const equal = (x, y) => deepEqual(x, y, strict, comparing);
+  let result;
+
+  if (tag === 'Date') {
+    result = Object.is(a.getTime(), b.getTime());
+  } else if (tag === 'RegExp') {
+    result = String(a) === String(b);
+  } else if (isErrorLike(a)) {
+    result = a.name === b.name && a.message === b.message;
+  } else if (tag === 'Map') {
+    result = a.size === b.size && Array.from(a).every(([key, value]) =>
+      b.has(key)
+        ? equal(value, b.get(key))
+        : Array.from(b).some(([otherKey, otherValue]) =>
+          equal(key, otherKey) && equal(value, otherValue)
+        )
+    );
+  } else if (tag === 'Set') {
+    result = a.size === b.size && Array.from(a).every((value) =>
+      b.has(value) || Array.from(b).some((other) => equal(value, other))
+    );
+  } else if (Array.isArray(a)) {
+    result = a.length === b.length && a.every((value, index) => equal(value, b[index]));
+  } else {
+    const keysOf = (object) => Object.keys(object)
+      .filter((key) => strict || object[key] !== undefined);
+    const keysA = keysOf(a);
+    const keysB = keysOf(b);
+    result = keysA.length === keysB.length && keysA.every((key) =>
+      Object.prototype.hasOwnProperty.call(b, key) && equal(a[key], b[key])
+    );
+  }
+
+  comparing.get(a).delete(b);
+  return result;
+};
+
+const assertNumber = (value, matcherName) => {
+  if (typeof value !== 'number' && typeof value !== 'bigint') {
+    throw new TypeError(`${matcherName}: expected a number but received ${formatValue(value)}`);
+  }
+};
+
+const compareNumbers = (name, phrase, compare) => (actual, expected) => {
+  assertNumber(actual, name);
+  assertNumber(expected, name);
+  return { pass: compare(actual, expected), phrase: `${phrase} ${formatValue(expected)}` };
+};
+
+const getProperty = (object, path) => {
+  const keys = Array.isArray(path) ? path : String(path).split('.');
+  let current = object;
+  for (const key of keys) {
+    if (!isObjectLike(current) && typeof current !== 'string') {
+      return { found: false };
+    }
+    if (!(key in Object(current))) {
+      return { found: false };
+    }
+    current = current[key];
+  }
+  return { found: true, value: current };
+};
+
+/**
+ * Matcher definitions
+ * Each returns { pass, phrase, subject?, detail? } which become
+ * "Expected <subject> [not] to <phrase><detail>"
+ */
+const MATCHERS = {
+  toBe: (actual, expected) => ({
+    pass: Object.is(actual, expected),
+    phrase: `be ${formatValue(expected)}`,
+    detail: !Object.is(actual, expected) && deepEqual(actual, expected)
+      ? ' (they are equal but not the same object - use toEqual)'
+      : ''
+  }),
+  toEqual: (actual, expected) => ({
+    pass: deepEqual(actual, expected),
+    phrase: `equal ${formatValue(expected)}`
+  }),
+  toStrictEqual: (actual, expected) => ({
+    pass: deepEqual(actual, expected, true),
+    phrase: `strictly equal ${formatValue(expected)}`
+  }),
+  toBeTruthy: (actual) => ({ pass: !!actual, phrase: 'be truthy' }),
+  toBeFalsy: (actual) => ({ pass: !actual, phrase: 'be falsy' }),
+  toBeNull: (actual) => ({ pass: actual === null, phrase: 'be null' }),
+  toBeUndefined: (actual) => ({ pass: actual === undefined, phrase: 'be undefined' }),
+  toBeDefined: (actual) => ({ pass: actual !== undefined, phrase: 'be defined' }),
+  toBeNaN: (actual) => ({ pass: Number.isNaN(actual), phrase: 'be NaN' }),
+  toBeCloseTo: (actual, expected, numDigits = 2) => {
+    assertNumber(actual, 'toBeCloseTo');
+    assertNumber(expected, 'toBeCloseTo');
+    const pass = actual === Infinity && expected === Infinity
+      || actual === -Infinity && expected === -Infinity
+      || Math.abs(expected - actual) < Math.pow(10, -numDigits) / 2;
+    return {
+      pass,
+      phrase: `be close to ${formatValue(expected)} (${numDigits} decimal places)`,
+      detail: pass ? '' : `, the difference is ${Math.abs(expected - actual)}`
+    };
+  },
+  toBeGreaterThan: compareNumbers('toBeGreaterThan', 'be greater than', (a, b) => a > b),
+  toBeGreaterThanOrEqual: compareNumbers('toBeGreaterThanOrEqual', 'be greater than or equal to', (a, b) => a >= b),
+  toBeLessThan: compareNumbers('toBeLessThan', 'be less than', (a, b) => a < b),
+  toBeLessThanOrEqual: compareNumbers('toBeLessThanOrEqual', 'be less than or equal to', (a, b) => a <= b),
+  toBeInstanceOf: (actual, Class) => ({
+    pass: isObjectLike(actual) && actual instanceof Class,
+    phrase: `be an instance of ${Class?.name || formatValue(Class)}`
+  }),
+  toContain: (actual, item) => {
+    if (typeof actual === 'string') {
+      return { pass: actual.includes(String(item)), phrase: `contain ${formatValue(item)}` };
+    }
+    if (!isObjectLike(actual) || typeof actual[Symbol.iterator] !== 'function') {
+      throw new TypeError(`toContain: expected a string, array or other iterable but received ${formatValue(actual)}`);
+    }
+    return { pass: Array.from(actual).includes(item), phrase: `contain ${formatValue(item)}` };
+  },
+  toContainEqual: (actual, item) => {
+    if (!isObjectLike(actual) || typeof actual[Symbol.iterator] !== 'function') {
+      throw new TypeError(`toContainEqual: expected an array or other iterable but received ${formatValue(actual)}`);
+    }
+    return {
+      pass: Array.from(actual).some((value) => deepEqual(value, item)),
+      phrase: `contain an item equal to ${formatValue(item)}`
+    };
+  },
+  toHaveLength: (actual, length) => {
+    const hasLength = actual !== null && actual !== undefined && typeof actual.length === 'number';
+    return {
+      pass: hasLength && actual.length === length,
+      phrase: `have length ${length}`,
+      detail: hasLength ? `, but its length is ${actual.length}` : ', but it has no length'
+    };
+  },
+  toHaveProperty: (actual, path, ...rest) => {
+    const { found, value } = getProperty(actual, path);
+    const checkValue = rest.length > 0;
+    const label = Array.isArray(path) ? path.join('.') : path;
+    return {
+      pass: found && (!checkValue || deepEqual(value, rest[0])),
+      phrase: checkValue
+        ? `have property "${label}" equal to ${formatValue(rest[0])}`
+        : `have property "${label}"`,
+      detail: found && checkValue ? `, but it is ${formatValue(value)}` : ''
+    };
+  },
+  toMatch: (actual, pattern) => {
+    if (typeof actual !== 'string') {
+      throw new TypeError(`toMatch: expected a string but received ${formatValue(actual)}`);
+    }
+    const pass = tagOf(pattern) === 'RegExp' ? pattern.test(actual) : actual.includes(pattern);
+    return { pass, phrase: `match ${formatValue(pattern)}` };
+  },
+  toThrow: (actual, expected) => {
+    if (typeof actual !== 'function') {
+      throw new TypeError(`toThrow: expected a function but received ${formatValue(actual)}`);
+    }
+
+    let threw = false;
+    let error;
+    try {
+      actual();
+    } catch (err) {
+      threw = true;
+      error = err;
+    }
+
+    const message = isErrorLike(error) ? error.message : String(error);
+    let pass = threw;
+    let phrase = 'throw';
+
+    if (expected === undefined) {
+      // any thrown value passes
+    } else if (typeof expected === 'string') {
+      pass = threw && message.includes(expected);
+      phrase = `throw an error containing ${formatValue(expected)}`;
+    } else if (tagOf(expected) === 'RegExp') {
+      pass = threw && expected.test(message);
+      phrase = `throw an error matching ${formatValue(expected)}`;
+    } else if (typeof expected === 'function') {
+      pass = threw && error instanceof expected;
+      phrase = `throw ${expected.name || 'an error of the given class'}`;
+    } else if (isErrorLike(expected)) {
+      pass = threw && message === expected.message;
+      phrase = `throw an error with message ${formatValue(expected.message)}`;
+    }
+
+    return {
+      pass,
+      phrase,
+      subject: 'function',
+      detail: threw ? `, but it threw ${formatValue(error)}` : ', but it did not throw'
+    };
+  }
+};
+
+/**
+ * Create the expect(actual) object with every matcher and its `.not` variant
+ * @param {*} actual - Value under test
+ * @returns {Object} Matchers
+ */
+export const createExpectation = (actual) => {
+  const build = (isNot) => {
+    const matchers = {};
+    for (const [name, matcher] of Object.entries(MATCHERS)) {
+      matchers[name] = (...args) => {
+        const { pass, phrase, subject, detail = '' } = matcher(actual, ...args);
+        if (pass === isNot) {
+          const who = subject || formatValue(actual);
+          // the detail explains a failed positive assertion, e.g. what was thrown
+          const reason = isNot && name !== 'toThrow' ? '' : detail;
+          throw new Error(`Expected ${who} ${isNot ? 'not ' : ''}to ${phrase}${reason}`);
+        }
+      };
+    }
+    return matchers;
+  };
+
+  const expectation = build(false);
+  expectation.not = build(true);
+  return expectation;
+};
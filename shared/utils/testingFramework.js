@@ -1,13 +1,70 @@
 /**
  * Testing Framework - Ported from SL1's describe-it.js
  * Lightweight Jest-like testing for educational use in the browser's console
+ * Results are also summarized into a structured report for rendering in the page
  */
 
-export const createTestingFramework = (targetWindow = window) => {
+import { createExpectation } from "./testMatchers.js";
+
+const serializeError = (error) => {
+  if (!error) return null;
+  if (typeof error.message === "string") {
+    return { name: error.name || "Error", message: error.message };
+  }
+  return { name: "Thrown", message: String(error) };
+};
+
+// Convert a resolved describe/it report into plain data
+const serializeReport = (report) => {
+  if (report.type === "it") {
+    return {
+      type: "it",
+      description: report.description,
+      passed: !report.error,
+      error: serializeError(report.error),
+      duration: report.ms !== null ? report.ms : report.duration,
+    };
+  }
+
+  const children = report.children.map(serializeReport);
+  return {
+    type: "describe",
+    description: report.description,
+    passed: !report.error && children.every((child) => child.passed),
+    error: serializeError(report.error),
+    duration: children.reduce((total, child) => total + (child.duration || 0), 0),
+    children,
+  };
+};
+
+const countTests = (reports) => {
+  let passes = 0;
+  let failures = 0;
+  for (const report of reports) {
+    if (report.type === "it") {
+      report.passed ? passes++ : failures++;
+    } else {
+      const counts = countTests(report.children);
+      passes += counts.passes;
+      // a suite that throws while collecting its tests counts as a failure
+      failures += counts.failures + (report.error ? 1 : 0);
+    }
+  }
+  return { passes, failures };
+};
+
+/**
+ * @param {Window} targetWindow - Window to install describe/it/expect in
+ * @param {Object} options
+ * @param {Function} options.onReport - Called with the updated report each time
+ *   a top-level describe or it finishes (async tests may finish later)
+ */
+export const createTestingFramework = (targetWindow = window, { onReport = null } = {}) => {
   let describeDepth = 0;
   let itDepth = 0;
   let beforeEachCallback = null;
   let currentReports = [];
+  const rootReports = currentReports;
 
   // Backup console for test output (bypass console blocking)
   const consoleBackup = { ...targetWindow.console };
@@ -74,6 +131,27 @@ export const createTestingFramework = (targetWindow = window) => {
     return resolvedReport;
   };
 
+  // Structured summary of every test run so far
+  const getReport = async () => {
+    const resolved = await Promise.all(rootReports.map(resolveReport));
+    const reports = resolved.map(serializeReport);
+    const { passes, failures } = countTests(reports);
+    return {
+      reports,
+      suites: reports.filter((report) => report.type === "describe").length,
+      tests: passes + failures,
+      passes,
+      failures,
+      duration: reports.reduce((total, report) => total + (report.duration || 0), 0),
+    };
+  };
+
+  const notify = () => {
+    if (onReport) {
+      getReport().then(onReport);
+    }
+  };
+
   // Testing functions
   const beforeEach = (callback) => {
     if (typeof callback !== "function") {
@@ -119,7 +197,10 @@ export const createTestingFramework = (targetWindow = window) => {
     describeDepth--;
 
     if (describeDepth === 0) {
-      resolveReport(report).then(renderDescribe);
+      resolveReport(report).then((resolved) => {
+        renderDescribe(resolved);
+        notify();
+      });
     }
 
     currentReports = parentReports;
@@ -173,7 +254,9 @@ export const createTestingFramework = (targetWindow = window) => {
 
       // immediately log free-floating `it`s
       if (describeDepth === 0) {
+        rootReports.push(promiseReport);
         renderIt(await promiseReport);
+        notify();
       } else {
         currentReports.push(promiseReport);
       }
@@ -185,24 +268,34 @@ export const createTestingFramework = (targetWindow = window) => {
       } catch (err) {
         report.error = err;
       }
+      report.duration = Date.now() - now;
 
       if (returned && typeof returned.then === "function") {
-        currentReports.push(
-          returned
-            .then(() => {
-              report.ms = Date.now() - now;
-              return report;
-            })
-            .catch((err) => {
-              report.ms = Date.now() - now;
-              report.error = err;
-              return report;
-            })
-        );
+        const promiseReport = returned
+          .then(() => {
+            report.ms = Date.now() - now;
+            return report;
+          })
+          .catch((err) => {
+            report.ms = Date.now() - now;
+            report.error = err;
+            return report;
+          });
+        currentReports.push(promiseReport);
+
+        // free-floating `it`s are logged once they settle
+        if (describeDepth === 0) {
+          promiseReport.then((resolved) => {
+            renderIt(resolved);
+            notify();
+          });
+        }
       }
       // immediately log free-floating `it`s
       else if (describeDepth === 0) {
+        rootReports.push(Promise.resolve(report));
         renderIt(report);
+        notify();
       } else {
         currentReports.push(Promise.resolve(report));
       }
@@ -211,45 +304,8 @@ export const createTestingFramework = (targetWindow = window) => {
     itDepth--;
   };
 
-  // Basic expectations (Jest-like matchers)
-  const expect = (actual) => {
-    return {
-      toBe: (expected) => {
-        if (actual !== expected) {
-          throw new Error(`Expected ${actual} to be ${expected}`);
-        }
-      },
-      toEqual: (expected) => {
-        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
-          throw new Error(`Expected ${JSON.stringify(actual)} to equal ${JSON.stringify(expected)}`);
-        }
-      },
-      toBeTruthy: () => {
-        if (!actual) {
-          throw new Error(`Expected ${actual} to be truthy`);
-        }
-      },
-      toBeFalsy: () => {
-        if (actual) {
-          throw new Error(`Expected ${actual} to be falsy`);
-        }
-      },
-      toThrow: () => {
-        if (typeof actual !== 'function') {
-          throw new Error('Expected a function');
-        }
-        let threw = false;
-        try {
-          actual();
-        } catch (e) {
-          threw = true;
-        }
-        if (!threw) {
-          throw new Error('Expected function to throw');
-        }
-      }
-    };
-  };
+  // Jest-like matchers, each also available negated through `expect(x).not`
+  const expect = (actual) => createExpectation(actual);
 
   // Testing globals
   const globals = {
@@ -261,6 +317,9 @@ export const createTestingFramework = (targetWindow = window) => {
     expect,
   };
 
+  // Report access for the host page (not installed as globals)
+  const framework = { ...globals, getReport };
+
   // Install globals in target window
   try {
     Object.assign(targetWindow, globals);
@@ -268,5 +327,5 @@ export const createTestingFramework = (targetWindow = window) => {
     // Ignore errors if can't assign to window
   }
 
-  return globals;
+  return framework;
 };
\ No newline at end of file
@@ -0,0 +1,228 @@
+/**
+ * Workspace Archive - download the virtual FS as a zip and load one back
+ * Exports hold every file in its current (edited) state, plus an optional
+ * sidecar JSON with annotations, drawings and study progress. Imports take a
+ * zip or a dropped folder and build the same tree create-vir-dir.mjs does.
+ */
+
+import { zipSync, unzipSync, strToU8, strFromU8 } from 'fflate';
+import { addVirtualFSMetadata } from '../../fs.js';
+import { getFileExtension, getFileBaseName, readFileAsText } from './fileUtils.js';
+import { snapshotWorkspace, applyWorkspaceFiles, getWorkspaceSource, WORKSPACE_VERSION } from './workspaceStorage.js';
+
+// Annotations and progress travel next to the files under this name
+export const SIDECAR_NAME = '.study-lenses.json';
+
+// Skipped on import, like create-vir-dir.mjs does
+const SKIPPED_EXTENSIONS = ['.png', '.jpg', '.svg', '.mp4'];
+const SKIPPED_NAMES = ['.DS_Store', '__MACOSX'];
+
+const isSkipped = (path) => {
+  const parts = path.split('/');
+  const name = parts[parts.length - 1];
+  return (
+    parts.some((part) => SKIPPED_NAMES.includes(part)) ||
+    SKIPPED_EXTENSIONS.includes(getFileExtension(name).toLowerCase())
+  );
+};
+
+const forEachFile = (node, callback) => {
+  if (node.type === 'file') {
+    callback(node);
+    return;
+  }
+  (node.children || []).forEach((child) => forEachFile(child, callback));
+};
+
+/**
+ * Zip the virtual FS in its current state
+ * GitHub files that were never opened have no content yet and are left out.
+ * @param {Object} fs - Virtual FS root
+ * @param {Object} options
+ * @param {boolean} options.includeStudyData - Add annotations and progress as a sidecar JSON
+ * @returns {Object} { blob, fileCount, skipped } - skipped lists paths without content
+ */
+export const exportWorkspaceZip = (fs, { includeStudyData = true } = {}) => {
+  const rootName = fs.name || 'workspace';
+  const entries = {};
+  const skipped = [];
+
+  forEachFile(fs, (node) => {
+    const content = node.editorContent ?? node.content;
+    if (typeof content !== 'string' || (node.githubRepo && !node.content)) {
+      skipped.push(node.path);
+      return;
+    }
+    entries[`${rootName}${node.path}`] = strToU8(content);
+  });
+
+  const fileCount = Object.keys(entries).length;
+
+  if (includeStudyData) {
+    // The files already hold the edits, so the sidecar only carries study data
+    const files = {};
+    Object.entries(snapshotWorkspace(fs)).forEach(([path, saved]) => {
+      const studyData = { ...saved };
+      delete studyData.editorContent;
+      delete studyData.contentHash;
+      if (Object.keys(studyData).length > 0) {
+        files[path] = studyData;
+      }
+    });
+    const sidecar = {
+      version: WORKSPACE_VERSION,
+      source: getWorkspaceSource(fs),
+      exportedAt: new Date().toISOString(),
+      files
+    };
+    entries[`${rootName}/${SIDECAR_NAME}`] = strToU8(JSON.stringify(sidecar, null, 2));
+  }
+
+  const blob = new Blob([zipSync(entries)], { type: 'application/zip' });
+  return { blob, fileCount, skipped };
+};
+
+/**
+ * Build a virtual FS from flat file entries, shaped like create-vir-dir.mjs output
+ * A sidecar JSON among the entries is applied to the tree instead of becoming a file.
+ * @param {string} name - Root directory name
+ * @param {Array<Object>} entries - { path, content } with paths relative to the root
+ * @param {string} source - Content source id for workspace storage
+ * @returns {Object} Virtual FS root
+ */
+export const buildVirtualFS = (name, entries, source = `local:${name}`) => {
+  const root = { name, type: 'directory', path: '/', source, children: [] };
+  const directories = new Map([['', root]]);
+  let sidecar = null;
+
+  const getDirectory = (parts) => {
+    const key = parts.join('/');
+    if (!directories.has(key)) {
+      const parent = getDirectory(parts.slice(0, -1));
+      const directory = { name: parts[parts.length - 1], type: 'directory', path: `/${key}`, children: [] };
+      parent.children.push(directory);
+      directories.set(key, directory);
+    }
+    return directories.get(key);
+  };
+
+  entries.forEach(({ path, content }) => {
+    const parts = path.split('/').filter((p) => p);
+    if (parts.length === 0 || isSkipped(path)) return;
+
+    if (parts.length === 1 && parts[0] === SIDECAR_NAME) {
+      try {
+        sidecar = JSON.parse(content);
+      } catch (error) {
+        console.warn(`Ignoring unreadable ${SIDECAR_NAME}:`, error.message);
+      }
+      return;
+    }
+
+    const fileName = parts[parts.length - 1];
+    const ext = getFileExtension(fileName);
+    getDirectory(parts.slice(0, -1)).children.push({
+      name: fileName,
+      type: 'file',
+      ext,
+      base: getFileBaseName(fileName),
+      dir: parts.slice(0, -1).join('/'),
+      path: `/${parts.join('/')}`,
+      lang: ext,
+      content
+    });
+  });
+
+  addVirtualFSMetadata(root, '/');
+
+  if (sidecar?.files) {
+    applyWorkspaceFiles(root, sidecar.files);
+  }
+
+  return root;
+};
+
+// Zips made by "compress folder" wrap everything in one top-level directory
+const stripCommonRoot = (entries) => {
+  const tops = new Set(entries.map(({ path }) => path.split('/')[0]));
+  const isWrapped = tops.size === 1 && entries.every(({ path }) => path.includes('/'));
+  if (!isWrapped) return { rootName: null, entries };
+
+  const [rootName] = tops;
+  return {
+    rootName,
+    entries: entries.map((entry) => ({ ...entry, path: entry.path.slice(rootName.length + 1) }))
+  };
+};
+
+/**
+ * Build a virtual FS from a zip archive
+ * @param {File|Blob} file - The zip file
+ * @returns {Promise<Object>} Virtual FS root
+ */
+export const importWorkspaceZip = async (file) => {
+  const archive = unzipSync(new Uint8Array(await file.arrayBuffer()));
+
+  const allEntries = Object.entries(archive)
+    .filter(([path]) => !path.endsWith('/') && !isSkipped(path))
+    .map(([path, data]) => ({ path, content: strFromU8(data) }));
+
+  const { rootName, entries } = stripCommonRoot(allEntries);
+  const name = rootName || (file.name || 'workspace.zip').replace(/\.zip$/i, '');
+  return buildVirtualFS(name, entries, `zip:${name}`);
+};
+
+const readDirectoryEntries = (directoryEntry) =>
+  new Promise((resolve, reject) => {
+    const reader = directoryEntry.createReader();
+    const entries = [];
+    // readEntries returns results in batches until it returns an empty one
+    const readBatch = () => {
+      reader.readEntries((batch) => {
+        if (batch.length === 0) {
+          resolve(entries);
+        } else {
+          entries.push(...batch);
+          readBatch();
+        }
+      }, reject);
+    };
+    readBatch();
+  });
+
+const collectFiles = async (entry, path, files) => {
+  if (isSkipped(path)) return;
+
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    files.push({ path, content: await readFileAsText(file) });
+    return;
+  }
+
+  for (const child of await readDirectoryEntries(entry)) {
+    await collectFiles(child, `${path}/${child.name}`, files);
+  }
+};
+
+/**
+ * Build a virtual FS from something dropped on the page: a folder or a zip
+ * @param {DataTransfer} dataTransfer - From the drop event
+ * @returns {Promise<Object|null>} Virtual FS root, or null if nothing usable was dropped
+ */
+export const importDroppedItems = async (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items || [])
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  const folder = entries.find((entry) => entry.isDirectory);
+  if (folder) {
+    const files = [];
+    for (const child of await readDirectoryEntries(folder)) {
+      await collectFiles(child, child.name, files);
+    }
+    return buildVirtualFS(folder.name, files, `folder:${folder.name}`);
+  }
+
+  const zip = Array.from(dataTransfer.files || []).find((file) => /\.zip$/i.test(file.name));
+  return zip ? importWorkspaceZip(zip) : null;
+};
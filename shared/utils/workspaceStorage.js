@@ -0,0 +1,351 @@
+/**
+ * Workspace Storage - keep a learner's work between visits
+ * Edits, study cache, annotations, drawings and flashcard progress live on
+ * virtual FS nodes. This saves them per content source (bundled content.json,
+ * a GitHub repo, a gist) in IndexedDB, or in FallbackStorage when IndexedDB
+ * is unavailable, and puts them back when the same source is opened again.
+ */
+
+import { FallbackStorage } from './fallbacks.js';
+import { ANNOTATION_KEYS, withValidColors } from './annotations.js';
+
+const DB_NAME = 'study-lenses';
+const DB_VERSION = 1;
+const STORE_NAME = 'workspaces';
+
+// Shape of a saved workspace record - bump and add a migration when it changes
+export const WORKSPACE_VERSION = 1;
+
+// Migrations from older record versions, keyed by the version they upgrade from
+const MIGRATIONS = {};
+
+// File node fields that are saved as they are
+const PERSISTED_FIELDS = [
+  'studyCache',
+  'codeAnnotations',
+  'flowchartAnnotations',
+  'codeDrawingPaths',
+  'flowchartDrawingPaths'
+];
+
+const SAVE_DELAY = 1000;
+
+let backendPromise = null;
+
+const requestToPromise = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const openDatabase = () => {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available'));
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    if (!request.result.objectStoreNames.contains(STORE_NAME)) {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'source' });
+    }
+  };
+  return requestToPromise(request);
+};
+
+const createIndexedDBBackend = (db) => {
+  const store = (mode) => db.transaction(STORE_NAME, mode).objectStore(STORE_NAME);
+
+  return {
+    type: 'indexeddb',
+    get: (source) => requestToPromise(store('readonly').get(source)),
+    put: (record) => requestToPromise(store('readwrite').put(record)),
+    remove: (source) => requestToPromise(store('readwrite').delete(source))
+  };
+};
+
+const createFallbackBackend = (storage = new FallbackStorage()) => {
+  const key = (source) => `${STORE_NAME}:${source}`;
+
+  return {
+    type: 'memory',
+    get: async (source) => {
+      const json = storage.getItem(key(source));
+      return json ? JSON.parse(json) : null;
+    },
+    put: async (record) => storage.setItem(key(record.source), JSON.stringify(record)),
+    remove: async (source) => storage.removeItem(key(source))
+  };
+};
+
+const getBackend = () => {
+  if (!backendPromise) {
+    backendPromise = openDatabase()
+      .then(createIndexedDBBackend)
+      .catch((error) => {
+        console.warn('Workspace will not survive a reload, using in-memory storage:', error.message);
+        return createFallbackBackend();
+      });
+  }
+  return backendPromise;
+};
+
+/**
+ * Where workspaces are being kept
+ * @returns {Promise<string>} 'indexeddb' or 'memory'
+ */
+export const getStorageType = async () => (await getBackend()).type;
+
+/**
+ * Get the content source a virtual FS was loaded from
+ * @param {Object} fs - Virtual FS root
+ * @returns {string|null} e.g. 'bundled:content.json', 'github:owner/repo@main', 'gist:abc123'
+ */
+export const getWorkspaceSource = (fs) => {
+  if (!fs) return null;
+  return fs.source || (fs.name ? `local:${fs.name}` : null);
+};
+
+// Small stable hash, enough to notice that a file's original content changed upstream
+const hashText = (text = '') => {
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(36);
+};
+
+const getOriginalContent = (node) => node.originalContent ?? node.content ?? '';
+
+const hasValue = (value) => {
+  if (value === undefined || value === null) return false;
+  if (Array.isArray(value)) return value.length > 0;
+  if (typeof value === 'object') return Object.keys(value).length > 0;
+  return true;
+};
+
+const forEachFile = (node, callback) => {
+  if (!node) return;
+  if (node.type === 'file') {
+    callback(node);
+    return;
+  }
+  (node.children || []).forEach((child) => forEachFile(child, callback));
+};
+
+const findNode = (root, path) => {
+  let current = root;
+  for (const part of path.split('/').filter((p) => p)) {
+    current = current?.children?.find((child) => child.name === part);
+    if (!current) return null;
+  }
+  return current;
+};
+
+/**
+ * Collect everything a learner changed in a virtual FS
+ * @param {Object} fs - Virtual FS root
+ * @returns {Object} Saved file state by path
+ */
+export const snapshotWorkspace = (fs) => {
+  const files = {};
+
+  forEachFile(fs, (node) => {
+    const saved = {};
+    const original = getOriginalContent(node);
+    const edited = node.editorContent ?? node.content;
+
+    if (!node.isPseudocode && typeof edited === 'string' && edited !== original) {
+      saved.editorContent = edited;
+    }
+    PERSISTED_FIELDS.forEach((field) => {
+      if (hasValue(node[field])) {
+        saved[field] = node[field];
+      }
+    });
+
+    if (Object.keys(saved).length > 0) {
+      files[node.path] = { ...saved, contentHash: hashText(original) };
+    }
+  });
+
+  return files;
+};
+
+const migrateRecord = (record) => {
+  let current = record;
+  while (current && current.version !== WORKSPACE_VERSION) {
+    const migrate = MIGRATIONS[current.version];
+    if (!migrate) {
+      console.warn(`Discarding saved workspace "${record.source}" from unknown version ${record.version}`);
+      return null;
+    }
+    current = migrate(current);
+  }
+  return current;
+};
+
+/**
+ * Load the saved workspace record for a content source
+ * @param {string} source - Content source id
+ * @returns {Promise<Object|null>} { source, version, revision, savedAt, files }
+ */
+export const loadWorkspace = async (source) => {
+  if (!source) return null;
+
+  try {
+    const backend = await getBackend();
+    return migrateRecord(await backend.get(source));
+  } catch (error) {
+    console.error('Failed to load saved workspace:', error);
+    return null;
+  }
+};
+
+/**
+ * Put saved file state back onto virtual FS nodes (mutates them)
+ * Edits are only restored while the file's original content is unchanged, so an
+ * updated exercise is not covered by a stale copy.
+ * @param {Object} fs - Virtual FS root
+ * @param {Object} files - Saved file state by path, as from snapshotWorkspace
+ * @param {number} savedAt - When the state was saved
+ * @returns {number} Number of files restored
+ */
+export const applyWorkspaceFiles = (fs, files = {}, savedAt = Date.now()) => {
+  let restored = 0;
+
+  Object.entries(files).forEach(([path, saved]) => {
+    const node = findNode(fs, path);
+    if (!node || node.type !== 'file') return;
+
+    PERSISTED_FIELDS.forEach((field) => {
+      if (saved[field] === undefined) return;
+      // Saved state can come from an imported file, its colors end up in the page
+      node[field] = ANNOTATION_KEYS.includes(field) ? withValidColors(saved[field]) : saved[field];
+    });
+
+    // Lazily loaded GitHub files have no content yet, so there is nothing to compare
+    const original = getOriginalContent(node);
+    const unchanged = !original || hashText(original) === saved.contentHash;
+    if (saved.editorContent !== undefined && unchanged) {
+      node.editorContent = saved.editorContent;
+      node.modifications = {
+        content: saved.editorContent,
+        timestamp: savedAt,
+        hasChanges: true
+      };
+    }
+
+    restored++;
+  });
+
+  return restored;
+};
+
+/**
+ * Put a saved workspace back onto a freshly loaded virtual FS (mutates its nodes)
+ * @param {Object} fs - Virtual FS root
+ * @returns {Promise<number>} Number of files restored
+ */
+export const restoreWorkspace = async (fs) => {
+  const record = await loadWorkspace(getWorkspaceSource(fs));
+  if (!record) return 0;
+
+  return applyWorkspaceFiles(fs, record.files, record.savedAt);
+};
+
+/**
+ * Save the learner's changes in a virtual FS under its content source
+ * @param {Object} fs - Virtual FS root
+ * @returns {Promise<Object|null>} The saved record, or null if there was nothing to save
+ */
+export const saveWorkspace = async (fs) => {
+  const source = getWorkspaceSource(fs);
+  if (!source) return null;
+
+  try {
+    const backend = await getBackend();
+    const files = snapshotWorkspace(fs);
+    const previous = migrateRecord(await backend.get(source));
+
+    if (Object.keys(files).length === 0) {
+      if (previous) await backend.remove(source);
+      return null;
+    }
+
+    const record = {
+      source,
+      version: WORKSPACE_VERSION,
+      revision: (previous?.revision || 0) + 1,
+      savedAt: Date.now(),
+      files
+    };
+    await backend.put(record);
+    return record;
+  } catch (error) {
+    console.error('Failed to save workspace:', error);
+    return null;
+  }
+};
+
+/**
+ * Forget everything saved for a content source
+ * @param {string} source - Content source id
+ * @returns {Promise<void>}
+ */
+export const clearWorkspace = async (source) => {
+  if (!source) return;
+  cancelWorkspaceSave();
+
+  try {
+    const backend = await getBackend();
+    await backend.remove(source);
+  } catch (error) {
+    console.error('Failed to clear saved workspace:', error);
+  }
+};
+
+/**
+ * Strip saved study data (annotations, drawings, study cache) from a virtual FS in place
+ * Edited content is left for resetFileContent, which knows how to restore the original.
+ * @param {Object} fs - Virtual FS root
+ * @returns {Array<string>} Paths of files that have edits to reset
+ */
+export const clearStudyData = (fs) => {
+  const edited = [];
+
+  forEachFile(fs, (node) => {
+    PERSISTED_FIELDS.forEach((field) => {
+      delete node[field];
+    });
+    const content = node.editorContent ?? node.content;
+    if (typeof content === 'string' && content !== getOriginalContent(node)) {
+      edited.push(node.path);
+    }
+  });
+
+  return edited;
+};
+
+let pendingSave = null;
+
+/**
+ * Save a virtual FS after a short pause, so typing does not write on every key
+ * @param {Function} getFS - Returns the virtual FS to save when the timer fires
+ */
+export const scheduleWorkspaceSave = (getFS) => {
+  cancelWorkspaceSave();
+  pendingSave = setTimeout(() => {
+    pendingSave = null;
+    saveWorkspace(getFS());
+  }, SAVE_DELAY);
+};
+
+/**
+ * Drop a scheduled save that has not run yet
+ */
+export const cancelWorkspaceSave = () => {
+  if (pendingSave) {
+    clearTimeout(pendingSave);
+    pendingSave = null;
+  }
+};
@@ -33,7 +33,7 @@ export const App = () => {
 };
 
 const AppContent = () => {
-  const { setVirtualFS, setCurrentFile, setCurrentExercise: switchExercise } = useApp();
+  const { openWorkspace, setCurrentFile, setCurrentExercise: switchExercise } = useApp();
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
 
@@ -51,6 +51,7 @@ const AppContent = () => {
     if (lensParams.print) return 'print';
     if (lensParams.assets) return 'assets';
     if (lensParams.flashcards) return 'flashcards';
+    if (lensParams.quiz) return 'quiz';
     return null;
   };
 
@@ -61,8 +62,9 @@ const AppContent = () => {
         setIsLoading(true);
 
         // Load initial filesystem (examples or from URL)
-        // Use the imported content as the virtual filesystem
-        setVirtualFS(content);
+        // Use the imported content as the virtual filesystem, with any saved work restored
+        content.source = 'bundled:content.json';
+        await openWorkspace(content);
 
         // Wait a bit to ensure virtual FS is set before file operations
         await new Promise((resolve) => setTimeout(resolve, 10));
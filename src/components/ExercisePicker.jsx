@@ -6,6 +6,7 @@ import {
   supportsPseudocode,
 } from '../../shared/context/ExerciseRegistry.js';
 import { getFlashcardDirectoryForFile } from '../../shared/utils/FlashcardDetector.js';
+import { isQuizMarkdown } from '../../shared/utils/quizParser.js';
 import URLManager from '../../shared/utils/urlManager.js';
 import styles from './ExercisePicker.module.css';
 
@@ -43,11 +44,12 @@ const ExercisePicker = () => {
     currentFile.lang === '.md'
       ? getFlashcardDirectoryForFile(currentFile.path, virtualFS)
       : null;
+  const isQuiz = currentFile.lang === '.md' && isQuizMarkdown(currentFile.content);
 
   // Handle markdown files specially
   if (currentFile.lang === '.md') {
-    if (flashcardInfo) {
-      // This is a flashcard file - show flashcard-specific options
+    if (flashcardInfo || isQuiz) {
+      // This is a flashcard or quiz file - show study options for it
       return (
         <div className={styles.pickerContainer}>
           {/* <div className={styles.pickerHeader}>
@@ -57,19 +59,36 @@ const ExercisePicker = () => {
 
           <div className={styles.flashcardInfo}>
             <div className={styles.flashcardStats}>
-              <span>📂 {flashcardInfo.files.length} cards in collection</span>
+              {flashcardInfo ? (
+                <span>📂 {flashcardInfo.files.length} cards in collection</span>
+              ) : (
+                <span>📝 Multiple-choice quiz</span>
+              )}
             </div>
 
             <div className={styles.exerciseGrid}>
-              <button
-                className={`${styles.exerciseButton} ${
-                  currentExercise === 'flashcards' ? styles.active : ''
-                }`}
-                onClick={() => setCurrentExercise('flashcards')}
-                title="Study this card using spaced repetition"
-              >
-                Flashcards
-              </button>
+              {isQuiz && (
+                <button
+                  className={`${styles.exerciseButton} ${
+                    currentExercise === 'quiz' ? styles.active : ''
+                  }`}
+                  onClick={() => setCurrentExercise('quiz')}
+                  title="Answer the questions and keep your scores"
+                >
+                  Quiz
+                </button>
+              )}
+              {flashcardInfo && (
+                <button
+                  className={`${styles.exerciseButton} ${
+                    currentExercise === 'flashcards' ? styles.active : ''
+                  }`}
+                  onClick={() => setCurrentExercise('flashcards')}
+                  title="Study this card using spaced repetition"
+                >
+                  Flashcards
+                </button>
+              )}
               <button
                 className={`${styles.exerciseButton} ${
                   currentExercise === 'highlight' ? styles.active : ''
@@ -83,9 +102,11 @@ const ExercisePicker = () => {
 
             <div className={styles.infoSection}>
               <div className={styles.infoContent}>
-                {currentExercise === 'flashcards'
+                {currentExercise === 'flashcards' && flashcardInfo
                   ? 'Interactive flashcard with spaced repetition tracking'
-                  : 'Read-only markdown with annotation tools'}
+                  : currentExercise === 'quiz' && isQuiz
+                    ? 'Feedback after each answer, scores for every quiz in this folder'
+                    : 'Read-only markdown with annotation tools'}
               </div>
             </div>
           </div>
@@ -110,7 +131,7 @@ const ExercisePicker = () => {
     }
   }
 
-  const availableExercises = getExercisesForLang(currentFile.lang);
+  const availableExercises = getExercisesForLang(currentFile.lang, currentFile.path);
   const canUsePseudocode = supportsPseudocode(currentFile.lang);
 
   const handleExerciseChange = (exerciseKey) => {
@@ -35,19 +35,10 @@ const ExerciseRenderer = () => {
       setError(null);
       
       try {
-        // Apply transforms if any are active
+        // Apply transforms if any are active, configured by defaults and lenses.json
         let resourceToRender = currentFile;
         if (activeTransforms && activeTransforms.length > 0) {
-          // Apply pseudocode transform if active
-          if (activeTransforms.includes('pseudocode')) {
-            const pseudocodeModule = await import('../../transforms/pseudocode/index.js');
-            const pseudocodeTransform = pseudocodeModule.default;
-            resourceToRender = pseudocodeTransform({ 
-              resource: currentFile, 
-              config: {}, 
-              query: {} 
-            });
-          }
+          resourceToRender = await applyTransforms(currentFile, activeTransforms);
         }
         
         // Note: Scope handling is done internally by StudyLens to prevent re-render loops
@@ -61,6 +52,14 @@ const ExerciseRenderer = () => {
         if (imageExtensions.includes(currentFile.lang)) {
           ComponentModule = await import('../lenses/AssetLens.jsx');
         }
+        // Flashcard decks are markdown too, so check for them before the markdown renderer
+        else if (currentExercise === 'flashcards' && currentFile.lang === '.md') {
+          ComponentModule = await import('../lenses/FlashcardLens.jsx');
+        }
+        // Quiz files answered as multiple choice
+        else if (currentExercise === 'quiz' && currentFile.lang === '.md') {
+          ComponentModule = await import('../lenses/QuizLens.jsx');
+        }
         // For markdown files, always use markdown renderer
         else if (currentFile.lang === '.md') {
           ComponentModule = await import('../lenses/MarkdownLens.jsx');
@@ -76,14 +75,20 @@ const ExerciseRenderer = () => {
           ComponentModule = await import('../lenses/BlanksLens.jsx');
         } else if (currentExercise === 'variables') {
           ComponentModule = await import('../lenses/VariablesLens.jsx');
-        } else if (currentExercise === 'flashcards') {
-          ComponentModule = await import('../lenses/FlashcardLens.jsx');
         } else if (currentExercise === 'print') {
           ComponentModule = await import('../lenses/PrintLens.jsx');
         } else if (currentExercise === 'assets') {
           ComponentModule = await import('../lenses/AssetLens.jsx');
         } else if (currentExercise === 'writeme') {
           ComponentModule = await import('../lenses/WritemeLens.jsx');
+        } else if (currentExercise === 'reverse') {
+          ComponentModule = await import('../lenses/ReverseLens.jsx');
+        } else if (currentExercise === 'pipeline') {
+          ComponentModule = await import('../lenses/PipelineLens.jsx');
+        } else if (currentExercise === 'lint') {
+          ComponentModule = await import('../lenses/LintLens.jsx');
+        } else if (currentExercise === 'preview') {
+          ComponentModule = await import('../lenses/PreviewLens.jsx');
         } else if (currentExercise === 'pythontutor' || currentExercise === 'notional') {
           ComponentModule = await import('../lenses/StepThroughsLens.jsx');
         } else {
@@ -1,6 +1,7 @@
 import { useState } from 'preact/hooks';
 import { useApp } from '../../shared/context/AppContext.jsx';
 import { loadFileContent } from '../../fs.js';
+import { isReversePath } from '../../shared/utils/reverseEngineering.js';
 import styles from './FileBrowser.module.css';
 
 /**
@@ -56,8 +57,8 @@ const FileBrowser = () => {
   };
   
   const renderFileTree = (node, depth = 0) => {
-    // Hide lenses.json files and dot files from learners
-    if (node.name === 'lenses.json' || node.name.startsWith('.')) {
+    // Hide lenses.json files, dot files and reverse-engineering black boxes from learners
+    if (node.name === 'lenses.json' || node.name === 'ask.json' || node.name.startsWith('.') || isReversePath(node.name)) {
       return null;
     }
     
@@ -91,7 +92,7 @@ const FileBrowser = () => {
         </div>
         
         {node.children && isExpanded && node.children
-          .filter(child => child.name !== 'lenses.json' && !child.name.startsWith('.')) // Also filter children
+          .filter(child => child.name !== 'lenses.json' && child.name !== 'ask.json' && !child.name.startsWith('.') && !isReversePath(child.name)) // Also filter children
           .sort((a, b) => {
             // Ensure folders come before files
             if (a.type !== b.type) {
@@ -119,7 +120,7 @@ const FileBrowser = () => {
       <div className={styles.fileTree}>
         {virtualFS.children ? 
           virtualFS.children
-            .filter(child => child.name !== 'lenses.json' && !child.name.startsWith('.'))
+            .filter(child => child.name !== 'lenses.json' && child.name !== 'ask.json' && !child.name.startsWith('.') && !isReversePath(child.name))
             .sort((a, b) => {
               // Ensure folders come before files
               if (a.type !== b.type) {
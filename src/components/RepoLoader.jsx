@@ -1,8 +1,14 @@
-import { useState } from 'preact/hooks';
+import { useState, useEffect } from 'preact/hooks';
 import { useApp } from '../../shared/context/AppContext.jsx';
 import { useToastContext } from '../../shared/context/ToastContext.jsx';
 import { loadFS } from '../../fs.js';
 import { readFileAsText, getFileExtension, getFileBaseName } from '../../shared/utils/fileUtils.js';
+import { getStorageType } from '../../shared/utils/workspaceStorage.js';
+import {
+  exportWorkspaceZip,
+  importWorkspaceZip,
+  importDroppedItems
+} from '../../shared/utils/workspaceArchive.js';
 import styles from './RepoLoader.module.css';
 
 // Helper function to find README file in virtual filesystem
@@ -22,6 +28,15 @@ const findReadmeFile = (node) => {
   return null;
 };
 
+const download = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
 // Helper function to find and auto-select README file
 const findAndSelectReadme = (virtualFS, setCurrentFile) => {
   const readmeFile = findReadmeFile(virtualFS);
@@ -36,13 +51,20 @@ const findAndSelectReadme = (virtualFS, setCurrentFile) => {
  * Repository Loader Component - Allows loading code from GitHub URLs and local files
  */
 const RepoLoader = () => {
-  const { setVirtualFS, setCurrentFile } = useApp();
+  const { virtualFS: currentFS, openWorkspace, resetWorkspace, setCurrentFile } = useApp();
   const { showSuccess, showError } = useToastContext();
   const [repoUrl, setRepoUrl] = useState('');
   const [gistUrl, setGistUrl] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const [isExpanded, setIsExpanded] = useState(false);
+  const [storageType, setStorageType] = useState(null);
+  const [includeStudyData, setIncludeStudyData] = useState(true);
+  const [isDragOver, setIsDragOver] = useState(false);
+
+  useEffect(() => {
+    getStorageType().then(setStorageType);
+  }, []);
 
   const handleLoadRepo = async () => {
     if (!repoUrl.trim()) {
@@ -58,8 +80,8 @@ const RepoLoader = () => {
       // Load the repository using the existing fs.js loadFS function
       const newVirtualFS = await loadFS(repoUrl.trim());
       
-      // Update the app state
-      setVirtualFS(newVirtualFS);
+      // Update the app state, restoring saved work for this repository
+      await openWorkspace(newVirtualFS);
       
       // Auto-select README file if available
       const selectedFile = findAndSelectReadme(newVirtualFS, setCurrentFile);
@@ -104,6 +126,7 @@ const RepoLoader = () => {
       const virtualFS = {
         type: 'directory',
         name: 'uploaded-files',
+        source: 'upload:uploaded-files',
         path: '/',
         children: []
       };
@@ -130,7 +153,7 @@ const RepoLoader = () => {
       // Sort files alphabetically
       virtualFS.children.sort((a, b) => a.name.localeCompare(b.name));
 
-      setVirtualFS(virtualFS);
+      await openWorkspace(virtualFS);
       
       // Auto-select README file if available
       const selectedFile = findAndSelectReadme(virtualFS, setCurrentFile);
@@ -177,6 +200,7 @@ const RepoLoader = () => {
       const virtualFS = {
         type: 'directory',
         name: `gist-${gistId}`,
+        source: `gist:${gistId}`,
         path: '/',
         children: []
       };
@@ -202,7 +226,7 @@ const RepoLoader = () => {
       // Sort files alphabetically
       virtualFS.children.sort((a, b) => a.name.localeCompare(b.name));
 
-      setVirtualFS(virtualFS);
+      await openWorkspace(virtualFS);
       
       // Auto-select README file if available
       const selectedFile = findAndSelectReadme(virtualFS, setCurrentFile);
@@ -223,6 +247,86 @@ const RepoLoader = () => {
     }
   };
 
+  // Open an imported tree (zip or folder) as the workspace
+  const openImported = async (importedFS) => {
+    await openWorkspace(importedFS);
+
+    const selectedFile = findAndSelectReadme(importedFS, setCurrentFile);
+    if (!selectedFile) {
+      setCurrentFile(null);
+    }
+
+    showSuccess(`Imported ${importedFS.name}`);
+  };
+
+  const handleZipUpload = async (event) => {
+    const [file] = event.target.files;
+    if (!file) return;
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      await openImported(await importWorkspaceZip(file));
+    } catch (err) {
+      console.error('❌ Failed to import zip:', err);
+      setError('Failed to import zip: ' + err.message);
+    } finally {
+      setIsLoading(false);
+      event.target.value = '';
+    }
+  };
+
+  const handleDrop = async (event) => {
+    event.preventDefault();
+    setIsDragOver(false);
+
+    setIsLoading(true);
+    setError(null);
+
+    try {
+      const importedFS = await importDroppedItems(event.dataTransfer);
+      if (!importedFS) {
+        throw new Error('drop a folder or a .zip file');
+      }
+      await openImported(importedFS);
+    } catch (err) {
+      console.error('❌ Failed to import dropped items:', err);
+      setError('Failed to import: ' + err.message);
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const handleDragOver = (event) => {
+    event.preventDefault();
+    setIsDragOver(true);
+  };
+
+  // Download every file in its current state, with annotations and progress alongside
+  const handleExportZip = () => {
+    if (!currentFS) return;
+
+    const { blob, fileCount, skipped } = exportWorkspaceZip(currentFS, { includeStudyData });
+    download(blob, `${currentFS.name || 'workspace'}.zip`);
+
+    showSuccess(
+      skipped.length > 0
+        ? `Zipped ${fileCount} files (${skipped.length} unopened GitHub files left out)`
+        : `Zipped ${fileCount} files`
+    );
+  };
+
+  // Throw away saved edits, annotations and flashcard progress for the loaded content
+  const handleResetWorkspace = async () => {
+    if (!window.confirm('Reset every file to its original content and forget your annotations and progress?')) {
+      return;
+    }
+
+    await resetWorkspace();
+    showSuccess('Workspace reset to the original content');
+  };
+
   const handleGistInputChange = (e) => {
     setGistUrl(e.target.value);
     if (error) setError(null);
@@ -294,7 +398,12 @@ const RepoLoader = () => {
           </div>
 
           {/* File Upload */}
-          <div className={styles.uploadSection}>
+          <div
+            className={`${styles.uploadSection} ${isDragOver ? styles.dragOver : ''}`}
+            onDragOver={handleDragOver}
+            onDragLeave={() => setIsDragOver(false)}
+            onDrop={handleDrop}
+          >
             <div className={styles.sectionLabel}>From Computer:</div>
             <label className={styles.uploadLabel}>
               <input
@@ -309,6 +418,19 @@ const RepoLoader = () => {
                 {isLoading ? '⏳' : '📤'} Upload Files
               </span>
             </label>
+            <label className={styles.uploadLabel}>
+              <input
+                type="file"
+                accept=".zip"
+                onChange={handleZipUpload}
+                disabled={isLoading}
+                className={styles.uploadInput}
+              />
+              <span className={styles.uploadButton}>
+                {isLoading ? '⏳' : '🗜️'} Import Zip
+              </span>
+            </label>
+            <div className={styles.dropHint}>or drop a folder or .zip here</div>
           </div>
           
           {error && (
@@ -317,6 +439,34 @@ const RepoLoader = () => {
             </div>
           )}
           
+          <div className={styles.examples}>
+            <div className={styles.sectionLabel}>
+              Your Work: {storageType === 'memory' ? 'kept until you reload' : 'saved in this browser'}
+            </div>
+            <button
+              className={styles.exampleButton}
+              onClick={handleExportZip}
+              disabled={isLoading || !currentFS}
+            >
+              💾 Download Zip
+            </button>
+            <button
+              className={styles.exampleButton}
+              onClick={handleResetWorkspace}
+              disabled={isLoading}
+            >
+              ↩️ Reset to Original
+            </button>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={includeStudyData}
+                onChange={(e) => setIncludeStudyData(e.target.checked)}
+              />
+              include annotations & progress
+            </label>
+          </div>
+
           <div className={styles.examples}>
             <div className={styles.sectionLabel}>Examples:</div>
             <button
@@ -0,0 +1,119 @@
+import { useState, useRef, useEffect, useCallback } from 'preact/hooks';
+import { useCodeMirror } from '../../shared/hooks/useCodeMirror.js';
+import { updateEditorContent, loadFileContent } from '../../fs.js';
+import { runSpec } from '../../shared/utils/specRunner.js';
+import TestReport from '../../shared/components/TestReport.jsx';
+import styles from './SpecPane.module.css';
+
+/**
+ * SpecPane - Editable spec file shown beside its implementation in StudyLens
+ * Runs the spec against the implementation's current (edited) content
+ */
+const SpecPane = ({
+  specFile,
+  implementationName,
+  getImplementationCode,
+  enableColorize = true,
+  onReport = () => {}
+}) => {
+  const [report, setReport] = useState(null);
+  const [errors, setErrors] = useState([]);
+  const sandboxRef = useRef(null);
+  const cleanupRef = useRef(null);
+  const runTestsRef = useRef(null);
+
+  const { editorRef, getValue, setValue, updateSyntaxHighlighting } = useCodeMirror({
+    initialValue: specFile.editorContent || specFile.content || '',
+    onChange: (value) => updateEditorContent(specFile.path, value),
+    filePath: specFile.path,
+    onRunCode: () => runTestsRef.current?.(),
+    enableSyntaxHighlighting: enableColorize,
+    language: 'javascript',
+    theme: 'dark',
+    readonly: false
+  });
+
+  useEffect(() => {
+    updateSyntaxHighlighting(enableColorize);
+  }, [enableColorize, updateSyntaxHighlighting]);
+
+  // GitHub files are loaded lazily, fill the editor once the content arrives
+  useEffect(() => {
+    if (specFile.editorContent || specFile.content) return;
+    loadFileContent(specFile).then((content) => {
+      if (content && !getValue()) {
+        setValue(content);
+      }
+    });
+  }, [specFile.path]);
+
+  const runTests = useCallback(() => {
+    if (cleanupRef.current) {
+      cleanupRef.current();
+    }
+    setReport(null);
+    setErrors([]);
+
+    cleanupRef.current = runSpec({
+      implementation: getImplementationCode(),
+      spec: getValue(),
+      container: sandboxRef.current || document.body,
+      onReport: (nextReport) => {
+        setReport(nextReport);
+        onReport(nextReport);
+      },
+      onError: (error) => setErrors((prev) => [...prev, error])
+    });
+  }, [getImplementationCode, getValue, onReport]);
+  runTestsRef.current = runTests;
+
+  // Remove the sandbox iframe when the pane closes
+  useEffect(() => {
+    return () => {
+      if (cleanupRef.current) {
+        cleanupRef.current();
+      }
+    };
+  }, []);
+
+  return (
+    <div className={styles.specPane}>
+      <div className={styles.header}>
+        <span className={styles.fileName}>🧪 {specFile.name}</span>
+        <span className={styles.target}>testing {implementationName}</span>
+        <button
+          className={styles.runButton}
+          onClick={runTests}
+          title="Run the spec against your current code (Ctrl-Enter)"
+        >
+          ▶️ Run Tests
+        </button>
+      </div>
+
+      <div className={styles.editorWrapper}>
+        <div ref={editorRef} className={styles.codeEditor} />
+      </div>
+
+      <div className={styles.results}>
+        {errors.map((error, index) => (
+          <div key={index} className={styles.error}>
+            ✖ {error.source}
+            {error.line ? ` line ${error.line}` : ''}: {error.message}
+          </div>
+        ))}
+        {report ? (
+          <TestReport report={report} title={implementationName} />
+        ) : (
+          <p className={styles.hint}>
+            Run the tests to check your code in {implementationName} against{' '}
+            {specFile.name}.
+          </p>
+        )}
+      </div>
+
+      <div ref={sandboxRef} className={styles.sandbox} />
+    </div>
+  );
+};
+
+export default SpecPane;
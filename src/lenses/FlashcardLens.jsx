@@ -0,0 +1,480 @@
+import { useState, useEffect, useCallback, useMemo } from 'preact/hooks';
+import { useApp } from '../../shared/context/AppContext.jsx';
+import { getCurrentContent } from '../../shared/utils/getCurrentContent.js';
+import { getFlashcardDirectoryForFile, loadDeckFiles } from '../../shared/utils/FlashcardDetector.js';
+import { useLeitnerBox } from '../../shared/hooks/useLeitnerBox.js';
+import { QUALITY } from '../../shared/utils/LeitnerBoxManager.js';
+import { isQuizMarkdown, parseQuizMarkdown } from '../../shared/utils/quizParser.js';
+import QuizCard from '../../shared/components/QuizCard.jsx';
+import styles from './FlashcardLens.module.css';
+
+// Answer buttons when leitner.json picks the SM-2 scheduler
+const SM2_RESPONSES = [
+  { label: '🔁 Again', quality: QUALITY.again, correct: false, className: 'incorrect' },
+  { label: '😓 Hard', quality: QUALITY.hard, correct: true, className: 'hard' },
+  { label: '🙂 Good', quality: QUALITY.good, correct: true, className: 'correct' },
+  { label: '🚀 Easy', quality: QUALITY.easy, correct: true, className: 'easy' }
+];
+
+const FORECAST_DAYS = 14;
+
+// A quiz card counts as known only when every question was right
+const getQuizQuality = (score) => {
+  if (score === 1) return QUALITY.good;
+  return score >= 0.5 ? QUALITY.hard : QUALITY.again;
+};
+
+const FlashcardLens = ({ resource }) => {
+  const fileName = resource?.name || '';
+  const filePath = resource?.path || '';
+  
+  // App context
+  const { virtualFS, setCurrentFile } = useApp();
+  
+  // Get file editor to access latest content
+  const getFileEditor = useCallback(() => {
+    if (!virtualFS || !resource.path) return null;
+    
+    const findFile = (node, path) => {
+      if (node.path === path) return node;
+      if (node.children && Array.isArray(node.children)) {
+        for (const child of node.children) {
+          const found = findFile(child, path);
+          if (found) return found;
+        }
+      }
+      return null;
+    };
+    
+    return findFile(virtualFS, resource.path);
+  }, [virtualFS, resource.path]);
+  
+  // Get current content (edited or original)
+  const code = getCurrentContent(resource, getFileEditor, '');
+  
+  // Review-quiz files are answered as multiple choice instead of flipped
+  const quiz = useMemo(() => (isQuizMarkdown(code) ? parseQuizMarkdown(code) : null), [code]);
+  
+  // Flashcard state
+  const [isFlipped, setIsFlipped] = useState(false);
+  const [showAnswer, setShowAnswer] = useState(false);
+  const [flashcardData, setFlashcardData] = useState(null);
+  const [userResponse, setUserResponse] = useState(null);
+  
+  // Get flashcard directory info, detected again once lazy files are loaded
+  const [deckLoads, setDeckLoads] = useState(0);
+  const flashcardInfo = useMemo(
+    () => getFlashcardDirectoryForFile(filePath, virtualFS),
+    [filePath, virtualFS, deckLoads]
+  );
+
+  // Quiz decks are found by file name, load the cards' content when the deck opens
+  useEffect(() => {
+    if (!flashcardInfo?.generated) return undefined;
+    let cancelled = false;
+    loadDeckFiles(flashcardInfo.files).then((loaded) => {
+      if (loaded && !cancelled) setDeckLoads((count) => count + 1);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [flashcardInfo]);
+  
+  // Initialize Leitner box system
+  const leitnerBox = useLeitnerBox(
+    flashcardInfo?.path || '', 
+    flashcardInfo?.config || null,
+    flashcardInfo?.statePath
+  );
+
+  // Every card in the deck's folder takes part, new ones start in box 1
+  useEffect(() => {
+    if (flashcardInfo?.files) {
+      leitnerBox.addCards(flashcardInfo.files.map(f => f.path));
+    }
+  }, [flashcardInfo]);
+
+  const openCard = useCallback((cardPath) => {
+    const file = cardPath && flashcardInfo?.files.find(f => f.path === cardPath);
+    if (file) {
+      setCurrentFile(file);
+    }
+  }, [flashcardInfo, setCurrentFile]);
+
+  // Parse flashcard structure from markdown
+  useEffect(() => {
+    try {
+      const parsed = parseFlashcard(code);
+      setFlashcardData(parsed);
+      setIsFlipped(false);
+      setShowAnswer(false);
+      setUserResponse(null);
+    } catch (error) {
+      console.error('Error parsing flashcard:', error);
+      setFlashcardData(null);
+    }
+  }, [code]);
+
+  const parseFlashcard = useCallback((markdown) => {
+    // Simple markdown to HTML converter (same as markdown lens)
+    const markdownToHtml = (md) => {
+      return md
+        // Headers
+        .replace(/^### (.*$)/gim, '<h3>$1</h3>')
+        .replace(/^## (.*$)/gim, '<h2>$1</h2>')
+        .replace(/^# (.*$)/gim, '<h1>$1</h1>')
+        
+        // Bold and italic
+        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\*(.*?)\*/g, '<em>$1</em>')
+        
+        // Code blocks
+        .replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>')
+        .replace(/`(.*?)`/g, '<code>$1</code>')
+        
+        // Links
+        .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>')
+        
+        // Lists
+        .replace(/^\- (.*$)/gim, '<li>$1</li>')
+        .replace(/(<li>.*<\/li>)/s, '<ul>$1</ul>')
+        
+        // Line breaks
+        .replace(/\n\n/g, '</p><p>')
+        .replace(/^(?!<[h|u|p|d])/gm, '<p>')
+        .replace(/(?<!>)$/gm, '</p>')
+        
+        // Clean up extra paragraph tags
+        .replace(/<p><\/p>/g, '')
+        .replace(/<p>(<[h|u|d])/g, '$1')
+        .replace(/(<\/[h|u]>)<\/p>/g, '$1');
+    };
+
+    const html = markdownToHtml(markdown);
+    
+    // Extract the question (everything before <details>)
+    const detailsMatch = html.match(/<details[^>]*>(.*?)<\/details>/s);
+    if (!detailsMatch) {
+      throw new Error('No flashcard structure found - missing <details> element');
+    }
+    
+    const questionHtml = html.substring(0, html.indexOf('<details'));
+    const detailsContent = detailsMatch[1];
+    
+    // Extract summary (flip trigger text)
+    const summaryMatch = detailsContent.match(/<summary[^>]*>(.*?)<\/summary>/s);
+    const summaryText = summaryMatch ? summaryMatch[1].trim() : 'Show Answer';
+    
+    // Extract answer content (everything after summary)
+    const answerHtml = detailsContent.replace(/<summary[^>]*>.*?<\/summary>/s, '').trim();
+    
+    return {
+      question: questionHtml.trim(),
+      answer: answerHtml,
+      summaryText: summaryText
+    };
+  }, []);
+
+  const handleFlip = useCallback(() => {
+    setIsFlipped(true);
+    setShowAnswer(true);
+  }, []);
+
+  const handleResponse = useCallback((correct, quality) => {
+    setUserResponse(correct);
+    
+    // Record response in Leitner box system
+    leitnerBox.recordResponse(filePath, correct, quality);
+  }, [filePath, leitnerBox]);
+
+  const handleQuizSubmit = useCallback(({ score }) => {
+    handleResponse(score === 1, getQuizQuality(score));
+  }, [handleResponse]);
+
+  const handleNext = useCallback(() => {
+    // Reset state for next card
+    setIsFlipped(false);
+    setShowAnswer(false);
+    setUserResponse(null);
+    
+    // Navigate to next card in session or start new session
+    if (leitnerBox.isSessionActive) {
+      const currentCard = leitnerBox.getCurrentCard();
+      if (currentCard && !currentCard.isLast) {
+        // Move to next card in current session
+        openCard(leitnerBox.navigateToCard(currentCard.index + 1));
+      } else {
+        // End current session
+        leitnerBox.endSession();
+      }
+    } else if (flashcardInfo?.files.length > 1) {
+      // Start new session with the due cards in this card's directory
+      openCard(leitnerBox.startSession({ maxCards: 10 }));
+    }
+  }, [leitnerBox, flashcardInfo, openCard]);
+
+  const handlePrevious = useCallback(() => {
+    // Reset state for previous card
+    setIsFlipped(false);
+    setShowAnswer(false);
+    setUserResponse(null);
+    
+    // Navigate to previous card in session
+    if (leitnerBox.isSessionActive) {
+      const currentCard = leitnerBox.getCurrentCard();
+      if (currentCard && !currentCard.isFirst) {
+        openCard(leitnerBox.navigateToCard(currentCard.index - 1));
+      }
+    }
+  }, [leitnerBox, openCard]);
+
+  const handleStartSession = useCallback((maxCards) => {
+    openCard(leitnerBox.startSession({ maxCards }));
+  }, [leitnerBox, openCard]);
+
+  // Recomputed after every answer, since recording one re-renders the lens
+  const forecast = leitnerBox.getReviewForecast(FORECAST_DAYS);
+  const maxForecast = Math.max(...forecast.map(({ count }) => count));
+  const dueCount = leitnerBox.getCardsDue().length;
+
+  // Shown once a card has been answered, by flipping it or checking a quiz
+  const responseConfirmation = userResponse !== null && (
+    <div className={styles.responseConfirmation}>
+      <p className={styles.responseResult}>
+        {userResponse ? '✅ Marked as correct!' : '❌ Marked for review'}
+      </p>
+      <div className={styles.navigationButtons}>
+        <button 
+          className={styles.navButton}
+          onClick={handlePrevious}
+        >
+          ← Previous
+        </button>
+        <button 
+          className={`${styles.navButton} ${styles.primary}`}
+          onClick={handleNext}
+        >
+          Next →
+        </button>
+      </div>
+    </div>
+  );
+
+  if (!flashcardData && !quiz) {
+    return (
+      <div className={styles.flashcardLens}>
+        <div className={styles.header}>
+          <h3>📚 Flashcard</h3>
+          <span className={styles.fileName}>{fileName}</span>
+        </div>
+        <div className={styles.error}>
+          <h4>⚠️ Invalid Flashcard Format</h4>
+          <p>This file doesn't contain a valid flashcard structure.</p>
+          <details className={styles.helpDetails}>
+            <summary>Expected Format</summary>
+            <pre>{`# Question Title
+
+Question content goes here...
+
+<details>
+<summary>flip the card</summary>
+
+## Answer
+
+Answer content goes here...
+
+</details>`}</pre>
+          </details>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.flashcardLens}>
+      <div className={styles.header}>
+        <h3>{quiz ? '📝 Quiz Card' : '📚 Flashcard'}</h3>
+        <span className={styles.fileName}>{fileName}</span>
+        <div className={styles.cardCounter}>
+          {leitnerBox.isSessionActive ? (
+            (() => {
+              const progress = leitnerBox.getSessionProgress();
+              const current = progress.currentCard;
+              return current ? `${current.index + 1} of ${current.total}` : 'Card 1 of 1';
+            })()
+          ) : (
+            `${flashcardInfo?.files.length || 1} cards available`
+          )}
+        </div>
+      </div>
+
+      <div className={styles.flashcardContainer}>
+        <div className={`${styles.flashcard} ${isFlipped ? styles.flipped : ''}`}>
+          <div className={styles.cardFace}>
+            <div className={styles.cardContent}>
+              {quiz ? (
+                <>
+                  <QuizCard quiz={quiz} onSubmit={handleQuizSubmit} />
+                  {responseConfirmation}
+                </>
+              ) : (
+                <>
+                  <div 
+                    className={styles.question}
+                    dangerouslySetInnerHTML={{ __html: flashcardData.question }}
+                  />
+              
+                  {!showAnswer && (
+                    <button 
+                      className={styles.flipButton}
+                      onClick={handleFlip}
+                    >
+                      {flashcardData.summaryText}
+                    </button>
+                  )}
+              
+                  {showAnswer && (
+                    <div className={styles.answerSection}>
+                      <div 
+                        className={styles.answer}
+                        dangerouslySetInnerHTML={{ __html: flashcardData.answer }}
+                      />
+                  
+                      {userResponse === null && leitnerBox.scheduler === 'sm2' && (
+                        <div className={styles.responseButtons}>
+                          <p className={styles.responsePrompt}>How well did you know this?</p>
+                          {SM2_RESPONSES.map(({ label, quality, correct, className }) => (
+                            <button 
+                              key={quality}
+                              className={`${styles.responseButton} ${styles[className]}`}
+                              onClick={() => handleResponse(correct, quality)}
+                            >
+                              {label}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                  
+                      {userResponse === null && leitnerBox.scheduler !== 'sm2' && (
+                        <div className={styles.responseButtons}>
+                          <p className={styles.responsePrompt}>How well did you know this?</p>
+                          <button 
+                            className={`${styles.responseButton} ${styles.incorrect}`}
+                            onClick={() => handleResponse(false)}
+                          >
+                            ❌ Need to review
+                          </button>
+                          <button 
+                            className={`${styles.responseButton} ${styles.correct}`}
+                            onClick={() => handleResponse(true)}
+                          >
+                            ✅ Got it right
+                          </button>
+                        </div>
+                      )}
+                  
+                      {responseConfirmation}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Session Progress Bar */}
+      {leitnerBox.isSessionActive && (
+        <div className={styles.progressSection}>
+          <div className={styles.progressBar}>
+            <div 
+              className={styles.progressFill}
+              style={{ width: `${leitnerBox.getSessionProgress().progress}%` }}
+            />
+          </div>
+          <div className={styles.progressStats}>
+            <span>✅ {leitnerBox.getSessionProgress().correct}</span>
+            <span>❌ {leitnerBox.getSessionProgress().incorrect}</span>
+            <span>Accuracy: {Math.round(leitnerBox.getSessionProgress().accuracy)}%</span>
+          </div>
+        </div>
+      )}
+
+      {/* Session Management */}
+      {!leitnerBox.isSessionActive && flashcardInfo?.files.length > 1 && (
+        <div className={styles.sessionControls}>
+          <button 
+            className={styles.startSessionButton}
+            onClick={() => handleStartSession(10)}
+            disabled={dueCount === 0}
+          >
+            🎯 Start Study Session ({Math.min(dueCount, 10)} due cards)
+          </button>
+          <button 
+            className={styles.startSessionButton}
+            onClick={() => handleStartSession(20)}
+            disabled={dueCount <= 10}
+          >
+            📚 Extended Session ({Math.min(dueCount, 20)} due cards)
+          </button>
+        </div>
+      )}
+
+      {/* Review Forecast */}
+      {flashcardInfo && (
+        <div className={styles.forecast}>
+          <h4>📅 Upcoming Reviews</h4>
+          <div className={styles.forecastDays}>
+            {forecast.map(({ date, count }, index) => {
+              const day = new Date(`${date}T00:00:00`);
+              return (
+                <div
+                  key={date}
+                  className={`${styles.forecastDay} ${index === 0 ? styles.today : ''}`}
+                  style={{ '--load': maxForecast > 0 ? count / maxForecast : 0 }}
+                  title={`${count} card${count === 1 ? '' : 's'} due ${index === 0 ? 'today' : date}`}
+                >
+                  <span className={styles.forecastWeekday}>
+                    {index === 0 ? 'Today' : day.toLocaleDateString(undefined, { weekday: 'short' })}
+                  </span>
+                  <span className={styles.forecastDate}>{day.getDate()}</span>
+                  <span className={styles.forecastCount}>{count || '·'}</span>
+                </div>
+              );
+            })}
+          </div>
+          <p className={styles.forecastNote}>
+            {leitnerBox.scheduler === 'sm2'
+              ? 'Scheduled with SM-2: easy cards come back later and later, hard ones sooner.'
+              : 'Each box waits longer before its cards are due again.'}
+          </p>
+        </div>
+      )}
+
+      <div className={styles.instructions}>
+        <h4>💡 How to Use Flashcards</h4>
+        <ul>
+          <li>Read the question carefully</li>
+          {quiz ? (
+            <>
+              <li>Pick an answer to see its feedback, questions with several answers have a Check button</li>
+              <li>Cards with every answer right move up a box, the rest come back soon</li>
+            </>
+          ) : (
+            <>
+              <li>Think of your answer before flipping</li>
+              <li>Click <strong>"{flashcardData.summaryText}"</strong> to reveal the answer</li>
+              <li>Mark whether you got it right to track your progress</li>
+            </>
+          )}
+          {!leitnerBox.isSessionActive && flashcardInfo?.files.length > 1 && (
+            <li>Start a study session to review the cards that are due</li>
+          )}
+          <li>Use keyboard shortcuts: <code>Space</code> to flip, <code>←/→</code> to navigate</li>
+        </ul>
+      </div>
+    </div>
+  );
+};
+
+export default FlashcardLens;
\ No newline at end of file
@@ -1,58 +1,300 @@
-import { useState, useEffect } from 'preact/hooks';
+import { useState, useEffect, useRef, useCallback } from 'preact/hooks';
+import { useCodeMirror } from '../../shared/hooks/useCodeMirror.js';
+import { useStudyScope } from '../../shared/hooks/useStudyScope.js';
+import { useColorize } from '../../shared/context/ColorizeContext.jsx';
+import { useApp } from '../../shared/context/AppContext.jsx';
+import { getCurrentContent } from '../../shared/utils/getCurrentContent.js';
+import { updateEditorContent, findFile, onVirtualFSChange } from '../../fs.js';
+import {
+  FLOWCHART_LEVELS,
+  buildFlowchart,
+  findShapeAt,
+  svgToPng
+} from '../../shared/utils/flowchart.js';
+import {
+  isAnchored,
+  upgradeAnnotations,
+  shapeAt,
+  highlightedShapes
+} from '../../shared/utils/annotations.js';
 import styles from './FlowchartLens.module.css';
 
+const download = (blob, fileName) => {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
 /**
  * Flowchart Lens - Displays code as a visual flowchart
+ * Clicking a shape selects the code it came from. Charts the whole file,
+ * or only the lines selected in the editor. Highlights and notes made in the
+ * Highlight lens are shown on the shapes of their code.
  */
 const FlowchartLens = ({ resource }) => {
-  const [isLoading, setIsLoading] = useState(true);
+  const fileName = resource?.name || 'code.js';
+  const { virtualFS, currentScope } = useApp();
+  const { enableColorize } = useColorize();
+
+  const [code, setCode] = useState('');
+  const [level, setLevel] = useState('full');
+  const [chart, setChart] = useState(null);
   const [error, setError] = useState(null);
+  const [activeShape, setActiveShape] = useState(null);
+  const [annotations, setAnnotations] = useState([]);
+  const chartRef = useRef(null);
+
+  const { scope, resetToWholeFile, setSelection, isSelection, displayText } = useStudyScope();
+
+  // Get file editor to access latest content
+  const getFileEditor = useCallback(() => {
+    if (!virtualFS || !resource.path) return null;
+
+    const findFile = (node, path) => {
+      if (node.path === path) return node;
+      if (node.children && Array.isArray(node.children)) {
+        for (const child of node.children) {
+          const found = findFile(child, path);
+          if (found) return found;
+        }
+      }
+      return null;
+    };
+
+    return findFile(virtualFS, resource.path);
+  }, [virtualFS, resource.path]);
+
+  const { editorRef, getValue, getEditor, updateSyntaxHighlighting } = useCodeMirror({
+    initialValue: getCurrentContent(resource, getFileEditor, ''),
+    onChange: (value) => {
+      setCode(value);
+      updateEditorContent(resource.path, value);
+    },
+    filePath: resource.path,
+    enableSyntaxHighlighting: enableColorize,
+    language: 'javascript',
+    theme: 'dark',
+    readonly: false
+  });
 
   useEffect(() => {
-    setIsLoading(false);
-  }, [resource]);
-
-  if (isLoading) {
-    return (
-      <div className={styles.container}>
-        <div className={styles.loading}>
-          <div className={styles.spinner}>🔄</div>
-          <p>Generating flowchart...</p>
-        </div>
-      </div>
-    );
-  }
-
-  if (error) {
-    return (
-      <div className={styles.container}>
-        <div className={styles.error}>
-          <div className={styles.errorIcon}>❌</div>
-          <h3>Flowchart Generation Failed</h3>
-          <p>{error}</p>
-        </div>
-      </div>
-    );
-  }
+    updateSyntaxHighlighting(enableColorize);
+  }, [enableColorize, updateSyntaxHighlighting]);
+
+  // Start from the whole file, or from a selection made in another lens
+  useEffect(() => {
+    setCode(getValue());
+    if (currentScope?.type === 'selection' && currentScope.code) {
+      setSelection(currentScope);
+    }
+  }, [resource.path]);
+
+  // The file's highlights and notes, they move when the code is edited
+  useEffect(() => {
+    const load = () => setAnnotations(findFile(resource.path)?.codeAnnotations || []);
+    load();
+    return onVirtualFSChange((path) => {
+      if (path === resource.path) load();
+    });
+  }, [resource.path]);
+
+  const chartedCode = isSelection ? scope.code : code;
+
+  // Where the charted code starts in the editor, edits may have moved a selection
+  const getScopeOffset = () => {
+    if (!isSelection) return 0;
+    const index = code.indexOf(scope.code);
+    return index !== -1 ? index : scope.selection?.from || 0;
+  };
+
+  // Rebuild the chart shortly after the code, scope or level changes
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setActiveShape(null);
+      if (!chartedCode.trim()) {
+        setChart(null);
+        setError(null);
+        return;
+      }
+      try {
+        setChart(buildFlowchart(chartedCode, level));
+        setError(null);
+      } catch (err) {
+        setChart(null);
+        setError(err.message);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [chartedCode, level]);
+
+  const chartSelection = () => {
+    const editor = getEditor();
+    if (!editor) return;
+
+    const { from, to } = editor.state.selection.main;
+    if (from === to) return;
+
+    const doc = editor.state.doc;
+    const text = doc.sliceString(from, to);
+    setSelection({
+      code: text,
+      text,
+      lines: { start: doc.lineAt(from).number, end: doc.lineAt(to).number },
+      from,
+      to
+    });
+  };
+
+  const handleChartClick = (event) => {
+    const svgElement = chartRef.current?.querySelector('svg');
+    if (!svgElement || !chart) return;
+
+    const bounds = svgElement.getBoundingClientRect();
+    const shape = findShapeAt(chart.shapes, event.clientX - bounds.left, event.clientY - bounds.top);
+    setActiveShape(shape);
+
+    const editor = getEditor();
+    if (!shape?.range || !editor) return;
+
+    const offset = getScopeOffset();
+    editor.dispatch({
+      selection: { anchor: offset + shape.range.from, head: offset + shape.range.to },
+      scrollIntoView: true
+    });
+    editor.focus();
+  };
+
+  // Pseudocode has its own lines, annotations are anchored to the source
+  const shownAnnotations = resource.isPseudocode
+    ? []
+    : upgradeAnnotations(annotations, code).filter(isAnchored);
+  const notes = shownAnnotations.filter((annotation) => annotation.type === 'note');
+
+  const baseName = fileName.replace(/\.[^.]+$/, '');
+
+  const exportSvg = () => {
+    download(new Blob([chart.svg], { type: 'image/svg+xml' }), `${baseName}-flowchart.svg`);
+  };
+
+  const exportPng = async () => {
+    try {
+      download(await svgToPng(chart.svg, chart.width, chart.height), `${baseName}-flowchart.png`);
+    } catch (err) {
+      setError(`PNG export failed: ${err.message}`);
+    }
+  };
 
   return (
     <div className={styles.container}>
       <div className={styles.header}>
         <h2>📊 Flowchart View</h2>
-        <p>Visual representation of {resource?.name || 'code'}</p>
+        <select
+          className={styles.levelSelect}
+          value={level}
+          onChange={(e) => setLevel(e.target.value)}
+          title="Abstraction level"
+        >
+          {Object.entries(FLOWCHART_LEVELS).map(([key, option]) => (
+            <option key={key} value={key}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+        <span className={styles.scope}>{displayText}</span>
+        <button className={styles.button} onClick={chartSelection} title="Chart only the selected code">
+          🎯 Chart Selection
+        </button>
+        {isSelection && (
+          <button className={styles.button} onClick={() => resetToWholeFile('')}>
+            📄 Whole File
+          </button>
+        )}
+        <div className={styles.exports}>
+          <button className={styles.button} onClick={exportSvg} disabled={!chart}>
+            💾 SVG
+          </button>
+          <button className={styles.button} onClick={exportPng} disabled={!chart}>
+            🖼️ PNG
+          </button>
+        </div>
       </div>
-      
-      <div className={styles.flowchartArea}>
-        <div className={styles.placeholder}>
-          <div className={styles.placeholderIcon}>🔧</div>
-          <h3>Flowchart Coming Soon</h3>
-          <p>This feature is currently under development.</p>
-          <p>File: {resource?.name}</p>
-          <p>Language: {resource?.lang}</p>
+
+      <div className={styles.workspace}>
+        <div className={styles.editorPane}>
+          <div ref={editorRef} className={styles.codeEditor} />
+        </div>
+
+        <div className={styles.flowchartArea}>
+          {error && (
+            <div className={styles.error}>
+              <span className={styles.errorIcon}>❌</span>
+              {error}
+            </div>
+          )}
+          {chart ? (
+            <div className={styles.chart} onClick={handleChartClick}>
+              <div ref={chartRef} dangerouslySetInnerHTML={{ __html: chart.svg }} />
+              {highlightedShapes(chart.shapes, shownAnnotations, getScopeOffset()).map(
+                ({ shape, highlight }) => (
+                  <div
+                    key={`${highlight.id}-${shape.x}-${shape.y}`}
+                    className={styles.highlightedShape}
+                    style={{
+                      left: `${shape.x}px`,
+                      top: `${shape.y}px`,
+                      width: `${shape.width}px`,
+                      height: `${shape.height}px`,
+                      backgroundColor: `${highlight.color}40`,
+                      borderColor: highlight.color
+                    }}
+                  />
+                )
+              )}
+              {notes.map((note) => {
+                const shape = shapeAt(chart.shapes, note.anchor.from, getScopeOffset());
+                return (
+                  shape && (
+                    <div
+                      key={note.id}
+                      className={styles.note}
+                      style={{
+                        left: `${shape.x + shape.width + 8}px`,
+                        top: `${shape.y}px`,
+                        borderColor: note.color
+                      }}
+                    >
+                      {note.text}
+                    </div>
+                  )
+                );
+              })}
+              {activeShape && (
+                <div
+                  className={styles.activeShape}
+                  style={{
+                    left: `${activeShape.x}px`,
+                    top: `${activeShape.y}px`,
+                    width: `${activeShape.width}px`,
+                    height: `${activeShape.height}px`
+                  }}
+                />
+              )}
+            </div>
+          ) : (
+            !error && (
+              <div className={styles.placeholder}>
+                <p>Write some JavaScript to see its flowchart.</p>
+              </div>
+            )
+          )}
+          {chart && <p className={styles.hint}>Click a shape to select its code.</p>}
         </div>
       </div>
     </div>
   );
 };
 
-export default FlowchartLens;
\ No newline at end of file
+export default FlowchartLens;
@@ -2,12 +2,30 @@ import { useState, useRef, useEffect, useCallback } from 'preact/hooks';
 import { useApp } from '../../shared/context/AppContext.jsx';
 import { useColorize } from '../../shared/context/ColorizeContext.jsx';
 import { getCurrentContent } from '../../shared/utils/getCurrentContent.js';
+import { findFile, saveFileStudyData, onVirtualFSChange } from '../../fs.js';
 import CodeBlock, { InlineCode } from '../../shared/components/CodeBlock.jsx';
 import EmbeddedTrace from '../../shared/components/EmbeddedTrace.jsx';
-import { convertCodeToSvg, convertCodeToFlowTree } from 'js2flowchart';
+import { buildFlowchart, findShapeAt } from '../../shared/utils/flowchart.js';
+import {
+  ANNOTATION_KEYS,
+  isAnchored,
+  positionAt,
+  lineAnchor,
+  anchorLines,
+  upgradeAnnotations,
+  sourceLine,
+  annotationPoints,
+  relativePoints,
+  highlightedLines,
+  shapeAt,
+  highlightedShapes,
+} from '../../shared/utils/annotations.js';
 import { askOpenEnded } from '../../public/static/ask/component/ask-questions.js';
 import styles from './HighlightLens.module.css';
 
+// Measured to find the width of a character and the height of a line
+const MEASURE_TEXT = '0123456789';
+
 /**
  * Highlight Exercise - Syntax highlighted code viewing with annotation tools
  */
@@ -47,11 +65,13 @@ const HighlightExercise = ({ resource }) => {
   const [isDrawing, setIsDrawing] = useState(false);
   const [showNoteInput, setShowNoteInput] = useState(false);
   const [notePosition, setNotePosition] = useState({ x: 0, y: 0 });
+  const [pendingNote, setPendingNote] = useState(null); // { anchor, point } of the note being written
   const [noteText, setNoteText] = useState('');
   const [currentStroke, setCurrentStroke] = useState([]);
   const [prismLoaded, setPrismLoaded] = useState(!!window.Prism);
 
-  // Separate annotation states for each view mode
+  // Highlights and notes are anchored to the source and shown in both views,
+  // drawings belong to the view they were drawn in
   const [codeAnnotations, setCodeAnnotations] = useState(resource.codeAnnotations || []);
   const [codeDrawingPaths, setCodeDrawingPaths] = useState(
     resource.codeDrawingPaths || [],
@@ -63,35 +83,65 @@ const HighlightExercise = ({ resource }) => {
     resource.flowchartDrawingPaths || [],
   );
 
-  // Current view annotations (computed based on viewMode)
-  const annotations = viewMode === 'code' ? codeAnnotations : flowchartAnnotations;
+  const setters = {
+    codeAnnotations: setCodeAnnotations,
+    codeDrawingPaths: setCodeDrawingPaths,
+    flowchartAnnotations: setFlowchartAnnotations,
+    flowchartDrawingPaths: setFlowchartDrawingPaths,
+  };
+
+  // Pseudocode is shown instead of the source, its line map says which source line each line is
+  const shownCode = getCurrentCode();
+  const lineMap = resource.isPseudocode ? resource.lineMap || [] : null;
+  const source = lineMap ? resource.originalContent || '' : shownCode;
+  const shownLineCount = shownCode.split('\n').length;
+
+  const annotations = upgradeAnnotations(codeAnnotations, source);
   const drawingPaths = viewMode === 'code' ? codeDrawingPaths : flowchartDrawingPaths;
+  const drawingPathsKey = viewMode === 'code' ? 'codeDrawingPaths' : 'flowchartDrawingPaths';
+
+  // Annotations saved with pixel positions, before they were anchored
+  const pixelNotes = (viewMode === 'code' ? codeAnnotations : flowchartAnnotations).filter(
+    (ann) => ann.type === 'note' && !isAnchored(ann),
+  );
+  const pixelPaths = drawingPaths.filter((path) => !isAnchored(path));
 
   // Flowchart-specific state
-  const [flowchartSvg, setFlowchartSvg] = useState('');
+  const [flowchart, setFlowchart] = useState(null); // { svg, width, height, shapes }
   const [flowchartError, setFlowchartError] = useState(null);
   const [flowchartLoading, setFlowchartLoading] = useState(false);
   const [selectedNode, setSelectedNode] = useState(null);
-  const [astInfo, setAstInfo] = useState(null);
+
+  // Font and flowchart sizes, to turn lines and columns or shapes into pixels
+  const [codeMetrics, setCodeMetrics] = useState(null); // { left, top, charWidth, lineHeight }
+  const [chartBox, setChartBox] = useState(null); // { left, top, scale }
 
   const codeRef = useRef(null);
   const overlayRef = useRef(null);
   const svgContainerRef = useRef(null);
-
-  // Initialize annotations from resource
-  useEffect(() => {
-    if (resource.codeAnnotations) {
-      setCodeAnnotations(resource.codeAnnotations);
+  const codeLayerRef = useRef(null);
+  const chartLayerRef = useRef(null);
+  const measureRef = useRef(null);
+
+  // Initialize annotations from the file node (where saved and restored work lives) or the resource
+  const loadAnnotations = useCallback(() => {
+    const saved = findFile(resource.path) || resource;
+    if (saved.codeAnnotations) {
+      setCodeAnnotations(saved.codeAnnotations);
     }
-    if (resource.codeDrawingPaths) {
-      setCodeDrawingPaths(resource.codeDrawingPaths);
+    if (saved.codeDrawingPaths) {
+      setCodeDrawingPaths(saved.codeDrawingPaths);
     }
-    if (resource.flowchartAnnotations) {
-      setFlowchartAnnotations(resource.flowchartAnnotations);
+    if (saved.flowchartAnnotations) {
+      setFlowchartAnnotations(saved.flowchartAnnotations);
     }
-    if (resource.flowchartDrawingPaths) {
-      setFlowchartDrawingPaths(resource.flowchartDrawingPaths);
+    if (saved.flowchartDrawingPaths) {
+      setFlowchartDrawingPaths(saved.flowchartDrawingPaths);
     }
+  }, [resource]);
+
+  useEffect(() => {
+    loadAnnotations();
 
     // Handle legacy annotations (migrate to code view if they exist)
     if (resource.annotations && !resource.codeAnnotations) {
@@ -102,6 +152,68 @@ const HighlightExercise = ({ resource }) => {
     }
   }, [resource]);
 
+  // Edits in another lens's editor move the saved anchors, show them where they moved to
+  useEffect(
+    () =>
+      onVirtualFSChange((path) => {
+        if (path === resource.path) loadAnnotations();
+      }),
+    [resource.path, loadAnnotations],
+  );
+
+  // Measure the code font and the flowchart's scale, they change with the font,
+  // the window size and the code
+  const measure = useCallback(() => {
+    const layer = codeLayerRef.current;
+    const codeElement = layer?.querySelector('pre code');
+    if (layer && codeElement && measureRef.current) {
+      const box = layer.getBoundingClientRect();
+      const start = codeElement.getBoundingClientRect();
+      const size = measureRef.current.getBoundingClientRect();
+      const next = {
+        left: start.left - box.left,
+        top: start.top - box.top,
+        charWidth: size.width / MEASURE_TEXT.length,
+        lineHeight: size.height,
+      };
+      setCodeMetrics((prev) =>
+        prev && Object.keys(next).every((key) => prev[key] === next[key]) ? prev : next,
+      );
+    }
+
+    const chartLayer = chartLayerRef.current;
+    const svgElement = chartLayer?.querySelector('svg');
+    if (chartLayer && svgElement && flowchart?.width) {
+      const box = chartLayer.getBoundingClientRect();
+      const start = svgElement.getBoundingClientRect();
+      const next = {
+        left: start.left - box.left,
+        top: start.top - box.top,
+        scale: start.width / flowchart.width,
+      };
+      setChartBox((prev) =>
+        prev && Object.keys(next).every((key) => prev[key] === next[key]) ? prev : next,
+      );
+    }
+  }, [flowchart]);
+
+  useEffect(() => {
+    measure();
+    // Prism re-renders the code after this effect
+    const timer = setTimeout(measure, 100);
+    const observer = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(measure) : null;
+    [codeLayerRef.current, chartLayerRef.current]
+      .filter(Boolean)
+      .forEach((element) => observer?.observe(element));
+    window.addEventListener('resize', measure);
+
+    return () => {
+      clearTimeout(timer);
+      observer?.disconnect();
+      window.removeEventListener('resize', measure);
+    };
+  }, [measure, viewMode, shownCode, prismLoaded, enableColorize]);
+
   // Listen for Prism loading
   useEffect(() => {
     const handlePrismLoaded = () => {
@@ -153,7 +265,7 @@ const HighlightExercise = ({ resource }) => {
   // Generate flowchart from code
   const generateFlowchart = async (sourceCode) => {
     if (!sourceCode) {
-      setFlowchartSvg('');
+      setFlowchart(null);
       setFlowchartError(null);
       return;
     }
@@ -162,20 +274,8 @@ const HighlightExercise = ({ resource }) => {
     setFlowchartError(null);
 
     try {
-      // Generate flowchart tree with full AST analysis
-      const flowTree = convertCodeToFlowTree(sourceCode, {
-        maxDepth: 50,
-        isDebug: false,
-      });
-
-      // Convert flow tree to SVG
-      const svg = convertCodeToSvg(sourceCode, {
-        maxDepth: 50,
-        isDebug: false,
-      });
-
-      setFlowchartSvg(svg);
-      setAstInfo(flowTree);
+      // Shapes remember the code they came from, so annotations can find them
+      setFlowchart(buildFlowchart(sourceCode));
 
       // Make flowchart nodes clickable
       setTimeout(() => {
@@ -184,7 +284,7 @@ const HighlightExercise = ({ resource }) => {
     } catch (err) {
       console.error('Flowchart generation error:', err);
       setFlowchartError(`Failed to generate flowchart: ${err.message}`);
-      setFlowchartSvg('');
+      setFlowchart(null);
     } finally {
       setFlowchartLoading(false);
     }
@@ -246,26 +346,16 @@ const HighlightExercise = ({ resource }) => {
     setViewMode((prev) => (prev === 'code' ? 'flowchart' : 'code'));
   };
 
-  // Save annotations to resource
-  const saveAnnotations = (newAnnotations) => {
-    if (viewMode === 'code') {
-      setCodeAnnotations(newAnnotations);
-    } else {
-      setFlowchartAnnotations(newAnnotations);
-    }
-
-    // Save annotations to the resource
-    const updatedResource = {
-      ...resource,
-      codeAnnotations: viewMode === 'code' ? newAnnotations : codeAnnotations,
-      flowchartAnnotations:
-        viewMode === 'flowchart' ? newAnnotations : flowchartAnnotations,
-      codeDrawingPaths: codeDrawingPaths,
-      flowchartDrawingPaths: flowchartDrawingPaths,
-    };
+  // Save study data on the file node in place so it persists with the workspace
+  // Don't call updateFileContent for annotations - this causes unnecessary remounting
+  const saveStudyData = (key, value) => {
+    setters[key](value);
+    saveFileStudyData(resource.path, { [key]: value });
+  };
 
-    // Don't call updateFileContent for annotations - this causes unnecessary remounting
-    // updateFileContent(resource.path, resource.content);
+  // Save highlights and notes, they are shared by both views
+  const saveAnnotations = (newAnnotations) => {
+    saveStudyData('codeAnnotations', newAnnotations);
 
     trackStudyAction('code_annotate', resource, {
       annotationType: selectedTool,
@@ -275,74 +365,181 @@ const HighlightExercise = ({ resource }) => {
     });
   };
 
-  // Save drawing paths to resource
+  // Save drawing paths for the current view
   const saveDrawingPaths = (newPaths) => {
+    saveStudyData(drawingPathsKey, newPaths);
+
+    trackStudyAction('code_draw', resource, {
+      drawingPathsCount: newPaths.length,
+      viewMode: viewMode,
+    });
+  };
+
+  // Where the mouse is in the code or flowchart layer
+  const layerPoint = (event) => {
+    const layer = viewMode === 'code' ? codeLayerRef.current : chartLayerRef.current;
+    if (!layer) return null;
+    const rect = layer.getBoundingClientRect();
+    return {
+      x: event.clientX - rect.left,
+      y: event.clientY - rect.top,
+    };
+  };
+
+  // Annotations can only be anchored once the code or the flowchart is measured,
+  // pseudocode has no flowchart of its source
+  const canAnchor =
+    viewMode === 'code' ? !!codeMetrics : !!(flowchart && chartBox && !lineMap);
+
+  // Code layer pixels <-> rows and columns of the shown code
+  const toRowCol = ({ x, y }) => ({
+    row: (y - codeMetrics.top) / codeMetrics.lineHeight,
+    col: (x - codeMetrics.left) / codeMetrics.charWidth,
+  });
+  const toCodePixels = ({ row, col }) => ({
+    x: codeMetrics.left + col * codeMetrics.charWidth,
+    y: codeMetrics.top + row * codeMetrics.lineHeight,
+  });
+
+  // Flowchart layer pixels <-> flowchart coordinates
+  const toChart = ({ x, y }) => ({
+    x: (x - chartBox.left) / chartBox.scale,
+    y: (y - chartBox.top) / chartBox.scale,
+  });
+  const toChartPixels = ({ x, y }) => ({
+    x: chartBox.left + x * chartBox.scale,
+    y: chartBox.top + y * chartBox.scale,
+  });
+
+  // The source line shown on a row
+  const lineAtRow = (row) =>
+    sourceLine(Math.min(Math.max(Math.floor(row) + 1, 1), shownLineCount), lineMap);
+
+  // Flowchart shapes that know their code
+  const sourceShapes = () => (flowchart?.shapes || []).filter((shape) => shape.range);
+
+  // The shape a flowchart mark was drawn on, or the innermost one around its code now
+  const shapeFor = (anchor) =>
+    sourceShapes().find(
+      (shape) => shape.range.from === anchor.from && shape.range.to === anchor.to,
+    ) || shapeAt(sourceShapes(), anchor.from);
+
+  // Anchored drawings of the current view, in layer pixels
+  const renderedPaths = () => {
+    if (!canAnchor) return [];
+
+    const paths =
+      viewMode === 'code'
+        ? codeDrawingPaths.filter(isAnchored).map((path) => ({
+            path,
+            points: (annotationPoints(source, path, lineMap) || []).map(toCodePixels),
+          }))
+        : flowchartDrawingPaths.filter(isAnchored).map((path) => {
+            const shape = shapeFor(path.anchor);
+            return {
+              path,
+              points: shape
+                ? path.points.map((p) => toChartPixels({ x: shape.x + p.x, y: shape.y + p.y }))
+                : [],
+            };
+          });
+
+    return paths.filter(({ points }) => points.length > 1);
+  };
+
+  // A code mark is anchored to the lines it covers, a flowchart mark to the shape it starts on
+  const anchorStroke = (stroke) => {
     if (viewMode === 'code') {
-      setCodeDrawingPaths(newPaths);
-    } else {
-      setFlowchartDrawingPaths(newPaths);
+      const rowCols = stroke.map(toRowCol);
+      const lines = rowCols.map(({ row }) => lineAtRow(row));
+      const anchor = {
+        from: lineAnchor(source, Math.min(...lines)).from,
+        to: lineAnchor(source, Math.max(...lines)).to,
+      };
+      return { anchor, points: relativePoints(source, anchor, rowCols, lineMap) };
     }
 
-    // Update resource with drawing paths
-    const updatedResource = {
-      ...resource,
-      codeAnnotations: codeAnnotations,
-      flowchartAnnotations: flowchartAnnotations,
-      codeDrawingPaths: viewMode === 'code' ? newPaths : codeDrawingPaths,
-      flowchartDrawingPaths: viewMode === 'flowchart' ? newPaths : flowchartDrawingPaths,
+    const points = stroke.map(toChart);
+    const shape =
+      findShapeAt(sourceShapes(), points[0].x, points[0].y) ||
+      [...sourceShapes()].sort((a, b) => b.width * b.height - a.width * a.height)[0];
+    if (!shape) return null;
+
+    return {
+      anchor: shape.range,
+      points: points.map((p) => ({ x: p.x - shape.x, y: p.y - shape.y })),
     };
+  };
 
-    // Don't call updateFileContent for drawing paths - this causes unnecessary remounting
-    // updateFileContent(resource.path, resource.content);
+  // A note is anchored to the line or the flowchart shape it was made on
+  const anchorNote = (point) => {
+    if (viewMode === 'code') {
+      const rowCol = toRowCol(point);
+      const anchor = lineAnchor(source, lineAtRow(rowCol.row));
+      const [relative] = relativePoints(source, anchor, [rowCol], lineMap);
+      return { anchor, point: relative };
+    }
 
-    trackStudyAction('code_draw', resource, {
-      drawingPathsCount: newPaths.length,
-      viewMode: viewMode,
-    });
+    const { x, y } = toChart(point);
+    const shape = findShapeAt(sourceShapes(), x, y);
+    if (!shape) return null;
+
+    // In the code view it goes after the first line of the shape's code
+    const { line, col } = positionAt(source, shape.range.from);
+    const lineLength = source.split('\n')[line - 1].length;
+    return { anchor: shape.range, point: { line: 0, col: lineLength - col + 2 } };
   };
 
   // Handle mouse events for drawing and annotations
   const handleMouseDown = (event) => {
+    // Notes handle their own clicks
+    if (event.target.closest?.(`.${styles.noteAnnotation}`)) return;
+
+    const point = layerPoint(event);
+    if (!point || !canAnchor) return;
+
     if (selectedTool === 'pen') {
       setIsDrawing(true);
-      const rect = codeRef.current.getBoundingClientRect();
-      const point = {
-        x: event.clientX - rect.left,
-        y: event.clientY - rect.top,
-      };
       setCurrentStroke([point]);
     } else if (selectedTool === 'note') {
+      const note = anchorNote(point);
+      if (!note) return;
+
       const rect = codeRef.current.getBoundingClientRect();
       setNotePosition({
         x: event.clientX - rect.left,
         y: event.clientY - rect.top,
       });
+      setPendingNote(note);
       setShowNoteInput(true);
       setNoteText('');
+    } else if (selectedTool === 'highlight') {
+      handleLineHighlight(point);
     }
   };
 
   const handleMouseMove = (event) => {
     if (isDrawing && selectedTool === 'pen') {
-      const rect = codeRef.current.getBoundingClientRect();
-      const point = {
-        x: event.clientX - rect.left,
-        y: event.clientY - rect.top,
-      };
-      setCurrentStroke((prev) => [...prev, point]);
+      const point = layerPoint(event);
+      if (point) {
+        setCurrentStroke((prev) => [...prev, point]);
+      }
     }
   };
 
   const handleMouseUp = () => {
     if (isDrawing && selectedTool === 'pen' && currentStroke.length > 1) {
-      const newPath = {
-        id: Date.now(),
-        points: currentStroke,
-        color: selectedColor,
-        tool: 'pen',
-        timestamp: Date.now(),
-      };
-      saveDrawingPaths([...drawingPaths, newPath]);
+      const anchored = anchorStroke(currentStroke);
+      if (anchored) {
+        const newPath = {
+          id: Date.now(),
+          ...anchored,
+          color: selectedColor,
+          tool: 'pen',
+          timestamp: Date.now(),
+        };
+        saveDrawingPaths([...drawingPaths, newPath]);
+      }
       setCurrentStroke([]);
     }
     setIsDrawing(false);
@@ -351,35 +548,71 @@ const HighlightExercise = ({ resource }) => {
   // Handle eraser functionality
   const handleErase = (event) => {
     if (selectedTool === 'eraser') {
-      const rect = codeRef.current.getBoundingClientRect();
-      const point = {
-        x: event.clientX - rect.left,
-        y: event.clientY - rect.top,
-      };
-
-      // Remove drawing paths that intersect with eraser
-      const remainingPaths = drawingPaths.filter((path) => {
-        return !path.points.some((pathPoint) => {
+      const isNear = (points, point) =>
+        points.some((pathPoint) => {
           const distance = Math.sqrt(
             Math.pow(pathPoint.x - point.x, 2) + Math.pow(pathPoint.y - point.y, 2),
           );
           return distance < 20; // Eraser radius
         });
-      });
 
-      if (remainingPaths.length !== drawingPaths.length) {
-        saveDrawingPaths(remainingPaths);
+      // Anchored drawings are in layer pixels, older ones in pixels of the display
+      const point = layerPoint(event);
+      const rect = codeRef.current.getBoundingClientRect();
+      const displayPoint = {
+        x: event.clientX - rect.left,
+        y: event.clientY - rect.top,
+      };
+
+      const erased = new Set([
+        ...renderedPaths()
+          .filter(({ points }) => point && isNear(points, point))
+          .map(({ path }) => path.id),
+        ...pixelPaths
+          .filter((path) => isNear(path.points, displayPoint))
+          .map((path) => path.id),
+      ]);
+
+      if (erased.size > 0) {
+        saveDrawingPaths(drawingPaths.filter((path) => !erased.has(path.id)));
       }
     }
   };
 
-  // Handle line highlighting
-  const handleLineHighlight = (lineNumber) => {
-    if (selectedTool === 'highlight') {
+  // Handle line highlighting, highlighting a highlighted line or shape again removes it
+  const handleLineHighlight = (point) => {
+    if (selectedTool !== 'highlight') return;
+
+    const highlights = annotations.filter(
+      (ann) => ann.type === 'highlight' && isAnchored(ann),
+    );
+    let anchor;
+    let existing;
+
+    if (viewMode === 'code') {
+      const lineNumber = lineAtRow(toRowCol(point).row);
+      anchor = lineAnchor(source, lineNumber);
+      existing = highlights.find((ann) => {
+        const { start, end } = anchorLines(source, ann.anchor);
+        return start <= lineNumber && lineNumber <= end;
+      });
+    } else {
+      const { x, y } = toChart(point);
+      anchor = findShapeAt(sourceShapes(), x, y)?.range;
+      existing =
+        anchor &&
+        highlights.find(
+          (ann) => ann.anchor.from === anchor.from && ann.anchor.to === anchor.to,
+        );
+    }
+
+    if (existing) {
+      saveAnnotations(annotations.filter((ann) => ann !== existing));
+    } else if (anchor) {
       const newAnnotation = {
         id: Date.now(),
         type: 'highlight',
-        lineNumber,
+        anchor,
         color: selectedColor,
         timestamp: Date.now(),
       };
@@ -390,12 +623,12 @@ const HighlightExercise = ({ resource }) => {
 
   // Handle note creation
   const handleCreateNote = () => {
-    if (noteText.trim()) {
+    if (noteText.trim() && pendingNote) {
       const newAnnotation = {
         id: Date.now(),
         type: 'note',
         text: noteText.trim(),
-        position: notePosition,
+        ...pendingNote,
         color: selectedColor,
         timestamp: Date.now(),
       };
@@ -405,24 +638,40 @@ const HighlightExercise = ({ resource }) => {
 
     setShowNoteInput(false);
     setNoteText('');
+    setPendingNote(null);
   };
 
   // Handle annotation deletion
   const handleDeleteAnnotation = (annotationId) => {
-    const updatedAnnotations = annotations.filter((ann) => ann.id !== annotationId);
-    saveAnnotations(updatedAnnotations);
+    if (annotations.some((ann) => ann.id === annotationId)) {
+      saveAnnotations(annotations.filter((ann) => ann.id !== annotationId));
+    } else {
+      saveStudyData(
+        'flowchartAnnotations',
+        flowchartAnnotations.filter((ann) => ann.id !== annotationId),
+      );
+    }
   };
 
-  // Clear all annotations and drawings for current view
+  const hasAnnotations = [
+    codeAnnotations,
+    codeDrawingPaths,
+    flowchartAnnotations,
+    flowchartDrawingPaths,
+  ].some((list) => list.length > 0);
+
+  // Clear all annotations and drawings, highlights and notes are in both views
   const handleClearAll = () => {
-    const viewName = viewMode === 'code' ? 'code' : 'flowchart';
     if (
       confirm(
-        `Clear all annotations and drawings from ${viewName} view? This cannot be undone.`,
+        'Clear all highlights, notes and drawings from this file? This cannot be undone.',
       )
     ) {
-      saveAnnotations([]);
-      saveDrawingPaths([]);
+      ANNOTATION_KEYS.forEach((key) => setters[key]([]));
+      saveFileStudyData(
+        resource.path,
+        Object.fromEntries(ANNOTATION_KEYS.map((key) => [key, []])),
+      );
       trackStudyAction('annotations_cleared', resource, { viewMode: viewMode });
     }
   };
@@ -461,12 +710,64 @@ const HighlightExercise = ({ resource }) => {
     return langMap[ext] || 'javascript';
   };
 
+  // Notes keep their markup in both views and for older pixel notes
+  const renderNote = (note, x, y) => (
+    <div
+      key={note.id}
+      className={styles.noteAnnotation}
+      style={{
+        left: `${x}px`,
+        top: `${y}px`,
+        borderColor: note.color,
+      }}
+    >
+      <div className={styles.noteContent}>{note.text}</div>
+      <button
+        className={styles.deleteNote}
+        onClick={() => handleDeleteAnnotation(note.id)}
+        title="Delete note"
+      >
+        ×
+      </button>
+    </div>
+  );
+
+  // Anchored drawings and the stroke being drawn, in the code or flowchart layer
+  const renderDrawings = () => (
+    <svg className={styles.drawingOverlay}>
+      {renderedPaths().map(({ path, points }) => (
+        <polyline
+          key={path.id}
+          points={points.map((p) => `${p.x},${p.y}`).join(' ')}
+          stroke={path.color}
+          strokeWidth="2"
+          fill="none"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+        />
+      ))}
+
+      {/* Current stroke while drawing */}
+      {currentStroke.length > 1 && (
+        <polyline
+          points={currentStroke.map((p) => `${p.x},${p.y}`).join(' ')}
+          stroke={selectedColor}
+          strokeWidth="2"
+          fill="none"
+          strokeLinecap="round"
+          strokeLinejoin="round"
+          opacity="0.7"
+        />
+      )}
+    </svg>
+  );
+
   // Render code with syntax highlighting
   const renderCodeWithSyntaxHighlighting = (content) => {
     const prismLang = getLanguageForFile(resource.name, resource.lang);
 
     return (
-      <div className={styles.codeWrapper}>
+      <div className={styles.codeWrapper} ref={codeLayerRef}>
         <CodeBlock
           language={prismLang}
           className={`${styles.syntaxHighlightedCode} line-numbers`}
@@ -474,32 +775,50 @@ const HighlightExercise = ({ resource }) => {
           {content}
         </CodeBlock>
 
-        {/* Annotation overlay */}
-        <div className={styles.annotationOverlay}>
-          {content.split('\n').map((line, index) => {
-            const lineNumber = index + 1;
-            const lineAnnotations = annotations.filter(
-              (ann) => ann.type === 'highlight' && ann.lineNumber === lineNumber,
-            );
-
-            const highlightStyle =
-              lineAnnotations.length > 0
-                ? {
-                    backgroundColor: lineAnnotations[0].color + '40', // Add transparency
-                    borderLeft: `3px solid ${lineAnnotations[0].color}`,
-                  }
-                : {};
-
-            return (
-              <div
-                key={lineNumber}
-                className={styles.annotationLine}
-                style={highlightStyle}
-                onClick={() => handleLineHighlight(lineNumber)}
-              />
-            );
-          })}
-        </div>
+        {/* Measures a character of the code font */}
+        <pre
+          className={`${styles.syntaxHighlightedCode} ${styles.measure}`}
+          aria-hidden="true"
+        >
+          <code className={enableColorize ? `language-${prismLang}` : ''}>
+            <span ref={measureRef}>{MEASURE_TEXT}</span>
+          </code>
+        </pre>
+
+        {codeMetrics && (
+          <>
+            {/* Annotation overlay */}
+            <div className={styles.annotationOverlay}>
+              {[...highlightedLines(source, annotations, lineMap)].map(
+                ([lineNumber, highlight]) => (
+                  <div
+                    key={lineNumber}
+                    className={styles.annotationLine}
+                    style={{
+                      top: `${codeMetrics.top + (lineNumber - 1) * codeMetrics.lineHeight}px`,
+                      height: `${codeMetrics.lineHeight}px`,
+                      backgroundColor: highlight.color + '40', // Add transparency
+                      borderLeft: `3px solid ${highlight.color}`,
+                    }}
+                  />
+                ),
+              )}
+            </div>
+
+            {renderDrawings()}
+
+            <div className={styles.notesOverlay}>
+              {annotations
+                .filter((ann) => ann.type === 'note' && isAnchored(ann))
+                .map((note) => {
+                  const [point] = annotationPoints(source, note, lineMap) || [];
+                  if (!point) return null;
+                  const { x, y } = toCodePixels(point);
+                  return renderNote(note, x, y);
+                })}
+            </div>
+          </>
+        )}
       </div>
     );
   };
@@ -530,7 +849,7 @@ const HighlightExercise = ({ resource }) => {
       );
     }
 
-    if (!flowchartSvg) {
+    if (!flowchart) {
       return (
         <div className={styles.flowchartEmpty}>
           <div className={styles.emptyIcon}>📊</div>
@@ -541,18 +860,62 @@ const HighlightExercise = ({ resource }) => {
 
     return (
       <div className={styles.flowchartWrapper}>
-        <div
-          className={styles.svgContainer}
-          ref={svgContainerRef}
-          dangerouslySetInnerHTML={{ __html: flowchartSvg }}
-        />
+        <div className={styles.svgContainer}>
+          <div className={styles.chartLayer} ref={chartLayerRef}>
+            <div ref={svgContainerRef} dangerouslySetInnerHTML={{ __html: flowchart.svg }} />
+
+            {canAnchor && (
+              <>
+                {/* Highlighted code, on the shapes that start in it */}
+                <div className={styles.annotationOverlay}>
+                  {highlightedShapes(sourceShapes(), annotations).map(
+                    ({ shape, highlight }) => {
+                      const { x, y } = toChartPixels(shape);
+                      return (
+                        <div
+                          key={`${highlight.id}-${shape.x}-${shape.y}`}
+                          className={styles.shapeHighlight}
+                          style={{
+                            left: `${x}px`,
+                            top: `${y}px`,
+                            width: `${shape.width * chartBox.scale}px`,
+                            height: `${shape.height * chartBox.scale}px`,
+                            backgroundColor: highlight.color + '40',
+                            borderColor: highlight.color,
+                          }}
+                        />
+                      );
+                    },
+                  )}
+                </div>
+
+                {renderDrawings()}
+
+                {/* Notes go next to the innermost shape around their code */}
+                <div className={styles.notesOverlay}>
+                  {annotations
+                    .filter((ann) => ann.type === 'note' && isAnchored(ann))
+                    .map((note) => {
+                      const shape = shapeAt(sourceShapes(), note.anchor.from);
+                      if (!shape) return null;
+                      const { x, y } = toChartPixels({
+                        x: shape.x + shape.width,
+                        y: shape.y,
+                      });
+                      return renderNote(note, x + 8, y);
+                    })}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
       </div>
     );
   };
 
   // Annotation tools configuration
   const tools = [
-    // { id: 'highlight', name: 'Highlight', icon: '🖍️', description: 'Highlight lines' },
+    { id: 'highlight', name: 'Highlight', icon: '🖍️', description: 'Highlight lines' },
     { id: 'pen', name: 'Pen', icon: '✏️', description: 'Draw freehand' },
     { id: 'eraser', name: 'Eraser', icon: '🧽', description: 'Erase drawings' },
     { id: 'note', name: 'Note', icon: '📝', description: 'Add text notes' },
@@ -629,10 +992,7 @@ const HighlightExercise = ({ resource }) => {
           <label className={styles.toolLabel}>Tools:</label>
           <div className={styles.tools}>
             {tools.map((tool) => {
-              // Disable highlight tool in flowchart mode
-              const isDisabled =
-                (viewMode === 'flowchart' && tool.id === 'highlight') ||
-                !['highlight', 'pen', 'eraser', 'note'].includes(tool.id);
+              const isDisabled = !['highlight', 'pen', 'eraser', 'note'].includes(tool.id);
 
               return (
                 <button
@@ -676,7 +1036,7 @@ const HighlightExercise = ({ resource }) => {
           {/* <button className={styles.actionButton} onClick={handleCopyCode}>
             📋 Copy Code
           </button> */}
-          {annotations.length > 0 && (
+          {hasAnnotations && (
             <button
               className={`${styles.actionButton} ${styles.clearButton}`}
               onClick={handleClearAll}
@@ -710,10 +1070,9 @@ const HighlightExercise = ({ resource }) => {
             ? renderCodeWithSyntaxHighlighting(getCurrentCode())
             : renderFlowchart()}
 
-          {/* Drawing overlay */}
+          {/* Drawings and notes saved with pixel positions, before they were anchored */}
           <svg className={styles.drawingOverlay} ref={overlayRef}>
-            {/* Existing drawing paths */}
-            {drawingPaths.map((path) => (
+            {pixelPaths.map((path) => (
               <polyline
                 key={path.id}
                 points={path.points.map((p) => `${p.x},${p.y}`).join(' ')}
@@ -724,45 +1083,9 @@ const HighlightExercise = ({ resource }) => {
                 strokeLinejoin="round"
               />
             ))}
-
-            {/* Current stroke while drawing */}
-            {currentStroke.length > 1 && (
-              <polyline
-                points={currentStroke.map((p) => `${p.x},${p.y}`).join(' ')}
-                stroke={selectedColor}
-                strokeWidth="2"
-                fill="none"
-                strokeLinecap="round"
-                strokeLinejoin="round"
-                opacity="0.7"
-              />
-            )}
           </svg>
-
-          {/* Note annotations overlay */}
           <div className={styles.notesOverlay}>
-            {annotations
-              .filter((ann) => ann.type === 'note')
-              .map((note) => (
-                <div
-                  key={note.id}
-                  className={styles.noteAnnotation}
-                  style={{
-                    left: `${note.position.x}px`,
-                    top: `${note.position.y}px`,
-                    borderColor: note.color,
-                  }}
-                >
-                  <div className={styles.noteContent}>{note.text}</div>
-                  <button
-                    className={styles.deleteNote}
-                    onClick={() => handleDeleteAnnotation(note.id)}
-                    title="Delete note"
-                  >
-                    ×
-                  </button>
-                </div>
-              ))}
+            {pixelNotes.map((note) => renderNote(note, note.position.x, note.position.y))}
           </div>
         </div>
 
@@ -808,8 +1131,9 @@ const HighlightExercise = ({ resource }) => {
         <div className={styles.instructionText}>
           <strong>How to use:</strong> Toggle between code and flowchart view using the
           "Code to Flowchart" button. Select annotation tools to highlight code lines,
-          draw, or add notes. Use different colors to organize your thoughts! All
-          annotations are preserved when switching views.
+          draw, or add notes. Use different colors to organize your thoughts! Annotations
+          stay with the code they were made on, when it is edited, when the font or window
+          changes, and in the print view. Highlights and notes are shown in both views.
         </div>
       </div>
     </div>
@@ -0,0 +1,181 @@
+import { useState, useEffect, useCallback } from 'preact/hooks';
+import { useCodeMirror } from '../../shared/hooks/useCodeMirror.js';
+import { useColorize } from '../../shared/context/ColorizeContext.jsx';
+import { useApp } from '../../shared/context/AppContext.jsx';
+import { getCurrentContent } from '../../shared/utils/getCurrentContent.js';
+import { updateEditorContent } from '../../fs.js';
+import {
+  LINT_RULES,
+  DEFAULT_LINT_CONFIG,
+  ruleSeverity,
+  loadLintConfig,
+  lintCode,
+  toDiagnostics,
+} from '../../shared/utils/lint.js';
+import styles from './LintLens.module.css';
+
+const SEVERITY_ICONS = { error: '❌', warn: '⚠️', off: '⏸️' };
+
+/**
+ * Lint Lens - Checks the code with a beginner ruleset while it is edited
+ * Problems are underlined in the editor and listed next to it, each with what
+ * it means and a link to the chapter about it. Which rules are on comes from
+ * the `lint` entry in the folder's lenses.json (see shared/utils/lint.js).
+ */
+const LintLens = ({ resource }) => {
+  const { virtualFS } = useApp();
+  const { enableColorize } = useColorize();
+
+  const [code, setCode] = useState('');
+  const [lintConfig, setLintConfig] = useState(DEFAULT_LINT_CONFIG);
+  const [problems, setProblems] = useState([]);
+
+  // Get file editor to access latest content
+  const getFileEditor = useCallback(() => {
+    if (!virtualFS || !resource.path) return null;
+
+    const findFile = (node, path) => {
+      if (node.path === path) return node;
+      if (node.children && Array.isArray(node.children)) {
+        for (const child of node.children) {
+          const found = findFile(child, path);
+          if (found) return found;
+        }
+      }
+      return null;
+    };
+
+    return findFile(virtualFS, resource.path);
+  }, [virtualFS, resource.path]);
+
+  // The editor's linter checks the code with the folder's rules, once per edit,
+  // and the same problems are underlined and listed
+  const lint = useCallback(
+    (text) => {
+      const found = lintCode(text, lintConfig);
+      setProblems(found);
+      return toDiagnostics(found);
+    },
+    [lintConfig],
+  );
+
+  const { editorRef, getValue, getEditor, updateSyntaxHighlighting } = useCodeMirror({
+    initialValue: getCurrentContent(resource, getFileEditor, ''),
+    onChange: (value) => {
+      setCode(value);
+      updateEditorContent(resource.path, value);
+    },
+    filePath: resource.path,
+    enableSyntaxHighlighting: enableColorize,
+    language: 'javascript',
+    theme: 'dark',
+    readonly: false,
+    lint,
+  });
+
+  useEffect(() => {
+    updateSyntaxHighlighting(enableColorize);
+  }, [enableColorize, updateSyntaxHighlighting]);
+
+  useEffect(() => {
+    setCode(getValue());
+  }, [resource.path]);
+
+  // Which rules are on for this file, from lenses.json
+  useEffect(() => {
+    let cancelled = false;
+    loadLintConfig(resource.path, virtualFS)
+      .then((config) => {
+        if (!cancelled) setLintConfig(config);
+      })
+      .catch(() => undefined);
+    return () => {
+      cancelled = true;
+    };
+  }, [resource.path]);
+
+  // Select the problem's code in the editor
+  const showProblem = (problem) => {
+    const view = getEditor();
+    if (!view) return;
+    view.dispatch({
+      selection: { anchor: problem.from, head: problem.to },
+      scrollIntoView: true,
+    });
+    view.focus();
+  };
+
+  const errorCount = problems.filter((problem) => problem.severity === 'error').length;
+  const warningCount = problems.length - errorCount;
+
+  return (
+    <div className={styles.container}>
+      <div className={styles.header}>
+        <h2>🧹 Lint</h2>
+        <span className={styles.count}>
+          {SEVERITY_ICONS.error} {errorCount} {errorCount === 1 ? 'error' : 'errors'}
+        </span>
+        <span className={styles.count}>
+          {SEVERITY_ICONS.warn} {warningCount} {warningCount === 1 ? 'warning' : 'warnings'}
+        </span>
+        <div className={styles.rules}>
+          {Object.entries(LINT_RULES).map(([ruleId, rule]) => {
+            const severity = ruleSeverity(lintConfig.rules?.[ruleId]);
+            return (
+              <span
+                key={ruleId}
+                className={`${styles.rule} ${styles[severity]}`}
+                title={`${rule.title}: ${severity}`}
+              >
+                {SEVERITY_ICONS[severity]} {ruleId}
+              </span>
+            );
+          })}
+        </div>
+      </div>
+
+      <div className={styles.workspace}>
+        <div className={styles.editorPane}>
+          <div ref={editorRef} className={styles.codeEditor} />
+        </div>
+
+        <div className={styles.problemsPane}>
+          {problems.length === 0 ? (
+            <p className={styles.placeholder}>
+              {code.trim() ? '✅ No problems found.' : 'Write some code to check it.'}
+            </p>
+          ) : (
+            <ul className={styles.problems}>
+              {problems.map((problem, index) => (
+                <li key={`${problem.ruleId}-${problem.from}-${index}`} className={styles.problem}>
+                  <button
+                    className={styles.problemButton}
+                    onClick={() => showProblem(problem)}
+                    title="Show it in the editor"
+                  >
+                    <span>{SEVERITY_ICONS[problem.severity]}</span>
+                    <span className={styles.line}>line {problem.line}</span>
+                    <span className={styles.message}>{problem.message}</span>
+                    {problem.ruleId && <code className={styles.ruleId}>{problem.ruleId}</code>}
+                  </button>
+                  <p className={styles.explanation}>{problem.explanation}</p>
+                  {problem.chapter && (
+                    <a className={styles.chapter} href={`#${problem.chapter}`}>
+                      📖 Read the chapter
+                    </a>
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+          <p className={styles.hint}>
+            Turn rules on or off for a folder with the <code>lint</code> entry in its
+            lenses.json.
+          </p>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default LintLens;
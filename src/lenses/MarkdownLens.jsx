@@ -4,21 +4,8 @@ import { getCurrentContent } from '../../shared/utils/getCurrentContent.js';
 import RunCode from '../../shared/components/RunCode.jsx';
 import StepThroughModal from '../components/StepThroughModal.jsx';
 import EmbeddedTrace from '../../shared/components/EmbeddedTrace.jsx';
+import { renderMarkdown as markdownToHtml, addCodeToolbars } from '../../shared/utils/markdownRenderer.js';
 import styles from './MarkdownLens.module.css';
-import { BASE_PATH } from '../CONSTANTS.js';
-
-// Import marked for robust markdown parsing
-import { marked } from 'marked';
-import { baseUrl } from 'marked-base-url';
-
-// Import Prism.js for syntax highlighting
-import Prism from 'prismjs';
-import 'prismjs/components/prism-javascript';
-import 'prismjs/components/prism-python';
-import 'prismjs/components/prism-css';
-import 'prismjs/components/prism-json';
-import 'prismjs/components/prism-markdown';
-import 'prismjs/themes/prism-tomorrow.css'; // Dark theme to match editor
 
 /**
  * Markdown Exercise Component - Renders markdown files as HTML
@@ -69,78 +56,12 @@ const MarkdownExercise = ({ resource }) => {
     return findFile(virtualFS, resource.path);
   }, [virtualFS, resource.path]);
 
-  // Configure marked with base URL and custom renderer
-  const configureMarked = useCallback(() => {
-    const renderer = new marked.Renderer();
-
-    // Configure base URL for assets
-    marked.use(baseUrl(`${BASE_PATH}/content-assets/`));
-
-    // Configure marked options
-    marked.setOptions({
-      breaks: false,
-      gfm: true,
-    });
-
-    // Custom code block renderer with toolbar placeholder
-    renderer.code = (code, language) => {
-      const lang = language || 'javascript';
-      const codeId = `code-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-
-      return `
-        <div class="code-block-container" data-language="${lang}">
-          <div class="code-toolbar-placeholder" data-code-id="${codeId}" data-lang="${lang}"></div>
-          <pre class="line-numbers language-${lang}"><code id="${codeId}">${code.text}</code></pre>
-        </div>
-      `;
-    };
-
-    return renderer;
-  }, []);
-
   // Add interactive toolbars to code blocks
   const addInteractiveToolbars = useCallback(() => {
-    if (!contentRef.current) return;
-
-    const toolbarPlaceholders = contentRef.current.querySelectorAll(
-      '.code-toolbar-placeholder',
-    );
-    toolbarPlaceholders.forEach((placeholder) => {
-      const codeId = placeholder.getAttribute('data-code-id');
-      const language = placeholder.getAttribute('data-lang');
-      const codeElement = document.getElementById(codeId);
-
-      if (codeElement && !placeholder.querySelector('.code-toolbar')) {
-        const code = codeElement.textContent || '';
-
-        // Create toolbar
-        const toolbar = document.createElement('div');
-        toolbar.className = 'code-toolbar';
-
-        // Run Code button
-        const runButton = document.createElement('button');
-        runButton.className = 'toolbar-button run-button';
-        runButton.innerHTML = '▶️ Run';
-        runButton.onclick = () => handleRunCode(code, language);
-
-        // Trace button
-        const traceButton = document.createElement('button');
-        traceButton.className = 'toolbar-button trace-button';
-        traceButton.innerHTML = '🔍 Trace';
-        traceButton.onclick = () => handleTrace(code, language);
-
-        // Step-Through button
-        const stepButton = document.createElement('button');
-        stepButton.className = 'toolbar-button step-button';
-        stepButton.innerHTML = '👣 Step-Through';
-        stepButton.onclick = () => handleStepThrough(code, language);
-
-        toolbar.appendChild(runButton);
-        toolbar.appendChild(traceButton);
-        toolbar.appendChild(stepButton);
-
-        placeholder.appendChild(toolbar);
-      }
+    addCodeToolbars(contentRef.current, {
+      onRun: (code, language) => handleRunCode(code, language),
+      onTrace: (code, language) => handleTrace(code, language),
+      onStepThrough: (code, language) => handleStepThrough(code, language),
     });
   }, []);
 
@@ -210,58 +131,6 @@ const MarkdownExercise = ({ resource }) => {
     [resource, trackStudyAction],
   );
 
-  // Process markdown using marked with custom renderer
-  const processMarkdown = useCallback(
-    async (content) => {
-      try {
-        // Step 1: Parse markdown with marked
-        const renderer = configureMarked();
-        const html = marked(content, { renderer });
-
-        // Step 2: Apply Prism highlighting to code blocks
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = html;
-
-        const codeBlocks = tempDiv.querySelectorAll('pre code');
-        codeBlocks.forEach((block) => {
-          const language = block.className.match(/language-(\w+)/)?.[1] || 'javascript';
-          const code = block.textContent || '';
-
-          // Map common language aliases
-          const languageMap = {
-            js: 'javascript',
-            jsx: 'javascript',
-            py: 'python',
-            html: 'markup',
-            xml: 'markup',
-          };
-
-          const prismLang = languageMap[language] || language;
-
-          // Apply Prism highlighting if language is supported
-          if (Prism.languages[prismLang]) {
-            try {
-              const highlighted = Prism.highlight(
-                code,
-                Prism.languages[prismLang],
-                prismLang,
-              );
-              block.innerHTML = highlighted;
-            } catch (error) {
-              console.warn('Prism highlighting failed for language:', language, error);
-            }
-          }
-        });
-
-        return tempDiv.innerHTML;
-      } catch (error) {
-        console.error('Markdown processing failed:', error);
-        return `<p>Error processing markdown: ${error.message}</p>`;
-      }
-    },
-    [configureMarked],
-  );
-
   useEffect(() => {
     if (!resource || !resource.content) {
       setHtml('');
@@ -276,7 +145,7 @@ const MarkdownExercise = ({ resource }) => {
 
         // Get current content from resource or editor
         const currentContent = getCurrentContent(resource, getFileEditor, '');
-        const htmlContent = await processMarkdown(currentContent);
+        const htmlContent = markdownToHtml(currentContent);
         setHtml(htmlContent);
         setIsLoading(false);
 
@@ -295,7 +164,7 @@ const MarkdownExercise = ({ resource }) => {
     };
 
     renderMarkdown();
-  }, [resource, processMarkdown, addInteractiveToolbars, getFileEditor]);
+  }, [resource, addInteractiveToolbars, getFileEditor]);
 
   // Initialize drawing paths
   useEffect(() => {
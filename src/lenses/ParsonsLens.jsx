@@ -1,17 +1,28 @@
-import { useState, useEffect, useRef, useCallback } from 'preact/hooks';
+import { useState, useEffect, useRef, useCallback, useMemo } from 'preact/hooks';
 import CodeBlock from '../../shared/components/CodeBlock.jsx';
 import { useApp } from '../../shared/context/AppContext.jsx';
 import { getCurrentContent } from '../../shared/utils/getCurrentContent.js';
+import {
+  createBlocks,
+  shuffleBlocks,
+  gradeAnswer,
+  hashCode
+} from '../../shared/utils/parsons.js';
+import { saveLensProgress, getLensProgress } from '../../fs.js';
 import styles from './ParsonsLens.module.css';
 
+const INDENT_WIDTH = 24;
+
 /**
- * ParsonsLens - Drag-and-drop code assembly exercise using iframe
- * Students arrange code blocks in correct order to understand program structure
- * Uses an iframe to embed the standalone parsons implementation
+ * ParsonsLens - Drag-and-drop code assembly exercise
+ * Students arrange code blocks in correct order to understand program structure.
+ * Blocks come from the program's AST, lines ending in `// distractor` are mixed
+ * in as wrong blocks, and progress is saved with the file in the virtual FS.
  */
 const ParsonsLens = ({ resource }) => {
   const fileName = resource?.name || '';
-  const { virtualFS } = useApp();
+  const filePath = resource?.path || '';
+  const { virtualFS, trackStudyAction } = useApp();
 
   // Get file editor to access latest content
   const getFileEditor = useCallback(() => {
@@ -33,73 +44,262 @@ const ParsonsLens = ({ resource }) => {
 
   // Get current content (edited or original)
   const code = getCurrentContent(resource, getFileEditor, '');
-  const iframeRef = useRef(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [iframeHeight] = useState(600);
-
-  // Build iframe URL with encoded code
-  const buildIframeUrl = useCallback(() => {
-    if (!code.trim()) return null;
+  const signature = hashCode(code);
 
+  const problem = useMemo(() => {
     try {
-      const encodedCode = encodeURIComponent(code);
-      const encodedFileName = encodeURIComponent(fileName);
-      return `./parsons-iframe.html?code=${encodedCode}&file=${encodedFileName}`;
+      return { ...createBlocks(code), error: null };
     } catch (error) {
-      console.error('Error encoding code for iframe:', error);
-      setError('Failed to encode code for parsons exercise');
-      return null;
+      return { blocks: [], distractors: [], error: error.message };
     }
-  }, [code, fileName]);
-
-  // Handle iframe load
-  const handleIframeLoad = useCallback(() => {
-    setIsLoading(false);
-    setError(null);
-  }, []);
-
-  // Handle iframe error
-  const handleIframeError = useCallback(() => {
-    setIsLoading(false);
-    setError('Failed to load parsons exercise');
-  }, []);
-
-  // Fallback component for when iframe fails or code is empty
-  const FallbackComponent = () => (
-    <div className={styles.fallbackContainer}>
-      <h4>🧩 Parsons Exercise: {fileName}</h4>
-      <p>
-        {error
-          ? `Error: ${error}`
-          : code.trim()
-            ? 'Parsons exercise is loading...'
-            : 'No code available for this exercise'}
-      </p>
-      {code.trim() && (
-        <>
-          <p>Here's the original code:</p>
-          <CodeBlock language="javascript">{code}</CodeBlock>
-        </>
-      )}
-    </div>
-  );
+  }, [code]);
+
+  const blocksById = useMemo(() => {
+    const map = {};
+    [...problem.blocks, ...problem.distractors].forEach((block) => {
+      map[block.id] = block;
+    });
+    return map;
+  }, [problem]);
+
+  const maxIndent = Math.max(0, ...problem.blocks.map((block) => block.indent)) + 1;
+
+  const [pool, setPool] = useState([]);
+  const [answer, setAnswer] = useState([]);
+  const [attempts, setAttempts] = useState(0);
+  const [solved, setSolved] = useState(false);
+  const [checkIndent, setCheckIndent] = useState(true);
+  const [feedback, setFeedback] = useState(null);
+  const [grabbed, setGrabbed] = useState(null);
+  const [focusId, setFocusId] = useState(null);
+  const [announcement, setAnnouncement] = useState('');
+  const [showSolution, setShowSolution] = useState(false);
+
+  const blockRefs = useRef({});
+  const dragRef = useRef(null);
+  const solutionRef = useRef(null);
+
+  const newInstance = useCallback(() => {
+    const ids = [...problem.blocks, ...problem.distractors].map((block) => block.id);
+    setPool(shuffleBlocks(ids, Date.now()));
+    setAnswer([]);
+    setFeedback(null);
+    setSolved(false);
+    setGrabbed(null);
+    setShowSolution(false);
+  }, [problem]);
+
+  // Restore saved progress, or start fresh when the code has changed since
+  useEffect(() => {
+    const saved = getLensProgress(filePath, 'parsons');
+    if (saved && saved.signature === signature) {
+      setPool(saved.pool);
+      setAnswer(saved.answer);
+      setAttempts(saved.attempts || 0);
+      setSolved(!!saved.solved);
+      setCheckIndent(saved.checkIndent !== false);
+      setFeedback(null);
+      return;
+    }
+    setAttempts(0);
+    newInstance();
+  }, [filePath, signature]);
+
+  // Save progress with the file whenever the puzzle changes
+  useEffect(() => {
+    if (pool.length === 0 && answer.length === 0) return;
+    saveLensProgress(filePath, 'parsons', {
+      signature,
+      pool,
+      answer,
+      attempts,
+      solved,
+      checkIndent
+    });
+  }, [filePath, signature, pool, answer, attempts, solved, checkIndent]);
+
+  // Keep keyboard focus on a block after it moves
+  useEffect(() => {
+    if (focusId && blockRefs.current[focusId]) {
+      blockRefs.current[focusId].focus();
+    }
+  }, [focusId, pool, answer]);
+
+  const changed = (message) => {
+    setFeedback(null);
+    if (message) setAnnouncement(message);
+  };
+
+  const clampIndent = (indent) => Math.max(0, Math.min(maxIndent, indent));
+
+  // Move a block into the solution at an index (or back to the pool with index null)
+  const moveBlock = (id, toSolution, index = null, indent = null) => {
+    const current = answer.find((item) => item.id === id);
+    const withoutAnswer = answer.filter((item) => item.id !== id);
+    const withoutPool = pool.filter((poolId) => poolId !== id);
+
+    if (toSolution) {
+      const at = index === null ? withoutAnswer.length : Math.min(index, withoutAnswer.length);
+      const item = { id, indent: clampIndent(indent ?? current?.indent ?? 0) };
+      setAnswer([...withoutAnswer.slice(0, at), item, ...withoutAnswer.slice(at)]);
+      setPool(withoutPool);
+      changed(`Block moved to line ${at + 1} of your solution`);
+    } else {
+      const at = index === null ? withoutPool.length : Math.min(index, withoutPool.length);
+      setPool([...withoutPool.slice(0, at), id, ...withoutPool.slice(at)]);
+      setAnswer(withoutAnswer);
+      changed('Block moved back to the available blocks');
+    }
+  };
+
+  const setIndent = (id, delta) => {
+    setAnswer(answer.map((item) =>
+      item.id === id ? { ...item, indent: clampIndent(item.indent + delta) } : item
+    ));
+    const item = answer.find((entry) => entry.id === id);
+    if (item) changed(`Indent ${clampIndent(item.indent + delta)}`);
+  };
+
+  const checkSolution = () => {
+    const placed = answer.map((item) => ({ ...blocksById[item.id], indent: item.indent }));
+    const result = gradeAnswer(problem.blocks, placed, { checkIndent });
+    const nextAttempts = attempts + 1;
+    setAttempts(nextAttempts);
+    setFeedback(result);
+    setAnnouncement(result.message);
+    if (result.correct) setSolved(true);
+
+    trackStudyAction('parsons_check', resource, {
+      correct: result.correct,
+      kind: result.kind,
+      attempts: nextAttempts
+    });
+  };
+
+  // Keyboard drag-and-drop: Space grabs, arrows move, Enter switches lists
+  const handleKeyDown = (event, id, inSolution) => {
+    const list = inSolution ? answer.map((item) => item.id) : pool;
+    const index = list.indexOf(id);
+
+    switch (event.key) {
+    case ' ':
+      event.preventDefault();
+      setGrabbed(grabbed === id ? null : id);
+      setAnnouncement(grabbed === id ? 'Block dropped' : 'Block grabbed, use the arrow keys to move it');
+      break;
+    case 'Escape':
+      setGrabbed(null);
+      break;
+    case 'Enter':
+      event.preventDefault();
+      moveBlock(id, !inSolution);
+      setFocusId(id);
+      break;
+    case 'ArrowUp':
+    case 'ArrowDown': {
+      event.preventDefault();
+      const target = index + (event.key === 'ArrowUp' ? -1 : 1);
+      if (target < 0 || target >= list.length) break;
+      if (grabbed === id) {
+        moveBlock(id, inSolution, target);
+        setFocusId(id);
+      } else {
+        setFocusId(list[target]);
+      }
+      break;
+    }
+    case 'ArrowLeft':
+    case 'ArrowRight':
+      if (!inSolution) break;
+      event.preventDefault();
+      setIndent(id, event.key === 'ArrowLeft' ? -1 : 1);
+      break;
+    default:
+      break;
+    }
+  };
 
-  // Get iframe URL
-  const iframeUrl = buildIframeUrl();
+  // Mouse drag-and-drop: horizontal drop position sets the indent
+  const handleDragStart = (event, id) => {
+    const rect = event.currentTarget.getBoundingClientRect();
+    dragRef.current = { id, offsetX: event.clientX - rect.left };
+    event.dataTransfer.effectAllowed = 'move';
+    event.dataTransfer.setData('text/plain', id);
+  };
 
-  // Show fallback if no code or URL generation failed
-  if (!code.trim() || !iframeUrl) {
+  const dropIndex = (event, listElement) => {
+    const items = [...listElement.querySelectorAll('[data-block-id]')]
+      .filter((element) => element.dataset.blockId !== dragRef.current?.id);
+    const index = items.findIndex((element) => {
+      const rect = element.getBoundingClientRect();
+      return event.clientY < rect.top + rect.height / 2;
+    });
+    return index === -1 ? items.length : index;
+  };
+
+  const handleDropOnSolution = (event) => {
+    event.preventDefault();
+    const drag = dragRef.current;
+    if (!drag) return;
+    const list = solutionRef.current;
+    const left = event.clientX - drag.offsetX - list.getBoundingClientRect().left;
+    moveBlock(drag.id, true, dropIndex(event, list), Math.round(left / INDENT_WIDTH));
+    dragRef.current = null;
+  };
+
+  const handleDropOnPool = (event) => {
+    event.preventDefault();
+    const drag = dragRef.current;
+    if (!drag) return;
+    moveBlock(drag.id, false, dropIndex(event, event.currentTarget));
+    dragRef.current = null;
+  };
+
+  const renderBlock = (id, inSolution, indent = 0, position = 0) => {
+    const block = blocksById[id];
+    if (!block) return null;
+    const isMisplaced = inSolution && feedback && !feedback.correct && feedback.index === position;
+
+    return (
+      <div
+        key={id}
+        ref={(element) => {
+          blockRefs.current[id] = element;
+        }}
+        data-block-id={id}
+        className={`${styles.codeBlock} ${isMisplaced ? styles.misplaced : ''} ${
+          grabbed === id ? styles.grabbed : ''
+        }`}
+        style={inSolution ? { marginLeft: `${indent * INDENT_WIDTH}px` } : undefined}
+        draggable
+        tabIndex={0}
+        role="listitem"
+        aria-label={`${block.code}${inSolution ? `, line ${position + 1}, indent ${indent}` : ''}`}
+        onDragStart={(event) => handleDragStart(event, id)}
+        onKeyDown={(event) => handleKeyDown(event, id, inSolution)}
+        onFocus={() => setFocusId(id)}
+        onDblClick={() => moveBlock(id, !inSolution)}
+      >
+        <pre className={styles.blockContent}>{block.code}</pre>
+      </div>
+    );
+  };
+
+  if (problem.error || problem.blocks.length === 0) {
     return (
       <div className={styles.parsonsLens}>
         <div className={styles.header}>
           <h3>🧩 Parsons Problem</h3>
           <div className={styles.fileName}>{fileName}</div>
-          <button onClick={() => window.open(iframeUrl, '_blank')}>
-            Open in new tab.
-          </button>
         </div>
-        <FallbackComponent />
+        <div className={styles.fallbackContainer}>
+          <p>
+            {problem.error
+              ? `This code cannot be split into blocks: ${problem.error}`
+              : 'No code available for this exercise'}
+          </p>
+          {code.trim() && <CodeBlock language="javascript">{code}</CodeBlock>}
+        </div>
       </div>
     );
   }
@@ -109,68 +309,117 @@ const ParsonsLens = ({ resource }) => {
       <div className={styles.header}>
         <h3>🧩 Parsons Problem</h3>
         <div className={styles.fileName}>{fileName}</div>
-        <button onClick={() => window.open(iframeUrl, '_blank')}>Open in new tab.</button>
+        <div className={styles.controls}>
+          <label className={styles.option} title="Also grade the indentation of each block">
+            <input
+              type="checkbox"
+              checked={checkIndent}
+              onChange={(e) => {
+                setCheckIndent(e.target.checked);
+                setFeedback(null);
+              }}
+            />
+            Grade indentation
+          </label>
+          <span className={styles.attempts}>
+            {solved ? '✅ Solved' : ''} {attempts} {attempts === 1 ? 'attempt' : 'attempts'}
+          </span>
+          <button className={styles.resetButton} onClick={newInstance}>
+            🔀 New Instance
+          </button>
+          <button className={styles.hintButton} onClick={() => setShowSolution(!showSolution)}>
+            {showSolution ? '🙈 Hide Solution' : '👀 Show Solution'}
+          </button>
+          <button
+            className={styles.checkButton}
+            onClick={checkSolution}
+            disabled={answer.length === 0}
+          >
+            ✔️ Check
+          </button>
+        </div>
       </div>
 
-      <div className={styles.iframeContainer}>
-        {isLoading && (
-          <div className={styles.loadingContainer}>
-            <h4>🧩 Loading Parsons Exercise...</h4>
-            <p>Setting up the interactive puzzle...</p>
+      {feedback && (
+        <div className={`${styles.feedback} ${feedback.correct ? styles.success : styles.error}`}>
+          {feedback.correct ? '🎉 ' : '❌ '}
+          {feedback.message}
+        </div>
+      )}
+
+      <div className={styles.srOnly} aria-live="polite">
+        {announcement}
+      </div>
+
+      <div className={styles.exerciseContent}>
+        <div className={styles.blocksPanel}>
+          <h4>Available Blocks ({pool.length})</h4>
+          <div
+            className={styles.blocksContainer}
+            role="list"
+            aria-label="Available blocks"
+            onDragOver={(event) => event.preventDefault()}
+            onDrop={handleDropOnPool}
+          >
+            {pool.map((id) => renderBlock(id, false))}
+            {pool.length === 0 && (
+              <div className={styles.emptyMessage}>All blocks are in your solution</div>
+            )}
           </div>
-        )}
+        </div>
 
-        {error && (
-          <div className={styles.errorContainer}>
-            <h4>❌ Error Loading Exercise</h4>
-            <p>{error}</p>
-            <button
-              onClick={() => {
-                setError(null);
-                setIsLoading(true);
-                if (iframeRef.current) {
-                  iframeRef.current.src = iframeUrl;
-                }
-              }}
-              className={styles.retryButton}
-            >
-              🔄 Retry
-            </button>
+        <div className={styles.solutionPanel}>
+          <h4>Your Solution ({answer.length})</h4>
+          <div
+            ref={solutionRef}
+            className={styles.solutionContainer}
+            role="list"
+            aria-label="Your solution"
+            onDragOver={(event) => event.preventDefault()}
+            onDrop={handleDropOnSolution}
+          >
+            {answer.map((item, position) => renderBlock(item.id, true, item.indent, position))}
+            {answer.length === 0 && (
+              <div className={styles.dropMessage}>Drag blocks here to build the program</div>
+            )}
           </div>
-        )}
+        </div>
 
-        <iframe
-          ref={iframeRef}
-          src={iframeUrl}
-          className={styles.parsonsIframe}
-          style={{
-            height: `${iframeHeight}px`,
-            display: isLoading || error ? 'none' : 'block',
-          }}
-          onLoad={handleIframeLoad}
-          onError={handleIframeError}
-          title={`Parsons Exercise: ${fileName}`}
-          // sandbox="allow-scripts allow-same-origin"
-        />
+        {showSolution && (
+          <div className={styles.solutionPanel}>
+            <h4>Solution</h4>
+            <CodeBlock language="javascript">
+              {problem.blocks
+                .map((block) =>
+                  block.code
+                    .split('\n')
+                    .map((line) => '  '.repeat(block.indent) + line)
+                    .join('\n')
+                )
+                .join('\n')}
+            </CodeBlock>
+          </div>
+        )}
       </div>
 
       <div className={styles.instructions}>
         <h4>📚 How to Use</h4>
         <ul>
           <li>
-            <strong>Drag</strong> code blocks from the left panel to the solution area
-          </li>
-          <li>
-            <strong>Arrange</strong> blocks in the correct logical order
+            <strong>Drag</strong> blocks into your solution, further right to indent them
+            (double-click also moves a block)
           </li>
           <li>
-            <strong>Get Feedback</strong> to check your solution and see errors
+            <strong>Keyboard:</strong> Tab to a block, <kbd>Enter</kbd> moves it between
+            lists, <kbd>Space</kbd> grabs it so <kbd>↑</kbd>/<kbd>↓</kbd> reorder it, and{' '}
+            <kbd>←</kbd>/<kbd>→</kbd> change its indent
           </li>
           <li>
-            <strong>New Instance</strong> to shuffle blocks and try again
+            <strong>Check</strong> points at the first misplaced block, some blocks are
+            distractors that do not belong
           </li>
           <li>
-            <strong>Review Guesses</strong> to see your previous attempts
+            <strong>New Instance</strong> shuffles the blocks and starts again
           </li>
         </ul>
       </div>
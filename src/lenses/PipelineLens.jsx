@@ -0,0 +1,107 @@
+import { useState, useEffect, useCallback } from 'preact/hooks';
+import { useApp } from '../../shared/context/AppContext.jsx';
+import { getCurrentContent } from '../../shared/utils/getCurrentContent.js';
+import { parseQueryString } from '../../config/index.js';
+import { getPipelineForFile, listTransforms, runPipeline } from '../../transforms/pipeline.js';
+import styles from './PipelineLens.module.css';
+
+/**
+ * Pipeline Lens - Run the file through the lens pipeline from lenses.json
+ * Shows every step with the config it received, its errors, and the final output.
+ * Steps can be configured from the URL, e.g. `?lines.numbers=false`.
+ */
+const PipelineLens = ({ resource }) => {
+  const { virtualFS } = useApp();
+
+  const [pipeline, setPipeline] = useState([]);
+  const [result, setResult] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+
+  // Get file editor to access latest content
+  const getFileEditor = useCallback(() => {
+    if (!virtualFS || !resource.path) return null;
+
+    const findFile = (node, path) => {
+      if (node.path === path) return node;
+      if (node.children && Array.isArray(node.children)) {
+        for (const child of node.children) {
+          const found = findFile(child, path);
+          if (found) return found;
+        }
+      }
+      return null;
+    };
+
+    return findFile(virtualFS, resource.path);
+  }, [virtualFS, resource.path]);
+
+  useEffect(() => {
+    getPipelineForFile(resource, virtualFS).then(setPipeline);
+  }, [resource.path]);
+
+  const run = async (names = pipeline) => {
+    setIsRunning(true);
+    const queryParams = parseQueryString(window.location.hash.split('?')[1] || '');
+    const input = { ...resource, content: getCurrentContent(resource, getFileEditor, '') };
+    setResult(await runPipeline(input, names, { queryParams, virtualFS }));
+    setIsRunning(false);
+  };
+
+  useEffect(() => {
+    if (pipeline.length > 0) run(pipeline);
+  }, [pipeline]);
+
+  const available = listTransforms();
+  const output = result?.resource;
+
+  return (
+    <div className={styles.pipelineLens}>
+      <div className={styles.header}>
+        <h3>🔗 Lens Pipeline</h3>
+        <span className={styles.pipeline}>
+          {resource.lang} → {pipeline.length > 0 ? pipeline.join(' → ') : 'no lenses configured'}
+        </span>
+        <button className={styles.runButton} onClick={() => run()} disabled={isRunning || pipeline.length === 0}>
+          {isRunning ? '⏳ Running...' : '▶️ Run Again'}
+        </button>
+      </div>
+
+      <div className={styles.workspace}>
+        <div className={styles.steps}>
+          {(result?.steps || []).map((step, index) => (
+            <div key={`${step.name}-${index}`} className={`${styles.step} ${step.error ? styles.failed : ''}`}>
+              <div className={styles.stepHeader}>
+                <span>{step.error ? '❌' : '✅'}</span>
+                <strong>{step.name}</strong>
+                <span className={styles.duration}>{step.duration}ms</span>
+              </div>
+              {step.error && <div className={styles.stepError}>{step.error}</div>}
+              {Object.keys(step.config).length > 0 && (
+                <details>
+                  <summary>config</summary>
+                  <pre className={styles.config}>{JSON.stringify(step.config, null, 2)}</pre>
+                </details>
+              )}
+            </div>
+          ))}
+          <p className={styles.available}>Available lenses: {available.join(', ')}</p>
+        </div>
+
+        <div className={styles.output}>
+          {output?.lang === '.html' ? (
+            <iframe
+              className={styles.frame}
+              sandbox="allow-scripts"
+              srcDoc={output.content}
+              title="Pipeline output"
+            />
+          ) : (
+            <pre className={styles.outputText}>{output?.content ?? ''}</pre>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PipelineLens;
@@ -0,0 +1,103 @@
+import { useState, useEffect } from 'preact/hooks';
+import { useCodeMirror } from '../../shared/hooks/useCodeMirror.js';
+import { useColorize } from '../../shared/context/ColorizeContext.jsx';
+import { updateEditorContent, loadFileContent } from '../../fs.js';
+import {
+  findProjectEntry,
+  getProjectFiles,
+  createProjectPage
+} from '../../shared/utils/projectPreview.js';
+import ProjectPreview from '../../shared/components/ProjectPreview.jsx';
+import styles from './PreviewLens.module.css';
+
+/**
+ * Preview Lens - Study an HTML/CSS/JS project folder with a live preview
+ * Every HTML, CSS and JS file in the folder gets a tab, and edits in any of
+ * them refresh the preview.
+ */
+const PreviewLens = ({ resource }) => {
+  const filePath = resource?.path || '';
+  const folder = filePath.slice(0, filePath.lastIndexOf('/') + 1);
+  const { enableColorize } = useColorize();
+
+  const [activePath, setActivePath] = useState(filePath);
+  const [version, setVersion] = useState(0);
+
+  const projectFiles = getProjectFiles(filePath);
+  const activeFile = projectFiles.find((file) => file.path === activePath) || resource;
+  const entryPath = findProjectEntry(filePath);
+
+  const readContent = (file) => file?.editorContent ?? file?.content ?? '';
+
+  const { editorRef, setValue, updateSyntaxHighlighting } = useCodeMirror({
+    initialValue: readContent(activeFile),
+    onChange: (value) => {
+      updateEditorContent(activePath, value);
+      setVersion((count) => count + 1);
+    },
+    filePath: activePath,
+    enableSyntaxHighlighting: enableColorize,
+    language: 'javascript',
+    theme: 'dark',
+    readonly: false
+  });
+
+  useEffect(() => {
+    updateSyntaxHighlighting(enableColorize);
+  }, [enableColorize, updateSyntaxHighlighting]);
+
+  // Show the selected tab's file, loading it first if it is fetched lazily
+  useEffect(() => {
+    let cancelled = false;
+    loadFileContent(activeFile).then(() => {
+      if (!cancelled) setValue(readContent(activeFile));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [activePath]);
+
+  return (
+    <div className={styles.previewLens}>
+      <div className={styles.header}>
+        <h3>🌐 Project Preview</h3>
+        <span className={styles.folder}>{folder}</span>
+        {!entryPath && (
+          <span className={styles.generated}>
+            No HTML file in this folder - every stylesheet and script is loaded
+          </span>
+        )}
+      </div>
+
+      <div className={styles.workspace}>
+        <div className={styles.editorPane}>
+          <div className={styles.tabs}>
+            {projectFiles.map((file) => (
+              <button
+                key={file.path}
+                className={`${styles.tab} ${file.path === activePath ? styles.activeTab : ''}`}
+                onClick={() => setActivePath(file.path)}
+              >
+                {file.name}
+              </button>
+            ))}
+          </div>
+          <div className={styles.editorWrapper}>
+            <div ref={editorRef} className={styles.codeEditor} />
+          </div>
+        </div>
+
+        <div className={styles.previewPane}>
+          <ProjectPreview
+            entryPath={entryPath || `${folder}index.html`}
+            html={entryPath ? null : createProjectPage(filePath)}
+            refreshKey={version}
+            title={entryPath ? entryPath.split('/').pop() : 'generated page'}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PreviewLens;
@@ -3,8 +3,73 @@ import { useApp } from '../../shared/context/AppContext.jsx';
 import { useColorize } from '../../shared/context/ColorizeContext.jsx';
 import { getCurrentContent } from '../../shared/utils/getCurrentContent.js';
 import CodeBlock from '../../shared/components/CodeBlock.jsx';
+import { findFile, onVirtualFSChange } from '../../fs.js';
+import {
+  isAnchored,
+  upgradeAnnotations,
+  anchorOrigin,
+  annotationPoints,
+  highlightedLines,
+  isColor,
+} from '../../shared/utils/annotations.js';
+import {
+  variableAccesses,
+  variableLegendHTML,
+  wrapRanges,
+  traceCode,
+  traceTableHTML,
+  getStudySheetCSS,
+} from '../../shared/utils/studySheet.js';
+import '../../public/static/trace-loader.js';
 import styles from './PrintLens.module.css';
 
+// Every annotated line is this tall, so marks can be placed in lines and characters
+const LINE_HEIGHT_EM = 1.5;
+
+const download = (text, fileName, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// Quotes too, the same helper escapes attribute values
+const escapeHTML = (text) =>
+  String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+// Split highlighted HTML into lines, spans that run over a line break
+// (like block comments) are closed at the end of the line and opened again
+const splitHighlightedLines = (html) => {
+  const lines = [];
+  const open = [];
+  let line = '';
+
+  for (const part of html.split(/(<[^>]+>|\n)/)) {
+    if (part === '\n') {
+      lines.push(line + '</span>'.repeat(open.length));
+      line = open.join('');
+    } else if (part.startsWith('</')) {
+      open.pop();
+      line += part;
+    } else if (part.startsWith('<')) {
+      open.push(part);
+      line += part;
+    } else {
+      line += part;
+    }
+  }
+
+  lines.push(line);
+  return lines;
+};
+
 /**
  * Print Lens - Optimized code viewing and printing
  * Based on SL1's print lens with modern enhancements
@@ -41,10 +106,42 @@ const PrintLens = ({ resource }) => {
   const [fontSize, setFontSize] = useState(1.0);
   const [showLineNumbers, setShowLineNumbers] = useState(true);
   const [isPrintPreview, setIsPrintPreview] = useState(false);
+  const [showAnnotations, setShowAnnotations] = useState(true);
+  const [saved, setSaved] = useState({ annotations: [], drawings: [] });
+  const [sheetVariables, setSheetVariables] = useState(true);
+  const [sheetTrace, setSheetTrace] = useState(false);
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState('');
 
   const contentRef = useRef(null);
   const printWindowRef = useRef(null);
 
+  // Highlights, notes and code marks from the Highlight lens, anchored to the source
+  useEffect(() => {
+    const load = () => {
+      const file = findFile(resource.path);
+      setSaved({
+        annotations: file?.codeAnnotations || [],
+        drawings: file?.codeDrawingPaths || [],
+      });
+    };
+    load();
+    return onVirtualFSChange((path) => {
+      if (path === resource.path) load();
+    });
+  }, [resource.path]);
+
+  // Pseudocode is printed instead of the source, its line map says which source line each line is
+  const lineMap = resource?.isPseudocode ? resource.lineMap || [] : null;
+  const source = lineMap ? resource.originalContent || '' : code;
+  const annotations = upgradeAnnotations(saved.annotations, source).filter(isAnchored);
+  const drawings = saved.drawings.filter(isAnchored);
+  const hasAnnotations = annotations.length > 0 || drawings.length > 0;
+  const printAnnotations = showAnnotations && hasAnnotations;
+
+  // Variables and traces are for the JavaScript itself, not its pseudocode
+  const isJavaScript = language === '.js' && !lineMap;
+
   // Detect language for syntax highlighting
   const getLanguageClass = () => {
     const langMap = {
@@ -99,6 +196,15 @@ const PrintLens = ({ resource }) => {
   const formatCodeWithSyntaxHighlighting = () => {
     const langClass = getLanguageClass();
 
+    if (printAnnotations) {
+      return (
+        <div
+          className={styles.printCodeContainer}
+          dangerouslySetInnerHTML={{ __html: generateAnnotatedHTML() }}
+        />
+      );
+    }
+
     if (enableColorize) {
       // Use SL1-style approach: let Prism handle the highlighting
       return (
@@ -143,6 +249,84 @@ const PrintLens = ({ resource }) => {
       .join('\n');
   };
 
+  // Code as HTML lines, highlighted by Prism when colorized
+  const highlightedCodeLines = (variables = []) => {
+    const langClass = getLanguageClass();
+    const grammar = window.Prism?.languages?.[langClass];
+    const html =
+      enableColorize && grammar
+        ? window.Prism.highlight(code, grammar, langClass)
+        : escapeHTML(code);
+    return splitHighlightedLines(wrapRanges(html, variables));
+  };
+
+  // Notes in the order of the lines they are on, numbered in that order
+  const lineNotes = () =>
+    annotations
+      .filter((annotation) => annotation.type === 'note')
+      .map((note) => ({ note, line: anchorOrigin(source, note.anchor, lineMap)?.line }))
+      .filter(({ line }) => line)
+      .sort((a, b) => a.line - b.line);
+
+  // Code with its highlights, numbered notes and code marks, one block per line
+  // Marks are drawn in characters and lines, so they fit any font size
+  const generateAnnotatedCode = (notes, variables = []) => {
+    const lines = highlightedCodeLines(variables);
+    const highlights = highlightedLines(source, annotations, lineMap);
+
+    const numberWidth = String(lines.length).length;
+    const gutter = showLineNumbers ? numberWidth + 2 : 0;
+
+    const rows = lines.map((html, index) => {
+      const lineNumber = index + 1;
+      const highlight = highlights.get(lineNumber);
+      // Annotation colors are checked again here, they may come from an imported file
+      const color = highlight && isColor(highlight.color) ? escapeHTML(highlight.color) : null;
+      const style = color
+        ? ` style="background: ${color}40; box-shadow: inset 3px 0 ${color}"`
+        : '';
+      const number = showLineNumbers
+        ? `<span class="line-number">${String(lineNumber).padStart(numberWidth)}</span>`
+        : '';
+      const markers = notes
+        .map(({ line }, noteIndex) =>
+          line === lineNumber ? `<sup class="note-marker">${noteIndex + 1}</sup>` : '',
+        )
+        .join('');
+      return `<div class="code-line"${style}>${number}<span class="line-code">${html}</span>${markers}</div>`;
+    });
+
+    const columns = Math.max(1, ...code.split('\n').map((line) => line.length));
+    const marks = drawings
+      .map((path) => ({ path, points: annotationPoints(source, path, lineMap) }))
+      .filter(({ path, points }) => points && points.length > 1 && isColor(path.color))
+      .map(
+        ({ path, points }) =>
+          `<polyline points="${escapeHTML(points.map((p) => `${p.col},${p.row}`).join(' '))}" stroke="${escapeHTML(path.color)}" stroke-width="2" fill="none" stroke-linecap="round" stroke-linejoin="round" vector-effect="non-scaling-stroke" />`,
+      )
+      .join('');
+    const svg = marks
+      ? `<svg class="code-marks" viewBox="0 0 ${columns} ${lines.length}" preserveAspectRatio="none" style="left: ${gutter}ch; width: ${columns}ch; height: ${lines.length * LINE_HEIGHT_EM}em">${marks}</svg>`
+      : '';
+
+    return `<div class="annotated-code"><div class="code-lines">${rows.join('')}${svg}</div></div>`;
+  };
+
+  const generateNotesList = (notes) =>
+    notes.length
+      ? `<ol class="print-notes">${notes
+          .map(
+            ({ note, line }) =>
+              `<li${isColor(note.color) ? ` style="border-color: ${escapeHTML(note.color)}"` : ''}><span class="note-line">Line ${line}</span> ${escapeHTML(note.text)}</li>`,
+          )
+          .join('')}</ol>`
+      : '';
+
+  const generateAnnotatedHTML = () => {
+    const notes = lineNotes();
+    return generateAnnotatedCode(notes) + generateNotesList(notes);
+  };
+
   // Handle print functionality
   const handlePrint = () => {
     if (window.print) {
@@ -152,6 +336,7 @@ const PrintLens = ({ resource }) => {
         showLineNumbers,
         colorized: enableColorize,
         lineCount: code.split('\n').length,
+        annotated: printAnnotations,
       });
 
       setIsPrintPreview(true);
@@ -180,6 +365,7 @@ const PrintLens = ({ resource }) => {
       fontSize,
       showLineNumbers,
       colorized: enableColorize,
+      annotated: printAnnotations,
     });
   };
 
@@ -188,19 +374,12 @@ const PrintLens = ({ resource }) => {
     const langClass = getLanguageClass();
 
     // SL1 approach: escape HTML and let Prism handle highlighting
-    const escapeHTML = (str) => {
-      const pre = document.createElement('pre');
-      const text = document.createTextNode(str);
-      pre.appendChild(text);
-      return pre.innerHTML;
-    };
-
     return `
       <!DOCTYPE html>
       <html>
       <head>
         <title>Print: ${fileName}</title>
-        ${enableColorize ? '<script src="/static/prism/script.js"></script>' : ''}
+        ${enableColorize && !printAnnotations ? '<script src="/static/prism/script.js"></script>' : ''}
         <style>
           ${getPrintCSS()}
         </style>
@@ -215,11 +394,17 @@ const PrintLens = ({ resource }) => {
             </div>
           </div>
           <div class="code-container">
-            <pre><code id="code-goes-here" class="${showLineNumbers ? 'line-numbers ' : ''}language-${langClass}"></code></pre>
+            ${
+              printAnnotations
+                ? generateAnnotatedHTML()
+                : `<pre><code id="code-goes-here" class="${showLineNumbers ? 'line-numbers ' : ''}language-${langClass}"></code></pre>`
+            }
           </div>
         </div>
         ${
-          enableColorize
+          printAnnotations
+            ? ''
+            : enableColorize
             ? `
         <script>
           document.addEventListener('DOMContentLoaded', function() {
@@ -245,6 +430,88 @@ const PrintLens = ({ resource }) => {
     `;
   };
 
+  // A self-contained study sheet: the annotated code with its variables colored,
+  // then a trace table and the notes, each on a page of their own
+  const generateStudySheetHTML = ({ variables = [], trace = '' } = {}) => {
+    const notes = lineNotes();
+    const lineCount = code.split('\n').length;
+
+    return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Study sheet: ${escapeHTML(fileName)}</title>
+  <style>
+    ${getPrintCSS()}
+    ${getStudySheetCSS()}
+  </style>
+</head>
+<body>
+  <div class="print-container" style="font-size: ${escapeHTML(fontSize)}rem">
+    <div class="print-header">
+      <h1>${escapeHTML(fileName)}</h1>
+      <div class="print-meta">
+        Language: ${escapeHTML(getLanguageClass())} | Lines: ${lineCount} | Exported: ${new Date().toLocaleString()}
+      </div>
+    </div>
+    ${variableLegendHTML(variables)}
+    <div class="code-container">
+      ${generateAnnotatedCode(notes, variables)}
+    </div>
+    ${trace ? `<section class="sheet-section"><h2>Trace</h2>${trace}</section>` : ''}
+    ${
+      notes.length
+        ? `<section class="sheet-section"><h2>Notes</h2>${generateNotesList(notes)}</section>`
+        : ''
+    }
+  </div>
+</body>
+</html>
+`;
+  };
+
+  // Build the study sheet, then download it or open it to print (or save as PDF)
+  const handleExportStudySheet = async (format) => {
+    setIsExporting(true);
+    setExportError('');
+
+    // The print window has to open right away, browsers block it after the trace
+    const printWindow = format === 'pdf' ? window.open('', '_blank', 'width=800,height=600') : null;
+
+    try {
+      const variables = sheetVariables && isJavaScript ? variableAccesses(code) : [];
+      let trace = '';
+      if (sheetTrace && isJavaScript) {
+        const { events, error } = await traceCode(code);
+        trace = traceTableHTML(events, error);
+      }
+      const html = generateStudySheetHTML({ variables, trace });
+
+      if (printWindow) {
+        printWindow.document.write(html);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+      } else {
+        const baseName = fileName.replace(/\.[^.]+$/, '') || 'code';
+        download(html, `${baseName}-study-sheet.html`, 'text/html');
+      }
+
+      trackStudyAction('export_study_sheet', resource, {
+        format,
+        colorized: enableColorize,
+        variables: variables.length > 0,
+        trace: !!trace,
+        annotations: annotations.length + drawings.length,
+      });
+    } catch (err) {
+      printWindow?.close();
+      setExportError(`Could not export the study sheet: ${err.message}`);
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   // CSS for print styling with complete SL1 Prism styles
   const getPrintCSS = () => {
     return `
@@ -443,6 +710,59 @@ const PrintLens = ({ resource }) => {
         text-align: right;
       }
       
+      /* Annotated code, one block per line */
+      .code-lines {
+        position: relative;
+        font-family: Consolas, Monaco, "Andale Mono", "Ubuntu Mono", monospace;
+      }
+
+      .code-line {
+        height: ${LINE_HEIGHT_EM}em;
+        line-height: ${LINE_HEIGHT_EM}em;
+        white-space: pre;
+        -webkit-print-color-adjust: exact;
+        print-color-adjust: exact;
+      }
+
+      .line-number {
+        display: inline-block;
+        width: ${String(code.split('\n').length).length}ch;
+        margin-right: 2ch;
+        text-align: right;
+        color: #999;
+      }
+
+      .note-marker {
+        margin-left: 1ch;
+        color: #b45309;
+        font-weight: bold;
+      }
+
+      .code-marks {
+        position: absolute;
+        top: 0;
+        overflow: visible;
+        pointer-events: none;
+      }
+
+      .print-notes {
+        margin-top: 15px;
+        padding-left: 2em;
+        font-family: sans-serif;
+        font-size: 0.9em;
+      }
+
+      .print-notes li {
+        margin-bottom: 4px;
+        padding-left: 6px;
+        border-left: 3px solid;
+      }
+
+      .note-line {
+        color: #666;
+        font-weight: bold;
+      }
+
       @media print {
         body { margin: 0; background: white; }
         .print-container { padding: 0; margin: 0; }
@@ -495,6 +815,62 @@ const PrintLens = ({ resource }) => {
             Show line numbers
           </label>
         </div>
+
+        {hasAnnotations && (
+          <div className={styles.controlGroup}>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={showAnnotations}
+                onChange={(e) => setShowAnnotations(e.target.checked)}
+              />
+              Show annotations
+            </label>
+          </div>
+        )}
+      </div>
+
+      {/* Study Sheet */}
+      <div className={styles.studySheet}>
+        <span className={styles.controlLabel}>📄 Study sheet</span>
+        {isJavaScript && (
+          <>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={sheetVariables}
+                onChange={(e) => setSheetVariables(e.target.checked)}
+              />
+              Color variables
+            </label>
+            <label className={styles.checkboxLabel}>
+              <input
+                type="checkbox"
+                checked={sheetTrace}
+                onChange={(e) => setSheetTrace(e.target.checked)}
+              />
+              Trace table
+            </label>
+          </>
+        )}
+        <button
+          className={styles.sheetButton}
+          onClick={() => handleExportStudySheet('html')}
+          disabled={isExporting}
+          title="Download the code, annotations, notes and trace as one HTML file"
+        >
+          💾 HTML
+        </button>
+        <button
+          className={styles.sheetButton}
+          onClick={() => handleExportStudySheet('pdf')}
+          disabled={isExporting}
+          title="Open the study sheet to print it or save it as a PDF"
+        >
+          🖨️ PDF
+        </button>
+        {isExporting && <span className={styles.sheetStatus}>Building…</span>}
+        {exportError && <span className={styles.sheetError}>{exportError}</span>}
       </div>
 
       {/* Code Preview */}
@@ -513,7 +889,9 @@ const PrintLens = ({ resource }) => {
           <li>Adjust font size for optimal readability</li>
           <li>Toggle colorization globally to save ink when printing</li>
           <li>Turn off line numbers for cleaner output</li>
+          <li>Highlights, notes and marks from the Highlight lens print with the code</li>
           <li>Use "Print in New Window" for better print control</li>
+          <li>Export a study sheet to hand out the code with its notes and trace</li>
           <li>Consider landscape orientation for wide code</li>
         </ul>
       </div>
@@ -0,0 +1,251 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'preact/hooks';
+import { useApp } from '../../shared/context/AppContext.jsx';
+import { getCurrentContent } from '../../shared/utils/getCurrentContent.js';
+import { isQuizMarkdown, parseQuizMarkdown } from '../../shared/utils/quizParser.js';
+import { addCodeToolbars } from '../../shared/utils/markdownRenderer.js';
+import { getLensProgress, saveLensProgress, getSiblingFiles } from '../../fs.js';
+import QuizCard from '../../shared/components/QuizCard.jsx';
+import RunCode from '../../shared/components/RunCode.jsx';
+import EmbeddedTrace from '../../shared/components/EmbeddedTrace.jsx';
+import StepThroughModal from '../components/StepThroughModal.jsx';
+import styles from './QuizLens.module.css';
+
+const getAttempts = (path) => getLensProgress(path, 'quiz')?.attempts || [];
+
+const formatScore = (score) => `${Math.round(score * 100)}%`;
+
+/**
+ * Quiz Lens - Answer review-quiz markdown as multiple choice
+ * Feedback is hidden until an option is chosen, every finished attempt is saved
+ * with the file, and retries show the options in a new order. The summary lists
+ * the scores of every quiz in the same folder.
+ */
+const QuizLens = ({ resource }) => {
+  const { virtualFS, setCurrentFile, trackStudyAction } = useApp();
+
+  const [attempt, setAttempt] = useState(0);
+  const [attempts, setAttempts] = useState(() => getAttempts(resource.path));
+  const [lastResult, setLastResult] = useState(null);
+
+  // Code block toolbar state
+  const [activePanel, setActivePanel] = useState('none'); // 'none' | 'run' | 'trace'
+  const [panelCode, setPanelCode] = useState({ code: '', language: 'javascript' });
+  const [stepThroughCode, setStepThroughCode] = useState(null);
+
+  const contentRef = useRef(null);
+
+  // Get file editor to access latest content
+  const getFileEditor = useCallback(() => {
+    if (!virtualFS || !resource.path) return null;
+
+    const findFile = (node, path) => {
+      if (node.path === path) return node;
+      if (node.children && Array.isArray(node.children)) {
+        for (const child of node.children) {
+          const found = findFile(child, path);
+          if (found) return found;
+        }
+      }
+      return null;
+    };
+
+    return findFile(virtualFS, resource.path);
+  }, [virtualFS, resource.path]);
+
+  const code = getCurrentContent(resource, getFileEditor, '');
+  const quiz = useMemo(() => (isQuizMarkdown(code) ? parseQuizMarkdown(code) : null), [code]);
+
+  // Every file starts on a fresh, unshuffled attempt
+  useEffect(() => {
+    setAttempt(0);
+    setAttempts(getAttempts(resource.path));
+    setLastResult(null);
+  }, [resource.path]);
+
+  // Quiz options and feedback can hold code blocks, which get the markdown lens toolbars
+  useEffect(() => {
+    addCodeToolbars(contentRef.current, {
+      onRun: (code, language) => {
+        setPanelCode({ code, language });
+        setActivePanel('run');
+      },
+      onTrace: (code, language) => {
+        setPanelCode({ code, language });
+        setActivePanel('trace');
+      },
+      onStepThrough: (code, language) => setStepThroughCode({ code, language }),
+    });
+  });
+
+  const handleSubmit = useCallback(({ correct, total, score, answers }) => {
+    const entry = {
+      timestamp: new Date().toISOString(),
+      correct,
+      total,
+      score,
+      shuffled: attempt > 0,
+      answers,
+    };
+    const updated = [...getAttempts(resource.path), entry];
+
+    saveLensProgress(resource.path, 'quiz', { attempts: updated });
+    setAttempts(updated);
+    setLastResult(entry);
+    trackStudyAction('quiz_attempt', resource, { correct, total });
+  }, [resource, attempt, trackStudyAction]);
+
+  const handleRetry = () => {
+    setAttempt((current) => current + 1);
+    setLastResult(null);
+  };
+
+  // Quizzes in the same folder, with what was scored on each so far
+  const folderSummary = useMemo(() => {
+    const files = [resource, ...getSiblingFiles(resource.path)]
+      .filter((file) => file.name.endsWith('.md'))
+      .map((file) => (file.path === resource.path ? { ...file, content: code } : file))
+      .filter((file) => isQuizMarkdown(file.content))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    return files.map((file) => {
+      const fileAttempts = file.path === resource.path ? attempts : getAttempts(file.path);
+      return {
+        file,
+        attempts: fileAttempts.length,
+        best: fileAttempts.length > 0 ? Math.max(...fileAttempts.map((a) => a.score)) : null,
+        last: fileAttempts.length > 0 ? fileAttempts[fileAttempts.length - 1].score : null,
+      };
+    });
+  }, [resource, code, attempts, virtualFS]);
+
+  const attempted = folderSummary.filter((row) => row.best !== null);
+  const averageBest = attempted.length > 0
+    ? attempted.reduce((sum, row) => sum + row.best, 0) / attempted.length
+    : null;
+
+  const openQuiz = (file) => {
+    const node = getSiblingFiles(resource.path).find((sibling) => sibling.path === file.path);
+    if (node) {
+      setCurrentFile(node);
+    }
+  };
+
+  if (!quiz) {
+    return (
+      <div className={styles.quizLens}>
+        <div className={styles.header}>
+          <h3>📝 Quiz</h3>
+          <span className={styles.fileName}>{resource.name}</span>
+        </div>
+        <div className={styles.notice}>
+          <h4>No multiple-choice questions here</h4>
+          <p>
+            Quiz files ask a question and list each option as a <code>&lt;details&gt;</code> block
+            whose body starts with ✔ (correct) or ✖ (wrong), followed by feedback.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={styles.quizLens}>
+      <div className={styles.header}>
+        <h3>📝 Quiz</h3>
+        <span className={styles.fileName}>{resource.name}</span>
+        <span className={styles.attemptInfo}>
+          {attempts.length === 0
+            ? 'Not attempted yet'
+            : `${attempts.length} attempt${attempts.length === 1 ? '' : 's'} · best ${formatScore(Math.max(...attempts.map((a) => a.score)))}`}
+        </span>
+      </div>
+
+      {activePanel !== 'none' && (
+        <div className={styles.panel}>
+          <div className={styles.panelHeader}>
+            <h4>{activePanel === 'run' ? '▶️ Run Code' : '🔍 Trace Code'}</h4>
+            <button className={styles.panelClose} onClick={() => setActivePanel('none')} title="Close panel">
+              ✕
+            </button>
+          </div>
+          <div className={styles.panelContent}>
+            {activePanel === 'run' ? (
+              <RunCode
+                code={panelCode.code}
+                language={panelCode.language}
+                buttonText="Run Code"
+                showOptions={true}
+                onExecute={() => undefined}
+                scopedCode={null}
+              />
+            ) : (
+              <EmbeddedTrace
+                code={panelCode.code}
+                fileName={resource.name}
+                scope={null}
+                onTraceData={() => undefined}
+              />
+            )}
+          </div>
+        </div>
+      )}
+
+      <div className={styles.workspace}>
+        <div className={styles.quiz} ref={contentRef}>
+          <QuizCard
+            key={`${resource.path}-${attempt}`}
+            quiz={quiz}
+            shuffled={attempt > 0}
+            onSubmit={handleSubmit}
+          />
+
+          {lastResult && (
+            <div className={styles.result}>
+              <span className={lastResult.score === 1 ? styles.perfect : ''}>
+                {lastResult.correct} of {lastResult.total} correct ({formatScore(lastResult.score)})
+              </span>
+              <button className={styles.retryButton} onClick={handleRetry}>
+                🔀 Retry with Shuffled Options
+              </button>
+            </div>
+          )}
+        </div>
+
+        <aside className={styles.summary}>
+          <h4>📊 Folder Scores</h4>
+          <ul className={styles.summaryList}>
+            {folderSummary.map(({ file, attempts: count, best, last }) => (
+              <li
+                key={file.path}
+                className={`${styles.summaryRow} ${file.path === resource.path ? styles.current : ''}`}
+                onClick={() => openQuiz(file)}
+                title={count > 0 ? `${count} attempt${count === 1 ? '' : 's'}, last ${formatScore(last)}` : 'Not attempted yet'}
+              >
+                <span className={styles.summaryName}>{file.name}</span>
+                <span className={best === 1 ? styles.perfect : styles.summaryScore}>
+                  {best === null ? '—' : formatScore(best)}
+                </span>
+              </li>
+            ))}
+          </ul>
+          <p className={styles.summaryTotal}>
+            {attempted.length} of {folderSummary.length} attempted
+            {averageBest !== null && ` · average best ${formatScore(averageBest)}`}
+          </p>
+        </aside>
+      </div>
+
+      {stepThroughCode && (
+        <StepThroughModal
+          isOpen={true}
+          onClose={() => setStepThroughCode(null)}
+          code={stepThroughCode.code}
+          fileName={resource.name}
+          language={stepThroughCode.language}
+        />
+      )}
+    </div>
+  );
+};
+
+export default QuizLens;
@@ -0,0 +1,284 @@
+import { useState, useEffect, useRef, useCallback } from 'preact/hooks';
+import { useCodeMirror } from '../../shared/hooks/useCodeMirror.js';
+import { useColorize } from '../../shared/context/ColorizeContext.jsx';
+import { useApp } from '../../shared/context/AppContext.jsx';
+import { getCurrentContent } from '../../shared/utils/getCurrentContent.js';
+import { updateEditorContent, loadFileContent } from '../../fs.js';
+import {
+  findReverseFile,
+  findEntryFunction,
+  parseCalls,
+  formatOutcome,
+  runCalls,
+  compareBehaviors
+} from '../../shared/utils/reverseEngineering.js';
+import RunCode from '../../shared/components/RunCode.jsx';
+import styles from './ReverseLens.module.css';
+
+/**
+ * Reverse Lens - Reverse-engineering exercise for `file.js` / `file.re.js` pairs
+ * The black box is never shown: learners call it with their own inputs,
+ * write their own version in file.js, then compare both on the same calls.
+ */
+const ReverseLens = ({ resource }) => {
+  const fileName = resource?.name || '';
+  const { virtualFS } = useApp();
+  const { enableColorize } = useColorize();
+
+  const [blackBoxCode, setBlackBoxCode] = useState('');
+  const [callsText, setCallsText] = useState('');
+  const [code, setCode] = useState('');
+  const [results, setResults] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [isRunning, setIsRunning] = useState(false);
+  const sandboxRef = useRef(null);
+
+  const blackBox = findReverseFile(resource?.path);
+  const functionName = findEntryFunction(blackBoxCode);
+
+  // Get file editor to access latest content
+  const getFileEditor = useCallback(() => {
+    if (!virtualFS || !resource.path) return null;
+
+    const findFile = (node, path) => {
+      if (node.path === path) return node;
+      if (node.children && Array.isArray(node.children)) {
+        for (const child of node.children) {
+          const found = findFile(child, path);
+          if (found) return found;
+        }
+      }
+      return null;
+    };
+
+    return findFile(virtualFS, resource.path);
+  }, [virtualFS, resource.path]);
+
+  const { editorRef, getValue, updateSyntaxHighlighting } = useCodeMirror({
+    initialValue: getCurrentContent(resource, getFileEditor, ''),
+    onChange: (value) => {
+      setCode(value);
+      updateEditorContent(resource.path, value);
+    },
+    filePath: resource.path,
+    enableSyntaxHighlighting: enableColorize,
+    language: 'javascript',
+    theme: 'dark',
+    readonly: false
+  });
+
+  useEffect(() => {
+    updateSyntaxHighlighting(enableColorize);
+  }, [enableColorize, updateSyntaxHighlighting]);
+
+  useEffect(() => {
+    setCode(getValue());
+  }, [resource.path]);
+
+  // Load the black box without ever putting it in an editor
+  useEffect(() => {
+    if (!blackBox) {
+      setBlackBoxCode('');
+      return;
+    }
+    if (blackBox.content) {
+      setBlackBoxCode(blackBox.content);
+      return;
+    }
+    loadFileContent(blackBox).then((content) => setBlackBoxCode(content || ''));
+  }, [blackBox?.path]);
+
+  const callBlackBox = useCallback(async () => {
+    setIsRunning(true);
+    setComparison(null);
+    try {
+      const outcomes = await runCalls({
+        code: blackBoxCode,
+        functionName,
+        calls: parseCalls(callsText),
+        container: sandboxRef.current || document.body
+      });
+      setResults(outcomes);
+    } finally {
+      setIsRunning(false);
+    }
+  }, [blackBoxCode, functionName, callsText]);
+
+  const compare = useCallback(async () => {
+    setIsRunning(true);
+    try {
+      const calls = parseCalls(callsText);
+      const container = sandboxRef.current || document.body;
+      const expected = await runCalls({ code: blackBoxCode, functionName, calls, container });
+      const actual = await runCalls({ code: getValue(), functionName, calls, container });
+      setResults(null);
+      setComparison(compareBehaviors(expected, actual));
+    } finally {
+      setIsRunning(false);
+    }
+  }, [blackBoxCode, functionName, callsText, getValue]);
+
+  if (!blackBox) {
+    return (
+      <div className={styles.reverseLens}>
+        <div className={styles.notice}>
+          <h3>🕵️ No black box for {fileName}</h3>
+          <p>
+            Reverse engineering needs a hidden{' '}
+            <code>{fileName.replace(/\.js$/, '.re.js')}</code> next to this file.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const calls = parseCalls(callsText);
+  const matchCount = comparison?.filter((row) => row.matches).length || 0;
+
+  const renderLogs = (logs) =>
+    logs.length > 0 && (
+      <pre className={styles.logs}>{logs.join('\n')}</pre>
+    );
+
+  return (
+    <div className={styles.reverseLens}>
+      <div className={styles.header}>
+        <h3>🕵️ Reverse Engineering</h3>
+        <span className={styles.fileName}>{fileName}</span>
+        {functionName ? (
+          <span className={styles.signature}>black box: {functionName}(…)</span>
+        ) : (
+          blackBoxCode && (
+            <span className={styles.warning}>
+              The black box does not define a function to call
+            </span>
+          )
+        )}
+      </div>
+
+      <div className={styles.workspace}>
+        <div className={styles.editorPane}>
+          <div className={styles.paneTitle}>
+            Your {functionName || 'implementation'} in {fileName}
+          </div>
+          <div className={styles.editorWrapper}>
+            <div ref={editorRef} className={styles.codeEditor} />
+          </div>
+          <RunCode
+            code={code}
+            buttonText="Run Your Code"
+            showOptions={false}
+            language="javascript"
+          />
+        </div>
+
+        <div className={styles.callsPane}>
+          <div className={styles.paneTitle}>Calls</div>
+          <textarea
+            className={styles.callsInput}
+            value={callsText}
+            onInput={(e) => setCallsText(e.target.value)}
+            placeholder={'"hello"\n"", 3\n[1, 2, 3]'}
+            spellCheck={false}
+          />
+          <p className={styles.hint}>
+            One call per line, written as the arguments you would pass to{' '}
+            {functionName || 'the function'}. Lines starting with // are skipped.
+          </p>
+          <div className={styles.actions}>
+            <button
+              className={styles.actionButton}
+              onClick={callBlackBox}
+              disabled={isRunning || !functionName || calls.length === 0}
+              title="Call the hidden implementation with each line of arguments"
+            >
+              ▶️ Call Black Box
+            </button>
+            <button
+              className={`${styles.actionButton} ${styles.compareButton}`}
+              onClick={compare}
+              disabled={isRunning || !functionName || calls.length === 0}
+              title="Run the black box and your code with the same calls"
+            >
+              ⚖️ Compare Behaviors
+            </button>
+          </div>
+
+          {results && (
+            <table className={styles.results}>
+              <thead>
+                <tr>
+                  <th>call</th>
+                  <th>black box</th>
+                </tr>
+              </thead>
+              <tbody>
+                {results.map((outcome, index) => (
+                  <tr key={index}>
+                    <td className={styles.call}>{functionName}({outcome.args})</td>
+                    <td className={outcome.error ? styles.thrown : ''}>
+                      {formatOutcome(outcome)}
+                      {renderLogs(outcome.logs)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {comparison && (
+            <>
+              <div
+                className={`${styles.summary} ${
+                  matchCount === comparison.length ? styles.allMatch : ''
+                }`}
+              >
+                {matchCount === comparison.length
+                  ? `🎉 Same behavior on all ${comparison.length} calls`
+                  : `${matchCount} / ${comparison.length} calls behave the same`}
+              </div>
+              <table className={styles.results}>
+                <thead>
+                  <tr>
+                    <th>call</th>
+                    <th>black box</th>
+                    <th>yours</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {comparison.map((row, index) => (
+                    <tr key={index} className={row.matches ? styles.match : styles.mismatch}>
+                      <td className={styles.call}>
+                        {row.matches ? '✔' : '✖'} {functionName}({row.args})
+                      </td>
+                      <td className={row.expected.error ? styles.thrown : ''}>
+                        {formatOutcome(row.expected)}
+                        {renderLogs(row.expected.logs)}
+                      </td>
+                      <td>
+                        <span
+                          className={
+                            row.sameReturn && row.sameError ? '' : styles.differs
+                          }
+                        >
+                          {formatOutcome(row.actual)}
+                        </span>
+                        <div className={row.sameLogs ? '' : styles.differs}>
+                          {renderLogs(row.actual.logs)}
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </div>
+
+      <div ref={sandboxRef} className={styles.sandbox} />
+    </div>
+  );
+};
+
+export default ReverseLens;
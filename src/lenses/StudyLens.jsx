@@ -3,14 +3,24 @@ import { memo } from 'preact/compat';
 import RunCode from '../../shared/components/RunCode.jsx';
 import EmbeddedTrace from '../../shared/components/EmbeddedTrace.jsx';
 import StepThroughModal from '../components/StepThroughModal.jsx';
+import InputScriptPanel from '../../shared/components/InputScriptPanel.jsx';
+import AskPanel from '../../shared/components/AskPanel.jsx';
+import SpecPane from '../components/SpecPane.jsx';
+import ProjectPreview from '../../shared/components/ProjectPreview.jsx';
 import { getCurrentContent as getCurrentContentForAsking } from '../../shared/utils/getCurrentContent.js';
 import { useApp } from '../../shared/context/AppContext.jsx';
 import { useColorize } from '../../shared/context/ColorizeContext.jsx';
 import { setCurrentEditor } from '../utils/editorAdapter.js';
 import { useFileEditor } from '../hooks/useFileEditor.js';
 import { useCodeMirror } from '../../shared/hooks/useCodeMirror.js';
+import {
+  parseInputScript,
+  stringifyInputScript,
+  loadInputScript,
+} from '../../shared/utils/scriptedInputs.js';
+import { findSpecFile } from '../../shared/utils/specRunner.js';
+import { loadAskConfig } from '../../shared/utils/askConfig.js';
 import styles from './StudyLens.module.css';
-import { askOpenEnded } from '../../public/static/ask/component/ask-questions.js';
 
 /**
  * StudyLens - Interactive code editor with lens selection system
@@ -77,6 +87,52 @@ const StudyLens = ({ resource }) => {
   const [showInstructions, setShowInstructions] = useState(false);
   const [showHtmlPreview, setShowHtmlPreview] = useState(false);
   const [showStepThroughModal, setShowStepThroughModal] = useState(false);
+  const [showInputs, setShowInputs] = useState(false);
+  const [showAsk, setShowAsk] = useState(false);
+  const [askConfig, setAskConfig] = useState({});
+  const [inputScript, setInputScript] = useState('');
+  const [configuredInputScript, setConfiguredInputScript] = useState('');
+  const [showSpec, setShowSpec] = useState(false);
+  const [specReport, setSpecReport] = useState(null);
+
+  // Sibling file.spec.js / file.test.js for side-by-side testing
+  const specFile = useMemo(() => findSpecFile(filePath), [filePath, virtualFS]);
+
+  useEffect(() => {
+    setSpecReport(null);
+  }, [filePath]);
+
+  // Scripted responses for prompt/confirm, shared by RunCode and EmbeddedTrace
+  const inputs = useMemo(() => parseInputScript(inputScript), [inputScript]);
+
+  // Load the file's input script from lenses.json when switching files
+  useEffect(() => {
+    let cancelled = false;
+    loadInputScript(filePath, virtualFS)
+      .then((responses) => {
+        if (cancelled) return;
+        const script = stringifyInputScript(responses);
+        setConfiguredInputScript(script);
+        setInputScript(script);
+      })
+      .catch(() => undefined);
+    return () => {
+      cancelled = true;
+    };
+  }, [filePath]); // Only reload when the file changes, not on every edit
+
+  // What to ask about this file, from lenses.json and ask.json
+  useEffect(() => {
+    let cancelled = false;
+    loadAskConfig(filePath, virtualFS)
+      .then((config) => {
+        if (!cancelled) setAskConfig(config);
+      })
+      .catch(() => undefined);
+    return () => {
+      cancelled = true;
+    };
+  }, [filePath]);
 
   // Check file types
   const isHtmlFile =
@@ -286,25 +342,8 @@ const StudyLens = ({ resource }) => {
         </div>
         <button
           className={styles.askMeButton}
-          onClick={async () => {
-            try {
-              // Use current code
-              const codeToAnalyze = getCurrentCode();
-
-              // Generate and log questions using SL1 library
-              askOpenEnded(codeToAnalyze);
-            } catch (error) {
-              console.error('Error loading SL1 ask-me library:', error);
-              console.log('Fallback: Manual code analysis questions');
-              console.log('--- --- --- --- --- --- ---');
-              console.log('Consider these questions about your code:');
-              console.log('- What does this code do step by step?');
-              console.log('- What are the main variables and their purposes?');
-              console.log('- Are there any patterns or structures you recognize?');
-              console.log('--- --- --- --- --- --- ---');
-            }
-          }}
-          title="Generate questions about this code (logged to console)"
+          onClick={() => setShowAsk(!showAsk)}
+          title="Answer questions about this code"
         >
           💬 Ask Me
         </button>
@@ -324,15 +363,43 @@ const StudyLens = ({ resource }) => {
                 }
                 showOptions={false}
                 language="javascript"
+                inputs={inputs}
+                filePath={filePath}
               />
             </div>
 
+            {/* Scripted user inputs */}
+            <div className={styles.compactTool}>
+              <button
+                className={styles.compactButton}
+                onClick={() => setShowInputs(!showInputs)}
+                title="Script responses for prompt, confirm and alert"
+              >
+                ⌨️ Inputs{inputs.length > 0 ? ` (${inputs.length})` : ''}
+              </button>
+            </div>
+
+            {/* Side-by-side spec file */}
+            {specFile && (
+              <div className={styles.compactTool}>
+                <button
+                  className={styles.compactButton}
+                  onClick={() => setShowSpec(!showSpec)}
+                  title={`Show ${specFile.name} next to your code`}
+                >
+                  🧪 Tests
+                  {specReport && ` ${specReport.passes}/${specReport.tests}`}
+                </button>
+              </div>
+            )}
+
             {/* Code Tracing */}
             <div className={styles.compactTool}>
               <EmbeddedTrace
                 code={getCurrentCode()}
                 fileName={fileName}
                 scope={currentScope}
+                inputs={inputs}
                 onTraceData={(data) => undefined}
               />
             </div>
@@ -355,6 +422,26 @@ const StudyLens = ({ resource }) => {
         )}
       </div>
 
+      {showInputs && !isVideoFile && (
+        <InputScriptPanel
+          value={inputScript}
+          onChange={setInputScript}
+          onReset={() => setInputScript(configuredInputScript)}
+          canReset={inputScript !== configuredInputScript}
+        />
+      )}
+
+      {showAsk && !isVideoFile && (
+        <AskPanel
+          getCode={getValueLegacy}
+          getEditor={getEditor}
+          filePath={filePath}
+          fileName={fileName}
+          range={currentScope.type === 'selection' ? currentScope.lines : null}
+          askConfig={askConfig}
+        />
+      )}
+
       <div className={styles.editorContainer}>
         {isVideoFile ? (
           /* Video Player for MP4 files - replaces the editor */
@@ -398,6 +485,16 @@ const StudyLens = ({ resource }) => {
             <div ref={editorRef} className={styles.codeEditor} />
           </div>
         )}
+        {specFile && showSpec && !isVideoFile && (
+          <SpecPane
+            key={specFile.path}
+            specFile={specFile}
+            implementationName={fileName}
+            getImplementationCode={getValueLegacy}
+            enableColorize={enableColorize}
+            onReport={setSpecReport}
+          />
+        )}
       </div>
 
       {/* Additional Tools Panel for HTML Preview (kept below editor) */}
@@ -412,36 +509,14 @@ const StudyLens = ({ resource }) => {
               >
                 {showHtmlPreview ? '📝 Code Only' : '👁️ Live Preview'}
               </button>
-              <button
-                className={styles.previewButton}
-                onClick={() => {
-                  // Create a sanitized version for new tab to avoid import errors
-                  const currentContent = currentScope.code || '';
-                  const sanitizedHtml = currentContent
-                    .replace(
-                      /import\s+.*?from\s+['"][^'"]*['"];?\s*/g,
-                      '// import removed for preview',
-                    )
-                    .replace(/from\s+['"]\.\/[^'"]*['"]/, 'from "#"');
-                  const blob = new Blob([sanitizedHtml], { type: 'text/html' });
-                  const url = URL.createObjectURL(blob);
-                  window.open(url, '_blank');
-                  setTimeout(() => URL.revokeObjectURL(url), 1000);
-                }}
-              >
-                🚀 Open in New Tab
-              </button>
             </div>
             {showHtmlPreview && (
               <div className={styles.htmlPreview}>
-                <iframe
-                  srcDoc={(currentScope.code || '').replace(
-                    /import\s+.*?from\s+['"][^'"]*['"];?\s*/g,
-                    '<!-- import removed for preview -->',
-                  )}
-                  title="HTML Preview"
-                  className={styles.previewFrame}
-                  sandbox="allow-scripts allow-forms allow-popups allow-same-origin allow-modals"
+                {/* Linked scripts, stylesheets and imports resolve from the virtual FS */}
+                <ProjectPreview
+                  entryPath={filePath}
+                  html={currentScope.code || null}
+                  title={fileName}
                 />
               </div>
             )}
@@ -487,6 +562,7 @@ const StudyLens = ({ resource }) => {
         }
         fileName={fileName}
         language={resource?.lang || '.js'}
+        inputs={inputs}
       />
     </div>
   );
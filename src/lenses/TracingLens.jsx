@@ -153,6 +153,9 @@ const TracingLens = ({ resource }) => {
 
     <script>
         let traceReady = false;
+
+        // trace tables check themselves against the code
+        document.querySelector('trace-table-button').code = decodeURI("${encodeURI(sourceCode)}");
         
         // Wait for trace script to load
         const traceScript = document.getElementById('trace');
@@ -189,6 +192,7 @@ const TracingLens = ({ resource }) => {
             }
             
             const traceTable = document.createElement('trace-table');
+            traceTable.code = decodeURI("${encodeURI(sourceCode)}");
             document.body.appendChild(traceTable);
             
         }
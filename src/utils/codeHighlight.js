@@ -0,0 +1,70 @@
+/**
+ * Code Highlight - Marks one range of a CodeMirror editor, e.g. what a question is about
+ * The highlight field is added to an editor the first time it's used
+ */
+import { EditorView, Decoration } from '@codemirror/view';
+import { StateField, StateEffect } from '@codemirror/state';
+
+const setHighlight = StateEffect.define();
+
+const highlightMark = Decoration.mark({ class: 'cm-askHighlight' });
+
+const highlightField = StateField.define({
+  create: () => Decoration.none,
+  update: (highlight, transaction) => {
+    highlight = highlight.map(transaction.changes);
+    for (const effect of transaction.effects) {
+      if (effect.is(setHighlight)) {
+        highlight = effect.value
+          ? Decoration.set([highlightMark.range(effect.value.from, effect.value.to)])
+          : Decoration.none;
+      }
+    }
+    return highlight;
+  },
+  provide: (field) => EditorView.decorations.from(field),
+});
+
+const highlightTheme = EditorView.baseTheme({
+  '.cm-askHighlight': {
+    backgroundColor: 'rgba(255, 213, 79, 0.25)',
+    outline: '1px solid rgba(255, 213, 79, 0.6)',
+  },
+});
+
+/**
+ * Highlights a range and scrolls it into view
+ * @param {EditorView} view
+ * @param {Object|null} range - { from, to }, null clears the highlight
+ */
+export const highlightRange = (view, range) => {
+  if (!view) return;
+
+  const effects = [];
+  if (!view.state.field(highlightField, false)) {
+    effects.push(StateEffect.appendConfig.of([highlightField, highlightTheme]));
+  }
+
+  const length = view.state.doc.length;
+  const clamped = range
+    ? { from: Math.min(range.from, length), to: Math.min(range.to, length) }
+    : null;
+  effects.push(setHighlight.of(clamped && clamped.from < clamped.to ? clamped : null));
+
+  view.dispatch({
+    effects: clamped
+      ? [...effects, EditorView.scrollIntoView(clamped.from, { y: 'center' })]
+      : effects,
+  });
+};
+
+/**
+ * Highlights a whole line, 1-based like the questions count them
+ * @param {EditorView} view
+ * @param {number} lineNumber
+ */
+export const highlightLine = (view, lineNumber) => {
+  if (!view || lineNumber < 1 || lineNumber > view.state.doc.lines) return;
+  const line = view.state.doc.line(lineNumber);
+  highlightRange(view, { from: line.from, to: line.to });
+};
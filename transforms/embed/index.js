@@ -0,0 +1,42 @@
+/**
+ * Embed Transform - Wrap the content in an HTML page for sharing or embedding
+ * Config: `template` is 'html5' (full document) or 'minimal' (just the code
+ * block), `styles` adds a small stylesheet, `title` names the page.
+ */
+
+const escapeHTML = (text = '') =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const STYLES = `
+    body { margin: 0; padding: 1rem; background: #1e1e1e; color: #d4d4d4; font-family: sans-serif; }
+    pre { margin: 0; padding: 1rem; background: #252526; border: 1px solid #464647; border-radius: 4px; overflow: auto; }
+    code { font-family: 'Courier New', Monaco, monospace; font-size: 0.9rem; line-height: 1.6; }`;
+
+const embedTransform = ({ resource, config = {} }) => {
+  const { template = 'html5', styles = true, title = resource.name || 'Embedded code' } = config;
+  const language = (resource.lang || '').replace('.', '');
+  const block = `<pre><code class="language-${language}">${escapeHTML(resource.content || '')}</code></pre>`;
+
+  const content = template === 'minimal'
+    ? `${styles ? `<style>${STYLES}\n</style>\n` : ''}${block}`
+    : `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>${escapeHTML(title)}</title>${styles ? `\n  <style>${STYLES}\n  </style>` : ''}
+</head>
+<body>
+  ${block}
+</body>
+</html>`;
+
+  return {
+    ...resource,
+    content,
+    lang: '.html',
+    originalLang: resource.originalLang || resource.lang,
+    originalContent: resource.originalContent ?? resource.content
+  };
+};
+
+export default embedTransform;
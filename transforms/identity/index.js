@@ -0,0 +1,8 @@
+/**
+ * Identity Transform - Pass the resource through unchanged
+ * Useful as a placeholder step when testing a pipeline.
+ */
+
+const identityTransform = ({ resource }) => resource;
+
+export default identityTransform;
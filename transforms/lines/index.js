@@ -0,0 +1,27 @@
+/**
+ * Lines Transform - Number, prefix or filter the lines of the content
+ * Config: `numbers` adds line numbers, `empty: false` drops blank lines,
+ * `prefix` is put in front of every line.
+ */
+
+const linesTransform = ({ resource, config = {} }) => {
+  const { numbers = true, empty = true, prefix = '' } = config;
+
+  const lines = (resource.content || '')
+    .split('\n')
+    .map((text, index) => ({ text, number: index + 1 }))
+    .filter(({ text }) => empty || text.trim() !== '');
+
+  // Numbers keep pointing at the original line even when blank lines are dropped
+  const width = String(lines.length > 0 ? lines[lines.length - 1].number : 0).length;
+  const content = lines
+    .map(({ text, number }) => `${numbers ? `${String(number).padStart(width)} ` : ''}${prefix}${text}`)
+    .join('\n');
+
+  return {
+    ...resource,
+    content
+  };
+};
+
+export default linesTransform;
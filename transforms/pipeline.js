@@ -0,0 +1,95 @@
+/**
+ * Transform Pipeline - run the lenses named in `defaults` / lenses.json one after another
+ * Every folder in transforms/ with an index.js is a transform. Each step gets
+ * its own config compiled from defaults → lenses.json files → query, receives
+ * the previous step's output, and a failing step is reported and skipped.
+ */
+
+import { compileLensConfig, getDefaultLensesForFile } from '../config/index.js';
+import { getVirtualFS } from '../fs.js';
+
+// Discovered at build time, loaded on first use
+const TRANSFORM_MODULES = import.meta.glob('./*/index.js');
+
+const TRANSFORMS = Object.fromEntries(
+  Object.entries(TRANSFORM_MODULES).map(([path, load]) => [path.split('/')[1], load])
+);
+
+/**
+ * Names of every available transform
+ * @returns {Array<string>}
+ */
+export const listTransforms = () => Object.keys(TRANSFORMS).sort();
+
+/**
+ * Load a transform function by name
+ * @param {string} name - Folder name in transforms/
+ * @returns {Promise<Function|null>} The transform, or null if there is none
+ */
+export const loadTransform = async (name) => {
+  const load = TRANSFORMS[name];
+  if (!load) return null;
+
+  const module = await load();
+  return typeof module.default === 'function' ? module.default : null;
+};
+
+/**
+ * Get the pipeline configured for a file (closest lenses.json `defaults`, then config/defaults.js)
+ * @param {Object} resource - File node
+ * @param {Object} virtualFS - Virtual FS root, defaults to the loaded one
+ * @returns {Promise<Array<string>>} Transform names
+ */
+export const getPipelineForFile = (resource, virtualFS = getVirtualFS()) =>
+  getDefaultLensesForFile(resource?.path, resource?.lang, virtualFS);
+
+/**
+ * Run transforms in order, each on the previous one's output
+ * @param {Object} resource - File node to transform
+ * @param {Array<string>} names - Transform names
+ * @param {Object} options
+ * @param {Object} options.queryParams - Runtime config, e.g. { 'lines.numbers': false }
+ * @param {Object} options.virtualFS - Virtual FS root for lenses.json lookups
+ * @returns {Promise<Object>} { resource, steps, errors } - steps as { name, config, error, duration }
+ */
+export const runPipeline = async (resource, names = [], { queryParams = {}, virtualFS = getVirtualFS() } = {}) => {
+  let current = resource;
+  const steps = [];
+
+  for (const name of names) {
+    const started = Date.now();
+    const step = { name, config: {}, error: null, duration: 0 };
+    steps.push(step);
+
+    try {
+      const compiled = await compileLensConfig(name, queryParams, resource?.path || null, virtualFS);
+      step.config = compiled.config;
+
+      const transform = await loadTransform(name);
+      if (!transform) {
+        throw new Error(`No transform named "${name}" in transforms/`);
+      }
+
+      const output = await transform({
+        resource: current,
+        config: compiled.config,
+        query: compiled.queryParams
+      });
+      if (!output || typeof output.content !== 'string') {
+        throw new Error(`Transform "${name}" did not return a resource with content`);
+      }
+
+      current = output;
+    } catch (error) {
+      step.error = error.message;
+    }
+
+    step.duration = Date.now() - started;
+  }
+
+  return {
+    resource: current,
+    steps,
+    errors: steps.filter((step) => step.error)
+  };
+};
@@ -0,0 +1,234 @@
+/**
+ * Pseudocode dialects - how each kind of statement and operator is worded
+ * A template returning null means the dialect has no line for it, e.g. plain
+ * English relies on indentation instead of `END IF`.
+ */
+
+// The keywords the line-by-line converter has always used
+const classic = {
+  label: 'Classic keywords',
+  operators: {
+    '===': 'EQUALS',
+    '==': 'EQUALS',
+    '!==': 'NOT EQUALS',
+    '!=': 'NOT EQUALS',
+    '&&': 'AND',
+    '||': 'OR'
+  },
+  unary: { '!': 'NOT ' },
+  ternary: (test, consequent, alternate) => `IF ${test} THEN ${consequent} ELSE ${alternate}`,
+  assign: (target, value) => `SET ${target} TO ${value}`,
+  declare: (name) => `DECLARE ${name}`,
+  change: (target, operator, value) => `SET ${target} TO ${target} ${operator} ${value}`,
+  call: (call) => call,
+  print: (values) => `PRINT ${values.join(', ')}`,
+  if: (test) => `IF ${test} THEN`,
+  elseIf: (test) => `ELSE IF ${test} THEN`,
+  else: () => 'ELSE',
+  endIf: () => 'END',
+  while: (test) => `WHILE ${test} DO`,
+  endWhile: () => 'END',
+  doWhile: () => 'DO',
+  endDoWhile: (test) => `WHILE ${test}`,
+  forRange: (name, from, to, step) => `FOR ${name} FROM ${from} TO ${to}${step === '1' ? '' : ` STEP ${step}`} DO`,
+  forEach: (name, list) => `FOR EACH ${name} IN ${list} DO`,
+  forKeys: (name, object) => `FOR EACH KEY ${name} IN ${object} DO`,
+  endFor: () => 'END',
+  function: (name, params) => `FUNCTION ${name}(${params.join(', ')}):`,
+  endFunction: () => 'END',
+  return: (value) => (value ? `RETURN ${value}` : 'RETURN'),
+  labeled: (name) => `${name}:`,
+  break: (label) => (label ? `BREAK ${label}` : 'BREAK'),
+  breakSwitch: () => 'BREAK',
+  continue: (label) => (label ? `CONTINUE ${label}` : 'CONTINUE'),
+  throw: (value) => `THROW ${value}`,
+  switch: (value) => `SWITCH ${value}`,
+  case: (value) => `CASE ${value}:`,
+  default: () => 'DEFAULT:',
+  endSwitch: () => 'END',
+  try: () => 'TRY',
+  catch: (name) => (name ? `CATCH ${name}` : 'CATCH'),
+  finally: () => 'FINALLY',
+  endTry: () => 'END',
+  class: (name, parent) => `CLASS ${name}${parent ? ` EXTENDS ${parent}` : ''}`,
+  endClass: () => 'END',
+  comment: (text) => `// ${text}`
+};
+
+const exam = {
+  label: 'IB / AP exam style',
+  operators: {
+    '===': '=',
+    '==': '=',
+    '!==': '≠',
+    '!=': '≠',
+    '<=': '≤',
+    '>=': '≥',
+    '&&': 'AND',
+    '||': 'OR',
+    '%': 'MOD'
+  },
+  unary: { '!': 'NOT ' },
+  ternary: (test, consequent, alternate) => `IF ${test} THEN ${consequent} ELSE ${alternate}`,
+  assign: (target, value) => `${target} ← ${value}`,
+  declare: (name) => `${name} ← NULL`,
+  change: (target, operator, value) => `${target} ← ${target} ${operator} ${value}`,
+  call: (call) => call,
+  print: (values) => `OUTPUT ${values.join(', ')}`,
+  if: (test) => `IF ${test} THEN`,
+  elseIf: (test) => `ELSE IF ${test} THEN`,
+  else: () => 'ELSE',
+  endIf: () => 'END IF',
+  while: (test) => `LOOP WHILE ${test}`,
+  endWhile: () => 'END LOOP',
+  doWhile: () => 'REPEAT',
+  endDoWhile: (test) => `UNTIL NOT (${test})`,
+  forRange: (name, from, to, step) => `LOOP ${name} FROM ${from} TO ${to}${step === '1' ? '' : ` STEP ${step}`}`,
+  forEach: (name, list) => `FOR EACH ${name} IN ${list}`,
+  forKeys: (name, object) => `FOR EACH KEY ${name} IN ${object}`,
+  endFor: () => 'END LOOP',
+  function: (name, params) => `PROCEDURE ${name}(${params.join(', ')})`,
+  endFunction: () => 'END PROCEDURE',
+  return: (value) => (value ? `RETURN ${value}` : 'RETURN'),
+  labeled: (name) => `LABEL ${name}`,
+  break: (label) => (label ? `EXIT ${label}` : 'EXIT LOOP'),
+  breakSwitch: () => 'EXIT CASE',
+  continue: (label) => (label ? `NEXT ITERATION OF ${label}` : 'NEXT ITERATION'),
+  throw: (value) => `RAISE ERROR ${value}`,
+  switch: (value) => `CASE OF ${value}`,
+  case: (value) => `${value}:`,
+  default: () => 'OTHERWISE:',
+  endSwitch: () => 'END CASE',
+  try: () => 'TRY',
+  catch: (name) => (name ? `ON ERROR ${name}` : 'ON ERROR'),
+  finally: () => 'FINALLY',
+  endTry: () => 'END TRY',
+  class: (name, parent) => `CLASS ${name}${parent ? ` INHERITS ${parent}` : ''}`,
+  endClass: () => 'END CLASS',
+  comment: (text) => `// ${text}`
+};
+
+const english = {
+  label: 'Plain English',
+  operators: {
+    '===': 'is',
+    '==': 'is',
+    '!==': 'is not',
+    '!=': 'is not',
+    '<': 'is less than',
+    '>': 'is greater than',
+    '<=': 'is at most',
+    '>=': 'is at least',
+    '&&': 'and',
+    '||': 'or',
+    '%': 'mod'
+  },
+  unary: { '!': 'not ' },
+  ternary: (test, consequent, alternate) => `${consequent} if ${test}, otherwise ${alternate}`,
+  assign: (target, value) => `set ${target} to ${value}`,
+  declare: (name) => `create ${name}`,
+  change: (target, operator, value) => {
+    if (operator === '+') return `add ${value} to ${target}`;
+    if (operator === '-') return `subtract ${value} from ${target}`;
+    if (operator === '*') return `multiply ${target} by ${value}`;
+    if (operator === '/') return `divide ${target} by ${value}`;
+    return `set ${target} to ${target} ${operator} ${value}`;
+  },
+  call: (call) => `call ${call}`,
+  print: (values) => `print ${values.join(', ')}`,
+  if: (test) => `if ${test}:`,
+  elseIf: (test) => `otherwise, if ${test}:`,
+  else: () => 'otherwise:',
+  endIf: () => null,
+  while: (test) => `repeat while ${test}:`,
+  endWhile: () => null,
+  doWhile: () => 'repeat:',
+  endDoWhile: (test) => `... as long as ${test}`,
+  forRange: (name, from, to, step) =>
+    `for ${name} from ${from} to ${to}${step === '1' ? '' : `, counting by ${step}`}:`,
+  forEach: (name, list) => `for each ${name} in ${list}:`,
+  forKeys: (name, object) => `for each key ${name} of ${object}:`,
+  endFor: () => null,
+  function: (name, params) =>
+    params.length > 0 ? `define ${name} taking ${params.join(', ')}:` : `define ${name}:`,
+  endFunction: () => null,
+  return: (value) => (value ? `return ${value}` : 'stop here'),
+  labeled: (name) => `(call the next part ${name})`,
+  break: (label) => (label ? `stop ${label}` : 'stop the loop'),
+  breakSwitch: () => 'stop checking cases',
+  continue: (label) => (label ? `skip to the next round of ${label}` : 'skip to the next round'),
+  throw: (value) => `report an error: ${value}`,
+  switch: (value) => `depending on ${value}:`,
+  case: (value) => `when it is ${value}:`,
+  default: () => 'in any other case:',
+  endSwitch: () => null,
+  try: () => 'try to:',
+  catch: (name) => (name ? `if that fails with ${name}:` : 'if that fails:'),
+  finally: () => 'either way, finally:',
+  endTry: () => null,
+  class: (name, parent) => `describe ${name}${parent ? `, a kind of ${parent}` : ''}:`,
+  endClass: () => null,
+  comment: (text) => `(${text})`
+};
+
+const unplugged = {
+  label: 'CS Unplugged',
+  operators: {
+    '===': 'is the same as',
+    '==': 'is the same as',
+    '!==': 'is different from',
+    '!=': 'is different from',
+    '<': 'is smaller than',
+    '>': 'is bigger than',
+    '<=': 'is not bigger than',
+    '>=': 'is not smaller than',
+    '&&': 'and',
+    '||': 'or',
+    '%': 'remainder after dividing by'
+  },
+  unary: { '!': 'not ' },
+  ternary: (test, consequent, alternate) => `${consequent} (if ${test}, or else ${alternate})`,
+  assign: (target, value) => `Write ${value} on the card called ${target}`,
+  declare: (name) => `Get a blank card called ${name}`,
+  change: (target, operator, value) =>
+    `Work out ${target} ${operator} ${value} and write it on the card called ${target}`,
+  call: (call) => `Follow the steps for ${call}`,
+  print: (values) => `Say out loud: ${values.join(', ')}`,
+  if: (test) => `Check: ${test}? If yes:`,
+  elseIf: (test) => `If not, check: ${test}? If yes:`,
+  else: () => 'If not:',
+  endIf: () => null,
+  while: (test) => `Keep going while ${test}:`,
+  endWhile: () => null,
+  doWhile: () => 'Do this at least once:',
+  endDoWhile: (test) => `Go back to the start if ${test}`,
+  forRange: (name, from, to, step) =>
+    `Count ${name} from ${from} to ${to}${step === '1' ? '' : ` in steps of ${step}`}, and each time:`,
+  forEach: (name, list) => `Take each ${name} from ${list} in turn, and:`,
+  forKeys: (name, object) => `Take each label ${name} from ${object} in turn, and:`,
+  endFor: () => null,
+  function: (name, params) =>
+    params.length > 0 ? `Steps for ${name} (given ${params.join(', ')}):` : `Steps for ${name}:`,
+  endFunction: () => null,
+  return: (value) => (value ? `Hand back ${value}` : 'Stop these steps'),
+  labeled: (name) => `Call the next part "${name}"`,
+  break: (label) => (label ? `Stop "${label}"` : 'Stop repeating'),
+  breakSwitch: () => 'Stop looking',
+  continue: (label) => (label ? `Skip straight to the next turn of "${label}"` : 'Skip straight to the next turn'),
+  throw: (value) => `Raise your hand: something went wrong (${value})`,
+  switch: (value) => `Look at ${value}:`,
+  case: (value) => `If it is ${value}:`,
+  default: () => 'If it is anything else:',
+  endSwitch: () => null,
+  try: () => 'Try this:',
+  catch: (name) => (name ? `If it goes wrong (call the problem ${name}):` : 'If it goes wrong:'),
+  finally: () => 'Whatever happened, finish with:',
+  endTry: () => null,
+  class: (name, parent) => `Blueprint for ${name}${parent ? ` (based on ${parent})` : ''}:`,
+  endClass: () => null,
+  comment: (text) => `Note: ${text}`
+};
+
+export const DIALECTS = { classic, exam, english, unplugged };
+
+export const DEFAULT_DIALECT = 'classic';
@@ -0,0 +1,424 @@
+/**
+ * Pseudocode generator - walks a Shift AST and words every statement in a dialect
+ * Every pseudocode line remembers the source line it came from, so lenses can
+ * cross-highlight the code and its pseudocode.
+ */
+
+import { parseScriptWithLocation, parseModuleWithLocation } from 'shift-parser';
+import { DIALECTS, DEFAULT_DIALECT } from './dialects.js';
+
+const INDENT = '  ';
+
+// Higher binds tighter, used to decide where parentheses are needed
+const PRECEDENCE = {
+  '??': 1,
+  '||': 1,
+  '&&': 2,
+  '|': 3,
+  '^': 4,
+  '&': 5,
+  '==': 6,
+  '!=': 6,
+  '===': 6,
+  '!==': 6,
+  '<': 7,
+  '>': 7,
+  '<=': 7,
+  '>=': 7,
+  instanceof: 7,
+  in: 7,
+  '<<': 8,
+  '>>': 8,
+  '>>>': 8,
+  '+': 9,
+  '-': 9,
+  '*': 10,
+  '/': 10,
+  '%': 10,
+  '**': 11
+};
+
+const FUNCTION_TYPES = ['ArrowExpression', 'FunctionExpression'];
+
+const parse = (code) => {
+  try {
+    return parseScriptWithLocation(code);
+  } catch {
+    return parseModuleWithLocation(code);
+  }
+};
+
+const isConsoleCall = (node) =>
+  node?.type === 'CallExpression' &&
+  node.callee.type === 'StaticMemberExpression' &&
+  node.callee.object.type === 'IdentifierExpression' &&
+  node.callee.object.name === 'console';
+
+/**
+ * Generate pseudocode for JavaScript
+ * @param {string} code - JavaScript source
+ * @param {string} dialectName - Key of DIALECTS
+ * @returns {Object} { code, lineMap } - lineMap[i] is the 1-based source line of pseudocode line i + 1
+ * @throws {SyntaxError} If the code cannot be parsed
+ */
+export const generatePseudocode = (code, dialectName = DEFAULT_DIALECT) => {
+  const dialect = DIALECTS[dialectName] || DIALECTS[DEFAULT_DIALECT];
+  const { tree, locations } = parse(code);
+  const sourceLines = code.split('\n');
+
+  const lines = [];
+  const lineMap = [];
+
+  // Whole-line comments are carried over in front of the next statement
+  const comments = sourceLines
+    .map((text, index) => ({ line: index + 1, text: text.trim() }))
+    .filter(({ text }) => text.startsWith('//'))
+    .map(({ line, text }) => ({ line, text: text.replace(/^\/\/\s*/, '') }));
+
+  const startLine = (node) => locations.get(node)?.start.line || null;
+  const endLine = (node) => locations.get(node)?.end.line || null;
+
+  // Anything without a dedicated wording keeps its source, on one line
+  const source = (node) => {
+    const location = locations.get(node);
+    if (!location) return '';
+    return code.slice(location.start.offset, location.end.offset).replace(/\s*\n\s*/g, ' ');
+  };
+
+  const emit = (text, depth, line) => {
+    if (text === null) return;
+    lines.push(INDENT.repeat(depth) + text);
+    lineMap.push(line);
+  };
+
+  // What an unlabeled `break` leaves, the innermost loop, switch or function
+  const breakables = [];
+  const inside = (kind, generate) => {
+    breakables.push(kind);
+    generate();
+    breakables.pop();
+  };
+  const loopBody = (node, depth) => inside('loop', () => body(node, depth));
+
+  const emitComments = (beforeLine, depth) => {
+    while (comments.length > 0 && beforeLine && comments[0].line < beforeLine) {
+      const { line, text } = comments.shift();
+      emit(dialect.comment(text), depth, line);
+    }
+  };
+
+  // --- Expressions ---
+
+  const expression = (node, parentPrecedence = 0) => {
+    if (!node) return '';
+
+    switch (node.type) {
+    case 'IdentifierExpression':
+    case 'AssignmentTargetIdentifier':
+    case 'BindingIdentifier':
+      return node.name;
+    case 'StaticMemberExpression':
+    case 'StaticMemberAssignmentTarget':
+      return `${expression(node.object, 20)}.${node.property}`;
+    case 'ComputedMemberExpression':
+    case 'ComputedMemberAssignmentTarget':
+      return `${expression(node.object, 20)}[${expression(node.expression)}]`;
+    case 'CallExpression':
+      return `${expression(node.callee, 20)}(${node.arguments.map((arg) => expression(arg)).join(', ')})`;
+    case 'SpreadElement':
+      return `...${expression(node.expression)}`;
+    case 'BinaryExpression': {
+      const precedence = PRECEDENCE[node.operator] || 0;
+      const operator = dialect.operators[node.operator] || node.operator;
+      const text = `${expression(node.left, precedence)} ${operator} ${expression(node.right, precedence + 1)}`;
+      return precedence < parentPrecedence ? `(${text})` : text;
+    }
+    case 'UnaryExpression': {
+      const operator = dialect.unary[node.operator] ?? (/^[a-z]/.test(node.operator) ? `${node.operator} ` : node.operator);
+      return `${operator}${expression(node.operand, 15)}`;
+    }
+    case 'ConditionalExpression': {
+      const text = dialect.ternary(expression(node.test), expression(node.consequent), expression(node.alternate));
+      return parentPrecedence > 0 ? `(${text})` : text;
+    }
+    default:
+      return source(node);
+    }
+  };
+
+  const params = (node) => [
+    ...(node?.items || []).map((item) => expression(item) || source(item)),
+    ...(node?.rest ? [`...${expression(node.rest)}`] : [])
+  ];
+
+  // --- Statements ---
+
+  const statements = (list, depth) => list.forEach((node) => statement(node, depth));
+
+  // A loop or branch body, which may or may not be a block
+  const body = (node, depth) => {
+    if (!node) return;
+    if (node.type === 'BlockStatement') return statements(node.block.statements, depth);
+    if (node.type === 'Block') return statements(node.statements, depth);
+    if (node.type === 'FunctionBody') return statements(node.statements, depth);
+    statement(node, depth);
+  };
+
+  const functionLines = (name, node, depth, line, paramsNode = node.params) => {
+    emit(dialect.function(name, params(paramsNode)), depth, line);
+    if (node.body.type === 'FunctionBody') {
+      inside('function', () => body(node.body, depth + 1));
+    } else {
+      emit(dialect.return(expression(node.body)), depth + 1, startLine(node.body));
+    }
+    emit(dialect.endFunction(), depth, endLine(node));
+  };
+
+  const change = (target, operator, value) => dialect.change(target, operator, value);
+
+  const expressionStatement = (node, depth, line) => {
+    switch (node.type) {
+    case 'AssignmentExpression':
+      if (FUNCTION_TYPES.includes(node.expression.type)) {
+        return functionLines(expression(node.binding), node.expression, depth, line);
+      }
+      return emit(dialect.assign(expression(node.binding), expression(node.expression)), depth, line);
+    case 'CompoundAssignmentExpression':
+      return emit(
+        change(expression(node.binding), node.operator.slice(0, -1), expression(node.expression, 10)),
+        depth,
+        line
+      );
+    case 'UpdateExpression':
+      return emit(change(expression(node.operand), node.operator[0], '1'), depth, line);
+    case 'CallExpression':
+      if (isConsoleCall(node)) {
+        return emit(dialect.print(node.arguments.map((arg) => expression(arg))), depth, line);
+      }
+      return emit(dialect.call(expression(node)), depth, line);
+    default:
+      return emit(source(node), depth, line);
+    }
+  };
+
+  const declaration = (node, depth, line) => {
+    node.declarators.forEach((declarator) => {
+      const name = expression(declarator.binding) || source(declarator.binding);
+      const declaratorLine = startLine(declarator) || line;
+      if (!declarator.init) {
+        emit(dialect.declare(name), depth, declaratorLine);
+      } else if (FUNCTION_TYPES.includes(declarator.init.type)) {
+        functionLines(name, declarator.init, depth, declaratorLine);
+      } else {
+        emit(dialect.assign(name, expression(declarator.init)), depth, declaratorLine);
+      }
+    });
+  };
+
+  // `for (let i = 0; i < n; i++)` reads as counting from 0 to n - 1
+  const countingLoop = (node) => {
+    const { init, test, update } = node;
+    if (init?.type !== 'VariableDeclaration' || init.declarators.length !== 1) return null;
+
+    const { binding, init: from } = init.declarators[0];
+    if (binding.type !== 'BindingIdentifier' || !from) return null;
+    const name = binding.name;
+
+    if (test?.type !== 'BinaryExpression' || test.left.type !== 'IdentifierExpression' || test.left.name !== name) {
+      return null;
+    }
+
+    let step = null;
+    if (update?.type === 'UpdateExpression' && update.operand.name === name) {
+      step = update.operator === '++' ? 1 : -1;
+    } else if (
+      update?.type === 'CompoundAssignmentExpression' &&
+      update.binding.name === name &&
+      ['+=', '-='].includes(update.operator) &&
+      update.expression.type === 'LiteralNumericExpression'
+    ) {
+      step = update.operator === '+=' ? update.expression.value : -update.expression.value;
+    }
+    if (!step) return null;
+
+    const bound = test.right;
+    const inclusive = test.operator === '<=' || test.operator === '>=';
+    if (!['<', '<=', '>', '>='].includes(test.operator) || (step > 0) !== test.operator.startsWith('<')) {
+      return null;
+    }
+
+    // Exclusive bounds stop one step short
+    let to = expression(bound, 9);
+    if (!inclusive) {
+      const offset = step > 0 ? -1 : 1;
+      to = bound.type === 'LiteralNumericExpression' ? String(bound.value + offset) : `${to} ${offset > 0 ? '+' : '-'} 1`;
+    }
+
+    return { name, from: expression(from), to, step: String(step) };
+  };
+
+  const ifStatement = (node, depth, line, isElseIf = false) => {
+    emit(isElseIf ? dialect.elseIf(expression(node.test)) : dialect.if(expression(node.test)), depth, line);
+    body(node.consequent, depth + 1);
+
+    const alternate = node.alternate;
+    if (alternate?.type === 'IfStatement') {
+      ifStatement(alternate, depth, startLine(alternate), true);
+      return;
+    }
+    if (alternate) {
+      emit(dialect.else(), depth, startLine(alternate));
+      body(alternate, depth + 1);
+    }
+    emit(dialect.endIf(), depth, endLine(node));
+  };
+
+  const loopVariable = (left) =>
+    left.type === 'VariableDeclaration' ? expression(left.declarators[0].binding) : expression(left);
+
+  const switchStatement = (node, depth, line) => {
+    emit(dialect.switch(expression(node.discriminant)), depth, line);
+    const cases = node.type === 'SwitchStatementWithDefault'
+      ? [...node.preDefaultCases, node.defaultCase, ...node.postDefaultCases]
+      : node.cases;
+
+    cases.forEach((switchCase) => {
+      const caseLine = startLine(switchCase);
+      emit(switchCase.type === 'SwitchDefault' ? dialect.default() : dialect.case(expression(switchCase.test)), depth + 1, caseLine);
+      // `break` at the end of a case is how JavaScript ends it, not a step of its own
+      const steps = switchCase.consequent.filter(
+        (step, index, all) => !(step.type === 'BreakStatement' && !step.label && index === all.length - 1)
+      );
+      inside('switch', () => statements(steps, depth + 2));
+    });
+
+    emit(dialect.endSwitch(), depth, endLine(node));
+  };
+
+  const tryStatement = (node, depth, line) => {
+    emit(dialect.try(), depth, line);
+    body(node.body, depth + 1);
+    if (node.catchClause) {
+      const binding = node.catchClause.binding;
+      emit(dialect.catch(binding ? expression(binding) : null), depth, startLine(node.catchClause));
+      body(node.catchClause.body, depth + 1);
+    }
+    if (node.finalizer) {
+      emit(dialect.finally(), depth, startLine(node.finalizer));
+      body(node.finalizer, depth + 1);
+    }
+    emit(dialect.endTry(), depth, endLine(node));
+  };
+
+  const classDeclaration = (node, depth, line) => {
+    emit(dialect.class(expression(node.name), node.super ? expression(node.super) : null), depth, line);
+    node.elements.forEach(({ method }) => {
+      const name = method.name.type === 'StaticPropertyName' ? method.name.value : source(method.name);
+      const methodParams = method.type === 'Setter' ? { items: [method.param] } : method.params;
+      functionLines(name, method, depth + 1, startLine(method), methodParams);
+    });
+    emit(dialect.endClass(), depth, endLine(node));
+  };
+
+  function statement(node, depth) {
+    if (!node) return;
+    const line = startLine(node);
+    emitComments(line, depth);
+
+    switch (node.type) {
+    case 'EmptyStatement':
+    case 'Directive':
+      return;
+    case 'BlockStatement':
+      return body(node, depth);
+    case 'VariableDeclarationStatement':
+      return declaration(node.declaration, depth, line);
+    case 'ExpressionStatement':
+      return expressionStatement(node.expression, depth, line);
+    case 'FunctionDeclaration':
+      return functionLines(expression(node.name), node, depth, line);
+    case 'ClassDeclaration':
+      return classDeclaration(node, depth, line);
+    case 'IfStatement':
+      return ifStatement(node, depth, line);
+    case 'WhileStatement':
+      emit(dialect.while(expression(node.test)), depth, line);
+      loopBody(node.body, depth + 1);
+      return emit(dialect.endWhile(), depth, endLine(node));
+    case 'DoWhileStatement':
+      emit(dialect.doWhile(), depth, line);
+      loopBody(node.body, depth + 1);
+      return emit(dialect.endDoWhile(expression(node.test)), depth, endLine(node));
+    case 'ForStatement': {
+      const counting = countingLoop(node);
+      if (counting) {
+        emit(dialect.forRange(counting.name, counting.from, counting.to, counting.step), depth, line);
+        loopBody(node.body, depth + 1);
+        return emit(dialect.endFor(), depth, endLine(node));
+      }
+      // Any other for loop is its setup followed by a while loop
+      if (node.init?.type === 'VariableDeclaration') {
+        declaration(node.init, depth, line);
+      } else if (node.init) {
+        expressionStatement(node.init, depth, line);
+      }
+      emit(dialect.while(node.test ? expression(node.test) : 'true'), depth, line);
+      loopBody(node.body, depth + 1);
+      if (node.update) expressionStatement(node.update, depth + 1, line);
+      return emit(dialect.endWhile(), depth, endLine(node));
+    }
+    case 'ForOfStatement':
+      emit(dialect.forEach(loopVariable(node.left), expression(node.right)), depth, line);
+      loopBody(node.body, depth + 1);
+      return emit(dialect.endFor(), depth, endLine(node));
+    case 'ForInStatement':
+      emit(dialect.forKeys(loopVariable(node.left), expression(node.right)), depth, line);
+      loopBody(node.body, depth + 1);
+      return emit(dialect.endFor(), depth, endLine(node));
+    case 'ReturnStatement':
+      return emit(dialect.return(node.expression ? expression(node.expression) : null), depth, line);
+    case 'BreakStatement':
+      if (!node.label && breakables[breakables.length - 1] === 'switch') {
+        return emit(dialect.breakSwitch(), depth, line);
+      }
+      return emit(dialect.break(node.label), depth, line);
+    case 'ContinueStatement':
+      return emit(dialect.continue(node.label), depth, line);
+    case 'ThrowStatement':
+      return emit(dialect.throw(expression(node.expression)), depth, line);
+    case 'SwitchStatement':
+    case 'SwitchStatementWithDefault':
+      return switchStatement(node, depth, line);
+    case 'TryCatchStatement':
+    case 'TryFinallyStatement':
+      return tryStatement(node, depth, line);
+    case 'LabeledStatement':
+      emit(dialect.labeled(node.label), depth, line);
+      return statement(node.body, depth);
+    case 'Export':
+      return statement(node.declaration, depth);
+    case 'ExportDefault':
+      return node.body.type.endsWith('Declaration') ? statement(node.body, depth) : emit(source(node), depth, line);
+    default:
+      return emit(source(node), depth, line);
+    }
+  }
+
+  if (tree.type === 'Module') {
+    statements(tree.items, 0);
+  } else {
+    statements(tree.statements, 0);
+  }
+  emitComments(sourceLines.length + 1, 0);
+
+  return { code: lines.join('\n'), lineMap };
+};
+
+/**
+ * Pseudocode lines generated from a source line
+ * @param {Array<number>} lineMap - From generatePseudocode
+ * @param {number} sourceLine - 1-based source line
+ * @returns {Array<number>} 1-based pseudocode lines
+ */
+export const findPseudocodeLines = (lineMap = [], sourceLine) =>
+  lineMap.reduce((found, line, index) => (line === sourceLine ? [...found, index + 1] : found), []);
@@ -1,9 +1,17 @@
 /**
  * Pseudocode Transform - Convert code to readable pseudocode
+ * JavaScript is converted from its AST in the dialect chosen by `config.dialect`
+ * (or `query.dialect`), other languages line by line.
  */
 
+import { generatePseudocode } from './generate.js';
+import { DIALECTS, DEFAULT_DIALECT } from './dialects.js';
+
+export { DIALECTS, DEFAULT_DIALECT };
+
 /**
- * Convert JavaScript/TypeScript to pseudocode
+ * Convert JavaScript/TypeScript to pseudocode line by line
+ * Only used when the code cannot be parsed, e.g. TypeScript or unfinished code
  */
 const convertToPseudocode = (content, lang) => {
   const lines = content.split('\n');
@@ -64,12 +72,12 @@ const convertToPseudocode = (content, lang) => {
     pseudocode = pseudocode.replace(/^\{$/, 'BEGIN');
     pseudocode = pseudocode.replace(/^\}$/, 'END');
     
-    // Clean up operators
+    // Clean up operators, `!==` before `===` so it is not split in two
+    pseudocode = pseudocode.replace(/!==|!=/g, 'NOT EQUALS');
     pseudocode = pseudocode.replace(/===|==/g, 'EQUALS');
-    pseudocode = pseudocode.replace(/!==/g, 'NOT EQUALS');
     pseudocode = pseudocode.replace(/&&/g, 'AND');
     pseudocode = pseudocode.replace(/\|\|/g, 'OR');
-    pseudocode = pseudocode.replace(/!/g, 'NOT ');
+    pseudocode = pseudocode.replace(/!(?!=)/g, 'NOT ');
     
     return indent + pseudocode;
   });
@@ -162,10 +170,17 @@ const pseudocodeTransform = ({ resource, config, query }) => {
     };
   }
   
+  const dialect = [query?.dialect, config?.dialect].find((name) => DIALECTS[name]) || DEFAULT_DIALECT;
   let pseudocode;
+  // lineMap[i] is the source line of pseudocode line i + 1
+  let lineMap = null;
   
   if (['.js', '.jsx', '.ts', '.tsx'].includes(lang)) {
-    pseudocode = convertToPseudocode(content, lang);
+    try {
+      ({ code: pseudocode, lineMap } = generatePseudocode(content, dialect));
+    } catch {
+      pseudocode = convertToPseudocode(content, lang);
+    }
   } else if (lang === '.py') {
     pseudocode = convertPythonToPseudocode(content);
   } else {
@@ -179,7 +194,10 @@ const pseudocodeTransform = ({ resource, config, query }) => {
     lang: '.txt', // Change to text format for pseudocode
     originalLang: lang, // Keep track of original language
     originalContent: content, // Preserve original source code
-    isPseudocode: true
+    isPseudocode: true,
+    pseudocodeDialect: dialect,
+    // Line-by-line conversions keep every line where it was
+    lineMap: lineMap || pseudocode.split('\n').map((line, index) => index + 1)
   };
 };
 
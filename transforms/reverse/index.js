@@ -0,0 +1,10 @@
+/**
+ * Reverse Transform - Reverse the content, character by character
+ */
+
+const reverseTransform = ({ resource }) => ({
+  ...resource,
+  content: Array.from(resource.content || '').reverse().join('')
+});
+
+export default reverseTransform;
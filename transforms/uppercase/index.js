@@ -0,0 +1,10 @@
+/**
+ * Uppercase Transform - Convert the content to upper case
+ */
+
+const uppercaseTransform = ({ resource }) => ({
+  ...resource,
+  content: (resource.content || '').toUpperCase()
+});
+
+export default uppercaseTransform;
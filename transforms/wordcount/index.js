@@ -0,0 +1,43 @@
+/**
+ * Wordcount Transform - Replace the content with a count of its words
+ * Config: `includeWhitespace` counts whitespace characters too,
+ * `showBreakdown` lists the most frequent words, `showCharacters: false`
+ * leaves out the character count.
+ */
+
+const BREAKDOWN_SIZE = 10;
+
+const wordcountTransform = ({ resource, config = {} }) => {
+  const { includeWhitespace = false, showBreakdown = true, showCharacters = true } = config;
+  const content = resource.content || '';
+
+  const words = content.match(/[\p{L}\p{N}_$]+/gu) || [];
+  const characters = includeWhitespace ? content.length : content.replace(/\s/g, '').length;
+  const lines = content ? content.split('\n').length : 0;
+
+  const report = [`Words: ${words.length}`, `Lines: ${lines}`];
+  if (showCharacters) {
+    report.push(`Characters${includeWhitespace ? '' : ' (without whitespace)'}: ${characters}`);
+  }
+
+  if (showBreakdown && words.length > 0) {
+    const counts = new Map();
+    words.forEach((word) => counts.set(word, (counts.get(word) || 0) + 1));
+    const top = [...counts.entries()]
+      .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+      .slice(0, BREAKDOWN_SIZE);
+
+    report.push('', 'Most frequent words:');
+    top.forEach(([word, count]) => report.push(`  ${word}: ${count}`));
+  }
+
+  return {
+    ...resource,
+    content: report.join('\n'),
+    lang: '.txt',
+    originalLang: resource.originalLang || resource.lang,
+    originalContent: resource.originalContent ?? content
+  };
+};
+
+export default wordcountTransform;
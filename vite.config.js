@@ -1,3 +1,4 @@
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vite';
 import preact from '@preact/preset-vite';
 import { viteStaticCopy } from 'vite-plugin-static-copy';
@@ -16,6 +17,26 @@ export default defineConfig({
     }),
   ],
 
+  // ESLint's Linter (shared/utils/lint.js) imports these Node modules, browsers get small stand-ins
+  resolve: {
+    alias: {
+      'node:path': fileURLToPath(new URL('./shared/utils/shims/path.js', import.meta.url)),
+      'node:util': fileURLToPath(new URL('./shared/utils/shims/util.js', import.meta.url)),
+    },
+  },
+
+  // and it reads this when it loads, everything else it checks `process` first
+  define: {
+    'process.env.TIMING': 'undefined',
+  },
+  optimizeDeps: {
+    esbuildOptions: {
+      define: {
+        'process.env.TIMING': 'undefined',
+      },
+    },
+  },
+
   // Base path configuration for deployment
   base: process.env.NODE_ENV === 'production' ? BASE_PATH : '/',
 
@@ -59,6 +80,7 @@ export default defineConfig({
           ],
           parser: ['shift-parser', 'shift-scope'],
           prettier: ['prettier'],
+          eslint: ['eslint/universal'],
         },
         chunkFileNames: (chunkInfo) => {
           const facadeModuleId = chunkInfo.facadeModuleId